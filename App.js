@@ -1,19 +1,44 @@
 import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { View, StyleSheet } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
-import { PaperProvider } from 'react-native-paper';
+import { PaperProvider, IconButton } from 'react-native-paper';
 import WebViewScreen from './src/screens/WebViewScreen';
 import VideoPlayerScreen from './src/screens/VideoPlayerScreen';
+import LinkErrorScreen from './src/screens/LinkErrorScreen';
+import InboxScreen from './src/screens/InboxScreen';
+import DownloadsScreen from './src/screens/DownloadsScreen';
+import InboxHeaderButton from './src/components/InboxHeaderButton';
+import useNotificationResponses from './src/hooks/useNotificationResponses';
+import useNotificationHistory from './src/hooks/useNotificationHistory';
+import { configureNotifications } from './src/notifications/notificationSetup';
+import { configureQoeTelemetry } from './src/telemetry/qoeReporter';
+import { createConsoleSink, createFileSink, createHttpSink } from './src/telemetry/qoeSinks';
+import { linking } from './src/navigation/linking';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+// Point EXPO_PUBLIC_QOE_ENDPOINT at a collector (or a local stand-in) to upload playback sessions
+const QOE_ENDPOINT = process.env.EXPO_PUBLIC_QOE_ENDPOINT;
+
+configureNotifications();
+configureQoeTelemetry({
+  sink: QOE_ENDPOINT
+    ? createHttpSink({ url: QOE_ENDPOINT })
+    : (__DEV__ ? createConsoleSink() : createFileSink()),
+});
 
 export default function App() {
+  const { onNavigationReady } = useNotificationResponses(navigationRef);
+  useNotificationHistory();
+
   return (
     <PaperProvider>
       <SafeAreaProvider>
-        <NavigationContainer>
+        <NavigationContainer ref={navigationRef} linking={linking} onReady={onNavigationReady}>
           <StatusBar style="auto" />
           <Stack.Navigator
             initialRouteName="WebView"
@@ -30,9 +55,21 @@ export default function App() {
             <Stack.Screen
               name="WebView"
               component={WebViewScreen}
-              options={{
+              options={({ navigation }) => ({
                 title: 'WebView & Notifications',
-              }}
+                headerRight: () => (
+                  <View style={styles.headerButtons}>
+                    <IconButton
+                      icon="download"
+                      iconColor="#fff"
+                      onPress={() => navigation.navigate('Downloads')}
+                      style={styles.headerButton}
+                      accessibilityLabel="Downloads"
+                    />
+                    <InboxHeaderButton onPress={() => navigation.navigate('Inbox')} />
+                  </View>
+                ),
+              })}
             />
             <Stack.Screen
               name="VideoPlayer"
@@ -42,9 +79,41 @@ export default function App() {
                 headerShown: false,
               }}
             />
+            <Stack.Screen
+              name="Inbox"
+              component={InboxScreen}
+              options={{
+                title: 'Inbox',
+              }}
+            />
+            <Stack.Screen
+              name="Downloads"
+              component={DownloadsScreen}
+              options={{
+                title: 'Downloads',
+              }}
+            />
+            <Stack.Screen
+              name="LinkError"
+              component={LinkErrorScreen}
+              options={{
+                title: 'Link Not Available',
+              }}
+            />
           </Stack.Navigator>
         </NavigationContainer>
       </SafeAreaProvider>
     </PaperProvider>
   );
 }
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  headerButton: {
+    margin: 0,
+  },
+});
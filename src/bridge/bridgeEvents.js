@@ -0,0 +1,34 @@
+/**
+ * Bridge Event Bus
+ *
+ * App-wide publish/subscribe channel for native events that should be
+ * forwarded into the embedded page (e.g. a video finishing on another
+ * screen while the WebView stays mounted underneath).
+ */
+
+const subscribers = new Set();
+
+/**
+ * Subscribe to native bridge events
+ * @param {Function} listener - Called with (event, payload)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeBridgeEvents = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
+
+/**
+ * Publish a native event to every subscriber
+ * @param {string} event - Event name, usually one of BRIDGE_EVENTS
+ * @param {*} payload - JSON-serialisable payload
+ */
+export const emitBridgeEvent = (event, payload) => {
+  subscribers.forEach((listener) => {
+    try {
+      listener(event, payload);
+    } catch (error) {
+      console.error('Error in bridge event listener:', error);
+    }
+  });
+};
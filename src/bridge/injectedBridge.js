@@ -0,0 +1,103 @@
+/**
+ * Injected Bridge Script
+ *
+ * Builds the JavaScript injected into the WebView that exposes
+ * `window.AppBridge` to the page:
+ * - AppBridge.call(action, params) returns a Promise resolved by the app
+ * - AppBridge.on(event, handler) / AppBridge.off(event, handler)
+ * - An `appbridgeready` DOM event once the bridge is installed
+ */
+
+import { BRIDGE_NAME, BRIDGE_VERSION, BRIDGE_ERRORS } from './protocol';
+
+const REQUEST_TIMEOUT = 15000; // milliseconds
+
+/**
+ * Build the script that installs window.AppBridge in the page
+ * @returns {string} Script source, safe to pass to injectedJavaScript
+ */
+export const buildBridgeScript = () => `
+(function () {
+  if (window.AppBridge) return;
+
+  var BRIDGE = ${JSON.stringify(BRIDGE_NAME)};
+  var VERSION = ${BRIDGE_VERSION};
+  var TIMEOUT_CODE = ${JSON.stringify(BRIDGE_ERRORS.TIMEOUT)};
+  var pending = {};
+  var listeners = {};
+  var counter = 0;
+
+  function post(message) {
+    if (!window.ReactNativeWebView) throw new Error('AppBridge is not available');
+    window.ReactNativeWebView.postMessage(JSON.stringify(message));
+  }
+
+  function makeError(error) {
+    var err = new Error((error && error.message) || 'Bridge request failed');
+    err.code = (error && error.code) || 'ACTION_FAILED';
+    return err;
+  }
+
+  window.AppBridge = {
+    version: VERSION,
+
+    call: function (action, params) {
+      var id = 'req_' + Date.now().toString(36) + '_' + (counter++);
+      return new Promise(function (resolve, reject) {
+        var timer = setTimeout(function () {
+          delete pending[id];
+          reject(makeError({ code: TIMEOUT_CODE, message: 'No reply for ' + action }));
+        }, ${REQUEST_TIMEOUT});
+        pending[id] = { resolve: resolve, reject: reject, timer: timer };
+        try {
+          post({ bridge: BRIDGE, version: VERSION, type: 'request', id: id, action: action, params: params || {} });
+        } catch (e) {
+          clearTimeout(timer);
+          delete pending[id];
+          reject(e);
+        }
+      });
+    },
+
+    on: function (event, handler) {
+      (listeners[event] = listeners[event] || []).push(handler);
+    },
+
+    off: function (event, handler) {
+      listeners[event] = (listeners[event] || []).filter(function (h) { return h !== handler; });
+    },
+
+    __receive: function (raw) {
+      var message;
+      try { message = JSON.parse(raw); } catch (e) { return; }
+      if (!message || message.bridge !== BRIDGE || message.version !== VERSION) return;
+
+      if (message.type === 'response') {
+        var entry = pending[message.id];
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        delete pending[message.id];
+        if (message.ok) entry.resolve(message.result);
+        else entry.reject(makeError(message.error));
+      } else if (message.type === 'event') {
+        (listeners[message.event] || []).slice().forEach(function (handler) {
+          try { handler(message.payload); } catch (e) { console.error(e); }
+        });
+      }
+    },
+  };
+
+  try {
+    window.dispatchEvent(new Event('appbridgeready'));
+  } catch (e) {}
+})();
+true;
+`;
+
+/**
+ * Build the snippet that delivers a message to the page's bridge
+ * @param {Object} message - Response or event message
+ * @returns {string} Script source for webViewRef.injectJavaScript
+ */
+export const buildDeliveryScript = (message) =>
+  `window.AppBridge && window.AppBridge.__receive(${JSON.stringify(JSON.stringify(message))}); true;`;
@@ -0,0 +1,160 @@
+/**
+ * WebView Bridge Protocol
+ *
+ * Defines the versioned message format exchanged between the embedded
+ * web page and the native app:
+ * - request: page -> app, asks the app to run an action
+ * - response: app -> page, resolves or rejects a request by ID
+ * - event: app -> page, pushes something that happened natively
+ */
+
+// ==================== Constants ====================
+
+export const BRIDGE_NAME = 'app-bridge';
+export const BRIDGE_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  EVENT: 'event',
+};
+
+export const BRIDGE_ERRORS = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN',
+  ACTION_FAILED: 'ACTION_FAILED',
+  TIMEOUT: 'TIMEOUT',
+};
+
+export const BRIDGE_EVENTS = {
+  NOTIFICATION_TAPPED: 'notificationTapped',
+  NOTIFICATION_REPLIED: 'notificationReplied',
+  VIDEO_FINISHED: 'videoFinished',
+};
+
+const MAX_MESSAGE_LENGTH = 64 * 1024; // characters
+const MAX_ID_LENGTH = 64;
+const ACTION_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+// ==================== Errors ====================
+
+/**
+ * Error carrying a protocol error code back to the page
+ */
+export class BridgeError extends Error {
+  /**
+   * @param {string} code - One of BRIDGE_ERRORS
+   * @param {string} message - Human readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+// ==================== Parsing ====================
+
+/**
+ * Parse and validate a raw message posted by the page
+ * @param {string} raw - Raw string from onMessage's nativeEvent.data
+ * @returns {Object} Validated request ({ id, action, params })
+ * @throws {BridgeError} When the message is malformed or unsupported;
+ *   `error.id` is set when the request ID could be recovered
+ */
+export const parseBridgeMessage = (raw) => {
+  if (typeof raw !== 'string' || raw.length === 0 || raw.length > MAX_MESSAGE_LENGTH) {
+    throw new BridgeError(BRIDGE_ERRORS.INVALID_MESSAGE, 'Message must be a non-empty string');
+  }
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    throw new BridgeError(BRIDGE_ERRORS.INVALID_MESSAGE, 'Message is not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.bridge !== BRIDGE_NAME) {
+    throw new BridgeError(BRIDGE_ERRORS.INVALID_MESSAGE, 'Message is not a bridge message');
+  }
+
+  const hasValidId = typeof message.id === 'string' &&
+    message.id.length > 0 &&
+    message.id.length <= MAX_ID_LENGTH;
+
+  const fail = (code, text) => {
+    const error = new BridgeError(code, text);
+    if (hasValidId) error.id = message.id;
+    return error;
+  };
+
+  if (message.version !== BRIDGE_VERSION) {
+    throw fail(BRIDGE_ERRORS.UNSUPPORTED_VERSION, `Unsupported bridge version: ${message.version}`);
+  }
+  if (message.type !== MESSAGE_TYPES.REQUEST) {
+    throw fail(BRIDGE_ERRORS.INVALID_MESSAGE, `Unsupported message type: ${message.type}`);
+  }
+  if (!hasValidId) {
+    throw fail(BRIDGE_ERRORS.INVALID_MESSAGE, 'Request ID is missing or invalid');
+  }
+  if (typeof message.action !== 'string' || !ACTION_PATTERN.test(message.action)) {
+    throw fail(BRIDGE_ERRORS.INVALID_MESSAGE, 'Action name is missing or invalid');
+  }
+
+  const params = message.params === undefined ? {} : message.params;
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw fail(BRIDGE_ERRORS.INVALID_PARAMS, 'Params must be an object');
+  }
+
+  return { id: message.id, action: message.action, params };
+};
+
+// ==================== Message Builders ====================
+
+/**
+ * Build a successful response for a request
+ * @param {string} id - Request ID being answered
+ * @param {*} result - JSON-serialisable result
+ * @returns {Object} Response message
+ */
+export const createResponse = (id, result) => ({
+  bridge: BRIDGE_NAME,
+  version: BRIDGE_VERSION,
+  type: MESSAGE_TYPES.RESPONSE,
+  id,
+  ok: true,
+  result: result === undefined ? null : result,
+});
+
+/**
+ * Build an error response for a request
+ * @param {string} id - Request ID being answered
+ * @param {string} code - One of BRIDGE_ERRORS
+ * @param {string} message - Human readable description
+ * @returns {Object} Response message
+ */
+export const createErrorResponse = (id, code, message) => ({
+  bridge: BRIDGE_NAME,
+  version: BRIDGE_VERSION,
+  type: MESSAGE_TYPES.RESPONSE,
+  id,
+  ok: false,
+  error: { code, message },
+});
+
+/**
+ * Build an event pushed from native code into the page
+ * @param {string} event - Event name, usually one of BRIDGE_EVENTS
+ * @param {*} payload - JSON-serialisable payload
+ * @returns {Object} Event message
+ */
+export const createEvent = (event, payload) => ({
+  bridge: BRIDGE_NAME,
+  version: BRIDGE_VERSION,
+  type: MESSAGE_TYPES.EVENT,
+  event,
+  payload: payload === undefined ? null : payload,
+});
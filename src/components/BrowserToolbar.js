@@ -0,0 +1,165 @@
+/**
+ * BrowserToolbar Component
+ *
+ * In-app browser chrome rendered above the WebView:
+ * - Back/forward buttons enabled from the navigation state
+ * - Editable address bar accepting URLs or search terms
+ * - Reload button that turns into stop while a page is loading
+ * - Thin load progress bar
+ * - Optional shortcut to the navigation policy log
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, TextInput } from 'react-native';
+import { IconButton, ProgressBar } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { formatDisplayUrl } from '../utils/url';
+
+/**
+ * @param {Object} props
+ * @param {string} props.url - URL currently shown in the WebView
+ * @param {boolean} props.canGoBack - Whether WebView history can go back
+ * @param {boolean} props.canGoForward - Whether WebView history can go forward
+ * @param {boolean} props.isLoading - Whether a page load is in progress
+ * @param {number} props.progress - Load progress between 0 and 1
+ * @param {Function} props.onBack - Called when back is pressed
+ * @param {Function} props.onForward - Called when forward is pressed
+ * @param {Function} props.onReload - Called when reload is pressed
+ * @param {Function} props.onStop - Called when stop is pressed
+ * @param {Function} props.onSubmitAddress - Called with the typed address text
+ * @param {Function} [props.onShowPolicyLog] - Called when the policy log button is pressed
+ */
+export default function BrowserToolbar({
+  url,
+  canGoBack,
+  canGoForward,
+  isLoading,
+  progress,
+  onBack,
+  onForward,
+  onReload,
+  onStop,
+  onSubmitAddress,
+  onShowPolicyLog,
+}) {
+  // ==================== State Management ====================
+  const [isEditing, setIsEditing] = useState(false);
+  const [addressText, setAddressText] = useState('');
+
+  // ==================== Event Handlers ====================
+
+  /**
+   * Show the full URL for editing when the address bar gains focus
+   */
+  const handleFocus = () => {
+    setAddressText(url || '');
+    setIsEditing(true);
+  };
+
+  /**
+   * Submit the typed address and leave editing mode
+   */
+  const handleSubmit = () => {
+    setIsEditing(false);
+    onSubmitAddress(addressText);
+  };
+
+  // ==================== Render ====================
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        <IconButton
+          icon="arrow-left"
+          size={moderateScale(20)}
+          disabled={!canGoBack}
+          onPress={onBack}
+          style={styles.iconButton}
+          accessibilityLabel="Go back"
+        />
+        <IconButton
+          icon="arrow-right"
+          size={moderateScale(20)}
+          disabled={!canGoForward}
+          onPress={onForward}
+          style={styles.iconButton}
+          accessibilityLabel="Go forward"
+        />
+
+        {/* Address Bar */}
+        <TextInput
+          style={styles.addressInput}
+          value={isEditing ? addressText : formatDisplayUrl(url)}
+          onChangeText={setAddressText}
+          onFocus={handleFocus}
+          onBlur={() => setIsEditing(false)}
+          onSubmitEditing={handleSubmit}
+          selectTextOnFocus
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+          returnKeyType="go"
+          placeholder="Search or enter address"
+          placeholderTextColor="#999"
+          accessibilityLabel="Address bar"
+        />
+
+        <IconButton
+          icon={isLoading ? 'close' : 'refresh'}
+          size={moderateScale(20)}
+          onPress={isLoading ? onStop : onReload}
+          style={styles.iconButton}
+          accessibilityLabel={isLoading ? 'Stop loading' : 'Reload'}
+        />
+        {onShowPolicyLog && (
+          <IconButton
+            icon="shield-search"
+            size={moderateScale(20)}
+            onPress={onShowPolicyLog}
+            style={styles.iconButton}
+            accessibilityLabel="Show navigation log"
+          />
+        )}
+      </View>
+
+      {/* Load Progress */}
+      <ProgressBar
+        progress={progress}
+        visible={isLoading}
+        color="#6200ee"
+        style={styles.progressBar}
+      />
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ddd',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: moderateScale(4),
+  },
+  iconButton: {
+    margin: 0,
+  },
+  addressInput: {
+    flex: 1,
+    height: moderateVerticalScale(36),
+    paddingHorizontal: moderateScale(12),
+    borderRadius: moderateScale(18),
+    backgroundColor: '#f0f0f0',
+    color: '#222',
+    fontSize: moderateScale(14),
+  },
+  progressBar: {
+    height: moderateVerticalScale(2),
+    backgroundColor: 'transparent',
+  },
+});
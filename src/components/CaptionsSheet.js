@@ -0,0 +1,132 @@
+/**
+ * CaptionsSheet Component
+ *
+ * Bottom sheet opened from the player's CC button:
+ * - Subtitle track picker (Off plus every discovered track)
+ * - Caption style: text size, background opacity and colour
+ */
+
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Modal, Portal, Text, RadioButton, SegmentedButtons, Divider } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import {
+  CAPTION_SIZES,
+  CAPTION_BACKGROUND_OPACITIES,
+  CAPTION_COLORS,
+} from '../player/captionStyle';
+
+const OFF_VALUE = 'off';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object[]} props.tracks - Subtitle tracks { id, label, language }
+ * @param {string|null} props.selectedTrackId - Selected track id, null when off
+ * @param {boolean} props.isLoading - Whether the selected track is loading
+ * @param {Object} props.captionStyle - { size, backgroundOpacity, color }
+ * @param {Function} props.onSelectTrack - Called with a track id, or null for off
+ * @param {Function} props.onChangeStyle - Called with changed style fields
+ * @param {Function} props.onDismiss - Called to close the sheet
+ */
+export default function CaptionsSheet({
+  visible,
+  tracks,
+  selectedTrackId,
+  isLoading,
+  captionStyle,
+  onSelectTrack,
+  onChangeStyle,
+  onDismiss,
+}) {
+  return (
+    <Portal>
+      <Modal visible={visible} onDismiss={onDismiss} contentContainerStyle={styles.sheet}>
+        <ScrollView>
+          <Text variant="titleMedium" style={styles.sheetTitle}>
+            Subtitles{isLoading ? ' (loading…)' : ''}
+          </Text>
+
+          <RadioButton.Group
+            value={selectedTrackId || OFF_VALUE}
+            onValueChange={(value) => onSelectTrack(value === OFF_VALUE ? null : value)}
+          >
+            <RadioButton.Item label="Off" value={OFF_VALUE} />
+            {tracks.map((track) => (
+              <RadioButton.Item
+                key={track.id}
+                label={track.language && track.language !== track.label
+                  ? `${track.label} (${track.language})`
+                  : track.label}
+                value={track.id}
+              />
+            ))}
+          </RadioButton.Group>
+          {tracks.length === 0 && (
+            <Text variant="bodySmall" style={styles.emptyText}>
+              This video has no subtitle tracks.
+            </Text>
+          )}
+
+          <Divider style={styles.divider} />
+
+          <Text variant="labelLarge" style={styles.label}>Text size</Text>
+          <SegmentedButtons
+            value={captionStyle.size}
+            onValueChange={(size) => onChangeStyle({ size })}
+            buttons={CAPTION_SIZES.map(({ value, label }) => ({ value, label }))}
+          />
+
+          <Text variant="labelLarge" style={styles.label}>Background opacity</Text>
+          <SegmentedButtons
+            value={captionStyle.backgroundOpacity}
+            onValueChange={(backgroundOpacity) => onChangeStyle({ backgroundOpacity })}
+            buttons={CAPTION_BACKGROUND_OPACITIES}
+          />
+
+          <Text variant="labelLarge" style={styles.label}>Text colour</Text>
+          <SegmentedButtons
+            value={captionStyle.color}
+            onValueChange={(color) => onChangeStyle({ color })}
+            buttons={CAPTION_COLORS}
+          />
+          <View style={styles.bottomSpacer} />
+        </ScrollView>
+      </Modal>
+    </Portal>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  sheet: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '80%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: moderateScale(16),
+    borderTopRightRadius: moderateScale(16),
+    padding: moderateScale(16),
+  },
+  sheetTitle: {
+    fontWeight: 'bold',
+    marginBottom: moderateVerticalScale(4),
+  },
+  emptyText: {
+    color: '#666',
+    paddingHorizontal: moderateScale(16),
+  },
+  divider: {
+    marginVertical: moderateVerticalScale(12),
+  },
+  label: {
+    marginTop: moderateVerticalScale(8),
+    marginBottom: moderateVerticalScale(6),
+  },
+  bottomSpacer: {
+    height: moderateVerticalScale(8),
+  },
+});
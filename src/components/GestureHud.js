@@ -0,0 +1,94 @@
+/**
+ * GestureHud Component
+ *
+ * Indicator shown over the video during a swipe gesture:
+ * - Volume or brightness level with an icon and bar
+ * - Scrub delta ("+0:35") with the target time
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Icon } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+
+// Constants
+const LEVEL_ICONS = {
+  volume: ['volume-off', 'volume-low', 'volume-medium', 'volume-high'],
+  brightness: ['brightness-4', 'brightness-5', 'brightness-6', 'brightness-7'],
+};
+
+/**
+ * Pick the icon for a level
+ * @param {string} type - 'volume' or 'brightness'
+ * @param {number} level - From 0 to 1
+ * @returns {string} Icon name
+ */
+const getLevelIcon = (type, level) => {
+  const icons = LEVEL_ICONS[type];
+  if (level <= 0) return icons[0];
+  return icons[Math.min(icons.length - 1, 1 + Math.floor(level * (icons.length - 1)))];
+};
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.hud - { type: 'volume'|'brightness', level }
+ *   or { type: 'scrub', deltaLabel, timeLabel }
+ */
+export default function GestureHud({ hud }) {
+  if (!hud) return null;
+
+  if (hud.type === 'scrub') {
+    return (
+      <View style={styles.hud} pointerEvents="none">
+        <Text style={styles.deltaText}>{hud.deltaLabel}</Text>
+        <Text style={styles.timeText}>{hud.timeLabel}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.hud} pointerEvents="none">
+      <Icon source={getLevelIcon(hud.type, hud.level)} color="#fff" size={moderateScale(24)} />
+      <View style={styles.levelTrack}>
+        <View style={[styles.levelFill, { width: `${Math.round(hud.level * 100)}%` }]} />
+      </View>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  hud: {
+    position: 'absolute',
+    top: moderateVerticalScale(12),
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: moderateScale(10),
+    paddingHorizontal: moderateScale(14),
+    paddingVertical: moderateVerticalScale(8),
+    borderRadius: moderateScale(8),
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  levelTrack: {
+    width: moderateScale(120),
+    height: moderateVerticalScale(4),
+    borderRadius: moderateScale(2),
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    overflow: 'hidden',
+  },
+  levelFill: {
+    height: '100%',
+    backgroundColor: '#fff',
+  },
+  deltaText: {
+    color: '#fff',
+    fontSize: moderateScale(18),
+    fontWeight: 'bold',
+  },
+  timeText: {
+    color: '#fff',
+    fontSize: moderateScale(14),
+  },
+});
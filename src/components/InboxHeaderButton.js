@@ -0,0 +1,52 @@
+/**
+ * InboxHeaderButton Component
+ *
+ * Header button that opens the notification inbox, with an unread badge.
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { IconButton, Badge } from 'react-native-paper';
+import { moderateScale } from 'react-native-size-matters';
+import useNotificationInbox from '../hooks/useNotificationInbox';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onPress - Called when the button is pressed
+ * @param {string} props.tintColor - Icon color
+ */
+export default function InboxHeaderButton({ onPress, tintColor = '#fff' }) {
+  const { unreadCount } = useNotificationInbox();
+
+  return (
+    <View>
+      <IconButton
+        icon="inbox"
+        iconColor={tintColor}
+        size={moderateScale(24)}
+        onPress={onPress}
+        style={styles.button}
+        accessibilityLabel={`Notification inbox, ${unreadCount} unread`}
+      />
+      {unreadCount > 0 && (
+        <Badge size={moderateScale(16)} style={styles.badge}>
+          {unreadCount > 99 ? '99+' : unreadCount}
+        </Badge>
+      )}
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  button: {
+    margin: 0,
+  },
+  badge: {
+    position: 'absolute',
+    top: moderateScale(2),
+    right: moderateScale(2),
+    backgroundColor: '#ff5252',
+  },
+});
@@ -0,0 +1,102 @@
+/**
+ * MediaSourcesChip Component
+ *
+ * Floating "Play in native player (N)" chip shown over the WebView when
+ * playable media was detected. With several sources, a menu lets the
+ * user pick which one to play.
+ */
+
+import React, { useState } from 'react';
+import { StyleSheet, View } from 'react-native';
+import { Chip, Menu } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+
+const TYPE_LABELS = {
+  hls: 'HLS',
+  mp4: 'MP4',
+  video: 'Video',
+};
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.sources - Detected sources { url, title, poster, type }
+ * @param {Function} props.onSelect - Called with the chosen source
+ */
+export default function MediaSourcesChip({ sources, onSelect }) {
+  const [menuVisible, setMenuVisible] = useState(false);
+
+  if (!sources.length) return null;
+
+  /**
+   * Play directly when there is one source, otherwise open the picker
+   */
+  const handlePress = () => {
+    if (sources.length === 1) {
+      onSelect(sources[0]);
+    } else {
+      setMenuVisible(true);
+    }
+  };
+
+  /**
+   * Play the source picked from the menu
+   * @param {Object} source - Selected source
+   */
+  const handleSelect = (source) => {
+    setMenuVisible(false);
+    onSelect(source);
+  };
+
+  return (
+    <View style={styles.container} pointerEvents="box-none">
+      <Menu
+        visible={menuVisible}
+        onDismiss={() => setMenuVisible(false)}
+        anchor={
+          <Chip
+            icon="play-circle"
+            mode="flat"
+            onPress={handlePress}
+            style={styles.chip}
+            textStyle={styles.chipText}
+            selectedColor="#fff"
+            elevated
+          >
+            Play in native player ({sources.length})
+          </Chip>
+        }
+        anchorPosition="top"
+      >
+        {sources.map((source) => (
+          <Menu.Item
+            key={source.url}
+            leadingIcon={source.type === 'hls' ? 'broadcast' : 'filmstrip'}
+            title={`${source.title || source.url} · ${TYPE_LABELS[source.type]}`}
+            titleStyle={styles.menuItemTitle}
+            onPress={() => handleSelect(source)}
+          />
+        ))}
+      </Menu>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    right: moderateScale(12),
+    bottom: moderateVerticalScale(12),
+    zIndex: 1,
+  },
+  chip: {
+    backgroundColor: '#6200ee',
+  },
+  chipText: {
+    color: '#fff',
+  },
+  menuItemTitle: {
+    fontSize: moderateScale(13),
+  },
+});
@@ -0,0 +1,345 @@
+/**
+ * NotificationComposer Component
+ *
+ * Bottom sheet for composing a local notification:
+ * - Title and body
+ * - Delay in seconds or an absolute date and time
+ * - Repeat interval (none, daily, weekly, custom minutes)
+ * - Screen (and optional video or page URL) opened when the notification is tapped
+ * - Field-level validation before anything is scheduled
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Modal, Portal, Text, TextInput, SegmentedButtons, HelperText, Button } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import {
+  TIMING_MODES,
+  REPEAT_MODES,
+  TARGET_SCREENS,
+  validateNotificationInput,
+} from '../notifications/notificationScheduler';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date as YYYY-MM-DD and HH:MM strings for the text fields
+ * @param {Date|null} date - Date to format, defaults to one hour from now
+ * @returns {{ dateText: string, timeText: string }}
+ */
+const formatDateFields = (date) => {
+  const value = date ? new Date(date) : new Date(Date.now() + 60 * 60 * 1000);
+  return {
+    dateText: `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`,
+    timeText: `${pad(value.getHours())}:${pad(value.getMinutes())}`,
+  };
+};
+
+/**
+ * Parse the date and time text fields into a local Date
+ * @param {string} dateText - YYYY-MM-DD
+ * @param {string} timeText - HH:MM
+ * @returns {Date|null} Parsed date, or null when malformed
+ */
+const parseDateFields = (dateText, timeText) => {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateText.trim());
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(timeText.trim());
+  if (!dateMatch || !timeMatch) return null;
+
+  const [, year, month, day] = dateMatch.map(Number);
+  const [, hours, minutes] = timeMatch.map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+  // Reject rollovers such as 2024-02-31 or 25:00
+  if (date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 || minutes > 59) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Convert text fields into a whole number, keeping invalid text detectable
+ * @param {string} text - Field text
+ * @returns {number} Parsed number, NaN when not a whole number
+ */
+const parseWholeNumber = (text) => (/^\d+$/.test(text.trim()) ? Number(text.trim()) : NaN);
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object} props.initialInput - Input to prefill (new, edit or duplicate)
+ * @param {string} props.submitLabel - Label of the submit button
+ * @param {Function} props.onSubmit - Called with validated input; may return a Promise
+ * @param {Function} props.onDismiss - Called to close the sheet
+ */
+export default function NotificationComposer({ visible, initialInput, submitLabel, onSubmit, onDismiss }) {
+  // ==================== State Management ====================
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [timing, setTiming] = useState(TIMING_MODES.DELAY);
+  const [delayText, setDelayText] = useState('');
+  const [dateText, setDateText] = useState('');
+  const [timeText, setTimeText] = useState('');
+  const [repeat, setRepeat] = useState(REPEAT_MODES.NONE);
+  const [intervalText, setIntervalText] = useState('');
+  const [targetScreen, setTargetScreen] = useState(TARGET_SCREENS.VIDEO_PLAYER);
+  const [targetUrl, setTargetUrl] = useState('');
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  // ==================== Effects ====================
+
+  /**
+   * Reset the fields from the initial input every time the sheet opens
+   */
+  React.useEffect(() => {
+    if (!visible || !initialInput) return;
+    const { dateText: initialDate, timeText: initialTime } = formatDateFields(initialInput.date);
+    setTitle(initialInput.title);
+    setBody(initialInput.body);
+    setTiming(initialInput.timing);
+    setDelayText(String(initialInput.delaySeconds ?? ''));
+    setDateText(initialDate);
+    setTimeText(initialTime);
+    setRepeat(initialInput.repeat);
+    setIntervalText(String(initialInput.customIntervalMinutes ?? ''));
+    setTargetScreen(initialInput.targetScreen);
+    setTargetUrl(initialInput.targetUrl || '');
+    setErrors({});
+  }, [visible, initialInput]);
+
+  // ==================== Event Handlers ====================
+
+  /**
+   * Validate the fields and submit the input
+   */
+  const handleSubmit = async () => {
+    const input = {
+      title,
+      body,
+      timing,
+      delaySeconds: parseWholeNumber(delayText),
+      date: timing === TIMING_MODES.DATE ? parseDateFields(dateText, timeText) : null,
+      repeat,
+      customIntervalMinutes: parseWholeNumber(intervalText),
+      targetScreen,
+      targetUrl: targetScreen === TARGET_SCREENS.NONE ? '' : targetUrl,
+    };
+
+    const fieldErrors = validateNotificationInput(input);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(input);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== Render ====================
+
+  return (
+    <Portal>
+      <Modal visible={visible} onDismiss={onDismiss} contentContainerStyle={styles.sheet}>
+        <ScrollView keyboardShouldPersistTaps="handled">
+          <Text variant="titleMedium" style={styles.sheetTitle}>
+            Compose Notification
+          </Text>
+
+          {/* Content */}
+          <TextInput
+            mode="outlined"
+            label="Title"
+            value={title}
+            onChangeText={setTitle}
+            error={!!errors.title}
+            dense
+          />
+          <HelperText type="error" visible={!!errors.title}>{errors.title}</HelperText>
+
+          <TextInput
+            mode="outlined"
+            label="Body"
+            value={body}
+            onChangeText={setBody}
+            error={!!errors.body}
+            multiline
+            dense
+          />
+          <HelperText type="error" visible={!!errors.body}>{errors.body}</HelperText>
+
+          {/* Timing */}
+          <Text variant="labelLarge" style={styles.label}>When</Text>
+          <SegmentedButtons
+            value={timing}
+            onValueChange={setTiming}
+            density="small"
+            buttons={[
+              { value: TIMING_MODES.DELAY, label: 'After delay', icon: 'timer-outline' },
+              { value: TIMING_MODES.DATE, label: 'Date & time', icon: 'calendar-clock' },
+            ]}
+          />
+          {timing === TIMING_MODES.DELAY ? (
+            <>
+              <TextInput
+                mode="outlined"
+                label="Delay (seconds)"
+                value={delayText}
+                onChangeText={setDelayText}
+                keyboardType="number-pad"
+                error={!!errors.delaySeconds}
+                style={styles.fieldSpacing}
+                dense
+              />
+              <HelperText type="error" visible={!!errors.delaySeconds}>{errors.delaySeconds}</HelperText>
+            </>
+          ) : (
+            <>
+              <View style={[styles.row, styles.fieldSpacing]}>
+                <TextInput
+                  mode="outlined"
+                  label="Date (YYYY-MM-DD)"
+                  value={dateText}
+                  onChangeText={setDateText}
+                  error={!!errors.date}
+                  style={styles.rowField}
+                  dense
+                />
+                <TextInput
+                  mode="outlined"
+                  label="Time (HH:MM)"
+                  value={timeText}
+                  onChangeText={setTimeText}
+                  error={!!errors.date}
+                  style={styles.rowField}
+                  dense
+                />
+              </View>
+              <HelperText type="error" visible={!!errors.date}>{errors.date}</HelperText>
+            </>
+          )}
+
+          {/* Repeat */}
+          <Text variant="labelLarge" style={styles.label}>Repeat</Text>
+          <SegmentedButtons
+            value={repeat}
+            onValueChange={setRepeat}
+            density="small"
+            buttons={[
+              { value: REPEAT_MODES.NONE, label: 'Once' },
+              { value: REPEAT_MODES.DAILY, label: 'Daily' },
+              { value: REPEAT_MODES.WEEKLY, label: 'Weekly' },
+              { value: REPEAT_MODES.CUSTOM, label: 'Custom' },
+            ]}
+          />
+          {repeat === REPEAT_MODES.CUSTOM && (
+            <>
+              <TextInput
+                mode="outlined"
+                label="Every (minutes)"
+                value={intervalText}
+                onChangeText={setIntervalText}
+                keyboardType="number-pad"
+                error={!!errors.customIntervalMinutes}
+                style={styles.fieldSpacing}
+                dense
+              />
+              <HelperText type="error" visible={!!errors.customIntervalMinutes}>
+                {errors.customIntervalMinutes}
+              </HelperText>
+            </>
+          )}
+
+          {/* Target Screen */}
+          <Text variant="labelLarge" style={styles.label}>On tap, open</Text>
+          <SegmentedButtons
+            value={targetScreen}
+            onValueChange={setTargetScreen}
+            density="small"
+            buttons={[
+              { value: TARGET_SCREENS.VIDEO_PLAYER, label: 'Player' },
+              { value: TARGET_SCREENS.WEB_VIEW, label: 'WebView' },
+              { value: TARGET_SCREENS.NONE, label: 'Nothing' },
+            ]}
+          />
+          {targetScreen !== TARGET_SCREENS.NONE && (
+            <>
+              <TextInput
+                mode="outlined"
+                label={targetScreen === TARGET_SCREENS.VIDEO_PLAYER
+                  ? 'Video URL (optional)'
+                  : 'Page URL (optional)'}
+                value={targetUrl}
+                onChangeText={setTargetUrl}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+                error={!!errors.targetUrl}
+                style={styles.fieldSpacing}
+                dense
+              />
+              <HelperText type="error" visible={!!errors.targetUrl}>{errors.targetUrl}</HelperText>
+            </>
+          )}
+
+          {/* Actions */}
+          <View style={styles.actions}>
+            <Button onPress={onDismiss} textColor="#6200ee">Cancel</Button>
+            <Button
+              mode="contained"
+              buttonColor="#6200ee"
+              onPress={handleSubmit}
+              loading={submitting}
+              disabled={submitting}
+              icon="bell-plus"
+            >
+              {submitLabel}
+            </Button>
+          </View>
+        </ScrollView>
+      </Modal>
+    </Portal>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  sheet: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '90%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: moderateScale(16),
+    borderTopRightRadius: moderateScale(16),
+    padding: moderateScale(16),
+  },
+  sheetTitle: {
+    fontWeight: 'bold',
+    marginBottom: moderateVerticalScale(12),
+  },
+  label: {
+    marginTop: moderateVerticalScale(4),
+    marginBottom: moderateVerticalScale(6),
+    color: '#444',
+  },
+  fieldSpacing: {
+    marginTop: moderateVerticalScale(8),
+  },
+  row: {
+    flexDirection: 'row',
+    gap: moderateScale(8),
+  },
+  rowField: {
+    flex: 1,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: moderateScale(8),
+    marginTop: moderateVerticalScale(16),
+  },
+});
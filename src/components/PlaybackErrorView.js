@@ -0,0 +1,115 @@
+/**
+ * PlaybackErrorView Component
+ *
+ * Shown over the video when playback fails:
+ * - Explains network, HTTP, manifest, format and stall failures differently
+ * - Retry button (keeps the position) with the countdown to the next automatic retry
+ */
+
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+import { Button, Text, Icon } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { PLAYBACK_ERROR_TYPES } from '../player/playbackErrors';
+
+const ERROR_COPY = {
+  [PLAYBACK_ERROR_TYPES.NETWORK]: {
+    icon: 'wifi-off',
+    title: "Can't reach the video",
+    message: 'Check your connection. Playback will continue from where it stopped.',
+  },
+  [PLAYBACK_ERROR_TYPES.HTTP]: {
+    icon: 'server-network-off',
+    title: 'The video is unavailable',
+    message: 'The server refused the request. The video may have moved or expired.',
+  },
+  [PLAYBACK_ERROR_TYPES.MANIFEST]: {
+    icon: 'playlist-remove',
+    title: "Can't read this stream",
+    message: 'The stream playlist is missing or malformed.',
+  },
+  [PLAYBACK_ERROR_TYPES.FORMAT]: {
+    icon: 'file-video',
+    title: "Can't play this format",
+    message: 'This device cannot decode the video.',
+  },
+  [PLAYBACK_ERROR_TYPES.STALLED]: {
+    icon: 'timer-sand',
+    title: 'The video stopped loading',
+    message: 'Several attempts to continue failed. The connection may be too slow.',
+  },
+  [PLAYBACK_ERROR_TYPES.UNKNOWN]: {
+    icon: 'alert-circle',
+    title: 'Playback failed',
+    message: 'Something went wrong while playing this video.',
+  },
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.error - Classified error from player/playbackErrors
+ * @param {number|null} props.retryInSeconds - Seconds until the next automatic retry
+ * @param {Function} props.onRetry - Called when the viewer asks to retry
+ */
+export default function PlaybackErrorView({ error, retryInSeconds, onRetry }) {
+  const copy = ERROR_COPY[error.type] || ERROR_COPY[PLAYBACK_ERROR_TYPES.UNKNOWN];
+  const retryLabel = retryInSeconds ? `Retry (auto in ${retryInSeconds}s)` : 'Retry';
+
+  return (
+    <View style={styles.container}>
+      <Icon source={copy.icon} size={moderateScale(48)} color="#fff" />
+      <Text variant="titleMedium" style={styles.title}>
+        {copy.title}
+      </Text>
+      <Text variant="bodyMedium" style={styles.message}>
+        {copy.message}
+      </Text>
+      {!!error.message && (
+        <Text variant="bodySmall" style={styles.detail} numberOfLines={2}>
+          {error.message}
+        </Text>
+      )}
+      <Button
+        mode="contained"
+        icon="refresh"
+        buttonColor="#6200ee"
+        onPress={onRetry}
+        focusable
+        style={styles.retryButton}
+      >
+        {retryLabel}
+      </Button>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: moderateScale(24),
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+  },
+  title: {
+    marginTop: moderateVerticalScale(12),
+    color: '#fff',
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  message: {
+    marginTop: moderateVerticalScale(6),
+    color: '#ddd',
+    textAlign: 'center',
+  },
+  detail: {
+    marginTop: moderateVerticalScale(6),
+    color: '#999',
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: moderateVerticalScale(16),
+  },
+});
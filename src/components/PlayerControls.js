@@ -0,0 +1,251 @@
+/**
+ * PlayerControls Component
+ *
+ * Controls layer drawn over the video:
+ * - Centre: seek back, play/pause, seek forward (by the seek step)
+ * - Bottom bar: mute with a volume slider, A-B loop, subtitles, settings,
+ *   picture in picture (where supported) and fullscreen
+ * Fades with the opacity from useControlsVisibility. Every control is
+ * focusable, and focusing one (keyboard, D-pad) reveals the layer.
+ */
+
+import React from 'react';
+import { View, StyleSheet, Animated } from 'react-native';
+import { IconButton } from 'react-native-paper';
+import Slider from '@react-native-community/slider';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+
+// MaterialCommunityIcons has rewind/fast-forward icons for these steps
+const STEP_ICON_SECONDS = [5, 10, 15, 30];
+
+/**
+ * Icon and label of the A-B loop control for the next step
+ * @param {Object} loop - { a, b } in seconds, null when unset
+ * @returns {Object} { icon, label }
+ */
+const getLoopControl = (loop) => {
+  if (loop.a === null) return { icon: 'alpha-a-box-outline', label: 'Set loop start (A)' };
+  if (loop.b === null) return { icon: 'alpha-b-box-outline', label: 'Set loop end (B)' };
+  return { icon: 'repeat-off', label: 'Clear A-B loop' };
+};
+
+/**
+ * @param {Object} props
+ * @param {Animated.Value} props.opacity - Layer opacity
+ * @param {boolean} props.visible - Whether the layer is shown (accepts touches)
+ * @param {boolean} props.isPlaying - Whether the video is playing
+ * @param {number} props.seekStep - Seek step in seconds
+ * @param {boolean} props.isMuted - Whether audio is muted
+ * @param {number} props.volume - Volume from 0 to 1
+ * @param {boolean} props.hasSubtitles - Whether a subtitle track is selected
+ * @param {Object|null} props.loop - A-B loop markers { a, b }, null to hide the loop control
+ * @param {Function} props.onPlayPause - Toggle playback
+ * @param {Function} props.onSeekBackward - Seek back one step
+ * @param {Function} props.onSeekForward - Seek forward one step
+ * @param {Function} props.onToggleMute - Toggle mute
+ * @param {Function} props.onVolumeChange - Called with the new volume
+ * @param {Function} props.onVolumeSlidingChange - Called with whether the slider is held
+ * @param {Function} props.onLoop - Set A, set B or clear the A-B loop
+ * @param {Function} props.onCaptions - Open the subtitles sheet
+ * @param {Function} props.onSettings - Open the settings sheet
+ * @param {Function|null} props.onPictureInPicture - Start picture in picture, null to hide the button
+ * @param {Function} props.onFullscreen - Toggle fullscreen
+ * @param {Function} props.onInteraction - Called on any press or focus
+ */
+export default function PlayerControls({
+  opacity,
+  visible,
+  isPlaying,
+  seekStep,
+  isMuted,
+  volume,
+  hasSubtitles,
+  loop,
+  onPlayPause,
+  onSeekBackward,
+  onSeekForward,
+  onToggleMute,
+  onVolumeChange,
+  onVolumeSlidingChange,
+  onLoop,
+  onCaptions,
+  onSettings,
+  onPictureInPicture,
+  onFullscreen,
+  onInteraction,
+}) {
+  /**
+   * Wrap a control action so it also counts as an interaction
+   * @param {Function} action - Control action
+   * @returns {Function} Press handler
+   */
+  const withInteraction = (action) => () => {
+    onInteraction();
+    action();
+  };
+
+  const stepIcon = STEP_ICON_SECONDS.includes(seekStep) ? `-${seekStep}` : '';
+  const loopControl = loop ? getLoopControl(loop) : null;
+
+  return (
+    <Animated.View
+      style={[styles.layer, { opacity }]}
+      pointerEvents={visible ? 'box-none' : 'none'}
+    >
+      <View style={styles.centerRow} pointerEvents="box-none">
+        <IconButton
+          icon={`rewind${stepIcon}`}
+          iconColor="#fff"
+          size={moderateScale(36)}
+          onPress={withInteraction(onSeekBackward)}
+          onFocus={onInteraction}
+          focusable
+          accessibilityLabel={`Back ${seekStep} seconds`}
+        />
+        <IconButton
+          icon={isPlaying ? 'pause' : 'play'}
+          iconColor="#fff"
+          size={moderateScale(56)}
+          onPress={withInteraction(onPlayPause)}
+          onFocus={onInteraction}
+          focusable
+          hasTVPreferredFocus
+          style={styles.playPauseButton}
+          accessibilityLabel={isPlaying ? 'Pause' : 'Play'}
+        />
+        <IconButton
+          icon={`fast-forward${stepIcon}`}
+          iconColor="#fff"
+          size={moderateScale(36)}
+          onPress={withInteraction(onSeekForward)}
+          onFocus={onInteraction}
+          focusable
+          accessibilityLabel={`Forward ${seekStep} seconds`}
+        />
+      </View>
+
+      <View style={styles.bottomBar}>
+        <IconButton
+          icon={isMuted || volume === 0 ? 'volume-off' : volume < 0.5 ? 'volume-medium' : 'volume-high'}
+          iconColor="#fff"
+          size={moderateScale(22)}
+          onPress={withInteraction(onToggleMute)}
+          onFocus={onInteraction}
+          focusable
+          style={styles.barButton}
+          accessibilityLabel={isMuted ? 'Unmute' : 'Mute'}
+        />
+        <Slider
+          style={styles.volumeSlider}
+          minimumValue={0}
+          maximumValue={1}
+          step={0.05}
+          value={isMuted ? 0 : volume}
+          onValueChange={onVolumeChange}
+          onSlidingStart={() => onVolumeSlidingChange(true)}
+          onSlidingComplete={() => onVolumeSlidingChange(false)}
+          minimumTrackTintColor="#fff"
+          maximumTrackTintColor="rgba(255, 255, 255, 0.4)"
+          thumbTintColor="#fff"
+          focusable
+          onFocus={onInteraction}
+          accessibilityLabel="Volume"
+        />
+        <View style={styles.spacer} />
+        {loopControl && (
+          <IconButton
+            icon={loopControl.icon}
+            iconColor={loop.a === null ? '#fff' : '#ffb300'}
+            size={moderateScale(22)}
+            onPress={withInteraction(onLoop)}
+            onFocus={onInteraction}
+            focusable
+            style={styles.barButton}
+            accessibilityLabel={loopControl.label}
+          />
+        )}
+        <IconButton
+          icon={hasSubtitles ? 'closed-caption' : 'closed-caption-outline'}
+          iconColor="#fff"
+          size={moderateScale(22)}
+          onPress={withInteraction(onCaptions)}
+          onFocus={onInteraction}
+          focusable
+          style={styles.barButton}
+          accessibilityLabel="Subtitles"
+        />
+        <IconButton
+          icon="cog"
+          iconColor="#fff"
+          size={moderateScale(22)}
+          onPress={withInteraction(onSettings)}
+          onFocus={onInteraction}
+          focusable
+          style={styles.barButton}
+          accessibilityLabel="Settings"
+        />
+        {onPictureInPicture && (
+          <IconButton
+            icon="picture-in-picture-bottom-right"
+            iconColor="#fff"
+            size={moderateScale(22)}
+            onPress={withInteraction(onPictureInPicture)}
+            onFocus={onInteraction}
+            focusable
+            style={styles.barButton}
+            accessibilityLabel="Picture in picture"
+          />
+        )}
+        <IconButton
+          icon="fullscreen"
+          iconColor="#fff"
+          size={moderateScale(22)}
+          onPress={withInteraction(onFullscreen)}
+          onFocus={onInteraction}
+          focusable
+          style={styles.barButton}
+          accessibilityLabel="Fullscreen"
+        />
+      </View>
+    </Animated.View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  layer: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  centerRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: moderateScale(24),
+  },
+  playPauseButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  bottomBar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: moderateScale(4),
+    paddingVertical: moderateVerticalScale(2),
+  },
+  barButton: {
+    margin: 0,
+  },
+  volumeSlider: {
+    width: moderateScale(100),
+    height: moderateVerticalScale(32),
+  },
+  spacer: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,272 @@
+/**
+ * PlayerSettingsSheet Component
+ *
+ * Bottom sheet opened from the player's settings gear:
+ * - Playback speed (0.25x-2x)
+ * - Quality ("Auto" or a fixed resolution), for HLS master playlists
+ * - Double-tap seek step
+ * - Sleep timer (minutes or the end of the video)
+ * - Download for offline playback in a chosen quality, with its progress
+ * - Keep playing in the background
+ * - "Stats for nerds" debug overlay
+ */
+
+import React, { useState } from 'react';
+import { StyleSheet, ScrollView } from 'react-native';
+import { Modal, Portal, Text, List, Switch } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { PLAYBACK_RATES, formatPlaybackRate } from '../player/playbackRate';
+import { SEEK_STEPS } from '../player/seekStep';
+import { SLEEP_TIMER_OFF, SLEEP_TIMER_OPTIONS, describeSleepTimer } from '../player/sleepTimer';
+import useDownloads from '../hooks/useDownloads';
+import { DOWNLOAD_STATUS } from '../downloads/downloadManager';
+
+const DOWNLOAD_DESCRIPTIONS = {
+  [DOWNLOAD_STATUS.DOWNLOADING]: (download) => `Downloading ${Math.round(download.progress * 100)}%`,
+  [DOWNLOAD_STATUS.PAUSED]: () => 'Paused',
+  [DOWNLOAD_STATUS.COMPLETED]: (download) => `Downloaded${download.qualityLabel ? ` (${download.qualityLabel})` : ''}`,
+  [DOWNLOAD_STATUS.FAILED]: () => 'Download failed',
+};
+
+/**
+ * One choice in a settings section, checked when selected
+ * @param {Object} props
+ * @param {string} props.title - Choice label
+ * @param {boolean} props.selected - Whether it is the current choice
+ * @param {Function} props.onPress - Select the choice
+ */
+function Choice({ title, selected, onPress }) {
+  return (
+    <List.Item
+      title={title}
+      onPress={onPress}
+      focusable
+      right={(props) => (selected ? <List.Icon {...props} icon="check" /> : null)}
+      style={styles.choice}
+    />
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {number} props.playbackRate - Current playback rate
+ * @param {Object[]} props.qualityOptions - Quality options { id, label }
+ * @param {string} props.selectedQuality - Id of the selected quality option
+ * @param {number} props.seekStep - Current seek step in seconds
+ * @param {Object|null} props.sleepTimer - Active sleep timer { id, endsAt }, null when off
+ * @param {string|null} props.downloadSource - Source that can be downloaded, null to hide downloads
+ * @param {Object[]} props.downloadOptions - Download qualities { id, label, variant }
+ * @param {boolean} props.keepPlaying - Whether playback continues in the background
+ * @param {boolean} props.statsVisible - Whether the stats overlay is shown
+ * @param {Function} props.onPlaybackRateChange - Called with the chosen rate
+ * @param {Function} props.onQualityChange - Called with the chosen quality option id
+ * @param {Function} props.onSeekStepChange - Called with the chosen step
+ * @param {Function} props.onSleepTimerChange - Called with the chosen sleep timer option id
+ * @param {Function} props.onDownload - Called with the chosen download option
+ * @param {Function} props.onOpenDownloads - Called to show the downloads screen
+ * @param {Function} props.onKeepPlayingChange - Called with whether to keep playing in the background
+ * @param {Function} props.onStatsVisibleChange - Called with whether to show the stats overlay
+ * @param {Function} props.onDismiss - Called to close the sheet
+ */
+export default function PlayerSettingsSheet({
+  visible,
+  playbackRate,
+  qualityOptions,
+  selectedQuality,
+  seekStep,
+  sleepTimer,
+  downloadSource,
+  downloadOptions,
+  keepPlaying,
+  statsVisible,
+  onPlaybackRateChange,
+  onQualityChange,
+  onSeekStepChange,
+  onSleepTimerChange,
+  onDownload,
+  onOpenDownloads,
+  onKeepPlayingChange,
+  onStatsVisibleChange,
+  onDismiss,
+}) {
+  const [expanded, setExpanded] = useState(null);
+  const downloads = useDownloads();
+  const qualityLabel = qualityOptions.find((option) => option.id === selectedQuality)?.label;
+  const download = downloads.find((entry) => entry.src === downloadSource) || null;
+  const downloadDescription = download
+    ? DOWNLOAD_DESCRIPTIONS[download.status](download)
+    : 'Watch without a connection';
+
+  /**
+   * Open one section at a time
+   * @param {string} section - Section id
+   */
+  const toggleSection = (section) => {
+    setExpanded((current) => (current === section ? null : section));
+  };
+
+  /**
+   * Apply a choice and close the sheet
+   * @param {Function} onChange - Change handler
+   * @param {*} value - Chosen value
+   */
+  const choose = (onChange, value) => {
+    onChange(value);
+    setExpanded(null);
+    onDismiss();
+  };
+
+  return (
+    <Portal>
+      <Modal visible={visible} onDismiss={onDismiss} contentContainerStyle={styles.sheet}>
+        <ScrollView>
+          <Text variant="titleMedium" style={styles.sheetTitle}>
+            Settings
+          </Text>
+
+          <List.Accordion
+            title="Playback speed"
+            description={formatPlaybackRate(playbackRate)}
+            left={(props) => <List.Icon {...props} icon="play-speed" />}
+            expanded={expanded === 'speed'}
+            onPress={() => toggleSection('speed')}
+          >
+            {PLAYBACK_RATES.map((rate) => (
+              <Choice
+                key={rate}
+                title={formatPlaybackRate(rate)}
+                selected={rate === playbackRate}
+                onPress={() => choose(onPlaybackRateChange, rate)}
+              />
+            ))}
+          </List.Accordion>
+
+          {qualityOptions.length > 1 && (
+            <List.Accordion
+              title="Quality"
+              description={qualityLabel}
+              left={(props) => <List.Icon {...props} icon="quality-high" />}
+              expanded={expanded === 'quality'}
+              onPress={() => toggleSection('quality')}
+            >
+              {qualityOptions.map((option) => (
+                <Choice
+                  key={option.id}
+                  title={option.label}
+                  selected={option.id === selectedQuality}
+                  onPress={() => choose(onQualityChange, option.id)}
+                />
+              ))}
+            </List.Accordion>
+          )}
+
+          <List.Accordion
+            title="Double-tap seek"
+            description={`${seekStep} seconds`}
+            left={(props) => <List.Icon {...props} icon="gesture-double-tap" />}
+            expanded={expanded === 'seekStep'}
+            onPress={() => toggleSection('seekStep')}
+          >
+            {SEEK_STEPS.map((step) => (
+              <Choice
+                key={step}
+                title={`${step} seconds`}
+                selected={step === seekStep}
+                onPress={() => choose(onSeekStepChange, step)}
+              />
+            ))}
+          </List.Accordion>
+
+          <List.Accordion
+            title="Sleep timer"
+            description={describeSleepTimer(sleepTimer)}
+            left={(props) => <List.Icon {...props} icon="timer-sand" />}
+            expanded={expanded === 'sleepTimer'}
+            onPress={() => toggleSection('sleepTimer')}
+          >
+            {SLEEP_TIMER_OPTIONS.map((option) => (
+              <Choice
+                key={option.id}
+                title={option.label}
+                selected={option.id === (sleepTimer ? sleepTimer.id : SLEEP_TIMER_OFF)}
+                onPress={() => choose(onSleepTimerChange, option.id)}
+              />
+            ))}
+          </List.Accordion>
+
+          {!!downloadSource && (
+            <List.Accordion
+              title="Download"
+              description={downloadDescription}
+              left={(props) => <List.Icon {...props} icon="download" />}
+              expanded={expanded === 'download'}
+              onPress={() => toggleSection('download')}
+            >
+              {downloadOptions.map((option) => (
+                <Choice
+                  key={option.id}
+                  title={option.label}
+                  selected={download?.qualityLabel === option.label}
+                  onPress={() => choose(onDownload, option)}
+                />
+              ))}
+              <List.Item
+                title="Manage downloads"
+                onPress={() => choose(onOpenDownloads)}
+                focusable
+                right={(props) => <List.Icon {...props} icon="chevron-right" />}
+                style={styles.choice}
+              />
+            </List.Accordion>
+          )}
+
+          <List.Item
+            title="Keep playing in background"
+            description="Continue the audio after leaving the app"
+            left={(props) => <List.Icon {...props} icon="headphones" />}
+            right={() => (
+              <Switch value={keepPlaying} onValueChange={(value) => choose(onKeepPlayingChange, value)} />
+            )}
+            onPress={() => choose(onKeepPlayingChange, !keepPlaying)}
+            focusable
+          />
+
+          <List.Item
+            title="Stats for nerds"
+            description="Playback and quality details over the video"
+            left={(props) => <List.Icon {...props} icon="chart-box-outline" />}
+            right={() => (
+              <Switch value={statsVisible} onValueChange={(value) => choose(onStatsVisibleChange, value)} />
+            )}
+            onPress={() => choose(onStatsVisibleChange, !statsVisible)}
+            focusable
+          />
+        </ScrollView>
+      </Modal>
+    </Portal>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  sheet: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '80%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: moderateScale(16),
+    borderTopRightRadius: moderateScale(16),
+    padding: moderateScale(16),
+  },
+  sheetTitle: {
+    fontWeight: 'bold',
+    marginBottom: moderateVerticalScale(4),
+  },
+  choice: {
+    paddingLeft: moderateScale(32),
+  },
+});
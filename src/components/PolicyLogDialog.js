@@ -0,0 +1,105 @@
+/**
+ * PolicyLogDialog Component
+ *
+ * Dialog listing recorded WebView navigation decisions (newest first)
+ * so that what the embedded page tried to do can be audited.
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Dialog, Portal, Button, Text } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { getPolicyLog, clearPolicyLog, subscribePolicyLog } from '../policy/policyLog';
+import { POLICY_DECISIONS } from '../policy/navigationPolicy';
+
+const DECISION_COLORS = {
+  [POLICY_DECISIONS.ALLOW]: '#2e7d32',
+  [POLICY_DECISIONS.BLOCK]: '#c62828',
+  [POLICY_DECISIONS.OPEN_EXTERNAL]: '#1565c0',
+  [POLICY_DECISIONS.HAND_OFF_OS]: '#6a1b9a',
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the dialog is shown
+ * @param {Function} props.onDismiss - Called to close the dialog
+ */
+export default function PolicyLogDialog({ visible, onDismiss }) {
+  const [entries, setEntries] = useState(getPolicyLog());
+
+  /**
+   * Keep the list in sync with new decisions while mounted
+   */
+  React.useEffect(() => subscribePolicyLog(setEntries), []);
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss} style={styles.dialog}>
+        <Dialog.Title>Navigation Log</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView>
+            {entries.length === 0 ? (
+              <Text variant="bodySmall" style={styles.emptyText}>
+                No navigation decisions recorded yet.
+              </Text>
+            ) : (
+              entries.map((entry) => (
+                <View key={entry.id} style={styles.entry}>
+                  <Text
+                    variant="labelSmall"
+                    style={[styles.decision, { color: DECISION_COLORS[entry.decision] || '#333' }]}
+                  >
+                    {entry.decision.toUpperCase()}
+                    {entry.isTopFrame === false ? ' · subframe' : ''}
+                    {' · '}
+                    {new Date(entry.timestamp).toLocaleTimeString()}
+                  </Text>
+                  <Text variant="bodySmall" numberOfLines={2} style={styles.url}>
+                    {entry.url}
+                  </Text>
+                  <Text variant="bodySmall" style={styles.reason}>
+                    {entry.reason}
+                  </Text>
+                </View>
+              ))
+            )}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={clearPolicyLog} textColor="#c62828">Clear</Button>
+          <Button onPress={onDismiss} textColor="#6200ee">Close</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  dialog: {
+    maxHeight: '80%',
+  },
+  scrollArea: {
+    paddingHorizontal: moderateScale(16),
+  },
+  emptyText: {
+    color: '#666',
+    paddingVertical: moderateVerticalScale(16),
+  },
+  entry: {
+    paddingVertical: moderateVerticalScale(8),
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#ddd',
+  },
+  decision: {
+    fontWeight: 'bold',
+  },
+  url: {
+    color: '#222',
+    marginTop: moderateVerticalScale(2),
+  },
+  reason: {
+    color: '#666',
+  },
+});
@@ -0,0 +1,150 @@
+/**
+ * QueueDrawer Component
+ *
+ * Bottom sheet listing the video queue:
+ * - Tap an item to play it
+ * - Move items up or down and remove them (except the one playing)
+ * - Autoplay toggle for playing the next item when one ends
+ */
+
+import React from 'react';
+import { View, StyleSheet, ScrollView, Pressable } from 'react-native';
+import { Modal, Portal, Text, IconButton, Divider, Switch } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object[]} props.items - Queue items in queue order
+ * @param {string|null} props.currentId - Id of the item playing
+ * @param {boolean} props.autoplay - Whether the next item plays automatically
+ * @param {Function} props.onSelect - Called with an item id to play it
+ * @param {Function} props.onMove - Called with an item id and an offset (-1 up, 1 down)
+ * @param {Function} props.onRemove - Called with an item id to remove it
+ * @param {Function} props.onAutoplayChange - Called with the new autoplay value
+ * @param {Function} props.onDismiss - Called to close the sheet
+ */
+export default function QueueDrawer({
+  visible,
+  items,
+  currentId,
+  autoplay,
+  onSelect,
+  onMove,
+  onRemove,
+  onAutoplayChange,
+  onDismiss,
+}) {
+  return (
+    <Portal>
+      <Modal visible={visible} onDismiss={onDismiss} contentContainerStyle={styles.sheet}>
+        <View style={styles.header}>
+          <Text variant="titleMedium" style={styles.sheetTitle}>
+            Queue ({items.length})
+          </Text>
+          <View style={styles.autoplay}>
+            <Text variant="bodyMedium">Autoplay</Text>
+            <Switch value={autoplay} onValueChange={onAutoplayChange} />
+          </View>
+        </View>
+
+        <ScrollView>
+          {items.map((item, index) => {
+            const isCurrent = item.id === currentId;
+            return (
+              <View key={item.id}>
+                {index > 0 && <Divider />}
+                <View style={styles.item}>
+                  <Pressable
+                    style={styles.itemText}
+                    onPress={() => onSelect(item.id)}
+                    accessibilityRole="button"
+                    accessibilityLabel={`Play ${item.title || item.src}`}
+                  >
+                    <Text
+                      variant="bodyLarge"
+                      numberOfLines={1}
+                      style={isCurrent && styles.currentTitle}
+                    >
+                      {isCurrent ? '▶ ' : ''}{item.title || 'Untitled video'}
+                    </Text>
+                    <Text variant="bodySmall" numberOfLines={1} style={styles.itemSource}>
+                      {item.src}
+                    </Text>
+                  </Pressable>
+                  <IconButton
+                    icon="arrow-up"
+                    size={moderateScale(20)}
+                    disabled={index === 0}
+                    onPress={() => onMove(item.id, -1)}
+                    accessibilityLabel="Move up"
+                  />
+                  <IconButton
+                    icon="arrow-down"
+                    size={moderateScale(20)}
+                    disabled={index === items.length - 1}
+                    onPress={() => onMove(item.id, 1)}
+                    accessibilityLabel="Move down"
+                  />
+                  <IconButton
+                    icon="close"
+                    size={moderateScale(20)}
+                    iconColor="#c62828"
+                    disabled={isCurrent}
+                    onPress={() => onRemove(item.id)}
+                    accessibilityLabel="Remove from queue"
+                  />
+                </View>
+              </View>
+            );
+          })}
+        </ScrollView>
+      </Modal>
+    </Portal>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  sheet: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '80%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: moderateScale(16),
+    borderTopRightRadius: moderateScale(16),
+    padding: moderateScale(16),
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: moderateVerticalScale(8),
+  },
+  sheetTitle: {
+    fontWeight: 'bold',
+  },
+  autoplay: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: moderateScale(8),
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: moderateVerticalScale(4),
+  },
+  itemText: {
+    flex: 1,
+  },
+  currentTitle: {
+    color: '#6200ee',
+    fontWeight: 'bold',
+  },
+  itemSource: {
+    color: '#666',
+  },
+});
@@ -0,0 +1,145 @@
+/**
+ * ScheduledNotificationsList Component
+ *
+ * Sheet listing pending notifications, where each entry can be edited,
+ * duplicated or cancelled, plus a "cancel all" action.
+ */
+
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Modal, Portal, Text, IconButton, Button, Divider } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { describeSchedule } from '../notifications/notificationScheduler';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object[]} props.scheduled - Requests from getAllScheduledNotificationsAsync
+ * @param {Function} props.onEdit - Called with a request to edit it
+ * @param {Function} props.onDuplicate - Called with a request to duplicate it
+ * @param {Function} props.onCancel - Called with an identifier to cancel it
+ * @param {Function} props.onCancelAll - Called to cancel every notification
+ * @param {Function} props.onDismiss - Called to close the sheet
+ */
+export default function ScheduledNotificationsList({
+  visible,
+  scheduled,
+  onEdit,
+  onDuplicate,
+  onCancel,
+  onCancelAll,
+  onDismiss,
+}) {
+  return (
+    <Portal>
+      <Modal visible={visible} onDismiss={onDismiss} contentContainerStyle={styles.sheet}>
+        <View style={styles.header}>
+          <Text variant="titleMedium" style={styles.sheetTitle}>
+            Scheduled ({scheduled.length})
+          </Text>
+          <Button
+            onPress={onCancelAll}
+            textColor="#c62828"
+            disabled={scheduled.length === 0}
+            icon="bell-cancel"
+          >
+            Cancel all
+          </Button>
+        </View>
+
+        <ScrollView>
+          {scheduled.length === 0 ? (
+            <Text variant="bodyMedium" style={styles.emptyText}>
+              No notifications are scheduled.
+            </Text>
+          ) : (
+            scheduled.map((request, index) => (
+              <View key={request.identifier}>
+                {index > 0 && <Divider />}
+                <View style={styles.item}>
+                  <View style={styles.itemText}>
+                    <Text variant="bodyLarge" numberOfLines={1}>
+                      {request.content.title || '(No title)'}
+                    </Text>
+                    {!!request.content.body && (
+                      <Text variant="bodySmall" numberOfLines={1} style={styles.itemBody}>
+                        {request.content.body}
+                      </Text>
+                    )}
+                    <Text variant="labelSmall" style={styles.itemSchedule}>
+                      {describeSchedule(request)}
+                    </Text>
+                  </View>
+                  <IconButton
+                    icon="pencil"
+                    size={moderateScale(20)}
+                    onPress={() => onEdit(request)}
+                    accessibilityLabel="Edit notification"
+                  />
+                  <IconButton
+                    icon="content-copy"
+                    size={moderateScale(20)}
+                    onPress={() => onDuplicate(request)}
+                    accessibilityLabel="Duplicate notification"
+                  />
+                  <IconButton
+                    icon="close"
+                    size={moderateScale(20)}
+                    iconColor="#c62828"
+                    onPress={() => onCancel(request.identifier)}
+                    accessibilityLabel="Cancel notification"
+                  />
+                </View>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      </Modal>
+    </Portal>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  sheet: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '80%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: moderateScale(16),
+    borderTopRightRadius: moderateScale(16),
+    padding: moderateScale(16),
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: moderateVerticalScale(8),
+  },
+  sheetTitle: {
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    color: '#666',
+    paddingVertical: moderateVerticalScale(16),
+    textAlign: 'center',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: moderateVerticalScale(4),
+  },
+  itemText: {
+    flex: 1,
+  },
+  itemBody: {
+    color: '#666',
+  },
+  itemSchedule: {
+    color: '#6200ee',
+    marginTop: moderateVerticalScale(2),
+  },
+});
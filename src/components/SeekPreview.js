@@ -0,0 +1,129 @@
+/**
+ * SeekPreview Component
+ *
+ * Bubble shown above the seekbar thumb while scrubbing, with the frame at
+ * the scrub position (a sprite region or a generated frame), the time and
+ * the chapter title.
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet, Image } from 'react-native';
+import { Image as ExpoImage } from 'expo-image';
+import { Text } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+
+// Constants
+const PREVIEW_WIDTH = moderateScale(160);
+const DEFAULT_ASPECT_RATIO = 16 / 9;
+
+/**
+ * Shows one region of a sprite sheet scaled to the preview width
+ * @param {Object} props
+ * @param {string} props.uri - Sprite sheet or image URL
+ * @param {Object|null} props.region - { x, y, width, height } in sprite pixels
+ */
+function SpriteFrame({ uri, region }) {
+  const [spriteSize, setSpriteSize] = useState(null);
+
+  /**
+   * Measure the sprite sheet so the region can be scaled
+   */
+  React.useEffect(() => {
+    if (!region) return;
+    Image.getSize(uri, (width, height) => setSpriteSize({ width, height }), () => setSpriteSize(null));
+  }, [uri, region]);
+
+  if (!region) {
+    return (
+      <Image
+        source={{ uri }}
+        style={styles.frame}
+        resizeMode="cover"
+      />
+    );
+  }
+
+  const scale = PREVIEW_WIDTH / region.width;
+  return (
+    <View style={[styles.spriteWindow, { height: region.height * scale }]}>
+      {spriteSize && (
+        <Image
+          source={{ uri }}
+          style={{
+            position: 'absolute',
+            left: -region.x * scale,
+            top: -region.y * scale,
+            width: spriteSize.width * scale,
+            height: spriteSize.height * scale,
+          }}
+        />
+      )}
+    </View>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.preview - From useScrubPreview
+ * @param {string} props.timeLabel - Formatted scrub time
+ * @param {string|null} props.chapterTitle - Chapter at the scrub time
+ * @param {number} props.anchorX - Thumb position within the container
+ * @param {number} props.containerWidth - Width available for the bubble
+ */
+export default function SeekPreview({ preview, timeLabel, chapterTitle, anchorX, containerWidth }) {
+  const left = Math.max(0, Math.min(containerWidth - PREVIEW_WIDTH, anchorX - PREVIEW_WIDTH / 2));
+
+  return (
+    <View style={[styles.bubble, { left }]} pointerEvents="none">
+      {preview?.type === 'sprite' && <SpriteFrame uri={preview.uri} region={preview.region} />}
+      {preview?.type === 'frame' && (
+        <ExpoImage
+          source={preview.thumbnail}
+          style={styles.frame}
+          contentFit="cover"
+        />
+      )}
+      {!!chapterTitle && (
+        <Text variant="labelSmall" style={styles.chapterTitle} numberOfLines={1}>
+          {chapterTitle}
+        </Text>
+      )}
+      <Text variant="labelMedium" style={styles.time}>
+        {timeLabel}
+      </Text>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  bubble: {
+    position: 'absolute',
+    bottom: '100%',
+    width: PREVIEW_WIDTH,
+    alignItems: 'center',
+    borderRadius: moderateScale(6),
+    overflow: 'hidden',
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    marginBottom: moderateVerticalScale(4),
+  },
+  frame: {
+    width: PREVIEW_WIDTH,
+    height: PREVIEW_WIDTH / DEFAULT_ASPECT_RATIO,
+  },
+  spriteWindow: {
+    width: PREVIEW_WIDTH,
+    overflow: 'hidden',
+  },
+  chapterTitle: {
+    color: '#fff',
+    paddingHorizontal: moderateScale(6),
+    marginTop: moderateVerticalScale(4),
+  },
+  time: {
+    color: '#fff',
+    fontWeight: 'bold',
+    paddingVertical: moderateVerticalScale(4),
+  },
+});
@@ -0,0 +1,397 @@
+/**
+ * Seekbar Component
+ *
+ * Draggable seekbar for the video player:
+ * - Progress, buffered range ahead of the playhead and chapter boundaries
+ * - Tap to seek, drag to scrub with a preview bubble; drags snap lightly to chapter starts
+ * - Elapsed time, current chapter title and a duration/remaining time toggle
+ * - Live streams: the track covers the seekable (DVR) window, times read
+ *   "-0:42" behind live, and a LIVE badge (grey when behind) with Go live
+ * - A-B loop markers with the looped part highlighted
+ * Reads the playback time from the player state store, so only the
+ * seekbar re-renders as the video plays.
+ */
+
+import React, { useState, useRef } from 'react';
+import { View, StyleSheet, Pressable, PanResponder } from 'react-native';
+import { Text, Button } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import SeekPreview from './SeekPreview';
+import usePlayerState from '../hooks/usePlayerState';
+import useScrubPreview from '../hooks/useScrubPreview';
+import {
+  selectCurrentTime,
+  selectDuration,
+  selectBufferedPosition,
+  selectOffsetFromLive,
+  refreshPlayerState,
+} from '../player/playerStateStore';
+import { getChapterAt, snapToChapter } from '../player/chapters';
+import { NOT_LIVE, getSeekableRange, isBehindLive } from '../player/liveStream';
+import { NO_LOOP } from '../player/abLoop';
+import { formatTime, formatOffset } from '../utils/time';
+
+// Constants
+const THUMB_SIZE = moderateScale(16);
+const LOOP_MARKER_WIDTH = moderateScale(3);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.player - expo-video player
+ * @param {Object[]} props.chapters - Chapters { start, end, title }
+ * @param {Object|null} props.manifest - Parsed master playlist, for I-frame previews
+ * @param {string|null} props.thumbnailsUrl - WebVTT thumbnail track
+ * @param {Object} props.live - Live info from useLiveStream
+ * @param {Function} props.onGoLive - Called to jump to the live edge
+ * @param {Object} props.loop - A-B loop markers { a, b } in seconds, null when unset
+ * @param {Function} props.onScrubbingChange - Called with whether the thumb is being dragged
+ */
+export default function Seekbar({
+  player,
+  chapters,
+  manifest,
+  thumbnailsUrl,
+  live = NOT_LIVE,
+  onGoLive,
+  loop = NO_LOOP,
+  onScrubbingChange,
+}) {
+  const currentTime = usePlayerState(player, selectCurrentTime);
+  const duration = usePlayerState(player, selectDuration);
+  const bufferedPosition = usePlayerState(player, selectBufferedPosition);
+  const offsetFromLive = usePlayerState(player, selectOffsetFromLive);
+  const playerState = { currentTime, duration, offsetFromLive };
+  const range = getSeekableRange(playerState, live);
+  const span = range.end - range.start;
+  const isBehind = isBehindLive(playerState, live);
+
+  const [trackLayout, setTrackLayout] = useState({ x: 0, width: 0 });
+  const [isDragging, setIsDragging] = useState(false);
+  const [dragValue, setDragValue] = useState(0);
+  const [showRemainingTime, setShowRemainingTime] = useState(false);
+
+  const seekbarTrackRef = useRef(null);
+  // The pan responder is created once, so it reads these through refs
+  const playerRef = useRef(player);
+  const rangeRef = useRef(range);
+  const dragValueRef = useRef(0);
+  const chaptersRef = useRef(chapters);
+  const onScrubbingChangeRef = useRef(onScrubbingChange);
+  playerRef.current = player;
+  rangeRef.current = range;
+  // Live chapter times are not tied to the sliding window
+  chaptersRef.current = live.isLive ? [] : chapters;
+  onScrubbingChangeRef.current = onScrubbingChange;
+
+  /**
+   * Position within the seekable range
+   * @param {number} time - Time in seconds
+   * @returns {number} From 0 to 1
+   */
+  const toProgress = (time) => (span > 0 ? Math.max(0, Math.min(1, (time - range.start) / span)) : 0);
+
+  const progress = isDragging ? dragValue : toProgress(currentTime);
+  const position = progress * trackLayout.width;
+  const scrubTime = range.start + dragValue * span;
+  const displayTime = isDragging ? scrubTime : currentTime;
+  const currentChapter = getChapterAt(chaptersRef.current, displayTime);
+  const scrubPreview = useScrubPreview({
+    player,
+    manifest,
+    thumbnailsUrl,
+    isScrubbing: isDragging,
+    scrubTime,
+  });
+  const timeLabel = live.isLive ? formatOffset(range.end - displayTime) : formatTime(displayTime);
+
+  /**
+   * Seek the player and show the new position straight away
+   * @param {number} time - Time in seconds
+   */
+  const seekTo = (time) => {
+    const target = playerRef.current;
+    if (!target) return;
+    target.currentTime = time;
+    refreshPlayerState(target);
+  };
+
+  /**
+   * Handle seekbar press - seek to tapped position
+   * @param {Object} event - Touch event object
+   */
+  const handleSeekbarPress = (event) => {
+    if (!seekbarTrackRef.current) return;
+    const { pageX: touchPageX } = event.nativeEvent;
+    seekbarTrackRef.current.measure((x, y, trackWidth, trackHeight, pageX) => {
+      const newProgress = Math.max(0, Math.min(1, (touchPageX - pageX) / trackWidth));
+      if (span > 0) seekTo(range.start + newProgress * span);
+    });
+  };
+
+  /**
+   * Move the seekbar thumb under a drag, pulled onto nearby chapter starts
+   * @param {number} touchPageX - Touch position on the page
+   */
+  const dragSeekbarTo = (touchPageX) => {
+    if (!seekbarTrackRef.current) return;
+    seekbarTrackRef.current.measure((x, y, trackWidth, trackHeight, pageX) => {
+      let newProgress = Math.max(0, Math.min(1, (touchPageX - pageX) / trackWidth));
+      const dur = rangeRef.current.end;
+      if (dur > 0 && chaptersRef.current.length) {
+        newProgress = snapToChapter(newProgress * dur, chaptersRef.current, dur) / dur;
+      }
+      dragValueRef.current = newProgress;
+      setDragValue(newProgress);
+    });
+  };
+
+  /**
+   * Start or finish a drag, telling the screen so it can keep its controls shown
+   * @param {boolean} dragging - Whether the thumb is being dragged
+   */
+  const setDragging = (dragging) => {
+    setIsDragging(dragging);
+    onScrubbingChangeRef.current?.(dragging);
+  };
+
+  /**
+   * Pan responder for draggable seekbar functionality
+   */
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (evt) => {
+        setDragging(true);
+        dragSeekbarTo(evt.nativeEvent.pageX);
+      },
+      onPanResponderMove: (evt) => {
+        dragSeekbarTo(evt.nativeEvent.pageX);
+      },
+      onPanResponderRelease: () => {
+        const { start, end } = rangeRef.current;
+        if (end > start) seekTo(start + dragValueRef.current * (end - start));
+        setDragging(false);
+      },
+      onPanResponderTerminate: () => {
+        setDragging(false);
+      },
+    })
+  ).current;
+
+  return (
+    <View>
+      {/* Scrub preview - shown above the thumb while dragging */}
+      {isDragging && (
+        <SeekPreview
+          preview={scrubPreview}
+          timeLabel={timeLabel}
+          chapterTitle={currentChapter?.title || null}
+          anchorX={trackLayout.x + position}
+          containerWidth={trackLayout.width}
+        />
+      )}
+
+      {/* Seekbar track with progress and thumb */}
+      <Pressable
+        ref={seekbarTrackRef}
+        style={styles.seekbarTrack}
+        onPress={handleSeekbarPress}
+        onLayout={({ nativeEvent }) => setTrackLayout({ x: nativeEvent.layout.x, width: nativeEvent.layout.width })}
+        {...panResponder.panHandlers}
+      >
+        {/* Buffered range ahead of the playback position */}
+        {span > 0 && bufferedPosition > currentTime && (
+          <View
+            style={[
+              styles.seekbarBuffered,
+              {
+                left: toProgress(currentTime) * trackLayout.width,
+                width: (toProgress(bufferedPosition) - toProgress(currentTime)) * trackLayout.width,
+              },
+            ]}
+          />
+        )}
+        {/* Chapter boundaries */}
+        {range.end > 0 && chaptersRef.current
+          .filter((chapter) => chapter.start > 0 && chapter.start < range.end)
+          .map((chapter) => (
+            <View
+              key={`${chapter.start}-${chapter.title}`}
+              style={[styles.chapterMarker, { left: `${(chapter.start / range.end) * 100}%` }]}
+            />
+          ))}
+        {/* A-B loop - the looped part and its markers */}
+        {span > 0 && loop.a !== null && loop.b !== null && (
+          <View
+            style={[
+              styles.loopRange,
+              {
+                left: toProgress(loop.a) * trackLayout.width,
+                width: (toProgress(loop.b) - toProgress(loop.a)) * trackLayout.width,
+              },
+            ]}
+          />
+        )}
+        {span > 0 && [loop.a, loop.b].filter((time) => time !== null).map((time) => (
+          <View
+            key={`loop-${time}`}
+            style={[styles.loopMarker, { left: toProgress(time) * trackLayout.width - LOOP_MARKER_WIDTH / 2 }]}
+          />
+        ))}
+        <View style={[styles.seekbarProgress, { width: position }]} />
+        <View style={[styles.seekbarThumb, { left: Math.max(0, position - THUMB_SIZE / 2) }]} />
+      </Pressable>
+
+      {/* Time display - badge, time behind live and Go live for live streams */}
+      {live.isLive ? (
+        <View style={styles.timeContainer}>
+          <View style={styles.liveRow}>
+            <View style={[styles.liveBadge, isBehind && styles.liveBadgeBehind]}>
+              <Text style={styles.liveBadgeText}>LIVE</Text>
+            </View>
+            {(isBehind || isDragging) && (
+              <Text variant="bodySmall" style={styles.timeText}>
+                {timeLabel}
+              </Text>
+            )}
+          </View>
+          {isBehind && (
+            <Button
+              mode="text"
+              compact
+              icon="skip-next"
+              textColor="#fff"
+              onPress={onGoLive}
+              focusable
+              labelStyle={styles.goLiveLabel}
+            >
+              Go live
+            </Button>
+          )}
+        </View>
+      ) : (
+        <View style={styles.timeContainer}>
+          <Text variant="bodySmall" style={styles.timeText}>
+            {timeLabel}
+          </Text>
+          {!!currentChapter && (
+            <Text variant="bodySmall" style={styles.chapterTitle} numberOfLines={1}>
+              {currentChapter.title}
+            </Text>
+          )}
+          <Pressable
+            onPress={() => setShowRemainingTime((value) => !value)}
+            focusable
+            accessibilityRole="button"
+            accessibilityLabel={showRemainingTime ? 'Show duration' : 'Show remaining time'}
+          >
+            <Text variant="bodySmall" style={styles.timeText}>
+              {showRemainingTime
+                ? formatOffset(duration - displayTime)
+                : formatTime(duration)}
+            </Text>
+          </Pressable>
+        </View>
+      )}
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  seekbarTrack: {
+    height: moderateVerticalScale(4),
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    borderRadius: moderateScale(2),
+    position: 'relative',
+    marginBottom: moderateVerticalScale(8),
+    justifyContent: 'center',
+  },
+  seekbarBuffered: {
+    height: moderateVerticalScale(4),
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
+    position: 'absolute',
+    top: 0,
+  },
+  chapterMarker: {
+    position: 'absolute',
+    top: 0,
+    width: moderateScale(3),
+    height: moderateVerticalScale(4),
+    backgroundColor: '#000',
+    zIndex: 1,
+  },
+  loopRange: {
+    position: 'absolute',
+    top: 0,
+    height: moderateVerticalScale(4),
+    backgroundColor: 'rgba(255, 179, 0, 0.6)',
+  },
+  loopMarker: {
+    position: 'absolute',
+    top: moderateVerticalScale(-4),
+    width: LOOP_MARKER_WIDTH,
+    height: moderateVerticalScale(12),
+    borderRadius: LOOP_MARKER_WIDTH / 2,
+    backgroundColor: '#ffb300',
+    zIndex: 1,
+  },
+  seekbarProgress: {
+    height: moderateVerticalScale(4),
+    backgroundColor: '#6200ee',
+    borderRadius: moderateScale(2),
+    position: 'absolute',
+    left: 0,
+    top: 0,
+  },
+  seekbarThumb: {
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    backgroundColor: '#6200ee',
+    position: 'absolute',
+    top: moderateVerticalScale(-6),
+    left: 0,
+    zIndex: 1,
+  },
+  timeContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  timeText: {
+    color: '#fff',
+    fontSize: moderateScale(12),
+  },
+  liveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: moderateScale(8),
+  },
+  liveBadge: {
+    paddingHorizontal: moderateScale(6),
+    paddingVertical: moderateVerticalScale(1),
+    borderRadius: moderateScale(3),
+    backgroundColor: '#e53935',
+  },
+  liveBadgeBehind: {
+    backgroundColor: '#757575',
+  },
+  liveBadgeText: {
+    color: '#fff',
+    fontSize: moderateScale(11),
+    fontWeight: 'bold',
+  },
+  goLiveLabel: {
+    fontSize: moderateScale(12),
+    marginVertical: 0,
+  },
+  chapterTitle: {
+    flex: 1,
+    color: '#fff',
+    fontSize: moderateScale(12),
+    textAlign: 'center',
+    marginHorizontal: moderateScale(8),
+  },
+});
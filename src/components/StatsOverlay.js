@@ -0,0 +1,117 @@
+/**
+ * StatsOverlay Component
+ *
+ * Debug "stats for nerds" panel over the video:
+ * - Player status, position, buffer ahead and live offset
+ * - Current rendition (resolution and bitrate) and playback rate
+ * - The QoE session so far: startup time, rebuffers, seeks and their
+ *   latency, rendition switches, errors and watch time
+ */
+
+import React from 'react';
+import { View, StyleSheet, Platform } from 'react-native';
+import { Text, IconButton } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import usePlayerState from '../hooks/usePlayerState';
+import { formatTime } from '../utils/time';
+
+/**
+ * Format a duration in milliseconds
+ * @param {number|null} ms - Milliseconds, null when unknown
+ * @returns {string} e.g. "1.25 s"
+ */
+const formatMs = (ms) => (ms === null ? '-' : `${(ms / 1000).toFixed(2)} s`);
+
+/**
+ * Describe a rendition
+ * @param {Object|null} rendition - { width, height, bitrate } from the QoE collector
+ * @returns {string} e.g. "1280x720 @ 2400 kbps"
+ */
+const formatRendition = (rendition) => {
+  if (!rendition) return '-';
+  const size = rendition.width ? `${rendition.width}x${rendition.height}` : 'unknown size';
+  return rendition.bitrate ? `${size} @ ${Math.round(rendition.bitrate / 1000)} kbps` : size;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.player - expo-video player
+ * @param {Function} props.getStats - Reads the active QoE session, see useQoeTelemetry
+ * @param {Function} props.onClose - Called to hide the overlay
+ */
+export default function StatsOverlay({ player, getStats, onClose }) {
+  // Re-rendered by every player state change, which keeps the numbers fresh
+  const state = usePlayerState(player);
+  const stats = getStats();
+  if (!stats) return null;
+
+  const lastError = stats.errors[stats.errors.length - 1];
+  const rows = [
+    ['Session', stats.id],
+    ['Source', stats.source],
+    ['Status', `${state.status}${state.isPlaying ? ', playing' : ''}`],
+    ['Position', `${formatTime(state.currentTime)} / ${state.isLive ? 'live' : formatTime(state.duration)}`],
+    ['Buffer ahead', `${Math.max(0, state.bufferedPosition - state.currentTime).toFixed(1)} s`],
+    state.isLive && ['Live offset', state.offsetFromLive === null ? '-' : `${state.offsetFromLive.toFixed(1)} s`],
+    ['Rendition', formatRendition(stats.rendition)],
+    ['Speed', `${player.playbackRate}x`],
+    ['Startup', formatMs(stats.startupTime)],
+    ['Rebuffers', `${stats.rebufferCount} (${formatMs(stats.rebufferDuration)})`],
+    ['Seeks', `${stats.seekCount}, avg ${formatMs(stats.averageSeekLatency)}, max ${formatMs(stats.maxSeekLatency)}`],
+    ['Switches', `${stats.renditionSwitches.length}`],
+    ['Errors', lastError ? `${stats.errors.length} (last: ${lastError.type})` : '0'],
+    ['Watch time', formatTime(stats.watchTime / 1000)],
+  ].filter(Boolean);
+
+  return (
+    <View style={styles.overlay}>
+      <View style={styles.rows} pointerEvents="none">
+        {rows.map(([label, value]) => (
+          <Text key={label} style={styles.row} numberOfLines={1}>
+            <Text style={styles.label}>{label}: </Text>
+            {value}
+          </Text>
+        ))}
+      </View>
+      <IconButton
+        icon="close"
+        iconColor="#fff"
+        size={moderateScale(16)}
+        onPress={onClose}
+        style={styles.closeButton}
+        accessibilityLabel="Hide stats"
+      />
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  overlay: {
+    position: 'absolute',
+    top: moderateVerticalScale(8),
+    left: moderateScale(8),
+    maxWidth: '75%',
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingLeft: moderateScale(8),
+    paddingVertical: moderateVerticalScale(4),
+    borderRadius: moderateScale(6),
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  rows: {
+    flexShrink: 1,
+  },
+  row: {
+    color: '#fff',
+    fontSize: moderateScale(10),
+    fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }),
+  },
+  label: {
+    color: '#bbb',
+  },
+  closeButton: {
+    margin: 0,
+  },
+});
@@ -0,0 +1,138 @@
+/**
+ * SubtitleOverlay Component
+ *
+ * Draws the active subtitle cues over the video. Cues without positioning
+ * are stacked at the bottom; cues with WebVTT line/position settings are
+ * placed where they ask to be. Follows the playback time from the player
+ * state store, so only the overlay re-renders as the video plays.
+ */
+
+import React, { useMemo } from 'react';
+import { View, StyleSheet, Text } from 'react-native';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import usePlayerState from '../hooks/usePlayerState';
+import { getCaptionScale } from '../player/captionStyle';
+import { selectCurrentTime } from '../player/playerStateStore';
+import { getActiveCues } from '../player/webVtt';
+
+// Constants
+const BASE_FONT_SIZE = moderateScale(16);
+const LINE_HEIGHT_FACTOR = 1.35;
+const LINE_STEP = 5; // percent of the video height per cue line
+
+// WebVTT default position for each alignment, in percent
+const DEFAULT_POSITIONS = {
+  start: 0,
+  center: 50,
+  end: 100,
+};
+
+const TEXT_ALIGN = {
+  start: 'left',
+  center: 'center',
+  end: 'right',
+};
+
+/**
+ * Absolute placement for a cue with line/position settings; line numbers
+ * are approximated as LINE_STEP percent of the video height each
+ * @param {Object} settings - Cue settings from the WebVTT parser
+ * @returns {Object} Style
+ */
+const getCuePlacement = ({ line, lineIsPercent, position, align, size }) => {
+  const placement = { position: 'absolute', width: `${size}%` };
+
+  if (line === null) {
+    placement.bottom = moderateVerticalScale(12);
+  } else if (lineIsPercent) {
+    placement.top = `${line}%`;
+  } else if (line >= 0) {
+    placement.top = `${Math.min(line * LINE_STEP, 90)}%`;
+  } else {
+    placement.bottom = `${Math.min((-line - 1) * LINE_STEP, 90)}%`;
+  }
+
+  const anchor = position === null ? DEFAULT_POSITIONS[align] ?? 50 : position;
+  if (align === 'start') {
+    placement.left = `${anchor}%`;
+  } else if (align === 'end') {
+    placement.right = `${100 - anchor}%`;
+  } else {
+    placement.left = `${Math.max(0, Math.min(100 - size, anchor - size / 2))}%`;
+  }
+
+  return placement;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.player - expo-video player
+ * @param {Object[]} props.cues - All cues of the selected track
+ * @param {Object} props.captionStyle - { size, backgroundOpacity, color }
+ */
+export default function SubtitleOverlay({ player, cues: allCues, captionStyle }) {
+  const currentTime = usePlayerState(player, selectCurrentTime);
+  const cues = useMemo(() => getActiveCues(allCues, currentTime), [allCues, currentTime]);
+
+  if (!cues.length) return null;
+
+  const fontSize = BASE_FONT_SIZE * getCaptionScale(captionStyle.size);
+  const textStyle = {
+    color: captionStyle.color,
+    backgroundColor: `rgba(0, 0, 0, ${captionStyle.backgroundOpacity})`,
+    fontSize,
+    lineHeight: fontSize * LINE_HEIGHT_FACTOR,
+  };
+
+  const isPositioned = (cue) => cue.settings.line !== null || cue.settings.position !== null;
+  const stacked = cues.filter((cue) => !isPositioned(cue));
+  const positioned = cues.filter(isPositioned);
+
+  return (
+    <View style={styles.container} pointerEvents="none">
+      {positioned.map((cue) => (
+        <View key={cue.id} style={getCuePlacement(cue.settings)}>
+          <Text style={[styles.cueText, textStyle, { textAlign: TEXT_ALIGN[cue.settings.align] || 'center' }]}>
+            {cue.text}
+          </Text>
+        </View>
+      ))}
+
+      {stacked.length > 0 && (
+        <View style={styles.bottomStack}>
+          {stacked.map((cue) => (
+            <Text
+              key={cue.id}
+              style={[styles.cueText, textStyle, { textAlign: TEXT_ALIGN[cue.settings.align] || 'center' }]}
+            >
+              {cue.text}
+            </Text>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  bottomStack: {
+    position: 'absolute',
+    left: moderateScale(16),
+    right: moderateScale(16),
+    bottom: moderateVerticalScale(12),
+    alignItems: 'center',
+  },
+  cueText: {
+    paddingHorizontal: moderateScale(6),
+    marginTop: moderateVerticalScale(2),
+  },
+});
@@ -0,0 +1,85 @@
+/**
+ * SwipeableRow Component
+ *
+ * Row that can be swiped left to reveal a delete background; releasing
+ * past the threshold slides the row out and calls onDelete.
+ */
+
+import React, { useRef } from 'react';
+import { View, StyleSheet, Animated, PanResponder, Dimensions } from 'react-native';
+import { Icon } from 'react-native-paper';
+import { moderateScale } from 'react-native-size-matters';
+
+const DELETE_THRESHOLD = 0.35; // fraction of the row width
+const SWIPE_ANIMATION_DURATION = 200; // milliseconds
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onDelete - Called after the row was swiped away
+ * @param {React.ReactNode} props.children - Row content
+ */
+export default function SwipeableRow({ onDelete, children }) {
+  const translateX = useRef(new Animated.Value(0)).current;
+  const onDeleteRef = useRef(onDelete);
+  onDeleteRef.current = onDelete;
+
+  /**
+   * Horizontal drag handling; vertical movement is left to the list
+   */
+  const panResponder = useRef(
+    PanResponder.create({
+      onMoveShouldSetPanResponder: (evt, gestureState) =>
+        Math.abs(gestureState.dx) > 10 && Math.abs(gestureState.dx) > Math.abs(gestureState.dy) * 2,
+      onPanResponderMove: (evt, gestureState) => {
+        translateX.setValue(Math.min(0, gestureState.dx));
+      },
+      onPanResponderRelease: (evt, gestureState) => {
+        const width = Dimensions.get('window').width;
+        if (gestureState.dx < -width * DELETE_THRESHOLD) {
+          Animated.timing(translateX, {
+            toValue: -width,
+            duration: SWIPE_ANIMATION_DURATION,
+            useNativeDriver: true,
+          }).start(() => onDeleteRef.current());
+        } else {
+          Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+        }
+      },
+      onPanResponderTerminate: () => {
+        Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+      },
+    })
+  ).current;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.deleteBackground}>
+        <Icon source="delete" size={moderateScale(24)} color="#fff" />
+      </View>
+      <Animated.View
+        style={[styles.content, { transform: [{ translateX }] }]}
+        {...panResponder.panHandlers}
+      >
+        {children}
+      </Animated.View>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    overflow: 'hidden',
+  },
+  deleteBackground: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#c62828',
+    justifyContent: 'center',
+    alignItems: 'flex-end',
+    paddingRight: moderateScale(24),
+  },
+  content: {
+    backgroundColor: '#fff',
+  },
+});
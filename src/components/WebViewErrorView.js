@@ -0,0 +1,163 @@
+/**
+ * WebViewErrorView Component
+ *
+ * In-place replacement for a WebView that failed to load:
+ * - Explains offline, DNS, timeout, SSL and HTTP failures differently
+ * - Retry button with the countdown to the next automatic retry
+ * - Shows the last good page snapshot while the network is down
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { WebView } from 'react-native-webview';
+import { Button, Text, Icon } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { WEBVIEW_ERROR_TYPES } from '../utils/webViewErrors';
+
+const ERROR_COPY = {
+  [WEBVIEW_ERROR_TYPES.OFFLINE]: {
+    icon: 'wifi-off',
+    title: "You're offline",
+    message: 'Check your connection. The page will reload when you are back online.',
+  },
+  [WEBVIEW_ERROR_TYPES.DNS]: {
+    icon: 'dns',
+    title: "Can't find this site",
+    message: 'The server address could not be found. Check the address or your connection.',
+  },
+  [WEBVIEW_ERROR_TYPES.TIMEOUT]: {
+    icon: 'timer-sand',
+    title: 'The site took too long to respond',
+    message: 'The server may be busy or your connection may be slow.',
+  },
+  [WEBVIEW_ERROR_TYPES.SSL]: {
+    icon: 'shield-alert',
+    title: 'Connection is not secure',
+    message: "The site's security certificate could not be verified, so it was not loaded.",
+  },
+  [WEBVIEW_ERROR_TYPES.HTTP]: {
+    icon: 'server-network-off',
+    title: 'The site returned an error',
+    message: 'The server could not complete the request.',
+  },
+  [WEBVIEW_ERROR_TYPES.UNKNOWN]: {
+    icon: 'alert-circle',
+    title: 'Failed to load the website',
+    message: 'Something went wrong while loading this page.',
+  },
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.error - Classified error from utils/webViewErrors
+ * @param {number|null} props.retryInSeconds - Seconds until the next automatic retry
+ * @param {Object|null} props.snapshot - Last good page snapshot { url, title, html, savedAt }
+ * @param {boolean} props.showSnapshot - Whether to show the snapshot instead of the error
+ * @param {Function} props.onRetry - Called when the user asks to retry
+ */
+export default function WebViewErrorView({ error, retryInSeconds, snapshot, showSnapshot, onRetry }) {
+  const copy = ERROR_COPY[error.type] || ERROR_COPY[WEBVIEW_ERROR_TYPES.UNKNOWN];
+  const retryLabel = retryInSeconds ? `Retry (auto in ${retryInSeconds}s)` : 'Retry';
+
+  // ==================== Offline Snapshot ====================
+
+  if (showSnapshot && snapshot) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.snapshotBanner}>
+          <Icon source="wifi-off" size={moderateScale(18)} color="#fff" />
+          <Text variant="bodySmall" style={styles.snapshotBannerText} numberOfLines={2}>
+            Offline - showing a saved copy of {snapshot.title || snapshot.url} from{' '}
+            {new Date(snapshot.savedAt).toLocaleString()}
+          </Text>
+          <Button compact mode="text" textColor="#fff" onPress={onRetry}>
+            {retryLabel}
+          </Button>
+        </View>
+        <WebView
+          source={{ html: snapshot.html, baseUrl: snapshot.url }}
+          style={styles.snapshot}
+          javaScriptEnabled={false}
+          onShouldStartLoadWithRequest={(request) => request.url === snapshot.url || request.url === 'about:blank'}
+        />
+      </View>
+    );
+  }
+
+  // ==================== Error Details ====================
+
+  return (
+    <View style={[styles.container, styles.centered]}>
+      <Icon source={copy.icon} size={moderateScale(56)} color="#6200ee" />
+      <Text variant="titleMedium" style={styles.title}>
+        {copy.title}
+      </Text>
+      <Text variant="bodyMedium" style={styles.message}>
+        {error.type === WEBVIEW_ERROR_TYPES.HTTP && error.statusCode
+          ? `${copy.message} (HTTP ${error.statusCode})`
+          : copy.message}
+      </Text>
+      {!!error.url && (
+        <Text variant="bodySmall" style={styles.url} numberOfLines={1}>
+          {error.url}
+        </Text>
+      )}
+      <Button
+        mode="contained"
+        icon="refresh"
+        buttonColor="#6200ee"
+        onPress={onRetry}
+        style={styles.retryButton}
+      >
+        {retryLabel}
+      </Button>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#fff',
+    zIndex: 2,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: moderateScale(24),
+  },
+  title: {
+    marginTop: moderateVerticalScale(16),
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  message: {
+    marginTop: moderateVerticalScale(8),
+    color: '#666',
+    textAlign: 'center',
+  },
+  url: {
+    marginTop: moderateVerticalScale(8),
+    color: '#999',
+  },
+  retryButton: {
+    marginTop: moderateVerticalScale(20),
+  },
+  snapshotBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: moderateScale(8),
+    paddingLeft: moderateScale(12),
+    paddingVertical: moderateVerticalScale(4),
+    backgroundColor: '#424242',
+  },
+  snapshotBannerText: {
+    flex: 1,
+    color: '#fff',
+  },
+  snapshot: {
+    flex: 1,
+  },
+});
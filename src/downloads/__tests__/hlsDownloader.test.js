@@ -0,0 +1,337 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createHlsDownload } from '../hlsDownloader';
+import { ManifestError } from '../../player/hlsManifest';
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const GENERATED_PATTERN = /\.(m4s|mp4|aac|ts|bin)$/;
+const SLOW_FILE = '720p-1.m4s';
+const SLOW_SIZE = 256 * 1024; // bytes
+const CHUNK_SIZE = 16 * 1024; // bytes
+
+/**
+ * Bytes of a generated segment or key; the same path always gives the same bytes
+ */
+const generatedBytes = (pathname) => {
+  const name = path.basename(pathname);
+  const size = name === SLOW_FILE ? SLOW_SIZE : name.endsWith('.bin') ? 16 : 1024 + name.length * 100;
+  return Buffer.from(Array.from({ length: size }, (_, index) => (index * 31 + name.charCodeAt(0)) % 256));
+};
+
+/**
+ * Fixture playlists and generated segments and keys over HTTP, with Range
+ * support; the slow file is sent in delayed chunks so it can be paused
+ */
+const createFixtureServer = () => {
+  const log = { requests: [], active: 0, maxActive: 0 };
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    log.requests.push({ pathname, range: request.headers.range || null });
+
+    const filePath = path.join(FIXTURES, pathname);
+    let body;
+    if (fs.existsSync(filePath)) {
+      body = fs.readFileSync(filePath);
+    } else if (GENERATED_PATTERN.test(pathname)) {
+      body = generatedBytes(pathname);
+    } else {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    const offset = Number((/^bytes=(\d+)-$/.exec(request.headers.range || '') || [])[1] || 0);
+    const headers = { 'Content-Length': body.length - offset };
+    if (offset) headers['Content-Range'] = `bytes ${offset}-${body.length - 1}/${body.length}`;
+    response.writeHead(offset ? 206 : 200, headers);
+
+    if (path.basename(pathname) !== SLOW_FILE) {
+      response.end(body.subarray(offset));
+      return;
+    }
+
+    log.active += 1;
+    log.maxActive = Math.max(log.maxActive, log.active);
+    let position = offset;
+    const finish = () => {
+      log.active -= 1;
+      clearInterval(interval);
+    };
+    const interval = setInterval(() => {
+      if (position >= body.length) {
+        finish();
+        response.end();
+        return;
+      }
+      response.write(body.subarray(position, position + CHUNK_SIZE));
+      position += CHUNK_SIZE;
+    }, 5);
+    response.on('close', () => {
+      if (!response.writableEnded) finish();
+    });
+  });
+
+  return { server, log };
+};
+
+/**
+ * io for createHlsDownload backed by node's http client and file system;
+ * a paused file keeps its ".part" file and continues with a Range request
+ */
+const createNodeIo = () => {
+  const get = (url, headers = {}) => new Promise((resolve, reject) => {
+    http.get(url, { headers }, resolve).on('error', reject);
+  });
+
+  return {
+    fetchText: async (url) => {
+      const response = await get(url);
+      const chunks = [];
+      for await (const chunk of response) chunks.push(chunk);
+      if (response.statusCode !== 200) throw new Error(`HTTP ${response.statusCode} for ${url}`);
+      return Buffer.concat(chunks).toString('utf8');
+    },
+    getSize: async (fileUri) => (fs.existsSync(fileUri) ? fs.statSync(fileUri).size : null),
+    makeDirectory: async (uri) => {
+      fs.mkdirSync(uri, { recursive: true });
+    },
+    writeText: async (fileUri, text) => {
+      fs.writeFileSync(fileUri, text);
+    },
+
+    download: (url, fileUri, onFraction) => {
+      const partUri = `${fileUri}.part`;
+      const offset = fs.existsSync(partUri) ? fs.statSync(partUri).size : 0;
+      let request = null;
+      let paused = false;
+
+      const promise = new Promise((resolve, reject) => {
+        request = http.get(url, { headers: offset ? { Range: `bytes=${offset}-` } : {} }, (response) => {
+          if (response.statusCode !== 200 && response.statusCode !== 206) {
+            response.resume();
+            reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+            return;
+          }
+          const total = offset + Number(response.headers['content-length']);
+          const output = fs.createWriteStream(partUri, { flags: offset ? 'a' : 'w' });
+          let written = offset;
+          response.on('data', (chunk) => {
+            output.write(chunk);
+            written += chunk.length;
+            onFraction(written / total);
+          });
+          response.on('end', () => output.end(() => {
+            fs.renameSync(partUri, fileUri);
+            resolve(fs.statSync(fileUri).size);
+          }));
+          response.on('aborted', () => output.end(() => (paused ? resolve(null) : reject(new Error('Aborted')))));
+        });
+        request.on('error', (error) => (paused ? null : reject(error)));
+      });
+
+      return {
+        promise,
+        pause: async () => {
+          paused = true;
+          request.destroy();
+          await promise.catch(() => null);
+        },
+      };
+    },
+  };
+};
+
+/**
+ * All files under a directory, relative to it
+ */
+const listFiles = (directory) => fs.readdirSync(directory, { recursive: true })
+  .filter((name) => fs.statSync(path.join(directory, name)).isFile())
+  .sort();
+
+describe('createHlsDownload', () => {
+  let server;
+  let log;
+  let baseUrl;
+  let directory;
+
+  beforeAll(async () => {
+    ({ server, log } = createFixtureServer());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    log.requests = [];
+    log.maxActive = 0;
+    directory = `${fs.mkdtempSync(path.join(os.tmpdir(), 'hls-download-'))}/`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createJob = (options = {}) => {
+    const progress = [];
+    const job = createHlsDownload({
+      source: `${baseUrl}/show/master.m3u8`,
+      variantUri: `${baseUrl}/show/video/720p.m3u8`,
+      directory,
+      io: createNodeIo(),
+      onProgress: (update) => {
+        progress.push(update);
+        options.onProgress?.(update, job);
+      },
+      ...options.job,
+    });
+    return { job, progress };
+  };
+
+  it('downloads the variant with its renditions and rewrites the playlists', async () => {
+    const { job, progress } = createJob();
+    const result = await job.start();
+
+    expect(result.uri).toBe(`${directory}master.m3u8`);
+    expect(listFiles(directory)).toEqual([
+      'audio-0/0.aac',
+      'audio-0/1.aac',
+      'audio-0/index.m3u8',
+      'master.m3u8',
+      'subtitles-1/0.vtt',
+      'subtitles-1/index.m3u8',
+      'video/0.mp4',
+      'video/1.bin',
+      'video/2.m4s',
+      'video/3.m4s',
+      'video/4.bin',
+      'video/5.m4s',
+      'video/index.m3u8',
+    ]);
+
+    expect(fs.readFileSync(`${directory}master.m3u8`, 'utf8')).toBe([
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,URI="audio-0/index.m3u8"',
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",DEFAULT=NO,AUTOSELECT=YES,URI="subtitles-1/index.m3u8"',
+      '#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2",AUDIO="aac",SUBTITLES="subs",CLOSED-CAPTIONS="cc"',
+      'video/index.m3u8',
+      '',
+    ].join('\n'));
+
+    expect(fs.readFileSync(`${directory}video/index.m3u8`, 'utf8')).toBe([
+      '#EXTM3U',
+      '#EXT-X-VERSION:6',
+      '#EXT-X-TARGETDURATION:4',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      '#EXT-X-MAP:URI="0.mp4"',
+      '#EXT-X-KEY:METHOD=AES-128,URI="1.bin",IV=0x00000000000000000000000000000001',
+      '#EXTINF:4.000,',
+      '2.m4s',
+      '#EXTINF:4.000,',
+      '3.m4s',
+      '#EXT-X-KEY:METHOD=AES-128,URI="4.bin",IV=0x00000000000000000000000000000002',
+      '#EXTINF:2.000,',
+      '5.m4s',
+      '#EXT-X-ENDLIST',
+      '',
+    ].join('\n'));
+
+    // Platform keys stay as they are
+    expect(fs.readFileSync(`${directory}audio-0/index.m3u8`, 'utf8'))
+      .toContain('#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://drm.example.com/audio"');
+
+    expect(fs.readFileSync(`${directory}video/1.bin`).equals(generatedBytes('/keys/key1.bin'))).toBe(true);
+    expect(fs.readFileSync(`${directory}video/3.m4s`).equals(generatedBytes(`/show/video/${SLOW_FILE}`))).toBe(true);
+    expect(fs.readFileSync(`${directory}subtitles-1/0.vtt`, 'utf8'))
+      .toBe(fs.readFileSync(path.join(FIXTURES, 'show/subs/en.vtt'), 'utf8'));
+
+    const bytes = listFiles(directory)
+      .filter((name) => !name.endsWith('.m3u8'))
+      .reduce((total, name) => total + fs.statSync(path.join(directory, name)).size, 0);
+    expect(result.bytes).toBe(bytes);
+    expect(progress[progress.length - 1]).toEqual({ progress: 1, bytes });
+    progress.slice(1).forEach((update, index) => {
+      expect(update.progress).toBeGreaterThanOrEqual(progress[index].progress);
+    });
+  });
+
+  it('pauses the file in flight and resumes it with a range request', async () => {
+    let pausing = null;
+    const { job } = createJob({
+      onProgress: ({ progress }, current) => {
+        // Part way through the slow file (the fourth of nine)
+        if (!pausing && progress > 3.2 / 9 && progress < 4 / 9) pausing = current.pause();
+      },
+    });
+
+    expect(await job.start()).toBeNull();
+    await pausing;
+    expect(fs.existsSync(`${directory}master.m3u8`)).toBe(false);
+    expect(fs.existsSync(`${directory}video/3.m4s`)).toBe(false);
+    const partSize = fs.statSync(`${directory}video/3.m4s.part`).size;
+    expect(partSize).toBeGreaterThan(0);
+    expect(partSize).toBeLessThan(SLOW_SIZE);
+
+    const requestsBefore = log.requests.length;
+    const result = await job.start();
+    expect(result.uri).toBe(`${directory}master.m3u8`);
+    expect(fs.readFileSync(`${directory}video/3.m4s`).equals(generatedBytes(`/show/video/${SLOW_FILE}`))).toBe(true);
+
+    const resumed = log.requests.slice(requestsBefore);
+    // Finished files are not fetched again, playlists are planned once
+    expect(resumed.map(({ pathname }) => pathname)).toEqual([
+      `/show/video/${SLOW_FILE}`,
+      '/keys/key2.bin',
+      '/show/video/720p-2.m4s',
+      '/show/audio/en-0.aac',
+      '/show/audio/en-1.aac',
+      '/show/subs/en.vtt',
+    ]);
+    expect(resumed[0].range).toBe(`bytes=${partSize}-`);
+  });
+
+  it('never runs two transfers when started again before a pause settles', async () => {
+    let restarted = null;
+    const { job } = createJob({
+      onProgress: ({ progress }, current) => {
+        if (!restarted && progress > 3.2 / 9 && progress < 4 / 9) {
+          current.pause();
+          restarted = current.start();
+        }
+      },
+    });
+
+    expect(await job.start()).toBeNull();
+    const result = await restarted;
+    expect(result.uri).toBe(`${directory}master.m3u8`);
+    expect(log.maxActive).toBe(1);
+    expect(fs.readFileSync(`${directory}video/3.m4s`).equals(generatedBytes(`/show/video/${SLOW_FILE}`))).toBe(true);
+    expect(listFiles(directory).filter((name) => name.endsWith('.part'))).toEqual([]);
+  });
+
+  it('picks up finished files left by an earlier job', async () => {
+    await createJob().job.start();
+    fs.rmSync(`${directory}master.m3u8`);
+    fs.rmSync(`${directory}audio-0/1.aac`);
+
+    log.requests = [];
+    const result = await createJob().job.start();
+    expect(result.uri).toBe(`${directory}master.m3u8`);
+    expect(log.requests.map(({ pathname }) => pathname)).toEqual([
+      '/show/master.m3u8',
+      '/show/video/720p.m3u8',
+      '/show/audio/en.m3u8',
+      '/show/subs/en.m3u8',
+      '/show/audio/en-1.aac',
+    ]);
+  });
+
+  it('refuses live playlists', async () => {
+    const { job } = createJob({ job: { source: `${baseUrl}/show/live.m3u8`, variantUri: null } });
+    await expect(job.start()).rejects.toThrow(ManifestError);
+  });
+});
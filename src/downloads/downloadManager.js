@@ -0,0 +1,338 @@
+/**
+ * Download Manager
+ *
+ * Persisted list of offline downloads and the jobs that fill them:
+ * - One entry per source and quality, with status, progress and size on disk
+ * - Pause, resume and delete (which also cancels a running download)
+ * - Downloads interrupted by closing the app come back paused
+ * - Files live under the app's document directory and are written with
+ *   expo-file-system resumable downloads
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { createHlsDownload } from './hlsDownloader';
+import { fetchText } from '../utils/http';
+
+const STORAGE_KEY = 'downloads:v1';
+const DOWNLOADS_DIRECTORY = `${FileSystem.documentDirectory}downloads/`;
+
+export const DOWNLOAD_STATUS = {
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+let entries = [];
+let loadPromise = null;
+const jobs = new Map();
+const subscribers = new Set();
+
+// ==================== File Access ====================
+
+// Resume data of paused transfers, by file URI
+const pausedTransfers = new Map();
+
+/**
+ * Size of a file
+ * @param {string} fileUri - File URI
+ * @returns {Promise<number|null>} Size in bytes, or null when missing
+ */
+const getSize = async (fileUri) => {
+  const info = await FileSystem.getInfoAsync(fileUri, { size: true });
+  return info.exists ? info.size : null;
+};
+
+/**
+ * Drop the resume data of paused transfers into a directory
+ * @param {string} directory - Directory URI, ending in "/"
+ */
+const forgetPausedTransfers = (directory) => {
+  [...pausedTransfers.keys()]
+    .filter((fileUri) => fileUri.startsWith(directory))
+    .forEach((fileUri) => pausedTransfers.delete(fileUri));
+};
+
+const fileSystemIo = {
+  fetchText,
+  getSize,
+  makeDirectory: (uri) => FileSystem.makeDirectoryAsync(uri, { intermediates: true }),
+  writeText: (fileUri, text) => FileSystem.writeAsStringAsync(fileUri, text),
+
+  /**
+   * Download a file through a ".part" file, so only finished files exist
+   * @param {string} url - File URL
+   * @param {string} fileUri - Destination
+   * @param {Function} onFraction - Called with the part written, from 0 to 1
+   * @returns {Object} { promise, pause }; the promise resolves with the size, or null when
+   *   paused once the resume data is kept
+   */
+  download: (url, fileUri, onFraction) => {
+    const partUri = `${fileUri}.part`;
+    const resumeData = pausedTransfers.get(fileUri);
+    pausedTransfers.delete(fileUri);
+    let pausing = null;
+    const resumable = FileSystem.createDownloadResumable(
+      url,
+      partUri,
+      {},
+      ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+        if (totalBytesExpectedToWrite > 0) onFraction(totalBytesWritten / totalBytesExpectedToWrite);
+      },
+      resumeData
+    );
+
+    const promise = (resumeData ? resumable.resumeAsync() : resumable.downloadAsync())
+      .then(async (result) => {
+        if (!result) {
+          await pausing;
+          return null;
+        }
+        if (result.status < 200 || result.status >= 300) {
+          throw new Error(`HTTP ${result.status} for ${url}`);
+        }
+        await FileSystem.moveAsync({ from: partUri, to: fileUri });
+        return getSize(fileUri);
+      });
+
+    return {
+      promise,
+      pause: () => {
+        pausing = resumable.pauseAsync().then(({ resumeData: data }) => {
+          if (data) pausedTransfers.set(fileUri, data);
+        });
+        return pausing;
+      },
+    };
+  },
+};
+
+// ==================== Persistence ====================
+
+/**
+ * Load entries from storage once; downloads cut short by closing the app
+ * come back paused
+ * @returns {Promise<void>}
+ */
+export const loadDownloads = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY)
+      .then((raw) => {
+        const stored = raw ? JSON.parse(raw) : [];
+        const startedIds = new Set(entries.map((entry) => entry.id));
+        entries = [
+          ...entries,
+          ...stored
+            .filter((entry) => !startedIds.has(entry.id))
+            .map((entry) => (entry.status === DOWNLOAD_STATUS.DOWNLOADING
+              ? { ...entry, status: DOWNLOAD_STATUS.PAUSED }
+              : entry)),
+        ];
+        notify();
+      })
+      .catch((error) => console.error('Error loading downloads:', error));
+  }
+  return loadPromise;
+};
+
+/**
+ * Persist entries
+ */
+const persist = async () => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Error saving downloads:', error);
+  }
+};
+
+/**
+ * Notify subscribers that entries changed
+ */
+const notify = () => {
+  subscribers.forEach((listener) => listener(entries));
+};
+
+/**
+ * Change one entry
+ * @param {string} id - Download ID
+ * @param {Object} changes - Fields to update
+ * @param {boolean} save - Whether to persist (progress updates are not saved)
+ */
+const updateEntry = (id, changes, save = true) => {
+  entries = entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+  notify();
+  if (save) persist();
+};
+
+// ==================== Jobs ====================
+
+/**
+ * Run (or continue) the job of an entry until it finishes, pauses or fails
+ * @param {Object} entry - Download entry
+ */
+const runJob = async (entry) => {
+  if (!jobs.has(entry.id)) {
+    jobs.set(entry.id, createHlsDownload({
+      source: entry.src,
+      variantUri: entry.variantUri,
+      directory: entry.directory,
+      io: fileSystemIo,
+      onProgress: ({ progress, bytes }) => {
+        // Whole percents are enough for the UI
+        const percent = Math.floor(progress * 100) / 100;
+        const current = entries.find((candidate) => candidate.id === entry.id);
+        if (current && current.progress !== percent) updateEntry(entry.id, { progress: percent, bytes }, false);
+      },
+    }));
+  }
+
+  updateEntry(entry.id, { status: DOWNLOAD_STATUS.DOWNLOADING, error: null });
+  try {
+    const result = await jobs.get(entry.id).start();
+    if (!result || !jobs.has(entry.id)) return;
+    jobs.delete(entry.id);
+    updateEntry(entry.id, {
+      status: DOWNLOAD_STATUS.COMPLETED,
+      progress: 1,
+      bytes: result.bytes,
+      uri: result.uri,
+      completedAt: Date.now(),
+    });
+  } catch (error) {
+    if (!jobs.has(entry.id)) return;
+    console.warn('Download failed:', error);
+    jobs.delete(entry.id);
+    updateEntry(entry.id, { status: DOWNLOAD_STATUS.FAILED, error: error.message });
+  }
+};
+
+// ==================== Actions ====================
+
+/**
+ * Download a source for offline playback; a source already downloaded in
+ * the same quality is reused (and resumed if it was stopped)
+ * @param {Object} options
+ * @param {string} options.src - Source URL
+ * @param {string} options.title - Title to list it under
+ * @param {string|null} options.poster - Poster URL
+ * @param {Object|null} options.variant - HLS variant to keep, null for the best
+ * @param {string} options.qualityLabel - e.g. "720p"
+ * @returns {Promise<Object>} Download entry
+ */
+export const startDownload = async ({ src, title, poster, variant, qualityLabel }) => {
+  await loadDownloads();
+  const variantUri = variant ? variant.uri : null;
+  const existing = entries.find((entry) => entry.src === src && entry.variantUri === variantUri);
+  if (existing) {
+    if (existing.status === DOWNLOAD_STATUS.PAUSED || existing.status === DOWNLOAD_STATUS.FAILED) {
+      runJob(existing);
+    }
+    return existing;
+  }
+
+  const id = `download-${Date.now()}`;
+  const entry = {
+    id,
+    src,
+    title: title || src,
+    poster: poster || null,
+    variantUri,
+    qualityLabel: qualityLabel || null,
+    directory: `${DOWNLOADS_DIRECTORY}${id}/`,
+    status: DOWNLOAD_STATUS.DOWNLOADING,
+    progress: 0,
+    bytes: 0,
+    uri: null,
+    error: null,
+    createdAt: Date.now(),
+    completedAt: null,
+  };
+  entries = [entry, ...entries];
+  notify();
+  runJob(entry);
+  return entry;
+};
+
+/**
+ * Pause a running download
+ * @param {string} id - Download ID
+ */
+export const pauseDownload = async (id) => {
+  const job = jobs.get(id);
+  if (!job) return;
+  updateEntry(id, { status: DOWNLOAD_STATUS.PAUSED });
+  try {
+    await job.pause();
+  } catch (error) {
+    console.warn('Error pausing download:', error);
+  }
+};
+
+/**
+ * Resume a paused or failed download
+ * @param {string} id - Download ID
+ */
+export const resumeDownload = async (id) => {
+  await loadDownloads();
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (entry && entry.status !== DOWNLOAD_STATUS.DOWNLOADING && entry.status !== DOWNLOAD_STATUS.COMPLETED) {
+    runJob(entry);
+  }
+};
+
+/**
+ * Delete a download and its files, cancelling it if it is running
+ * @param {string} id - Download ID
+ */
+export const deleteDownload = async (id) => {
+  await loadDownloads();
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) return;
+
+  const job = jobs.get(id);
+  jobs.delete(id);
+  entries = entries.filter((candidate) => candidate.id !== id);
+  notify();
+  await persist();
+
+  try {
+    if (job) await job.pause();
+  } catch (error) {
+    console.warn('Error stopping download:', error);
+  }
+  // Resume data would otherwise outlive the files
+  forgetPausedTransfers(entry.directory);
+
+  try {
+    await FileSystem.deleteAsync(entry.directory, { idempotent: true });
+  } catch (error) {
+    console.warn('Error deleting download files:', error);
+  }
+};
+
+// ==================== Queries ====================
+
+/**
+ * Get all downloads, newest first
+ * @returns {Object[]} Download entries
+ */
+export const getDownloads = () => entries;
+
+/**
+ * Find the download of a source
+ * @param {string} src - Source URL
+ * @returns {Object|null} The most recent download entry for the source
+ */
+export const getDownloadForSource = (src) => entries.find((entry) => entry.src === src) || null;
+
+/**
+ * Subscribe to download changes
+ * @param {Function} listener - Called with the entries
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeDownloads = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
@@ -0,0 +1,158 @@
+/**
+ * HLS Downloader
+ *
+ * One download job: reads the source's playlists, fetches every file into
+ * a directory and writes the rewritten playlists last:
+ * - HLS sources keep one variant with its audio and subtitle renditions;
+ *   other sources (e.g. MP4) are a single file
+ * - Files already on disk are skipped, so a job picks up where it stopped,
+ *   even after the app was closed
+ * - Pausing stops the file in flight; starting again continues from it
+ *   once the paused start has stopped
+ * File and network access go through the io object, so a job can run
+ * against any HTTP server and file system.
+ */
+
+import { isMasterPlaylist, parseMasterPlaylist } from '../player/hlsManifest';
+import {
+  MASTER_PLAYLIST_NAME,
+  getDownloadRenditions,
+  planMediaPlaylist,
+  buildOfflineMasterPlaylist,
+} from './offlinePlaylist';
+
+const HLS_PATTERN = /\.m3u8(\?|#|$)/i;
+const EXTENSION_PATTERN = /\.([a-z0-9]{1,5})$/i;
+
+/**
+ * Plan a download
+ * @param {Object} io - See createHlsDownload
+ * @param {string} source - Source URL
+ * @param {string|null} variantUri - Variant playlist to keep, null for the best
+ * @returns {Promise<Object>} { uri, directories, files, playlists } with paths
+ *   relative to the download directory
+ */
+const planDownload = async (io, source, variantUri) => {
+  if (!HLS_PATTERN.test(source)) {
+    const match = source.split(/[?#]/)[0].match(EXTENSION_PATTERN);
+    const path = `video.${match ? match[1].toLowerCase() : 'mp4'}`;
+    return { uri: path, directories: [], files: [{ url: source, path }], playlists: [] };
+  }
+
+  const text = await io.fetchText(source);
+  const manifest = isMasterPlaylist(text) ? parseMasterPlaylist(text, source) : null;
+  const variant = manifest?.variants.find((candidate) => candidate.uri === variantUri) || null;
+  const renditions = await Promise.all(
+    getDownloadRenditions(manifest, variant, source).map(async (rendition) => ({
+      ...rendition,
+      ...planMediaPlaylist(
+        rendition.uri === source ? text : await io.fetchText(rendition.uri),
+        rendition.uri,
+        rendition.directory
+      ),
+    }))
+  );
+
+  const playlists = renditions.map(({ playlistPath, playlist }) => ({ path: playlistPath, text: playlist }));
+  if (manifest) {
+    playlists.push({ path: MASTER_PLAYLIST_NAME, text: buildOfflineMasterPlaylist(manifest, renditions) });
+  }
+
+  return {
+    uri: manifest ? MASTER_PLAYLIST_NAME : renditions[0].playlistPath,
+    directories: renditions.map((rendition) => rendition.directory),
+    files: renditions.flatMap((rendition) => rendition.files),
+    playlists,
+  };
+};
+
+/**
+ * Create a download job
+ * @param {Object} options
+ * @param {string} options.source - Source URL
+ * @param {string|null} options.variantUri - Variant playlist to keep, null for the best
+ * @param {string} options.directory - Directory to download into, ending in "/"
+ * @param {Object} options.io - { fetchText(url), download(url, fileUri, onFraction) -> { promise, pause },
+ *   getSize(fileUri) -> size or null, makeDirectory(uri), writeText(fileUri, text) } where the
+ *   download promise resolves with the file size, or null when paused (after pause has kept
+ *   whatever it needs to resume)
+ * @param {Function} options.onProgress - Called with { progress, bytes }, progress from 0 to 1
+ * @returns {Object} { start, pause }
+ */
+export const createHlsDownload = ({ source, variantUri, directory, io, onProgress }) => {
+  let plan = null;
+  const runs = new Set(); // { paused, transfer } of each start still running
+  let lastRun = Promise.resolve(); // Settles once the latest start stops
+
+  /**
+   * Download whatever is missing
+   * @param {Object} run - { paused, transfer } of this start
+   * @returns {Promise<Object|null>} { uri, bytes } when finished, null when paused
+   */
+  const download = async (run) => {
+    if (!plan) {
+      plan = await planDownload(io, source, variantUri);
+      await io.makeDirectory(directory);
+      await Promise.all(plan.directories.map((path) => io.makeDirectory(`${directory}${path}`)));
+    }
+
+    const total = plan.files.length;
+    let completed = 0;
+    let bytes = 0;
+    for (const file of plan.files) {
+      if (run.paused) return null;
+
+      const fileUri = `${directory}${file.path}`;
+      let size = await io.getSize(fileUri);
+      if (size === null) {
+        if (run.paused) return null;
+        run.transfer = io.download(file.url, fileUri, (fraction) => {
+          onProgress({ progress: (completed + fraction) / total, bytes });
+        });
+        size = await run.transfer.promise;
+        run.transfer = null;
+        if (size === null) return null;
+      }
+
+      completed += 1;
+      bytes += size;
+      onProgress({ progress: completed / total, bytes });
+    }
+
+    // Playlists go last, so an unfinished download never looks playable
+    await Promise.all(plan.playlists.map(({ path, text }) => io.writeText(`${directory}${path}`, text)));
+    return { uri: `${directory}${plan.uri}`, bytes };
+  };
+
+  return {
+    /**
+     * Download whatever is missing, once any earlier start has stopped, so
+     * two starts never write the same file
+     * @returns {Promise<Object|null>} { uri, bytes } when finished, null when paused
+     */
+    start: () => {
+      const run = { paused: false, transfer: null };
+      runs.add(run);
+      const promise = lastRun
+        .then(() => (run.paused ? null : download(run)))
+        .catch((error) => {
+          // A paused start ends quietly, whatever its transfer reported
+          if (run.paused) return null;
+          throw error;
+        })
+        .finally(() => runs.delete(run));
+      lastRun = promise.catch(() => null);
+      return promise;
+    },
+
+    /**
+     * Stop after pausing the file in flight
+     */
+    pause: async () => {
+      await Promise.all([...runs].map((run) => {
+        run.paused = true;
+        return run.transfer ? run.transfer.pause() : null;
+      }));
+    },
+  };
+};
@@ -0,0 +1,135 @@
+/**
+ * Offline Playlists
+ *
+ * Plans an HLS download and rewrites its playlists to point at local files:
+ * - The chosen variant plus the audio and subtitle renditions it refers to
+ * - Segments, #EXT-X-MAP init sections and #EXT-X-KEY keys of each media
+ *   playlist, each fetched once (byte-range segments share a file)
+ * - A local master playlist that only offers the downloaded renditions
+ *   (a single media playlist is played directly)
+ * Everything is plain text in and out, so plans can be checked against
+ * playlists served from any HTTP server.
+ */
+
+import { ManifestError, getPlaylistLines, parseAttributeList } from '../player/hlsManifest';
+import { resolveUrl } from '../utils/url';
+
+// Constants
+export const MASTER_PLAYLIST_NAME = 'master.m3u8';
+const MEDIA_PLAYLIST_NAME = 'index.m3u8';
+const URI_TAGS = ['#EXT-X-KEY:', '#EXT-X-MAP:'];
+// Keys handled by the platform (FairPlay, inline data) are left alone
+const LOCAL_SCHEME_PATTERN = /^(skd|data):/i;
+const EXTENSION_PATTERN = /\.([a-z0-9]{1,5})$/i;
+
+/**
+ * File extension for a downloaded resource, so players can tell its type
+ * @param {string} url - Resource URL
+ * @param {string} fallback - Extension to use when the URL has none
+ * @returns {string} Extension with the dot
+ */
+const getExtension = (url, fallback) => {
+  const match = url.split(/[?#]/)[0].match(EXTENSION_PATTERN);
+  return `.${match ? match[1].toLowerCase() : fallback}`;
+};
+
+/**
+ * Pick the media playlists to download for a variant
+ * @param {Object|null} manifest - Parsed master playlist, or null for a single media playlist
+ * @param {Object|null} variant - Variant to keep (the best one when null)
+ * @param {string} source - Source URL
+ * @returns {Object[]} Renditions { directory, uri, rendition, variant }, the variant
+ *   first (with rendition null) followed by its #EXT-X-MEDIA renditions
+ */
+export const getDownloadRenditions = (manifest, variant, source) => {
+  if (!manifest) return [{ directory: 'video', uri: source, rendition: null }];
+
+  const chosen = variant || [...manifest.variants].sort((a, b) => b.bandwidth - a.bandwidth)[0];
+  const renditions = manifest.media.filter((rendition) => rendition.uri && (
+    (rendition.type === 'AUDIO' && rendition.groupId === chosen.audioGroup) ||
+    (rendition.type === 'SUBTITLES' && rendition.groupId === chosen.subtitlesGroup)
+  ));
+
+  return [
+    { directory: 'video', uri: chosen.uri, rendition: null, variant: chosen },
+    ...renditions.map((rendition, index) => ({
+      directory: `${rendition.type.toLowerCase()}-${index}`,
+      uri: rendition.uri,
+      rendition,
+    })),
+  ];
+};
+
+/**
+ * Plan the download of one media playlist
+ * @param {string} text - Media playlist text
+ * @param {string} playlistUrl - URL the playlist was loaded from
+ * @param {string} directory - Directory of the playlist, relative to the download
+ * @returns {Object} { playlistPath, playlist, files } where playlist is the rewritten
+ *   text and files are { url, path } with paths relative to the download
+ * @throws {ManifestError} When the playlist is live or not an HLS playlist
+ */
+export const planMediaPlaylist = (text, playlistUrl, directory) => {
+  const lines = getPlaylistLines(text);
+  if (!lines.includes('#EXT-X-ENDLIST')) {
+    throw new ManifestError('Live streams cannot be downloaded.');
+  }
+
+  const files = [];
+  const names = new Map();
+
+  /**
+   * Local name of a resource, adding it to the files on first use
+   * @param {string} uri - URI as written in the playlist
+   * @param {string} fallbackExtension - Extension when the URL has none
+   * @returns {string} File name relative to the playlist
+   */
+  const localName = (uri, fallbackExtension) => {
+    const url = resolveUrl(uri, playlistUrl);
+    if (!names.has(url)) {
+      const name = `${names.size}${getExtension(url, fallbackExtension)}`;
+      names.set(url, name);
+      files.push({ url, path: `${directory}/${name}` });
+    }
+    return names.get(url);
+  };
+
+  const rewritten = lines.map((line) => {
+    if (!line.startsWith('#')) return localName(line, 'ts');
+
+    const tag = URI_TAGS.find((prefix) => line.startsWith(prefix));
+    if (!tag) return line;
+    const { URI: uri } = parseAttributeList(line.slice(tag.length));
+    if (!uri || LOCAL_SCHEME_PATTERN.test(uri)) return line;
+    return line.replace(/URI="[^"]*"/, `URI="${localName(uri, tag === '#EXT-X-KEY:' ? 'key' : 'mp4')}"`);
+  });
+
+  return {
+    playlistPath: `${directory}/${MEDIA_PLAYLIST_NAME}`,
+    playlist: [...rewritten, ''].join('\n'),
+    files,
+  };
+};
+
+/**
+ * Build the local master playlist for downloaded renditions
+ * @param {Object} manifest - Parsed master playlist
+ * @param {Object[]} renditions - From getDownloadRenditions, each with its playlistPath
+ * @returns {string} Playlist text
+ */
+export const buildOfflineMasterPlaylist = (manifest, renditions) => {
+  const [main, ...media] = renditions;
+  // In-stream captions have no playlist but the variant still names their group
+  const captions = manifest.media.filter((rendition) => (
+    rendition.type === 'CLOSED-CAPTIONS' && rendition.groupId === main.variant.closedCaptionsGroup
+  ));
+
+  return [
+    '#EXTM3U',
+    ...media.map(({ rendition, playlistPath }) => rendition.line.replace(/URI="[^"]*"/, `URI="${playlistPath}"`)),
+    ...captions.map((rendition) => rendition.line),
+    main.variant.line,
+    main.playlistPath,
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,73 @@
+import { act, renderHook } from '@testing-library/react-native';
+import usePlaybackRecovery from '../usePlaybackRecovery';
+import { createFakePlayer } from '../../testUtils/createFakePlayer';
+
+jest.mock('@react-native-community/netinfo', () => require('@react-native-community/netinfo/jest/netinfo-mock.js'));
+
+const SOURCE = 'https://media.example.com/show/master.m3u8';
+
+/**
+ * Play on for a while, with a timeUpdate every 250 ms like the player
+ */
+const playFor = (player, milliseconds) => {
+  for (let elapsed = 0; elapsed < milliseconds; elapsed += 250) {
+    act(() => {
+      player.currentTime += 0.25;
+      player.emit('timeUpdate', { currentTime: player.currentTime });
+      jest.advanceTimersByTime(250);
+    });
+  }
+};
+
+describe('usePlaybackRecovery stall detection', () => {
+  let player;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    player = createFakePlayer({ status: 'readyToPlay', playing: true, currentTime: 5, duration: 600 });
+    player.replaceAsync = jest.fn(async () => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('reports a stall when playback makes no progress for 10 seconds, even without events', () => {
+    const { result } = renderHook(() => usePlaybackRecovery({ player, source: SOURCE }));
+    playFor(player, 1000);
+
+    act(() => jest.advanceTimersByTime(9500));
+    expect(result.current.isRecovering).toBe(false);
+
+    act(() => jest.advanceTimersByTime(1000));
+    expect(result.current.isRecovering).toBe(true);
+    expect(result.current.playbackError).toBeNull();
+
+    act(() => jest.runOnlyPendingTimers());
+    expect(player.replaceAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a single stall timer while playback progresses', () => {
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    const { result } = renderHook(() => usePlaybackRecovery({ player, source: SOURCE }));
+    const armedBefore = setTimeoutSpy.mock.calls.length;
+
+    playFor(player, 30000);
+    expect(result.current.isRecovering).toBe(false);
+    // Re-armed about once per stall timeout, not on every timeUpdate
+    expect(setTimeoutSpy.mock.calls.length - armedBefore).toBeLessThanOrEqual(4);
+    setTimeoutSpy.mockRestore();
+  });
+
+  it('does not report a stall while paused', () => {
+    const { result } = renderHook(() => usePlaybackRecovery({ player, source: SOURCE }));
+    act(() => {
+      player.playing = false;
+      player.emit('playingChange', { isPlaying: false });
+    });
+
+    act(() => jest.advanceTimersByTime(60000));
+    expect(result.current.isRecovering).toBe(false);
+    expect(player.replaceAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { act, render, screen } from '@testing-library/react-native';
+import usePlayerState from '../usePlayerState';
+import {
+  INITIAL_PLAYER_STATE,
+  selectCurrentTime,
+  selectIsPlaying,
+} from '../../player/playerStateStore';
+import { createFakePlayer } from '../../testUtils/createFakePlayer';
+
+/**
+ * Render a selected slice and count the renders
+ */
+const Slice = ({ player, selector, testID, renders }) => {
+  const value = usePlayerState(player, selector);
+  renders[testID] = (renders[testID] || 0) + 1;
+  return <Text testID={testID}>{String(value)}</Text>;
+};
+
+const renderSlices = (player) => {
+  const renders = {};
+  const view = render(
+    <>
+      <Slice player={player} selector={selectIsPlaying} testID="playing" renders={renders} />
+      <Slice player={player} selector={selectCurrentTime} testID="time" renders={renders} />
+    </>
+  );
+  return { renders, view };
+};
+
+describe('usePlayerState', () => {
+  it('returns the selected slice', () => {
+    const player = createFakePlayer({ playing: true, currentTime: 7 });
+    renderSlices(player);
+    expect(screen.getByTestId('playing')).toHaveTextContent('true');
+    expect(screen.getByTestId('time')).toHaveTextContent('7');
+  });
+
+  it('re-renders a component only when its slice changes', () => {
+    const player = createFakePlayer();
+    const { renders } = renderSlices(player);
+    const initial = { ...renders };
+
+    act(() => player.emit('timeUpdate', { currentTime: 1 }));
+    act(() => player.emit('timeUpdate', { currentTime: 2 }));
+    expect(screen.getByTestId('time')).toHaveTextContent('2');
+    expect(renders.time).toBe(initial.time + 2);
+    expect(renders.playing).toBe(initial.playing);
+
+    act(() => player.emit('playingChange', { isPlaying: true }));
+    expect(screen.getByTestId('playing')).toHaveTextContent('true');
+    expect(renders.playing).toBe(initial.playing + 1);
+    expect(renders.time).toBe(initial.time + 2);
+
+    act(() => player.emit('statusChange', { status: 'loading' }));
+    expect(renders.playing).toBe(initial.playing + 1);
+    expect(renders.time).toBe(initial.time + 2);
+  });
+
+  it('detaches from the player when the last component unmounts', () => {
+    const player = createFakePlayer();
+    const { view } = renderSlices(player);
+    expect(player.listenerCount('timeUpdate')).toBe(1);
+
+    view.unmount();
+    expect(player.listenerCount('timeUpdate')).toBe(0);
+  });
+
+  it('reads the initial state without a player', () => {
+    const renders = {};
+    render(<Slice player={null} selector={selectCurrentTime} testID="time" renders={renders} />);
+    expect(screen.getByTestId('time')).toHaveTextContent(String(INITIAL_PLAYER_STATE.currentTime));
+  });
+});
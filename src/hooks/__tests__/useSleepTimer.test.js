@@ -0,0 +1,78 @@
+import { act, renderHook } from '@testing-library/react-native';
+import useSleepTimer from '../useSleepTimer';
+import { SLEEP_FADE_DURATION } from '../../player/sleepTimer';
+import { createFakePlayer } from '../../testUtils/createFakePlayer';
+
+/**
+ * Render the hook with a volume handler that writes to the player, like the screen's
+ */
+const renderSleepTimer = (player) => {
+  const onVolumeChange = jest.fn((level) => {
+    player.volume = level;
+  });
+  const view = renderHook(() => useSleepTimer({ player, onVolumeChange }));
+  return { ...view, onVolumeChange };
+};
+
+/**
+ * Start the 5 minute timer and run it half way into the fade
+ */
+const runIntoFade = (result) => {
+  act(() => result.current.changeSleepTimer('5'));
+  act(() => {
+    jest.advanceTimersByTime(5 * 60000 - SLEEP_FADE_DURATION / 2);
+  });
+};
+
+describe('useSleepTimer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('fades the volume out, pauses and restores the volume', () => {
+    const player = createFakePlayer({ playing: true, volume: 0.8 });
+    const { result } = renderSleepTimer(player);
+
+    runIntoFade(result);
+    expect(player.volume).toBeLessThan(0.8);
+
+    act(() => {
+      jest.advanceTimersByTime(SLEEP_FADE_DURATION);
+    });
+    expect(player.playing).toBe(false);
+    expect(player.volume).toBe(0.8);
+    expect(result.current.sleepTimer).toBeNull();
+  });
+
+  it('restores the volume on the player itself when unmounted mid-fade', () => {
+    const player = createFakePlayer({ playing: true, volume: 0.8 });
+    const { result, unmount, onVolumeChange } = renderSleepTimer(player);
+    runIntoFade(result);
+    onVolumeChange.mockClear();
+
+    unmount();
+
+    expect(onVolumeChange).not.toHaveBeenCalled();
+    expect(player.volume).toBe(0.8);
+  });
+
+  it('unmounts quietly when the player is already released', () => {
+    const player = createFakePlayer({ playing: true, volume: 0.8 });
+    const { result, unmount } = renderSleepTimer(player);
+    runIntoFade(result);
+    Object.defineProperty(player, 'volume', {
+      set: () => {
+        throw new Error('Player has been released');
+      },
+    });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(() => unmount()).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
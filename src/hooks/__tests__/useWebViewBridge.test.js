@@ -0,0 +1,55 @@
+import { act, renderHook } from '@testing-library/react-native';
+import useWebViewBridge from '../useWebViewBridge';
+import { emitBridgeEvent } from '../../bridge/bridgeEvents';
+import { BRIDGE_EVENTS } from '../../bridge/protocol';
+
+const renderBridge = () => {
+  const webViewRef = { current: { injectJavaScript: jest.fn() } };
+  const { result, unmount } = renderHook(() => useWebViewBridge(webViewRef, {}));
+  return { webViewRef, result, unmount };
+};
+
+const reply = { text: 'See you at 6', notificationData: { screen: 'Video' } };
+
+describe('useWebViewBridge events', () => {
+  it('pushes events into an allowlisted page', () => {
+    const { webViewRef, result } = renderBridge();
+    act(() => result.current.trackPageUrl('https://docs.expo.dev/'));
+
+    emitBridgeEvent(BRIDGE_EVENTS.NOTIFICATION_REPLIED, reply);
+
+    expect(webViewRef.current.injectJavaScript).toHaveBeenCalledTimes(1);
+    expect(webViewRef.current.injectJavaScript.mock.calls[0][0]).toContain('See you at 6');
+  });
+
+  it('drops events while the page is off the allowlist', () => {
+    const { webViewRef, result } = renderBridge();
+    act(() => result.current.trackPageUrl('https://evil.example/'));
+
+    emitBridgeEvent(BRIDGE_EVENTS.NOTIFICATION_REPLIED, reply);
+    emitBridgeEvent(BRIDGE_EVENTS.NOTIFICATION_TAPPED, { screen: 'Video' });
+
+    expect(webViewRef.current.injectJavaScript).not.toHaveBeenCalled();
+  });
+
+  it('drops events before the first page and after leaving the allowlist', () => {
+    const { webViewRef, result } = renderBridge();
+    emitBridgeEvent(BRIDGE_EVENTS.VIDEO_FINISHED, {});
+
+    act(() => result.current.trackPageUrl('https://expo.dev/'));
+    act(() => result.current.trackPageUrl('http://expo.dev.evil.example/'));
+    emitBridgeEvent(BRIDGE_EVENTS.VIDEO_FINISHED, {});
+
+    expect(webViewRef.current.injectJavaScript).not.toHaveBeenCalled();
+  });
+
+  it('stops forwarding events after unmount', () => {
+    const { webViewRef, result, unmount } = renderBridge();
+    act(() => result.current.trackPageUrl('https://expo.dev/'));
+    unmount();
+
+    emitBridgeEvent(BRIDGE_EVENTS.VIDEO_FINISHED, {});
+
+    expect(webViewRef.current.injectJavaScript).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * useAbLoop Hook
+ *
+ * A-B loop for the player: the markers set from the controls, and the
+ * jump back to A whenever playback reaches B. A new source clears them.
+ */
+
+import React, { useState } from 'react';
+import { NO_LOOP, advanceLoop, hasReachedLoopEnd, isLooping } from '../player/abLoop';
+import { getPlayerState, getPlayerStateStore } from '../player/playerStateStore';
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {string} options.source - Source URL
+ * @returns {Object} { loop, pressLoop } where loop is { a, b } in seconds
+ */
+export default function useAbLoop({ player, source }) {
+  const [loop, setLoop] = useState(NO_LOOP);
+
+  /**
+   * Markers belong to one video
+   */
+  React.useEffect(() => {
+    setLoop(NO_LOOP);
+  }, [source]);
+
+  /**
+   * Jump back to A when playback reaches B
+   */
+  React.useEffect(() => {
+    if (!player || !isLooping(loop)) return;
+    const store = getPlayerStateStore(player);
+    let previousTime = store.getState().currentTime;
+
+    return store.subscribe(({ currentTime }) => {
+      if (hasReachedLoopEnd(loop, previousTime, currentTime)) {
+        player.currentTime = loop.a;
+        previousTime = loop.a;
+        return;
+      }
+      previousTime = currentTime;
+    });
+  }, [player, loop]);
+
+  /**
+   * Set A, then B, then clear the loop, at the current position
+   */
+  const pressLoop = () => {
+    if (!player) return;
+    const { currentTime, duration } = getPlayerState(player);
+    setLoop((current) => advanceLoop(current, currentTime, duration));
+  };
+
+  return { loop, pressLoop };
+}
@@ -0,0 +1,62 @@
+/**
+ * useBackgroundPlayback Hook
+ *
+ * Background and lock screen behaviour of the player:
+ * - Opt-in "keep playing in background", remembered across launches
+ * - Now playing details (title, artwork, duration) on the lock screen and
+ *   in the media notification, whose play/pause and skip buttons are
+ *   applied to the player by expo-video's media session
+ * - Re-reads the player state on return to the app, since playback may
+ *   have been paused or moved from outside it
+ */
+
+import React, { useState } from 'react';
+import { AppState } from 'react-native';
+import { loadBackgroundPlayback, saveBackgroundPlayback } from '../player/backgroundPlayback';
+import { refreshPlayerState } from '../player/playerStateStore';
+
+/**
+ * @param {Object} player - expo-video player
+ * @returns {Object} { keepPlaying, changeKeepPlaying }
+ */
+export default function useBackgroundPlayback(player) {
+  const [keepPlaying, setKeepPlaying] = useState(false);
+
+  /**
+   * Load the remembered choice
+   */
+  React.useEffect(() => {
+    loadBackgroundPlayback().then(setKeepPlaying);
+  }, []);
+
+  /**
+   * Apply the choice and publish now playing details
+   */
+  React.useEffect(() => {
+    if (!player) return;
+    player.staysActiveInBackground = keepPlaying;
+    player.showNowPlayingNotification = true;
+  }, [player, keepPlaying]);
+
+  /**
+   * Catch up with anything that happened while the app was away
+   */
+  React.useEffect(() => {
+    if (!player) return;
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') refreshPlayerState(player);
+    });
+    return () => subscription.remove();
+  }, [player]);
+
+  /**
+   * Choose and remember whether to keep playing in the background
+   * @param {boolean} enabled - Whether to keep playing
+   */
+  const changeKeepPlaying = (enabled) => {
+    setKeepPlaying(enabled);
+    saveBackgroundPlayback(enabled);
+  };
+
+  return { keepPlaying, changeKeepPlaying };
+}
@@ -0,0 +1,40 @@
+/**
+ * useChapters Hook
+ *
+ * Loads the chapter list of a source from its chapters WebVTT file or
+ * from the date ranges of its HLS playlist.
+ */
+
+import React, { useState } from 'react';
+import { loadChapters } from '../player/chapters';
+
+/**
+ * @param {Object} options
+ * @param {string} options.source - Source URL
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @param {string|null} options.chaptersUrl - Chapters WebVTT file
+ * @returns {Object[]} Chapters { start, end, title }
+ */
+export default function useChapters({ source, manifest, chaptersUrl }) {
+  const [chapters, setChapters] = useState([]);
+
+  /**
+   * Reload chapters whenever the source or its manifest changes
+   */
+  React.useEffect(() => {
+    setChapters([]);
+
+    let cancelled = false;
+    loadChapters({ source, manifest, chaptersUrl })
+      .then((loaded) => {
+        if (!cancelled) setChapters(loaded);
+      })
+      .catch((error) => console.warn('Unable to load chapters:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, manifest, chaptersUrl]);
+
+  return chapters;
+}
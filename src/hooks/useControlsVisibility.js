@@ -0,0 +1,78 @@
+/**
+ * useControlsVisibility Hook
+ *
+ * Shows and hides the player controls with a fade:
+ * - Shown on tap, focus or any interaction with the controls
+ * - Hidden after a few seconds without interaction while playing
+ * - Kept shown while paused or pinned (scrubbing, menus open)
+ */
+
+import React, { useState, useRef } from 'react';
+import { Animated } from 'react-native';
+
+// Constants
+const CONTROLS_HIDE_DELAY = 3000; // milliseconds
+const CONTROLS_FADE_DURATION = 200; // milliseconds
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.isPlaying - Whether the video is playing
+ * @param {boolean} options.isPinned - Whether the controls must stay shown
+ * @returns {Object} { visible, opacity, show, hide, toggle }
+ */
+export default function useControlsVisibility({ isPlaying, isPinned }) {
+  const [visible, setVisible] = useState(true);
+  const [interactionCount, setInteractionCount] = useState(0);
+  const opacity = useRef(new Animated.Value(1)).current;
+
+  /**
+   * Fade to the new visibility
+   */
+  React.useEffect(() => {
+    Animated.timing(opacity, {
+      toValue: visible ? 1 : 0,
+      duration: CONTROLS_FADE_DURATION,
+      useNativeDriver: true,
+    }).start();
+  }, [opacity, visible]);
+
+  /**
+   * Show the controls whenever they are pinned or playback stops
+   */
+  React.useEffect(() => {
+    if (isPinned || !isPlaying) setVisible(true);
+  }, [isPinned, isPlaying]);
+
+  /**
+   * Hide after a period without interaction while playing
+   */
+  React.useEffect(() => {
+    if (!visible || isPinned || !isPlaying) return;
+    const timeout = setTimeout(() => setVisible(false), CONTROLS_HIDE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [visible, isPinned, isPlaying, interactionCount]);
+
+  /**
+   * Show the controls and restart the hide timer
+   */
+  const show = () => {
+    setVisible(true);
+    setInteractionCount((count) => count + 1);
+  };
+
+  /**
+   * Hide the controls, unless they are pinned
+   */
+  const hide = () => {
+    if (isPinned || !isPlaying) return;
+    setVisible(false);
+  };
+
+  return {
+    visible,
+    opacity,
+    show,
+    hide,
+    toggle: () => (visible ? hide() : show()),
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * useDownloads Hook
+ *
+ * Subscribes a component to the offline downloads.
+ */
+
+import React, { useState } from 'react';
+import { getDownloads, loadDownloads, subscribeDownloads } from '../downloads/downloadManager';
+
+/**
+ * @returns {Object[]} Download entries, newest first
+ */
+export default function useDownloads() {
+  const [downloads, setDownloads] = useState(getDownloads());
+
+  /**
+   * Load persisted downloads and follow later changes
+   */
+  React.useEffect(() => {
+    loadDownloads();
+    setDownloads(getDownloads());
+    return subscribeDownloads(setDownloads);
+  }, []);
+
+  return downloads;
+}
@@ -0,0 +1,41 @@
+/**
+ * useHlsManifest Hook
+ *
+ * Fetches and parses the master playlist of an HLS source. Sources that
+ * are not master playlists (MP4, single media playlists) yield null.
+ */
+
+import React, { useState } from 'react';
+import { isMasterPlaylist, parseMasterPlaylist } from '../player/hlsManifest';
+import { fetchText } from '../utils/http';
+
+/**
+ * @param {string} source - Source URL
+ * @returns {Object|null} Parsed master playlist, see parseMasterPlaylist
+ */
+export default function useHlsManifest(source) {
+  const [manifest, setManifest] = useState(null);
+
+  /**
+   * Load the manifest whenever the source changes
+   */
+  React.useEffect(() => {
+    setManifest(null);
+    if (!/\.m3u8(\?|#|$)/i.test(source || '')) return;
+
+    let cancelled = false;
+    fetchText(source)
+      .then((text) => {
+        if (!cancelled && isMasterPlaylist(text)) {
+          setManifest(parseMasterPlaylist(text, source));
+        }
+      })
+      .catch((error) => console.warn('Unable to load HLS manifest:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  return manifest;
+}
@@ -0,0 +1,101 @@
+/**
+ * useLiveStream Hook
+ *
+ * Works out whether the current source is live and how to follow it:
+ * - Live when its media playlist has no #EXT-X-ENDLIST, the player reports
+ *   a live stream, or the duration is infinite or keeps growing
+ * - Go live seeks to the live edge of the seekable window
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import usePlayerState from './usePlayerState';
+import {
+  NOT_LIVE,
+  loadLiveInfo,
+  getFallbackLiveInfo,
+  getSeekableRange,
+} from '../player/liveStream';
+import {
+  selectIsLive,
+  selectDuration,
+  getPlayerState,
+  refreshPlayerState,
+} from '../player/playerStateStore';
+
+// Constants
+const DURATION_GROWTH_THRESHOLD = 1; // seconds
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {string} options.source - Source URL
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @returns {Object} { live, goLive } where live is { isLive, isEvent, windowDuration, holdBack }
+ */
+export default function useLiveStream({ player, source, manifest }) {
+  const [playlistLive, setPlaylistLive] = useState(NOT_LIVE);
+  const [firstDuration, setFirstDuration] = useState(0);
+  const [isGrowing, setIsGrowing] = useState(false);
+  const playerIsLive = usePlayerState(player, selectIsLive);
+  const duration = usePlayerState(player, selectDuration);
+
+  /**
+   * Read the playlist whenever the source or its manifest changes
+   */
+  React.useEffect(() => {
+    setPlaylistLive(NOT_LIVE);
+
+    let cancelled = false;
+    loadLiveInfo({ source, manifest })
+      .then((loaded) => {
+        if (!cancelled) setPlaylistLive(loaded);
+      })
+      .catch((error) => console.warn('Unable to read live playlist:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, manifest]);
+
+  /**
+   * Start duration tracking over whenever a source loads
+   */
+  React.useEffect(() => {
+    if (!player) return;
+
+    const subscription = player.addListener('sourceLoad', ({ duration: loadedDuration }) => {
+      setFirstDuration(Number.isFinite(loadedDuration) ? loadedDuration : 0);
+      setIsGrowing(false);
+    });
+
+    return () => subscription.remove();
+  }, [player]);
+
+  /**
+   * An event stream shows up as a duration that keeps growing
+   */
+  React.useEffect(() => {
+    if (firstDuration > 0 && Number.isFinite(duration) && duration - firstDuration > DURATION_GROWTH_THRESHOLD) {
+      setIsGrowing(true);
+    }
+  }, [duration, firstDuration]);
+
+  const hasInfiniteDuration = duration === Infinity;
+  const live = useMemo(() => {
+    if (playlistLive.isLive) return playlistLive;
+    if (playerIsLive || hasInfiniteDuration || isGrowing) return getFallbackLiveInfo(isGrowing);
+    return NOT_LIVE;
+  }, [playlistLive, playerIsLive, hasInfiniteDuration, isGrowing]);
+
+  /**
+   * Jump to the live edge and keep playing from there
+   */
+  const goLive = useCallback(() => {
+    if (!player || !live.isLive) return;
+    player.currentTime = getSeekableRange(getPlayerState(player), live).end;
+    player.play();
+    refreshPlayerState(player);
+  }, [player, live]);
+
+  return { live, goLive };
+}
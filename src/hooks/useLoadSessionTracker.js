@@ -0,0 +1,27 @@
+/**
+ * useLoadSessionTracker Hook
+ *
+ * Keeps one load session tracker for the lifetime of a WebView and
+ * always reports outcomes to the latest callback.
+ */
+
+import { useRef } from 'react';
+import { createLoadSessionTracker } from '../utils/loadSessionTracker';
+
+/**
+ * @param {Function} onOutcome - Called once per top-level navigation with its outcome
+ * @returns {Object} Tracker handlers, see createLoadSessionTracker
+ */
+export default function useLoadSessionTracker(onOutcome) {
+  const onOutcomeRef = useRef(onOutcome);
+  onOutcomeRef.current = onOutcome;
+
+  const trackerRef = useRef(null);
+  if (!trackerRef.current) {
+    trackerRef.current = createLoadSessionTracker({
+      onOutcome: (outcome) => onOutcomeRef.current(outcome),
+    });
+  }
+
+  return trackerRef.current;
+}
@@ -0,0 +1,55 @@
+/**
+ * useNotificationHistory Hook
+ *
+ * App-level recording of notification deliveries into the inbox:
+ * - Deliveries while the app is in the foreground
+ * - Notifications still in the tray when the app becomes active,
+ *   which covers deliveries while the app was in the background
+ */
+
+import React from 'react';
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { loadInbox, recordDelivered } from '../notifications/inboxStore';
+
+/**
+ * Record notifications currently shown in the system tray
+ */
+const recordPresentedNotifications = async () => {
+  try {
+    const presented = await Notifications.getPresentedNotificationsAsync();
+    for (const notification of presented) {
+      await recordDelivered(notification);
+    }
+  } catch (error) {
+    console.error('Error reading presented notifications:', error);
+  }
+};
+
+export default function useNotificationHistory() {
+  /**
+   * Load the inbox and catch up on deliveries missed while in the background
+   */
+  React.useEffect(() => {
+    loadInbox().then(recordPresentedNotifications);
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        recordPresentedNotifications();
+      }
+    });
+
+    return () => subscription.remove();
+  }, []);
+
+  /**
+   * Record deliveries while the app is in the foreground
+   */
+  React.useEffect(() => {
+    const subscription = Notifications.addNotificationReceivedListener((notification) => {
+      recordDelivered(notification);
+    });
+
+    return () => subscription.remove();
+  }, []);
+}
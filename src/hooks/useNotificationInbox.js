@@ -0,0 +1,26 @@
+/**
+ * useNotificationInbox Hook
+ *
+ * Subscribes a component to the notification inbox store.
+ */
+
+import React, { useState } from 'react';
+import { getInboxEntries, getUnreadCount, loadInbox, subscribeInbox } from '../notifications/inboxStore';
+
+/**
+ * @returns {{ entries: Object[], unreadCount: number }}
+ */
+export default function useNotificationInbox() {
+  const [entries, setEntries] = useState(getInboxEntries());
+
+  /**
+   * Load persisted entries and follow later changes
+   */
+  React.useEffect(() => {
+    loadInbox();
+    setEntries(getInboxEntries());
+    return subscribeInbox(setEntries);
+  }, []);
+
+  return { entries, unreadCount: getUnreadCount() };
+}
@@ -0,0 +1,82 @@
+/**
+ * useNotificationResponses Hook
+ *
+ * App-level notification response handling, independent of which screen
+ * is mounted:
+ * - Live responses from addNotificationResponseReceivedListener
+ * - The response that cold-launched the app (getLastNotificationResponseAsync)
+ * - Navigation is queued until the navigation container is ready
+ */
+
+import React, { useRef, useCallback } from 'react';
+import * as Notifications from 'expo-notifications';
+import { handleNotificationResponse, getResponseKey } from '../notifications/notificationResponses';
+
+/**
+ * @param {Object} navigationRef - Ref from createNavigationContainerRef
+ * @returns {{ onNavigationReady: Function }} Pass onNavigationReady to NavigationContainer's onReady
+ */
+export default function useNotificationResponses(navigationRef) {
+  const handledKeysRef = useRef(new Set());
+  const pendingNavigationRef = useRef(null);
+
+  /**
+   * Navigate now, or once the navigation container is ready
+   * @param {string} screen - Route name
+   * @param {Object} params - Route params
+   */
+  const navigate = useCallback((screen, params) => {
+    if (navigationRef.isReady()) {
+      navigationRef.navigate(screen, params);
+    } else {
+      pendingNavigationRef.current = { screen, params };
+    }
+  }, [navigationRef]);
+
+  /**
+   * Handle a response unless it was already handled
+   * @param {Object} response - Notification response
+   */
+  const handleResponse = useCallback((response) => {
+    const key = getResponseKey(response);
+    if (handledKeysRef.current.has(key)) return;
+    handledKeysRef.current.add(key);
+    handleNotificationResponse(response, { navigate });
+  }, [navigate]);
+
+  /**
+   * Flush navigation queued before the container was ready
+   */
+  const onNavigationReady = useCallback(() => {
+    const pending = pendingNavigationRef.current;
+    if (pending) {
+      pendingNavigationRef.current = null;
+      navigationRef.navigate(pending.screen, pending.params);
+    }
+  }, [navigationRef]);
+
+  /**
+   * Handle the response that launched the app from a killed state
+   */
+  React.useEffect(() => {
+    Notifications.getLastNotificationResponseAsync()
+      .then((response) => {
+        if (response) {
+          handleResponse(response);
+          return Notifications.clearLastNotificationResponseAsync();
+        }
+        return undefined;
+      })
+      .catch((error) => console.error('Error reading last notification response:', error));
+  }, [handleResponse]);
+
+  /**
+   * Handle responses while the app is running
+   */
+  React.useEffect(() => {
+    const subscription = Notifications.addNotificationResponseReceivedListener(handleResponse);
+    return () => subscription.remove();
+  }, [handleResponse]);
+
+  return { onNavigationReady };
+}
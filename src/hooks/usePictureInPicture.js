@@ -0,0 +1,55 @@
+/**
+ * usePictureInPicture Hook
+ *
+ * Picture-in-picture lifecycle of the player's VideoView:
+ * - Starting PiP from the controls, where the device supports it
+ * - Tracks whether the video is in PiP, from the view's start/stop events
+ * - Calls back on start (to close sheets and overlays the PiP window
+ *   would not show) and on stop, after re-reading the player state, since
+ *   the viewer may have paused or closed PiP from its own controls
+ */
+
+import { useState, useRef, useCallback } from 'react';
+import { isPictureInPictureSupported } from 'expo-video';
+import { refreshPlayerState } from '../player/playerStateStore';
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {Object} options.videoViewRef - Ref to the VideoView
+ * @param {Function} options.onStart - Called when PiP starts
+ * @param {Function} options.onStop - Called when PiP stops
+ * @returns {Object} { isSupported, isInPictureInPicture, startPictureInPicture,
+ *   pictureInPictureProps } where pictureInPictureProps go on the VideoView
+ */
+export default function usePictureInPicture({ player, videoViewRef, onStart, onStop }) {
+  const [isSupported] = useState(() => isPictureInPictureSupported());
+  const [isInPictureInPicture, setIsInPictureInPicture] = useState(false);
+  const callbacksRef = useRef({ onStart, onStop });
+  callbacksRef.current = { onStart, onStop };
+
+  /**
+   * Move the video into a PiP window
+   */
+  const startPictureInPicture = useCallback(async () => {
+    try {
+      await videoViewRef.current?.startPictureInPicture();
+    } catch (error) {
+      console.warn('Error starting picture in picture:', error);
+    }
+  }, [videoViewRef]);
+
+  const pictureInPictureProps = {
+    onPictureInPictureStart: () => {
+      setIsInPictureInPicture(true);
+      callbacksRef.current.onStart?.();
+    },
+    onPictureInPictureStop: () => {
+      setIsInPictureInPicture(false);
+      refreshPlayerState(player);
+      callbacksRef.current.onStop?.();
+    },
+  };
+
+  return { isSupported, isInPictureInPicture, startPictureInPicture, pictureInPictureProps };
+}
@@ -0,0 +1,65 @@
+/**
+ * usePlaybackRate Hook
+ *
+ * Applies the viewer's remembered playback rate to the player, and a
+ * temporary 2x boost while the video is held down.
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  DEFAULT_PLAYBACK_RATE,
+  BOOST_PLAYBACK_RATE,
+  loadPlaybackRate,
+  savePlaybackRate,
+} from '../player/playbackRate';
+
+/**
+ * @param {Object} player - expo-video player
+ * @returns {Object} { playbackRate, changePlaybackRate, isBoosting, startBoost, endBoost }
+ */
+export default function usePlaybackRate(player) {
+  const [playbackRate, setPlaybackRate] = useState(DEFAULT_PLAYBACK_RATE);
+  const [isBoosting, setIsBoosting] = useState(false);
+  const effectiveRateRef = useRef(DEFAULT_PLAYBACK_RATE);
+  effectiveRateRef.current = isBoosting ? BOOST_PLAYBACK_RATE : playbackRate;
+
+  /**
+   * Load the remembered rate
+   */
+  React.useEffect(() => {
+    loadPlaybackRate().then(setPlaybackRate);
+  }, []);
+
+  /**
+   * Apply the rate now and again whenever a new source becomes ready
+   */
+  React.useEffect(() => {
+    if (!player) return;
+    player.playbackRate = effectiveRateRef.current;
+
+    const subscription = player.addListener('statusChange', ({ status }) => {
+      if (status === 'readyToPlay') {
+        player.playbackRate = effectiveRateRef.current;
+      }
+    });
+
+    return () => subscription.remove();
+  }, [player, playbackRate, isBoosting]);
+
+  /**
+   * Choose and remember a playback rate
+   * @param {number} rate - One of PLAYBACK_RATES
+   */
+  const changePlaybackRate = (rate) => {
+    setPlaybackRate(rate);
+    savePlaybackRate(rate);
+  };
+
+  return {
+    playbackRate,
+    changePlaybackRate,
+    isBoosting,
+    startBoost: () => setIsBoosting(true),
+    endBoost: () => setIsBoosting(false),
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * usePlaybackRecovery Hook
+ *
+ * Error and stall recovery for the video player:
+ * - Holds the classified error when the player reports status "error"
+ * - Detects stalls (loading, or playing without progress, for too long)
+ *   from the player state store, with a timer only while progress is due
+ * - Reloads the source with exponential backoff, keeping the position
+ *   and play state; gives up with a "stalled" error after a few attempts
+ * - Retries immediately when the network comes back
+ */
+
+import React, { useRef, useState, useCallback } from 'react';
+import NetInfo from '@react-native-community/netinfo';
+import { getBackoffDelay } from '../utils/backoff';
+import {
+  PLAYBACK_ERROR_TYPES,
+  classifyPlaybackError,
+  createStallError,
+  isRetryablePlaybackError,
+} from '../player/playbackErrors';
+import { replacePlayerSource } from '../player/nowPlaying';
+import { getPlayerStateStore } from '../player/playerStateStore';
+
+// Constants
+const MAX_AUTO_RETRIES = 4;
+const RETRY_BASE_DELAY = 2000; // milliseconds
+const STALL_TIMEOUT = 10000; // milliseconds without progress
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {string} options.source - URL the player is playing (a pinned rendition or the source)
+ * @returns {Object} { playbackError, isRecovering, retryInSeconds, retryNow }
+ */
+export default function usePlaybackRecovery({ player, source }) {
+  // ==================== State Management ====================
+  const [playbackError, setPlaybackError] = useState(null);
+  const [isRecovering, setIsRecovering] = useState(false);
+  const [retryAt, setRetryAt] = useState(null);
+  const [retryInSeconds, setRetryInSeconds] = useState(null);
+
+  // ==================== Refs ====================
+  const sourceRef = useRef(source);
+  sourceRef.current = source;
+  const playbackErrorRef = useRef(null);
+  const attemptRef = useRef(0);
+  const retryTimeoutRef = useRef(null);
+  const restoreSubscriptionRef = useRef(null);
+  const positionRef = useRef(0);
+  const wasPlayingRef = useRef(true);
+  const progressRef = useRef({ time: 0, at: Date.now() });
+
+  // ==================== Retry Functions ====================
+
+  /**
+   * Cancel any pending automatic retry
+   */
+  const cancelScheduledRetry = useCallback(() => {
+    if (retryTimeoutRef.current) {
+      clearTimeout(retryTimeoutRef.current);
+      retryTimeoutRef.current = null;
+    }
+    setRetryAt(null);
+  }, []);
+
+  /**
+   * Re-create the source and restore the last position and play state
+   */
+  const reload = useCallback(async () => {
+    if (!player) return;
+    const position = positionRef.current;
+    const wasPlaying = wasPlayingRef.current;
+
+    playbackErrorRef.current = null;
+    setPlaybackError(null);
+    progressRef.current = { time: position, at: Date.now() };
+
+    restoreSubscriptionRef.current?.remove();
+    restoreSubscriptionRef.current = player.addListener('statusChange', ({ status }) => {
+      if (status !== 'readyToPlay') return;
+      restoreSubscriptionRef.current?.remove();
+      restoreSubscriptionRef.current = null;
+      player.currentTime = position;
+      if (wasPlaying) player.play();
+      setIsRecovering(false);
+    });
+
+    try {
+      await replacePlayerSource(player, sourceRef.current);
+    } catch (error) {
+      console.error('Error reloading video:', error);
+    }
+  }, [player]);
+
+  /**
+   * Reload now, starting a fresh round of automatic retries
+   */
+  const retryNow = useCallback(() => {
+    cancelScheduledRetry();
+    attemptRef.current = 0;
+    setIsRecovering(true);
+    reload();
+  }, [cancelScheduledRetry, reload]);
+
+  /**
+   * Record a failure and schedule the next reload if it is retryable;
+   * stalls recover quietly until the retries run out
+   * @param {Object} error - Classified error from player/playbackErrors
+   */
+  const reportFailure = useCallback((error) => {
+    cancelScheduledRetry();
+    const canRetry = isRetryablePlaybackError(error) && attemptRef.current < MAX_AUTO_RETRIES;
+
+    if (!canRetry || error.type !== PLAYBACK_ERROR_TYPES.STALLED) {
+      playbackErrorRef.current = error;
+      setPlaybackError(error);
+      setIsRecovering(false);
+    } else {
+      setIsRecovering(true);
+    }
+    if (!canRetry) return;
+
+    const delay = getBackoffDelay(attemptRef.current, { baseDelay: RETRY_BASE_DELAY });
+    attemptRef.current += 1;
+    setRetryAt(Date.now() + delay);
+    retryTimeoutRef.current = setTimeout(() => {
+      retryTimeoutRef.current = null;
+      setRetryAt(null);
+      reload();
+    }, delay);
+  }, [cancelScheduledRetry, reload]);
+
+  // ==================== Effects ====================
+
+  /**
+   * Start over for every new source
+   */
+  React.useEffect(() => {
+    cancelScheduledRetry();
+    attemptRef.current = 0;
+    playbackErrorRef.current = null;
+    setPlaybackError(null);
+    setIsRecovering(false);
+    positionRef.current = 0;
+    progressRef.current = { time: 0, at: Date.now() };
+  }, [source, cancelScheduledRetry]);
+
+  /**
+   * Report player errors
+   */
+  React.useEffect(() => {
+    if (!player) return;
+
+    if (player.status === 'error') {
+      reportFailure(classifyPlaybackError(null));
+    }
+    const subscription = player.addListener('statusChange', ({ status, error }) => {
+      if (status === 'error') {
+        reportFailure(classifyPlaybackError(error));
+      }
+    });
+
+    return () => subscription.remove();
+  }, [player, reportFailure]);
+
+  /**
+   * Track the position and detect stalls
+   */
+  React.useEffect(() => {
+    if (!player) return;
+    const store = getPlayerStateStore(player);
+    let stallTimeout = null;
+
+    const clearStallTimeout = () => {
+      clearTimeout(stallTimeout);
+      stallTimeout = null;
+    };
+
+    /**
+     * Whether progress is due: not idle, paused on purpose, failed or waiting to retry
+     * @param {Object} state - Player state
+     * @returns {boolean}
+     */
+    const isProgressDue = ({ status, isPlaying }) => (
+      status !== 'error' &&
+      status !== 'idle' &&
+      !(status === 'readyToPlay' && !isPlaying) &&
+      !retryTimeoutRef.current &&
+      !playbackErrorRef.current
+    );
+
+    /**
+     * Report a stall once STALL_TIMEOUT has passed since the last progress;
+     * the timer is armed once and only re-armed for the time still left
+     */
+    const checkStall = () => {
+      stallTimeout = null;
+      const state = store.getState();
+      if (!isProgressDue(state)) return;
+
+      const remaining = progressRef.current.at + STALL_TIMEOUT - Date.now();
+      if (remaining > 0) {
+        stallTimeout = setTimeout(checkStall, remaining);
+        return;
+      }
+      progressRef.current = { time: state.currentTime, at: Date.now() };
+      reportFailure(createStallError());
+    };
+
+    /**
+     * Follow a state change: remember the position and when playback last progressed
+     * @param {Object} state - Player state
+     */
+    const checkProgress = (state) => {
+      const { status, currentTime: time, isPlaying } = state;
+      if (status === 'error' || retryTimeoutRef.current || playbackErrorRef.current) {
+        clearStallTimeout();
+        return;
+      }
+
+      if (status === 'readyToPlay') {
+        wasPlayingRef.current = isPlaying;
+        if (time > 0) positionRef.current = time;
+      }
+
+      if (time !== progressRef.current.time || !isProgressDue(state)) {
+        // Progress, or paused on purpose
+        if (time !== progressRef.current.time && status === 'readyToPlay') attemptRef.current = 0;
+        progressRef.current = { time, at: Date.now() };
+      }
+      // No event may come while stalled, so a timer decides
+      if (isProgressDue(state) && !stallTimeout) {
+        stallTimeout = setTimeout(checkStall, Math.max(0, progressRef.current.at + STALL_TIMEOUT - Date.now()));
+      }
+    };
+
+    checkProgress(store.getState());
+    const unsubscribe = store.subscribe(checkProgress);
+
+    return () => {
+      clearStallTimeout();
+      unsubscribe();
+    };
+  }, [player, reportFailure]);
+
+  /**
+   * Retry as soon as the network comes back
+   */
+  React.useEffect(() => {
+    let wasOnline = true;
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      if (online && !wasOnline && playbackErrorRef.current) {
+        retryNow();
+      }
+      wasOnline = online;
+    });
+
+    return () => unsubscribe();
+  }, [retryNow]);
+
+  /**
+   * Count down to the next automatic retry
+   */
+  React.useEffect(() => {
+    if (!retryAt) {
+      setRetryInSeconds(null);
+      return undefined;
+    }
+
+    const update = () => {
+      setRetryInSeconds(Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)));
+    };
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
+  /**
+   * Clear the pending retry and position restore on unmount
+   */
+  React.useEffect(() => () => {
+    cancelScheduledRetry();
+    restoreSubscriptionRef.current?.remove();
+  }, [cancelScheduledRetry]);
+
+  return {
+    playbackError,
+    isRecovering,
+    retryInSeconds,
+    retryNow,
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * usePlaybackResume Hook
+ *
+ * Remembers where each source was left and offers to continue from there:
+ * - Saves the position every few seconds while playing, when the app goes
+ *   to the background, when the source changes and on unmount
+ * - Offers "Resume at mm:ss" for a reopened source unless it has an
+ *   explicit start time; the offer hides itself after a while
+ */
+
+import React, { useState, useRef } from 'react';
+import { AppState } from 'react-native';
+import { savePosition, getResumePosition } from '../player/playbackPositions';
+import { getPlayerState, getPlayerStateStore } from '../player/playerStateStore';
+
+// Constants
+const SAVE_INTERVAL = 5000; // milliseconds
+const RESUME_OFFER_DURATION = 8000; // milliseconds
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {string} options.source - Source URL that is playing
+ * @param {number} options.startTime - Explicit start time of the source, 0 if none
+ * @returns {Object} { resumeOffer, resume, startOver }
+ */
+export default function usePlaybackResume({ player, source, startTime }) {
+  const [resumeOffer, setResumeOffer] = useState(null);
+  const sampleRef = useRef({ position: 0, duration: 0 });
+  const resumeOfferRef = useRef(null);
+  resumeOfferRef.current = resumeOffer;
+
+  /**
+   * Look up a stored position whenever the source changes
+   */
+  React.useEffect(() => {
+    setResumeOffer(null);
+    if (startTime > 0) return;
+
+    let cancelled = false;
+    getResumePosition(source).then((position) => {
+      if (!cancelled && position !== null) {
+        setResumeOffer({ source, position });
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, startTime]);
+
+  /**
+   * Hide the offer after a while; playback simply continues from the start
+   */
+  React.useEffect(() => {
+    if (!resumeOffer) return;
+    const timeout = setTimeout(() => setResumeOffer(null), RESUME_OFFER_DURATION);
+    return () => clearTimeout(timeout);
+  }, [resumeOffer]);
+
+  /**
+   * Save the position on a cadence, on background, on source change and on unmount
+   */
+  React.useEffect(() => {
+    if (!player) return;
+
+    sampleRef.current = { position: 0, duration: 0 };
+    let lastSavedAt = Date.now();
+
+    /**
+     * Keep the latest position from the player state
+     * @param {Object} state - Player state
+     */
+    const sample = ({ currentTime, duration }) => {
+      sampleRef.current = { position: currentTime, duration };
+    };
+    // The player may already be released on unmount, so the last sample is saved;
+    // nothing is saved while the offer is open so leaving early keeps the old position
+    const save = () => {
+      if (resumeOfferRef.current?.source === source) return;
+      lastSavedAt = Date.now();
+      savePosition(source, sampleRef.current.position, sampleRef.current.duration);
+    };
+
+    const unsubscribe = getPlayerStateStore(player).subscribe((state) => {
+      sample(state);
+      if (state.isPlaying && Date.now() - lastSavedAt >= SAVE_INTERVAL) save();
+    });
+
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        sample(getPlayerState(player));
+        save();
+      }
+    });
+
+    const endSubscription = player.addListener('playToEnd', () => {
+      sample(getPlayerState(player));
+      save();
+    });
+
+    return () => {
+      unsubscribe();
+      appStateSubscription.remove();
+      endSubscription.remove();
+      save();
+    };
+  }, [player, source]);
+
+  /**
+   * Continue from the stored position
+   */
+  const resume = () => {
+    if (!player || !resumeOffer) return;
+    player.currentTime = resumeOffer.position;
+    player.play();
+    setResumeOffer(null);
+  };
+
+  /**
+   * Dismiss the offer and play from the beginning
+   */
+  const startOver = () => {
+    if (!player) return;
+    player.currentTime = 0;
+    player.play();
+    setResumeOffer(null);
+  };
+
+  return { resumeOffer, resume, startOver };
+}
@@ -0,0 +1,30 @@
+/**
+ * usePlayerState Hook
+ *
+ * Subscribes a component to a slice of the shared player state store.
+ * The component re-renders only when the selected value changes, so
+ * selectors should return primitives or objects taken from the state.
+ */
+
+import { useCallback, useSyncExternalStore } from 'react';
+import { INITIAL_PLAYER_STATE, getPlayerStateStore } from '../player/playerStateStore';
+
+const selectState = (state) => state;
+const noopUnsubscribe = () => {};
+
+/**
+ * @param {Object|null} player - expo-video player
+ * @param {Function} selector - Picks a value from the state, see playerStateStore selectors
+ * @returns {*} Selected value
+ */
+export default function usePlayerState(player, selector = selectState) {
+  const store = player ? getPlayerStateStore(player) : null;
+
+  const subscribe = useCallback(
+    (listener) => (store ? store.subscribe(listener) : noopUnsubscribe),
+    [store]
+  );
+  const getSnapshot = () => selector(store ? store.getState() : INITIAL_PLAYER_STATE);
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
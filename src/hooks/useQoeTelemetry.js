@@ -0,0 +1,72 @@
+/**
+ * useQoeTelemetry Hook
+ *
+ * Attaches a QoE collector to the player for the lifetime of the player
+ * screen:
+ * - A session per source; switching sources closes the previous one
+ * - Fed from the shared player state store, the player's video track
+ *   changes and the classified errors of playback recovery
+ * - Finished sessions go to the QoE reporter
+ */
+
+import React, { useRef, useCallback } from 'react';
+import { getPlayerStateStore } from '../player/playerStateStore';
+import { createQoeCollector, SESSION_END_REASONS } from '../telemetry/qoeCollector';
+import { reportQoeSession } from '../telemetry/qoeReporter';
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {string} options.source - Source URL of the current item
+ * @param {Object|null} options.playbackError - Classified playback error, see usePlaybackRecovery
+ * @returns {Object} { getStats } reading the active session so far
+ */
+export default function useQoeTelemetry({ player, source, playbackError }) {
+  const collectorRef = useRef(null);
+  if (!collectorRef.current) {
+    collectorRef.current = createQoeCollector({ onSession: reportQoeSession });
+  }
+
+  /**
+   * Start a session for each source
+   */
+  React.useEffect(() => {
+    if (!player) return;
+    collectorRef.current.start(source);
+    collectorRef.current.renditionChange(player.videoTrack);
+  }, [player, source]);
+
+  /**
+   * Close the last session when the screen closes
+   */
+  React.useEffect(() => () => collectorRef.current.end(SESSION_END_REASONS.CLOSED), []);
+
+  /**
+   * Follow the player's state and renditions
+   */
+  React.useEffect(() => {
+    if (!player) return;
+    const unsubscribe = getPlayerStateStore(player).subscribe((state) => {
+      collectorRef.current.update(state, player.playbackRate || 1);
+    });
+    const subscription = player.addListener('videoTrackChange', ({ videoTrack }) => {
+      collectorRef.current.renditionChange(videoTrack);
+    });
+
+    return () => {
+      unsubscribe();
+      subscription.remove();
+    };
+  }, [player]);
+
+  /**
+   * Record errors and stalls that playback recovery reports
+   */
+  React.useEffect(() => {
+    if (playbackError) collectorRef.current.error(playbackError);
+  }, [playbackError]);
+
+  const getStats = useCallback(() => collectorRef.current.getStats(), []);
+
+  return { getStats };
+}
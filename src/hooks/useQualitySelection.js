@@ -0,0 +1,101 @@
+/**
+ * useQualitySelection Hook
+ *
+ * Lets the viewer pin an HLS rendition or go back to adaptive ("Auto")
+ * playback. Switching reloads the player and restores the position and
+ * play state once the new source is ready.
+ */
+
+import React, { useState, useRef } from 'react';
+import * as FileSystem from 'expo-file-system/legacy';
+import {
+  AUTO_QUALITY,
+  getQualityOptions,
+  buildSingleVariantPlaylist,
+} from '../player/hlsManifest';
+import { replacePlayerSource } from '../player/nowPlaying';
+
+const RENDITIONS_DIRECTORY = `${FileSystem.cacheDirectory}renditions/`;
+
+/**
+ * Get a playable URL for a pinned rendition. Variants that depend on
+ * separate audio, subtitle or caption renditions are wrapped in a
+ * single-variant master playlist written to the cache
+ * @param {Object} manifest - Parsed master playlist
+ * @param {Object} option - Quality option
+ * @returns {Promise<string>} URL to load
+ */
+const getRenditionUri = async (manifest, option) => {
+  const { variant } = option;
+  if (!variant.audioGroup && !variant.subtitlesGroup && !variant.closedCaptionsGroup) {
+    return variant.uri;
+  }
+
+  const fileUri = `${RENDITIONS_DIRECTORY}${option.id}.m3u8`;
+  await FileSystem.makeDirectoryAsync(RENDITIONS_DIRECTORY, { intermediates: true });
+  await FileSystem.writeAsStringAsync(fileUri, buildSingleVariantPlaylist(manifest, variant));
+  return fileUri;
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {string} options.source - Source URL (the master playlist)
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @returns {Object} { qualityOptions, selectedQuality, selectQuality, playingUri } where
+ *   playingUri is the URL loaded into the player (the source or a pinned rendition)
+ */
+export default function useQualitySelection({ player, source, manifest }) {
+  const [selectedQuality, setSelectedQuality] = useState(AUTO_QUALITY);
+  const [playingUri, setPlayingUri] = useState(source);
+  const restoreSubscriptionRef = useRef(null);
+  const qualityOptions = manifest ? getQualityOptions(manifest) : [];
+
+  /**
+   * A new source always starts in adaptive mode
+   */
+  React.useEffect(() => {
+    setSelectedQuality(AUTO_QUALITY);
+    setPlayingUri(source);
+  }, [source]);
+
+  /**
+   * Drop a pending position restore when the player goes away
+   */
+  React.useEffect(() => {
+    return () => restoreSubscriptionRef.current?.remove();
+  }, [player]);
+
+  /**
+   * Switch to a quality option, keeping the position and play state
+   * @param {string} id - Quality option id
+   */
+  const selectQuality = async (id) => {
+    const option = qualityOptions.find((candidate) => candidate.id === id);
+    if (!player || !option || id === selectedQuality) return;
+
+    const position = player.currentTime || 0;
+    const wasPlaying = player.playing;
+
+    try {
+      const uri = option.variant ? await getRenditionUri(manifest, option) : source;
+
+      restoreSubscriptionRef.current?.remove();
+      restoreSubscriptionRef.current = player.addListener('statusChange', ({ status }) => {
+        if (status !== 'readyToPlay') return;
+        restoreSubscriptionRef.current?.remove();
+        restoreSubscriptionRef.current = null;
+        player.currentTime = position;
+        if (wasPlaying) player.play();
+      });
+
+      setSelectedQuality(id);
+      setPlayingUri(uri);
+      await replacePlayerSource(player, uri);
+    } catch (error) {
+      console.error('Error switching quality:', error);
+    }
+  };
+
+  return { qualityOptions, selectedQuality, selectQuality, playingUri };
+}
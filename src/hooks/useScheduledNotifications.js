@@ -0,0 +1,65 @@
+/**
+ * useScheduledNotifications Hook
+ *
+ * Keeps a list of pending notifications from
+ * getAllScheduledNotificationsAsync and exposes cancel helpers.
+ */
+
+import React, { useState, useCallback } from 'react';
+import * as Notifications from 'expo-notifications';
+import { recordCancelled } from '../notifications/inboxStore';
+
+/**
+ * @returns {{ scheduled: Object[], refresh: Function, cancel: Function, cancelAll: Function }}
+ */
+export default function useScheduledNotifications() {
+  const [scheduled, setScheduled] = useState([]);
+
+  /**
+   * Reload the pending notification list
+   */
+  const refresh = useCallback(async () => {
+    try {
+      setScheduled(await Notifications.getAllScheduledNotificationsAsync());
+    } catch (error) {
+      console.error('Error loading scheduled notifications:', error);
+    }
+  }, []);
+
+  /**
+   * Cancel one pending notification
+   * @param {string} identifier - Notification identifier
+   */
+  const cancel = useCallback(async (identifier) => {
+    try {
+      await Notifications.cancelScheduledNotificationAsync(identifier);
+      await recordCancelled([identifier]);
+    } catch (error) {
+      console.error('Error cancelling notification:', error);
+    }
+    await refresh();
+  }, [refresh]);
+
+  /**
+   * Cancel every pending notification
+   */
+  const cancelAll = useCallback(async () => {
+    try {
+      const pending = await Notifications.getAllScheduledNotificationsAsync();
+      await Notifications.cancelAllScheduledNotificationsAsync();
+      await recordCancelled(pending.map((request) => request.identifier));
+    } catch (error) {
+      console.error('Error cancelling notifications:', error);
+    }
+    await refresh();
+  }, [refresh]);
+
+  /**
+   * Load the list on mount
+   */
+  React.useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { scheduled, refresh, cancel, cancelAll };
+}
@@ -0,0 +1,56 @@
+/**
+ * useScreenBrightness Hook
+ *
+ * Lets the player change the screen brightness and puts it back when the
+ * screen is left (the system setting on Android, the original level on iOS).
+ */
+
+import React, { useRef } from 'react';
+import { Platform } from 'react-native';
+import * as Brightness from 'expo-brightness';
+
+/**
+ * @returns {Object} { getBrightness, setBrightness } with levels from 0 to 1
+ */
+export default function useScreenBrightness() {
+  const levelRef = useRef(null);
+  const originalRef = useRef(null);
+
+  /**
+   * Read the starting level, and restore it on unmount once it was changed
+   */
+  React.useEffect(() => {
+    Brightness.getBrightnessAsync()
+      .then((level) => {
+        originalRef.current = level;
+        if (levelRef.current === null) levelRef.current = level;
+      })
+      .catch((error) => console.warn('Unable to read brightness:', error));
+
+    return () => {
+      if (originalRef.current === null || levelRef.current === originalRef.current) return;
+      const restore = Platform.OS === 'android'
+        ? Brightness.restoreSystemBrightnessAsync()
+        : Brightness.setBrightnessAsync(originalRef.current);
+      restore.catch((error) => console.warn('Unable to restore brightness:', error));
+    };
+  }, []);
+
+  /**
+   * Current level, or 0.5 until it has been read
+   * @returns {number}
+   */
+  const getBrightness = () => (levelRef.current === null ? 0.5 : levelRef.current);
+
+  /**
+   * Change the screen brightness
+   * @param {number} level - From 0 to 1
+   */
+  const setBrightness = (level) => {
+    levelRef.current = Math.max(0, Math.min(1, level));
+    Brightness.setBrightnessAsync(levelRef.current)
+      .catch((error) => console.warn('Unable to set brightness:', error));
+  };
+
+  return { getBrightness, setBrightness };
+}
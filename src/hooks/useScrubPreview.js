@@ -0,0 +1,107 @@
+/**
+ * useScrubPreview Hook
+ *
+ * Supplies the preview frame for the seekbar while scrubbing:
+ * - From a WebVTT thumbnail track when the source has one
+ * - Otherwise from frames generated by the player at the nearest I-frame
+ *   of the HLS I-frame playlist (cached, one request at a time)
+ * Without either, or where the platform cannot generate frames, the
+ * preview is null and only the time is shown.
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  parseThumbnailVtt,
+  findThumbnail,
+  loadIFrameTimes,
+  getNearestFrameTime,
+} from '../player/thumbnails';
+import { fetchText } from '../utils/http';
+
+// Constants
+const FRAME_MAX_WIDTH = 320; // pixels
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @param {string|null} options.thumbnailsUrl - WebVTT thumbnail track
+ * @param {boolean} options.isScrubbing - Whether the seekbar is being dragged
+ * @param {number} options.scrubTime - Time under the seekbar thumb, in seconds
+ * @returns {Object|null} { type: 'sprite', uri, region } or { type: 'frame', thumbnail }
+ */
+export default function useScrubPreview({ player, manifest, thumbnailsUrl, isScrubbing, scrubTime }) {
+  const [thumbnails, setThumbnails] = useState([]);
+  const [frameTimes, setFrameTimes] = useState([]);
+  const [frame, setFrame] = useState(null);
+  const [requestCount, setRequestCount] = useState(0);
+  const frameCacheRef = useRef(new Map());
+  const frameRequestRef = useRef(null);
+
+  /**
+   * Load the thumbnail track, or the I-frame times when there is none
+   */
+  React.useEffect(() => {
+    setThumbnails([]);
+    setFrameTimes([]);
+    setFrame(null);
+    frameCacheRef.current = new Map();
+
+    let cancelled = false;
+    const load = thumbnailsUrl
+      ? fetchText(thumbnailsUrl).then((text) => {
+        if (!cancelled) setThumbnails(parseThumbnailVtt(text, thumbnailsUrl));
+      })
+      : loadIFrameTimes(manifest).then((times) => {
+        if (!cancelled) setFrameTimes(times);
+      });
+    load.catch((error) => console.warn('Unable to load seek thumbnails:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [manifest, thumbnailsUrl]);
+
+  const frameTime = frameTimes.length ? getNearestFrameTime(frameTimes, scrubTime) : null;
+
+  /**
+   * Generate the frame at the nearest I-frame while scrubbing
+   */
+  React.useEffect(() => {
+    if (!player || !isScrubbing || frameTime === null) return;
+
+    // Failed frames are cached as null so they are not retried
+    if (frameCacheRef.current.has(frameTime)) {
+      const cached = frameCacheRef.current.get(frameTime);
+      if (cached) setFrame(cached);
+      return;
+    }
+    if (frameRequestRef.current !== null) return;
+
+    frameRequestRef.current = frameTime;
+    player.generateThumbnailsAsync(frameTime, { maxWidth: FRAME_MAX_WIDTH })
+      .then(([thumbnail]) => {
+        if (!thumbnail) return;
+        frameCacheRef.current.set(frameTime, thumbnail);
+        setFrame(thumbnail);
+      })
+      .catch((error) => {
+        frameCacheRef.current.set(frameTime, null);
+        console.warn('Unable to generate seek preview:', error);
+      })
+      .finally(() => {
+        frameRequestRef.current = null;
+        // Catch up with a thumb that moved on while this frame was generated
+        setRequestCount((count) => count + 1);
+      });
+  }, [player, isScrubbing, frameTime, requestCount]);
+
+  if (!isScrubbing) return null;
+
+  if (thumbnails.length) {
+    const thumbnail = findThumbnail(thumbnails, scrubTime);
+    return thumbnail ? { type: 'sprite', uri: thumbnail.uri, region: thumbnail.region } : null;
+  }
+
+  return frame ? { type: 'frame', thumbnail: frame } : null;
+}
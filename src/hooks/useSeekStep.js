@@ -0,0 +1,33 @@
+/**
+ * useSeekStep Hook
+ *
+ * The viewer's remembered double-tap seek step.
+ */
+
+import React, { useState } from 'react';
+import { DEFAULT_SEEK_STEP, loadSeekStep, saveSeekStep } from '../player/seekStep';
+
+/**
+ * @returns {Object} { seekStep, changeSeekStep }
+ */
+export default function useSeekStep() {
+  const [seekStep, setSeekStep] = useState(DEFAULT_SEEK_STEP);
+
+  /**
+   * Load the remembered step
+   */
+  React.useEffect(() => {
+    loadSeekStep().then(setSeekStep);
+  }, []);
+
+  /**
+   * Choose and remember a seek step
+   * @param {number} step - One of SEEK_STEPS
+   */
+  const changeSeekStep = (step) => {
+    setSeekStep(step);
+    saveSeekStep(step);
+  };
+
+  return { seekStep, changeSeekStep };
+}
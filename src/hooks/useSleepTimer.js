@@ -0,0 +1,152 @@
+/**
+ * useSleepTimer Hook
+ *
+ * Sleep timer for the player:
+ * - After N minutes, or at the end of the current video
+ * - Fades the volume out over the last seconds, pauses, then puts the
+ *   volume back for the next time the viewer presses play
+ * - Changing or turning off the timer mid-fade restores the volume
+ * - Volume changes go through the screen's own volume handler, so the
+ *   slider follows the fade; a muted player just pauses
+ */
+
+import React, { useState, useRef, useCallback } from 'react';
+import {
+  SLEEP_TIMER_OFF,
+  SLEEP_TIMER_END_OF_VIDEO,
+  SLEEP_TIMER_OPTIONS,
+  SLEEP_FADE_DURATION,
+  getFadeVolume,
+} from '../player/sleepTimer';
+import { getPlayerStateStore, refreshPlayerState } from '../player/playerStateStore';
+
+// Constants
+const FADE_STEP = 100; // milliseconds between volume changes
+
+/**
+ * @param {Object} options
+ * @param {Object} options.player - expo-video player
+ * @param {Function} options.onVolumeChange - Sets the volume, from 0 to 1
+ * @returns {Object} { sleepTimer, changeSleepTimer, consumeEndOfVideo } where sleepTimer
+ *   is { id, endsAt } or null, and consumeEndOfVideo tells a playToEnd handler whether
+ *   the timer stopped playback there (so it should not repeat or advance)
+ */
+export default function useSleepTimer({ player, onVolumeChange }) {
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const sleepTimerRef = useRef(null);
+  sleepTimerRef.current = sleepTimer;
+  const onVolumeChangeRef = useRef(onVolumeChange);
+  onVolumeChangeRef.current = onVolumeChange;
+  const fadeRef = useRef(null); // { intervalId, startVolume }, startVolume null when muted
+
+  /**
+   * Stop a running fade
+   * @param {boolean} restoreVolume - Whether to put the volume back
+   */
+  const stopFade = useCallback((restoreVolume) => {
+    if (!fadeRef.current) return;
+    const { intervalId, startVolume } = fadeRef.current;
+    clearInterval(intervalId);
+    fadeRef.current = null;
+    if (restoreVolume && startVolume !== null) onVolumeChangeRef.current?.(startVolume);
+  }, []);
+
+  /**
+   * Fade the volume out, then pause and restore the volume
+   * @param {number} duration - Fade length in milliseconds
+   */
+  const fadeOut = useCallback((duration) => {
+    if (!player || fadeRef.current) return;
+    const startVolume = player.muted ? null : player.volume;
+    const startedAt = Date.now();
+
+    const intervalId = setInterval(() => {
+      const elapsed = Date.now() - startedAt;
+      if (elapsed < duration) {
+        if (startVolume !== null) onVolumeChangeRef.current?.(getFadeVolume(startVolume, elapsed, duration));
+        return;
+      }
+      player.pause();
+      stopFade(true);
+      refreshPlayerState(player);
+      setSleepTimer(null);
+    }, FADE_STEP);
+    fadeRef.current = { intervalId, startVolume };
+  }, [player, stopFade]);
+
+  /**
+   * Minutes timer - start the fade so it ends when the timer does
+   */
+  React.useEffect(() => {
+    if (!sleepTimer?.endsAt) return;
+    const remaining = sleepTimer.endsAt - Date.now();
+    const timeout = setTimeout(
+      () => fadeOut(Math.min(SLEEP_FADE_DURATION, Math.max(0, sleepTimer.endsAt - Date.now()))),
+      Math.max(0, remaining - SLEEP_FADE_DURATION)
+    );
+    return () => clearTimeout(timeout);
+  }, [sleepTimer, fadeOut]);
+
+  /**
+   * End-of-video timer - start the fade when the rest of the video is
+   * no longer than the fade
+   */
+  React.useEffect(() => {
+    if (!player || sleepTimer?.id !== SLEEP_TIMER_END_OF_VIDEO) return;
+
+    return getPlayerStateStore(player).subscribe((state) => {
+      if (!state.isPlaying || state.isLive || !(state.duration > 0)) return;
+      const remaining = ((state.duration - state.currentTime) * 1000) / (player.playbackRate || 1);
+      if (remaining <= SLEEP_FADE_DURATION) fadeOut(Math.max(0, remaining));
+    });
+  }, [player, sleepTimer, fadeOut]);
+
+  /**
+   * Put the volume back if the screen closes mid-fade; straight on the player,
+   * since the screen's handler would set state while it unmounts
+   */
+  React.useEffect(() => () => {
+    const startVolume = fadeRef.current?.startVolume ?? null;
+    stopFade(false);
+    if (!player || startVolume === null) return;
+    try {
+      player.volume = startVolume;
+    } catch (error) {
+      // The player may already be released
+      console.warn('Unable to restore the volume after the sleep timer fade:', error);
+    }
+  }, [player, stopFade]);
+
+  /**
+   * Start, change or turn off the timer
+   * @param {string} id - One of the SLEEP_TIMER_OPTIONS ids
+   */
+  const changeSleepTimer = (id) => {
+    stopFade(true);
+    const option = SLEEP_TIMER_OPTIONS.find((candidate) => candidate.id === id);
+    if (!option || option.id === SLEEP_TIMER_OFF) {
+      setSleepTimer(null);
+      return;
+    }
+    setSleepTimer({
+      id: option.id,
+      endsAt: option.minutes ? Date.now() + option.minutes * 60000 : null,
+    });
+  };
+
+  /**
+   * Called when the video played to the end; stops there if the timer was
+   * waiting for it
+   * @returns {boolean} Whether the timer stopped playback
+   */
+  const consumeEndOfVideo = useCallback(() => {
+    if (sleepTimerRef.current?.id !== SLEEP_TIMER_END_OF_VIDEO) return false;
+    stopFade(true);
+    player?.pause();
+    refreshPlayerState(player);
+    setSleepTimer(null);
+    return true;
+  }, [player, stopFade]);
+
+  return { sleepTimer, changeSleepTimer, consumeEndOfVideo };
+}
@@ -0,0 +1,89 @@
+/**
+ * useSubtitles Hook
+ *
+ * Subtitle tracks, the selected track's cues and caption styling for the
+ * player. Which cues are showing is left to the overlay, which follows the
+ * playback time itself.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { getSubtitleTracks, loadSubtitleCues } from '../player/subtitleTracks';
+import { DEFAULT_CAPTION_STYLE, loadCaptionStyle, saveCaptionStyle } from '../player/captionStyle';
+
+/**
+ * @param {Object} options
+ * @param {string} options.source - Source URL
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @param {Object[]} options.sideloaded - Sideloaded .vtt files { src, label, language }
+ * @returns {Object} { tracks, selectedTrackId, selectTrack, cues, isLoading,
+ *   captionStyle, updateCaptionStyle }
+ */
+export default function useSubtitles({ source, manifest, sideloaded }) {
+  const [selectedTrackId, setSelectedTrackId] = useState(null);
+  const [cues, setCues] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [captionStyle, setCaptionStyle] = useState(DEFAULT_CAPTION_STYLE);
+
+  const tracks = useMemo(
+    () => getSubtitleTracks(manifest, sideloaded || []),
+    [manifest, sideloaded]
+  );
+  const selectedTrack = tracks.find((track) => track.id === selectedTrackId) || null;
+
+  /**
+   * Load the saved caption style
+   */
+  React.useEffect(() => {
+    loadCaptionStyle().then(setCaptionStyle);
+  }, []);
+
+  /**
+   * Captions start off for every new source
+   */
+  React.useEffect(() => {
+    setSelectedTrackId(null);
+  }, [source]);
+
+  /**
+   * Load the cues of the selected track
+   */
+  React.useEffect(() => {
+    setCues([]);
+    setIsLoading(!!selectedTrack);
+    if (!selectedTrack) return;
+
+    let cancelled = false;
+    loadSubtitleCues(selectedTrack)
+      .then((loaded) => {
+        if (!cancelled) setCues(loaded);
+      })
+      .catch((error) => console.warn('Unable to load subtitles:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTrack?.uri]);
+
+  /**
+   * Change part of the caption style and save it
+   * @param {Object} changes - Fields of { size, backgroundOpacity, color }
+   */
+  const updateCaptionStyle = (changes) => {
+    const next = { ...captionStyle, ...changes };
+    setCaptionStyle(next);
+    saveCaptionStyle(next);
+  };
+
+  return {
+    tracks,
+    selectedTrackId: selectedTrack ? selectedTrack.id : null,
+    selectTrack: setSelectedTrackId,
+    cues,
+    isLoading,
+    captionStyle,
+    updateCaptionStyle,
+  };
+}
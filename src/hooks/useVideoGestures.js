@@ -0,0 +1,89 @@
+/**
+ * useVideoGestures Hook
+ *
+ * Feeds touches on the video surface into one gesture recognizer and
+ * always reports gestures to the latest handlers. Buttons inside the
+ * surface keep their own touches.
+ */
+
+import React, { useRef } from 'react';
+import { PanResponder } from 'react-native';
+import { createGestureRecognizer } from '../player/gestureRecognizer';
+
+/**
+ * @param {Object} handlers - Gesture callbacks, see createGestureRecognizer
+ * @returns {Object} Props for the surface view: ref, onLayout and pan handlers
+ */
+export default function useVideoGestures(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const surfaceRef = useRef(null);
+  const frameRef = useRef({ x: 0, y: 0, width: 0, height: 0 });
+
+  const recognizerRef = useRef(null);
+  if (!recognizerRef.current) {
+    const forward = {};
+    [
+      'onTap',
+      'onSeekTap',
+      'onLongPressStart',
+      'onLongPressEnd',
+      'onAdjustStart',
+      'onAdjust',
+      'onAdjustEnd',
+      'onScrubStart',
+      'onScrub',
+      'onScrubEnd',
+    ].forEach((name) => {
+      forward[name] = (payload) => handlersRef.current[name]?.(payload);
+    });
+    recognizerRef.current = createGestureRecognizer(forward);
+  }
+
+  const panResponderRef = useRef(null);
+  if (!panResponderRef.current) {
+    const recognizer = recognizerRef.current;
+    panResponderRef.current = PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (evt, gestureState) => {
+        const frame = frameRef.current;
+        recognizer.touchStart({
+          x: gestureState.x0 - frame.x,
+          y: gestureState.y0 - frame.y,
+          width: frame.width,
+          height: frame.height,
+        });
+      },
+      onPanResponderMove: (evt, gestureState) => {
+        recognizer.touchMove({ dx: gestureState.dx, dy: gestureState.dy });
+      },
+      onPanResponderRelease: () => recognizer.touchEnd(),
+      onPanResponderTerminate: () => recognizer.touchCancel(),
+    });
+  }
+
+  /**
+   * Drop pending tap and long press timers on unmount
+   */
+  React.useEffect(() => {
+    const recognizer = recognizerRef.current;
+    return () => recognizer.reset();
+  }, []);
+
+  /**
+   * Track where the surface is on screen, since touches report page positions
+   */
+  const onLayout = () => {
+    surfaceRef.current?.measureInWindow((x, y, width, height) => {
+      frameRef.current = { x, y, width, height };
+    });
+  };
+
+  return {
+    ref: surfaceRef,
+    onLayout,
+    ...panResponderRef.current.panHandlers,
+  };
+}
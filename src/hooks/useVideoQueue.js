@@ -0,0 +1,27 @@
+/**
+ * useVideoQueue Hook
+ *
+ * Subscribes a component to the video queue store.
+ */
+
+import React, { useState } from 'react';
+import { getQueue, subscribeQueue } from '../player/queueStore';
+
+/**
+ * @returns {Object} Queue state plus the current item
+ */
+export default function useVideoQueue() {
+  const [queue, setQueue] = useState(getQueue());
+
+  /**
+   * Follow queue changes
+   */
+  React.useEffect(() => {
+    setQueue(getQueue());
+    return subscribeQueue(setQueue);
+  }, []);
+
+  const currentItem = queue.items.find((item) => item.id === queue.currentId) || null;
+
+  return { ...queue, currentItem };
+}
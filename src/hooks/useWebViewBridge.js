@@ -0,0 +1,136 @@
+/**
+ * useWebViewBridge Hook
+ *
+ * Wires a WebView to the app bridge protocol:
+ * - Provides the script to inject and the onMessage handler
+ * - Dispatches page requests to the given action handlers, only for pages
+ *   on the navigation allowlist
+ * - Replies with results or typed errors using the request ID
+ * - Forwards native bridge events into the page while the top frame is on
+ *   the allowlist
+ */
+
+import React, { useRef, useCallback } from 'react';
+import {
+  parseBridgeMessage,
+  createResponse,
+  createErrorResponse,
+  createEvent,
+  BridgeError,
+  BRIDGE_ERRORS,
+} from '../bridge/protocol';
+import { buildBridgeScript, buildDeliveryScript } from '../bridge/injectedBridge';
+import { subscribeBridgeEvents } from '../bridge/bridgeEvents';
+import { isAllowlistedUrl, DEFAULT_NAVIGATION_POLICY } from '../policy/navigationPolicy';
+
+const BRIDGE_SCRIPT = buildBridgeScript();
+
+/**
+ * @param {Object} webViewRef - Ref to the WebView instance
+ * @param {Object} actions - Map of action name to async handler(params, context)
+ * @param {Object} policy - Navigation policy whose allowlist decides which pages may call actions
+ * @returns {{ injectedJavaScript: string, onMessage: Function, emitEvent: Function, trackPageUrl: Function }}
+ */
+export default function useWebViewBridge(webViewRef, actions, policy = DEFAULT_NAVIGATION_POLICY) {
+  // Keep the latest handlers without re-creating onMessage every render
+  const actionsRef = useRef(actions);
+  actionsRef.current = actions;
+
+  // URL of the top frame; events are only pushed into allowlisted pages
+  const pageUrlRef = useRef(null);
+
+  /**
+   * Record the URL the top frame is loading or showing
+   * @param {string} url - From onLoadStart / onNavigationStateChange
+   */
+  const trackPageUrl = useCallback((url) => {
+    pageUrlRef.current = url || null;
+  }, []);
+
+  /**
+   * Deliver a response or event message into the page
+   * @param {Object} message - Message built by the protocol helpers
+   */
+  const send = useCallback((message) => {
+    webViewRef.current?.injectJavaScript(buildDeliveryScript(message));
+  }, [webViewRef]);
+
+  /**
+   * Push a native event into the page, dropped unless the page is allowlisted
+   * @param {string} event - Event name
+   * @param {*} payload - JSON-serialisable payload
+   */
+  const emitEvent = useCallback((event, payload) => {
+    // Payloads can carry notification data and reply text
+    if (!isAllowlistedUrl(pageUrlRef.current, policy)) return;
+    send(createEvent(event, payload));
+  }, [send, policy]);
+
+  /**
+   * Handle a message posted by the page via ReactNativeWebView.postMessage
+   * @param {Object} syntheticEvent - WebView message event
+   */
+  const onMessage = useCallback(async (syntheticEvent) => {
+    const { data, url } = syntheticEvent.nativeEvent;
+
+    let request;
+    try {
+      request = parseBridgeMessage(data);
+    } catch (error) {
+      console.warn('Rejected bridge message:', error.message);
+      // Only reply when the page can correlate the error with a request
+      if (error.id) {
+        send(createErrorResponse(error.id, error.code, error.message));
+      }
+      return;
+    }
+
+    // Typed addresses, deep links and redirects can land on any page
+    if (!isAllowlistedUrl(url, policy)) {
+      console.warn('Rejected bridge request from a page off the allowlist:', url);
+      send(createErrorResponse(
+        request.id,
+        BRIDGE_ERRORS.FORBIDDEN_ORIGIN,
+        'This page is not allowed to use the app bridge'
+      ));
+      return;
+    }
+
+    const handlers = actionsRef.current || {};
+    const handler = Object.prototype.hasOwnProperty.call(handlers, request.action)
+      ? handlers[request.action]
+      : null;
+
+    if (typeof handler !== 'function') {
+      send(createErrorResponse(
+        request.id,
+        BRIDGE_ERRORS.UNKNOWN_ACTION,
+        `Unknown action: ${request.action}`
+      ));
+      return;
+    }
+
+    try {
+      const result = await handler(request.params, { url });
+      send(createResponse(request.id, result));
+    } catch (error) {
+      const code = error instanceof BridgeError ? error.code : BRIDGE_ERRORS.ACTION_FAILED;
+      if (code === BRIDGE_ERRORS.ACTION_FAILED) {
+        console.error(`Bridge action "${request.action}" failed:`, error);
+      }
+      send(createErrorResponse(request.id, code, error.message || 'Action failed'));
+    }
+  }, [send, policy]);
+
+  /**
+   * Forward app-wide native events into the page while mounted
+   */
+  React.useEffect(() => subscribeBridgeEvents(emitEvent), [emitEvent]);
+
+  return {
+    injectedJavaScript: BRIDGE_SCRIPT,
+    onMessage,
+    emitEvent,
+    trackPageUrl,
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * useWebViewRecovery Hook
+ *
+ * Error recovery state for the WebView:
+ * - Holds the classified error of the last failed load
+ * - Retries connectivity errors automatically with exponential backoff
+ * - Retries immediately when the network comes back
+ * - Captures and serves the last good page snapshot, accepting only the
+ *   reply to its own capture request
+ */
+
+import React, { useRef, useState, useCallback } from 'react';
+import NetInfo from '@react-native-community/netinfo';
+import { getBackoffDelay } from '../utils/backoff';
+import { isRetryableError } from '../utils/webViewErrors';
+import {
+  createSnapshotNonce,
+  createSnapshotScript,
+  saveSnapshot,
+  loadSnapshot,
+} from '../utils/pageSnapshot';
+
+const MAX_AUTO_RETRIES = 5;
+
+/**
+ * @param {Object} options
+ * @param {Object} options.webViewRef - Ref to the WebView instance
+ * @param {Function} options.onRetry - Called with the failed URL to load it again
+ * @returns {Object} Recovery state and handlers
+ */
+export default function useWebViewRecovery({ webViewRef, onRetry }) {
+  // ==================== State Management ====================
+  const [loadError, setLoadError] = useState(null);
+  const [isOnline, setIsOnline] = useState(true);
+  const [snapshot, setSnapshot] = useState(null);
+  const [retryAt, setRetryAt] = useState(null);
+  const [retryInSeconds, setRetryInSeconds] = useState(null);
+
+  // ==================== Refs ====================
+  const loadErrorRef = useRef(null);
+  const attemptRef = useRef(0);
+  const retryTimeoutRef = useRef(null);
+  const snapshotNonceRef = useRef(null);
+  const onRetryRef = useRef(onRetry);
+  onRetryRef.current = onRetry;
+
+  // ==================== Retry Functions ====================
+
+  /**
+   * Cancel any pending automatic retry
+   */
+  const cancelScheduledRetry = useCallback(() => {
+    if (retryTimeoutRef.current) {
+      clearTimeout(retryTimeoutRef.current);
+      retryTimeoutRef.current = null;
+    }
+    setRetryAt(null);
+  }, []);
+
+  /**
+   * Reload the failed page now
+   */
+  const retryNow = useCallback(() => {
+    cancelScheduledRetry();
+    const error = loadErrorRef.current;
+    if (error) {
+      onRetryRef.current(error.url);
+    }
+  }, [cancelScheduledRetry]);
+
+  /**
+   * Schedule the next automatic retry if the error is retryable
+   * @param {Object} error - Classified error
+   */
+  const scheduleRetry = useCallback((error) => {
+    cancelScheduledRetry();
+    if (!isRetryableError(error) || attemptRef.current >= MAX_AUTO_RETRIES) return;
+
+    const delay = getBackoffDelay(attemptRef.current);
+    attemptRef.current += 1;
+    setRetryAt(Date.now() + delay);
+    retryTimeoutRef.current = setTimeout(() => {
+      retryTimeoutRef.current = null;
+      setRetryAt(null);
+      const pendingError = loadErrorRef.current;
+      if (pendingError) onRetryRef.current(pendingError.url);
+    }, delay);
+  }, [cancelScheduledRetry]);
+
+  // ==================== Load Reporting ====================
+
+  /**
+   * Record a failed load and schedule recovery
+   * @param {Object} error - Classified error from utils/webViewErrors
+   */
+  const reportError = useCallback((error) => {
+    loadErrorRef.current = error;
+    setLoadError(error);
+    scheduleRetry(error);
+  }, [scheduleRetry]);
+
+  /**
+   * Record a successful load, clear the error and capture a snapshot
+   */
+  const reportSuccess = useCallback(() => {
+    loadErrorRef.current = null;
+    attemptRef.current = 0;
+    cancelScheduledRetry();
+    setLoadError(null);
+    snapshotNonceRef.current = createSnapshotNonce();
+    webViewRef.current?.injectJavaScript(createSnapshotScript(snapshotNonceRef.current));
+  }, [cancelScheduledRetry, webViewRef]);
+
+  /**
+   * Store a snapshot posted in reply to the last capture request; anything
+   * else (a stale or unrequested message) is ignored
+   * @param {string} url - Page URL reported by the WebView
+   * @param {Object} page - { nonce, title, html }
+   */
+  const storeSnapshot = useCallback(async (url, { nonce, title, html }) => {
+    if (!nonce || nonce !== snapshotNonceRef.current) return;
+    snapshotNonceRef.current = null;
+    const saved = await saveSnapshot(url, { title, html });
+    if (saved) setSnapshot(saved);
+  }, []);
+
+  // ==================== Effects ====================
+
+  /**
+   * Load the previously saved snapshot on mount
+   */
+  React.useEffect(() => {
+    let cancelled = false;
+    loadSnapshot().then((saved) => {
+      if (!cancelled && saved) setSnapshot((current) => current || saved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Track connectivity and retry as soon as the network returns
+   */
+  React.useEffect(() => {
+    let wasOnline = true;
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      setIsOnline(online);
+      if (online && !wasOnline && loadErrorRef.current) {
+        attemptRef.current = 0;
+        retryNow();
+      }
+      wasOnline = online;
+    });
+
+    return () => unsubscribe();
+  }, [retryNow]);
+
+  /**
+   * Count down to the next automatic retry
+   */
+  React.useEffect(() => {
+    if (!retryAt) {
+      setRetryInSeconds(null);
+      return undefined;
+    }
+
+    const update = () => {
+      setRetryInSeconds(Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)));
+    };
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
+  /**
+   * Clear the pending retry on unmount
+   */
+  React.useEffect(() => cancelScheduledRetry, [cancelScheduledRetry]);
+
+  return {
+    loadError,
+    isOnline,
+    snapshot,
+    retryInSeconds,
+    reportError,
+    reportSuccess,
+    retryNow,
+    storeSnapshot,
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Deep Linking Configuration
+ *
+ * Linking config for NavigationContainer. Paths are parsed with the
+ * shared route builders so links are validated the same way as
+ * notification payloads; invalid links open the LinkError screen.
+ */
+
+import * as Linking from 'expo-linking';
+import { URL_SCHEME, SCREENS, pathToRoute, linkErrorRoute } from './routes';
+
+/**
+ * Convert a route into a navigation state with WebView at the bottom
+ * @param {Object} route - { screen, params }
+ * @returns {Object} Navigation state
+ */
+export const routeToState = (route) => ({
+  routes: route.screen === SCREENS.WEB_VIEW
+    ? [{ name: SCREENS.WEB_VIEW, params: route.params }]
+    : [{ name: SCREENS.WEB_VIEW }, { name: route.screen, params: route.params }],
+});
+
+export const linking = {
+  prefixes: [`${URL_SCHEME}://`, Linking.createURL('/')],
+  config: {
+    screens: {
+      [SCREENS.WEB_VIEW]: 'web',
+      [SCREENS.VIDEO_PLAYER]: 'video',
+      [SCREENS.LINK_ERROR]: 'link-error',
+    },
+  },
+
+  /**
+   * Parse and validate an incoming link path
+   * @param {string} path - Link without the prefix
+   * @returns {Object} Navigation state
+   */
+  getStateFromPath: (path) => {
+    try {
+      return routeToState(pathToRoute(path));
+    } catch (error) {
+      console.warn('Invalid deep link:', path, error.message);
+      return routeToState(linkErrorRoute(error.message, `${URL_SCHEME}://${path.replace(/^\/+/, '')}`));
+    }
+  },
+};
@@ -0,0 +1,249 @@
+/**
+ * App Routes
+ *
+ * Route objects ({ screen, params }) shared by deep links, notification
+ * payloads and in-app navigation:
+ * - app://video?src=<url>&t=<seconds>&title=<text>&subs=<vtt url>&thumbs=<vtt url>&chapters=<vtt url>
+ *   -> VideoPlayer
+ * - app://web?url=<url> -> WebView
+ * Params are validated before anything navigates.
+ */
+
+// ==================== Constants ====================
+
+export const URL_SCHEME = 'app';
+
+export const SCREENS = {
+  WEB_VIEW: 'WebView',
+  VIDEO_PLAYER: 'VideoPlayer',
+  LINK_ERROR: 'LinkError',
+};
+
+const LINK_PATHS = {
+  video: SCREENS.VIDEO_PLAYER,
+  web: SCREENS.WEB_VIEW,
+};
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_SUBTITLE_FILES = 10;
+const HTTP_URL_PATTERN = /^https?:\/\/[^\s/?#]+[^\s]*$/i;
+
+// ==================== Errors ====================
+
+/**
+ * Error thrown when route params are missing or invalid
+ */
+export class RouteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RouteError';
+  }
+}
+
+// ==================== Route Builders ====================
+
+/**
+ * Validate sideloaded subtitle files
+ * @param {Object[]} subtitles - Files { src, label, language }
+ * @returns {Object[]} Validated files
+ * @throws {RouteError} When a file is invalid
+ */
+const validateSubtitles = (subtitles) => {
+  if (!Array.isArray(subtitles) || subtitles.length > MAX_SUBTITLE_FILES) {
+    throw new RouteError(`Subtitles must be a list of at most ${MAX_SUBTITLE_FILES} files.`);
+  }
+
+  return subtitles.map(({ src, label, language } = {}) => {
+    if (typeof src !== 'string' || !HTTP_URL_PATTERN.test(src)) {
+      throw new RouteError('Subtitle files must be http(s) URLs.');
+    }
+    const file = { src };
+    if (typeof label === 'string' && label) file.label = label.slice(0, MAX_TITLE_LENGTH);
+    if (typeof language === 'string' && language) file.language = language.slice(0, 35);
+    return file;
+  });
+};
+
+/**
+ * Build a validated route to the video player
+ * @param {Object} params - { src, startTime, title, poster, subtitles, thumbnails, chapters }
+ * @returns {Object} Route { screen, params }
+ * @throws {RouteError} When params are invalid
+ */
+export const videoRoute = ({ src, startTime, title, poster, subtitles, thumbnails, chapters } = {}) => {
+  if (typeof src !== 'string' || !HTTP_URL_PATTERN.test(src)) {
+    throw new RouteError('The video address must be an http(s) URL.');
+  }
+
+  const params = { src };
+
+  if (startTime !== undefined && startTime !== null && startTime !== '') {
+    const seconds = Number(startTime);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new RouteError('The start time must be a number of seconds, 0 or more.');
+    }
+    params.startTime = seconds;
+  }
+
+  if (title !== undefined && title !== null && title !== '') {
+    if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+      throw new RouteError(`The title must be text of at most ${MAX_TITLE_LENGTH} characters.`);
+    }
+    params.title = title;
+  }
+
+  if (poster !== undefined && poster !== null && poster !== '') {
+    if (typeof poster !== 'string' || !HTTP_URL_PATTERN.test(poster)) {
+      throw new RouteError('The poster must be an http(s) URL.');
+    }
+    params.poster = poster;
+  }
+
+  if (subtitles !== undefined && subtitles !== null) {
+    const files = validateSubtitles(subtitles);
+    if (files.length) params.subtitles = files;
+  }
+
+  if (thumbnails !== undefined && thumbnails !== null && thumbnails !== '') {
+    if (typeof thumbnails !== 'string' || !HTTP_URL_PATTERN.test(thumbnails)) {
+      throw new RouteError('The thumbnail track must be an http(s) URL.');
+    }
+    params.thumbnails = thumbnails;
+  }
+
+  if (chapters !== undefined && chapters !== null && chapters !== '') {
+    if (typeof chapters !== 'string' || !HTTP_URL_PATTERN.test(chapters)) {
+      throw new RouteError('The chapters file must be an http(s) URL.');
+    }
+    params.chapters = chapters;
+  }
+
+  return { screen: SCREENS.VIDEO_PLAYER, params };
+};
+
+/**
+ * Build a validated route to the WebView
+ * @param {Object} params - { url }, omit url to open the home page
+ * @returns {Object} Route { screen, params }
+ * @throws {RouteError} When params are invalid
+ */
+export const webRoute = ({ url } = {}) => {
+  if (url === undefined || url === null || url === '') {
+    return { screen: SCREENS.WEB_VIEW, params: {} };
+  }
+  if (typeof url !== 'string' || !HTTP_URL_PATTERN.test(url)) {
+    throw new RouteError('The page address must be an http(s) URL.');
+  }
+  return { screen: SCREENS.WEB_VIEW, params: { url } };
+};
+
+/**
+ * Validate an untrusted route object, e.g. from a notification payload
+ * @param {Object} route - { screen, params }
+ * @returns {Object} Validated route
+ * @throws {RouteError} When the screen or its params are invalid
+ */
+export const validateRoute = (route) => {
+  switch (route?.screen) {
+    case SCREENS.VIDEO_PLAYER:
+      // Legacy payloads only name the screen; play the default stream
+      return route.params?.src ? videoRoute(route.params) : { screen: SCREENS.VIDEO_PLAYER, params: {} };
+    case SCREENS.WEB_VIEW:
+      return webRoute(route.params);
+    default:
+      throw new RouteError('This link points to a screen that does not exist.');
+  }
+};
+
+/**
+ * Route shown when a link could not be opened
+ * @param {string} message - Why the link failed
+ * @param {string} link - The offending link
+ * @returns {Object} Route { screen, params }
+ */
+export const linkErrorRoute = (message, link) => ({
+  screen: SCREENS.LINK_ERROR,
+  params: { message, link },
+});
+
+// ==================== URL Conversion ====================
+
+/**
+ * Build the app:// URL for a route
+ * @param {Object} route - Validated route
+ * @returns {string} Deep link URL
+ */
+export const routeToUrl = (route) => {
+  const { params = {} } = route;
+  const query = (entries) => entries
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  if (route.screen === SCREENS.VIDEO_PLAYER) {
+    const search = query([
+      ['src', params.src],
+      ['t', params.startTime],
+      ['title', params.title],
+      ['poster', params.poster],
+      // Links carry a single subtitle file
+      ['subs', params.subtitles?.[0]?.src],
+      ['thumbs', params.thumbnails],
+      ['chapters', params.chapters],
+    ]);
+    return `${URL_SCHEME}://video${search ? `?${search}` : ''}`;
+  }
+  const search = query([['url', params.url]]);
+  return `${URL_SCHEME}://web${search ? `?${search}` : ''}`;
+};
+
+/**
+ * Parse the query string of a link into an object
+ * @param {string} search - Query string without "?"
+ * @returns {Object} Decoded key/value pairs
+ */
+const parseQuery = (search) => {
+  const result = {};
+  (search || '').split('&').filter(Boolean).forEach((pair) => {
+    const index = pair.indexOf('=');
+    const key = index === -1 ? pair : pair.slice(0, index);
+    const value = index === -1 ? '' : pair.slice(index + 1);
+    try {
+      result[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (error) {
+      throw new RouteError('The link is not encoded correctly.');
+    }
+  });
+  return result;
+};
+
+/**
+ * Convert a deep link path (without the scheme prefix) into a route
+ * @param {string} path - e.g. "video?src=...&t=30"
+ * @returns {Object} Validated route
+ * @throws {RouteError} When the path or its params are invalid
+ */
+export const pathToRoute = (path) => {
+  const trimmed = (path || '').replace(/^\/+/, '');
+  const queryIndex = trimmed.indexOf('?');
+  const name = (queryIndex === -1 ? trimmed : trimmed.slice(0, queryIndex)).replace(/\/+$/, '');
+  const query = parseQuery(queryIndex === -1 ? '' : trimmed.slice(queryIndex + 1).split('#')[0]);
+
+  switch (LINK_PATHS[name]) {
+    case SCREENS.VIDEO_PLAYER:
+      return videoRoute({
+        src: query.src,
+        startTime: query.t,
+        title: query.title,
+        poster: query.poster,
+        subtitles: query.subs ? [{ src: query.subs }] : undefined,
+        thumbnails: query.thumbs,
+        chapters: query.chapters,
+      });
+    case SCREENS.WEB_VIEW:
+      return webRoute({ url: query.url });
+    default:
+      if (name === '') return webRoute();
+      throw new RouteError(`"${name}" is not a link this app understands.`);
+  }
+};
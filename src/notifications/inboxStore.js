@@ -0,0 +1,218 @@
+/**
+ * Notification Inbox Store
+ *
+ * Persisted history of app notifications, one entry per notification
+ * request:
+ * - When it was scheduled, delivered and tapped
+ * - Which action was used (default tap, play, snooze, reply, dismiss)
+ * - Read/unread state, mirrored to the app icon badge
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+
+const STORAGE_KEY = 'notificationInbox:v1';
+const MAX_ENTRIES = 200;
+
+let entries = [];
+let loadPromise = null;
+const subscribers = new Set();
+
+// ==================== Persistence ====================
+
+/**
+ * Load entries from storage once
+ * @returns {Promise<void>}
+ */
+export const loadInbox = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY)
+      .then((raw) => {
+        const stored = raw ? JSON.parse(raw) : [];
+        // Keep anything recorded before loading finished
+        const recordedIds = new Set(entries.map((entry) => entry.id));
+        entries = [...entries, ...stored.filter((entry) => !recordedIds.has(entry.id))];
+        notify();
+      })
+      .catch((error) => console.error('Error loading notification inbox:', error));
+  }
+  return loadPromise;
+};
+
+/**
+ * Persist entries and sync the badge count
+ */
+const persist = async () => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    await Notifications.setBadgeCountAsync(getUnreadCount());
+  } catch (error) {
+    console.error('Error saving notification inbox:', error);
+  }
+};
+
+/**
+ * Notify subscribers that entries changed
+ */
+const notify = () => {
+  subscribers.forEach((listener) => listener(entries));
+};
+
+/**
+ * Apply a change to the entry with the given ID, creating it if needed
+ * @param {string} id - Notification request identifier
+ * @param {Function} update - Receives the current entry (or null), returns the new one
+ */
+const upsert = async (id, update) => {
+  await loadInbox();
+  const existing = entries.find((entry) => entry.id === id) || null;
+  const next = update(existing);
+  entries = [next, ...entries.filter((entry) => entry.id !== id)]
+    .sort((a, b) => getSortTime(b) - getSortTime(a))
+    .slice(0, MAX_ENTRIES);
+  notify();
+  await persist();
+};
+
+/**
+ * Time used to order entries, newest activity first
+ * @param {Object} entry - Inbox entry
+ * @returns {number} Timestamp in milliseconds
+ */
+const getSortTime = (entry) => entry.deliveredAt || entry.scheduledAt || 0;
+
+/**
+ * Build a new entry from notification content
+ * @param {string} id - Notification request identifier
+ * @param {Object} content - Notification content
+ * @returns {Object} Entry
+ */
+const createEntry = (id, content) => ({
+  id,
+  title: content.title || '',
+  body: content.body || '',
+  data: content.data || {},
+  scheduledAt: null,
+  deliveredAt: null,
+  tappedAt: null,
+  action: null,
+  read: false,
+});
+
+// ==================== Recording ====================
+
+/**
+ * Record that a notification was scheduled
+ * @param {string} id - Notification request identifier
+ * @param {Object} content - Notification content
+ */
+export const recordScheduled = (id, content) =>
+  upsert(id, (entry) => ({
+    ...(entry || createEntry(id, content)),
+    scheduledAt: Date.now(),
+  }));
+
+/**
+ * Record that a notification was delivered
+ * @param {Object} notification - Notification from a listener or getPresentedNotificationsAsync
+ */
+export const recordDelivered = (notification) => {
+  const { identifier, content } = notification.request;
+  const deliveredAt = notification.date || Date.now();
+  const existing = entries.find((entry) => entry.id === identifier);
+  // Repeating notifications are delivered again; older presented copies are ignored
+  if (existing?.deliveredAt && existing.deliveredAt >= deliveredAt) return Promise.resolve();
+
+  return upsert(identifier, (entry) => ({
+    ...(entry || createEntry(identifier, content)),
+    deliveredAt,
+    read: false,
+  }));
+};
+
+/**
+ * Record the user's response to a notification
+ * @param {Object} response - Notification response
+ */
+export const recordResponse = (response) => {
+  const { notification, actionIdentifier } = response;
+  const { identifier, content } = notification.request;
+
+  return upsert(identifier, (entry) => ({
+    ...(entry || createEntry(identifier, content)),
+    deliveredAt: entry?.deliveredAt || notification.date || Date.now(),
+    tappedAt: Date.now(),
+    action: actionIdentifier,
+    read: true,
+  }));
+};
+
+/**
+ * Forget cancelled notifications that were never delivered
+ * @param {string[]} ids - Cancelled notification request identifiers
+ */
+export const recordCancelled = async (ids) => {
+  await loadInbox();
+  entries = entries.filter((entry) => !ids.includes(entry.id) || entry.deliveredAt);
+  notify();
+  await persist();
+};
+
+// ==================== Inbox Actions ====================
+
+/**
+ * Mark one entry as read
+ * @param {string} id - Entry ID
+ */
+export const markRead = async (id) => {
+  await loadInbox();
+  entries = entries.map((entry) => (entry.id === id ? { ...entry, read: true } : entry));
+  notify();
+  await persist();
+};
+
+/**
+ * Mark every entry as read
+ */
+export const markAllRead = async () => {
+  await loadInbox();
+  entries = entries.map((entry) => ({ ...entry, read: true }));
+  notify();
+  await persist();
+};
+
+/**
+ * Delete one entry
+ * @param {string} id - Entry ID
+ */
+export const removeEntry = async (id) => {
+  await loadInbox();
+  entries = entries.filter((entry) => entry.id !== id);
+  notify();
+  await persist();
+};
+
+// ==================== Queries ====================
+
+/**
+ * Get all entries, newest first
+ * @returns {Object[]} Entries
+ */
+export const getInboxEntries = () => entries;
+
+/**
+ * Count delivered entries the user has not read yet
+ * @returns {number} Unread count
+ */
+export const getUnreadCount = () =>
+  entries.filter((entry) => entry.deliveredAt && !entry.read).length;
+
+/**
+ * Subscribe to entry changes
+ * @param {Function} listener - Called with the current entries
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeInbox = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
@@ -0,0 +1,70 @@
+/**
+ * Notification Categories
+ *
+ * Action buttons attached to app notifications:
+ * - Video: "Play now", "Snooze 10 min", "Reply", "Dismiss"
+ * - General: "Snooze 10 min", "Reply", "Dismiss"
+ */
+
+import * as Notifications from 'expo-notifications';
+
+export const NOTIFICATION_CATEGORIES = {
+  VIDEO: 'video',
+  GENERAL: 'general',
+};
+
+export const NOTIFICATION_ACTIONS = {
+  PLAY_NOW: 'play-now',
+  SNOOZE: 'snooze-10',
+  DISMISS: 'dismiss',
+  REPLY: 'reply',
+};
+
+export const SNOOZE_SECONDS = 10 * 60;
+
+const SNOOZE_ACTION = {
+  identifier: NOTIFICATION_ACTIONS.SNOOZE,
+  buttonTitle: 'Snooze 10 min',
+  options: { opensAppToForeground: false },
+};
+
+const REPLY_ACTION = {
+  identifier: NOTIFICATION_ACTIONS.REPLY,
+  buttonTitle: 'Reply',
+  textInput: {
+    submitButtonTitle: 'Send',
+    placeholder: 'Type a reply...',
+  },
+  options: { opensAppToForeground: false },
+};
+
+const DISMISS_ACTION = {
+  identifier: NOTIFICATION_ACTIONS.DISMISS,
+  buttonTitle: 'Dismiss',
+  options: { isDestructive: true, opensAppToForeground: false },
+};
+
+/**
+ * Register the notification categories with the OS
+ */
+export const registerNotificationCategories = async () => {
+  try {
+    await Notifications.setNotificationCategoryAsync(NOTIFICATION_CATEGORIES.VIDEO, [
+      {
+        identifier: NOTIFICATION_ACTIONS.PLAY_NOW,
+        buttonTitle: 'Play now',
+        options: { opensAppToForeground: true },
+      },
+      SNOOZE_ACTION,
+      REPLY_ACTION,
+      DISMISS_ACTION,
+    ]);
+    await Notifications.setNotificationCategoryAsync(NOTIFICATION_CATEGORIES.GENERAL, [
+      SNOOZE_ACTION,
+      REPLY_ACTION,
+      DISMISS_ACTION,
+    ]);
+  } catch (error) {
+    console.error('Error registering notification categories:', error);
+  }
+};
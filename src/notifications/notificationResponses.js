@@ -0,0 +1,136 @@
+/**
+ * Notification Response Handling
+ *
+ * Routes a notification response to the handler for the action the user
+ * picked. Used for both live taps and the response that cold-launched
+ * the app.
+ */
+
+import * as Notifications from 'expo-notifications';
+import { NOTIFICATION_ACTIONS, SNOOZE_SECONDS } from './notificationCategories';
+import { recordResponse, recordScheduled } from './inboxStore';
+import { emitBridgeEvent } from '../bridge/bridgeEvents';
+import { BRIDGE_EVENTS } from '../bridge/protocol';
+import { validateRoute, videoRoute, linkErrorRoute, SCREENS } from '../navigation/routes';
+
+/**
+ * Key identifying a response, so the same response is never handled twice
+ * @param {Object} response - Notification response
+ * @returns {string} Unique key
+ */
+export const getResponseKey = (response) =>
+  `${response.notification.request.identifier}:${response.actionIdentifier}:${response.notification.date}`;
+
+/**
+ * Reschedule a notification's content after the snooze delay
+ * @param {Object} request - Original notification request
+ */
+const snooze = async (request) => {
+  const { title, body, data, categoryIdentifier } = request.content;
+  const content = {
+    title,
+    body,
+    sound: true,
+    data: {
+      ...data,
+      schedule: {
+        ...data?.schedule,
+        timing: 'delay',
+        delaySeconds: SNOOZE_SECONDS,
+        date: null,
+        repeat: 'none',
+      },
+    },
+    categoryIdentifier,
+  };
+  const identifier = await Notifications.scheduleNotificationAsync({
+    content,
+    trigger: { type: 'timeInterval', seconds: SNOOZE_SECONDS, repeats: false },
+  });
+  await recordScheduled(identifier, content);
+};
+
+/**
+ * Resolve the route a notification should open
+ * @param {Object} data - Notification data payload
+ * @param {boolean} forceVideo - Open the player even if the payload targets another screen
+ * @returns {Object|null} Route to open, the LinkError route when invalid, or null for none
+ */
+const resolveRoute = (data, forceVideo) => {
+  try {
+    if (forceVideo) {
+      return data.screen === SCREENS.VIDEO_PLAYER && data.params?.src
+        ? videoRoute(data.params)
+        : { screen: SCREENS.VIDEO_PLAYER, params: {} };
+    }
+    return data.screen ? validateRoute(data) : null;
+  } catch (error) {
+    console.warn('Invalid notification route:', error.message);
+    return linkErrorRoute(error.message, data.url);
+  }
+};
+
+/**
+ * Resolve the route stored in a notification payload, for repeating its
+ * navigation later (e.g. from the inbox)
+ * @param {Object} data - Notification data payload
+ * @returns {Object|null} Route to open, the LinkError route when invalid, or null for none
+ */
+export const getNotificationRoute = (data) => resolveRoute(data || {}, false);
+
+/**
+ * Handle a notification response
+ * @param {Object} response - Notification response
+ * @param {Object} handlers
+ * @param {Function} handlers.navigate - Called with (screen, params) to open a screen
+ * @returns {Promise<void>}
+ */
+export const handleNotificationResponse = async (response, { navigate }) => {
+  const { request } = response.notification;
+  const data = request.content.data || {};
+
+  try {
+    await recordResponse(response);
+
+    switch (response.actionIdentifier) {
+      case NOTIFICATION_ACTIONS.PLAY_NOW: {
+        const route = resolveRoute(data, true);
+        navigate(route.screen, route.params);
+        break;
+      }
+
+      case NOTIFICATION_ACTIONS.SNOOZE:
+        await snooze(request);
+        await Notifications.dismissNotificationAsync(request.identifier);
+        break;
+
+      case NOTIFICATION_ACTIONS.DISMISS:
+        await Notifications.dismissNotificationAsync(request.identifier);
+        break;
+
+      case NOTIFICATION_ACTIONS.REPLY:
+        emitBridgeEvent(BRIDGE_EVENTS.NOTIFICATION_REPLIED, {
+          title: request.content.title,
+          text: response.userText || '',
+          data,
+        });
+        await Notifications.dismissNotificationAsync(request.identifier);
+        break;
+
+      case Notifications.DEFAULT_ACTION_IDENTIFIER:
+      default: {
+        emitBridgeEvent(BRIDGE_EVENTS.NOTIFICATION_TAPPED, {
+          title: request.content.title,
+          data,
+        });
+        const route = resolveRoute(data, false);
+        if (route) {
+          navigate(route.screen, route.params);
+        }
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`Error handling notification action "${response.actionIdentifier}":`, error);
+  }
+};
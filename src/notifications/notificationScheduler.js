@@ -0,0 +1,301 @@
+/**
+ * Notification Scheduler
+ *
+ * Validates composer input and turns it into expo-notifications requests:
+ * - Relative delay or absolute date/time
+ * - Daily, weekly or custom-interval repeats; a custom repeat can only
+ *   start one interval after scheduling, so other start times are rejected
+ * - Target route (screen plus optional video/page URL) opened on tap
+ */
+
+import * as Notifications from 'expo-notifications';
+import { NOTIFICATION_CATEGORIES } from './notificationCategories';
+import { recordScheduled } from './inboxStore';
+import { SCREENS, videoRoute, webRoute, routeToUrl, RouteError } from '../navigation/routes';
+
+// ==================== Constants ====================
+
+export const TIMING_MODES = {
+  DELAY: 'delay',
+  DATE: 'date',
+};
+
+export const REPEAT_MODES = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  CUSTOM: 'custom',
+};
+
+export const TARGET_SCREENS = {
+  VIDEO_PLAYER: SCREENS.VIDEO_PLAYER,
+  WEB_VIEW: SCREENS.WEB_VIEW,
+  NONE: 'none',
+};
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 500;
+const MAX_DELAY_SECONDS = 365 * 24 * 60 * 60;
+const MIN_REPEAT_SECONDS = 60; // iOS rejects shorter repeating intervals
+
+/**
+ * Default composer input
+ * @returns {Object} Fresh notification input
+ */
+export const createEmptyInput = () => ({
+  title: '',
+  body: '',
+  timing: TIMING_MODES.DELAY,
+  delaySeconds: 5,
+  date: null,
+  repeat: REPEAT_MODES.NONE,
+  customIntervalMinutes: 60,
+  targetScreen: TARGET_SCREENS.VIDEO_PLAYER,
+  targetUrl: '',
+});
+
+// ==================== Errors ====================
+
+/**
+ * Error thrown when notification input fails validation
+ */
+export class NotificationInputError extends Error {
+  /**
+   * @param {Object} fieldErrors - Map of input field to message
+   */
+  constructor(fieldErrors) {
+    super(Object.values(fieldErrors).join(' '));
+    this.name = 'NotificationInputError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// ==================== Target Route ====================
+
+/**
+ * Build the route a notification opens when tapped
+ * @param {Object} input - Composer input
+ * @returns {Object|null} Route { screen, params }, or null for no navigation
+ * @throws {RouteError} When the target URL is invalid
+ */
+export const buildTargetRoute = (input) => {
+  const url = (input.targetUrl || '').trim();
+  switch (input.targetScreen) {
+    case TARGET_SCREENS.VIDEO_PLAYER:
+      return url ? videoRoute({ src: url }) : { screen: SCREENS.VIDEO_PLAYER, params: {} };
+    case TARGET_SCREENS.WEB_VIEW:
+      return webRoute({ url });
+    default:
+      return null;
+  }
+};
+
+// ==================== Validation ====================
+
+/**
+ * Check notification input without scheduling it
+ * @param {Object} input - Composer input, see createEmptyInput
+ * @param {Date} now - Reference time for date checks
+ * @returns {Object} Map of field to error message (empty when valid)
+ */
+export const validateNotificationInput = (input, now = new Date()) => {
+  const errors = {};
+
+  if (typeof input.title !== 'string' || !input.title.trim()) {
+    errors.title = 'Title is required.';
+  } else if (input.title.length > MAX_TITLE_LENGTH) {
+    errors.title = `Title must be at most ${MAX_TITLE_LENGTH} characters.`;
+  }
+
+  if (input.body !== undefined && typeof input.body !== 'string') {
+    errors.body = 'Body must be text.';
+  } else if ((input.body || '').length > MAX_BODY_LENGTH) {
+    errors.body = `Body must be at most ${MAX_BODY_LENGTH} characters.`;
+  }
+
+  if (input.timing === TIMING_MODES.DATE) {
+    const date = input.date instanceof Date ? input.date : new Date(input.date);
+    if (!input.date || isNaN(date.getTime())) {
+      errors.date = 'Enter a valid date and time.';
+    } else if (input.repeat === REPEAT_MODES.NONE && date.getTime() <= now.getTime()) {
+      errors.date = 'Date and time must be in the future.';
+    }
+  } else if (input.timing === TIMING_MODES.DELAY) {
+    const delay = input.delaySeconds;
+    if (typeof delay !== 'number' || !Number.isInteger(delay) || delay < 1) {
+      errors.delaySeconds = 'Delay must be a whole number of seconds, at least 1.';
+    } else if (delay > MAX_DELAY_SECONDS) {
+      errors.delaySeconds = 'Delay must be at most one year.';
+    }
+  } else {
+    errors.timing = 'Choose a delay or a date and time.';
+  }
+
+  if (!Object.values(REPEAT_MODES).includes(input.repeat)) {
+    errors.repeat = 'Unknown repeat mode.';
+  } else if (input.repeat === REPEAT_MODES.CUSTOM) {
+    const minutes = input.customIntervalMinutes;
+    if (typeof minutes !== 'number' || !Number.isInteger(minutes) || minutes * 60 < MIN_REPEAT_SECONDS) {
+      errors.customIntervalMinutes = 'Repeat interval must be a whole number of minutes, at least 1.';
+    } else if (input.timing === TIMING_MODES.DATE) {
+      // Interval triggers have no start date
+      if (!errors.date) {
+        errors.date = 'Custom repeats start one interval after scheduling; choose "After delay" instead.';
+      }
+    } else if (!errors.delaySeconds && input.delaySeconds !== minutes * 60) {
+      errors.delaySeconds = `Custom repeats first fire one interval after scheduling; set the delay to ${minutes * 60} seconds.`;
+    }
+  }
+
+  if (!Object.values(TARGET_SCREENS).includes(input.targetScreen)) {
+    errors.targetScreen = 'Unknown target screen.';
+  } else {
+    try {
+      buildTargetRoute(input);
+    } catch (error) {
+      if (!(error instanceof RouteError)) throw error;
+      errors.targetUrl = error.message;
+    }
+  }
+
+  return errors;
+};
+
+// ==================== Request Building ====================
+
+/**
+ * Resolve the moment a notification first fires
+ * @param {Object} input - Validated input
+ * @param {Date} now - Reference time
+ * @returns {Date} First fire date
+ */
+const getFireDate = (input, now) =>
+  input.timing === TIMING_MODES.DATE
+    ? new Date(input.date)
+    : new Date(now.getTime() + input.delaySeconds * 1000);
+
+/**
+ * Build the expo-notifications trigger for validated input
+ * @param {Object} input - Validated input
+ * @param {Date} now - Reference time
+ * @returns {Object} Trigger input
+ */
+export const buildTrigger = (input, now = new Date()) => {
+  const fireDate = getFireDate(input, now);
+
+  switch (input.repeat) {
+    case REPEAT_MODES.DAILY:
+      return { type: 'daily', hour: fireDate.getHours(), minute: fireDate.getMinutes() };
+    case REPEAT_MODES.WEEKLY:
+      return {
+        type: 'weekly',
+        weekday: fireDate.getDay() + 1, // 1 = Sunday
+        hour: fireDate.getHours(),
+        minute: fireDate.getMinutes(),
+      };
+    case REPEAT_MODES.CUSTOM:
+      return { type: 'timeInterval', seconds: input.customIntervalMinutes * 60, repeats: true };
+    default:
+      return input.timing === TIMING_MODES.DATE
+        ? { type: 'date', date: fireDate }
+        : { type: 'timeInterval', seconds: input.delaySeconds, repeats: false };
+  }
+};
+
+/**
+ * Validate and schedule a notification
+ * @param {Object} input - Composer input
+ * @param {Object} extraData - Additional data merged into the payload
+ * @returns {Promise<string>} Notification identifier
+ * @throws {NotificationInputError} When the input is invalid
+ */
+export const scheduleAppNotification = async (input, extraData = {}) => {
+  const now = new Date();
+  const errors = validateNotificationInput(input, now);
+  if (Object.keys(errors).length > 0) {
+    throw new NotificationInputError(errors);
+  }
+
+  const date = input.timing === TIMING_MODES.DATE ? new Date(input.date) : null;
+  const route = buildTargetRoute(input);
+
+  const content = {
+    title: input.title.trim(),
+    body: input.body || '',
+    sound: true,
+    categoryIdentifier: input.targetScreen === TARGET_SCREENS.VIDEO_PLAYER
+      ? NOTIFICATION_CATEGORIES.VIDEO
+      : NOTIFICATION_CATEGORIES.GENERAL,
+    data: {
+      ...extraData,
+      ...(route && { screen: route.screen, params: route.params, url: routeToUrl(route) }),
+      // Original input so the notification can be edited or duplicated later
+      schedule: {
+        timing: input.timing,
+        delaySeconds: input.delaySeconds,
+        date: date ? date.toISOString() : null,
+        repeat: input.repeat,
+        customIntervalMinutes: input.customIntervalMinutes,
+        targetScreen: input.targetScreen,
+        targetUrl: input.targetUrl || '',
+      },
+    },
+  };
+
+  const identifier = await Notifications.scheduleNotificationAsync({
+    content,
+    trigger: buildTrigger(input, now),
+  });
+  recordScheduled(identifier, content);
+  return identifier;
+};
+
+// ==================== Scheduled Requests ====================
+
+/**
+ * Convert a scheduled request back into composer input
+ * @param {Object} request - Request from getAllScheduledNotificationsAsync
+ * @returns {Object} Composer input
+ */
+export const requestToInput = (request) => {
+  const { title, body, data } = request.content;
+  const schedule = data?.schedule || {};
+  return {
+    ...createEmptyInput(),
+    ...schedule,
+    title: title || '',
+    body: body || '',
+    date: schedule.date ? new Date(schedule.date) : null,
+    targetScreen: schedule.targetScreen || data?.screen || TARGET_SCREENS.NONE,
+    targetUrl: schedule.targetUrl || data?.params?.src || data?.params?.url || '',
+  };
+};
+
+/**
+ * Describe when a scheduled request fires
+ * @param {Object} request - Request from getAllScheduledNotificationsAsync
+ * @returns {string} Human readable schedule
+ */
+export const describeSchedule = (request) => {
+  const schedule = request.content.data?.schedule;
+  const trigger = request.trigger || {};
+  const pad = (value) => String(value).padStart(2, '0');
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  if (trigger.type === 'daily') {
+    return `Daily at ${pad(trigger.hour)}:${pad(trigger.minute)}`;
+  }
+  if (trigger.type === 'weekly') {
+    return `Every ${weekdays[trigger.weekday - 1]} at ${pad(trigger.hour)}:${pad(trigger.minute)}`;
+  }
+  if (trigger.repeats && trigger.seconds) {
+    return `Every ${Math.round(trigger.seconds / 60)} min`;
+  }
+  if (schedule?.timing === TIMING_MODES.DATE && schedule.date) {
+    return `At ${new Date(schedule.date).toLocaleString()}`;
+  }
+  if (trigger.seconds) {
+    return `${trigger.seconds}s after scheduling`;
+  }
+  return 'Scheduled';
+};
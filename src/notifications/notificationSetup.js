@@ -0,0 +1,23 @@
+/**
+ * Notification Setup
+ *
+ * App-wide notification configuration, run once at startup.
+ */
+
+import * as Notifications from 'expo-notifications';
+import { registerNotificationCategories } from './notificationCategories';
+
+/**
+ * Configure how notifications are presented and register categories
+ */
+export const configureNotifications = () => {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowAlert: true,
+      shouldPlaySound: true,
+      shouldSetBadge: true,
+    }),
+  });
+
+  registerNotificationCategories();
+};
@@ -0,0 +1,187 @@
+import { ADJUST_TARGETS, TAP_SIDES, createGestureRecognizer } from '../gestureRecognizer';
+
+const SURFACE = { width: 400, height: 200 };
+const LEFT = { x: 50, y: 100, ...SURFACE };
+const RIGHT = { x: 350, y: 100, ...SURFACE };
+
+const HANDLER_NAMES = [
+  'onTap', 'onSeekTap', 'onLongPressStart', 'onLongPressEnd',
+  'onAdjustStart', 'onAdjust', 'onAdjustEnd', 'onScrubStart', 'onScrub', 'onScrubEnd',
+];
+
+const createRecognizer = () => {
+  const handlers = Object.fromEntries(HANDLER_NAMES.map((name) => [name, jest.fn()]));
+  const recognizer = createGestureRecognizer(handlers, { now: () => Date.now() });
+  return { handlers, recognizer };
+};
+
+/**
+ * Touch and lift without moving, then let some time pass
+ */
+const tap = (recognizer, position, gap = 100) => {
+  recognizer.touchStart(position);
+  recognizer.touchEnd();
+  jest.advanceTimersByTime(gap);
+};
+
+describe('createGestureRecognizer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('taps', () => {
+    it('reports a single tap once a double tap is ruled out', () => {
+      const { handlers, recognizer } = createRecognizer();
+      tap(recognizer, RIGHT, 299);
+      expect(handlers.onTap).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(handlers.onTap).toHaveBeenCalledTimes(1);
+      expect(handlers.onSeekTap).not.toHaveBeenCalled();
+    });
+
+    it('reports a double tap on the side it landed', () => {
+      const { handlers, recognizer } = createRecognizer();
+      tap(recognizer, LEFT);
+      tap(recognizer, LEFT);
+
+      expect(handlers.onSeekTap).toHaveBeenCalledWith({ side: TAP_SIDES.LEFT, count: 1 });
+      jest.advanceTimersByTime(1000);
+      expect(handlers.onTap).not.toHaveBeenCalled();
+    });
+
+    it('stacks further taps on the same side', () => {
+      const { handlers, recognizer } = createRecognizer();
+      [1, 2, 3, 4].forEach(() => tap(recognizer, RIGHT));
+
+      expect(handlers.onSeekTap.mock.calls.map(([payload]) => payload)).toEqual([
+        { side: TAP_SIDES.RIGHT, count: 1 },
+        { side: TAP_SIDES.RIGHT, count: 2 },
+        { side: TAP_SIDES.RIGHT, count: 3 },
+      ]);
+    });
+
+    it('ends the streak after a pause', () => {
+      const { handlers, recognizer } = createRecognizer();
+      tap(recognizer, RIGHT);
+      tap(recognizer, RIGHT, 300);
+      tap(recognizer, RIGHT);
+      tap(recognizer, RIGHT);
+
+      expect(handlers.onSeekTap.mock.calls.map(([payload]) => payload.count)).toEqual([1, 1]);
+    });
+
+    it('starts a new double tap when the streak changes side', () => {
+      const { handlers, recognizer } = createRecognizer();
+      tap(recognizer, RIGHT);
+      tap(recognizer, RIGHT);
+      tap(recognizer, LEFT);
+      tap(recognizer, LEFT);
+
+      expect(handlers.onSeekTap.mock.calls.map(([payload]) => payload)).toEqual([
+        { side: TAP_SIDES.RIGHT, count: 1 },
+        { side: TAP_SIDES.LEFT, count: 1 },
+      ]);
+    });
+
+    it('treats taps further apart than the delay as single taps', () => {
+      const { handlers, recognizer } = createRecognizer();
+      tap(recognizer, LEFT, 300);
+      tap(recognizer, LEFT, 300);
+
+      expect(handlers.onTap).toHaveBeenCalledTimes(2);
+      expect(handlers.onSeekTap).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tap or pan', () => {
+    it('keeps a touch that moves less than the slop a tap', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(RIGHT);
+      recognizer.touchMove({ dx: 9, dy: -9 });
+      recognizer.touchEnd();
+      jest.advanceTimersByTime(300);
+
+      expect(handlers.onTap).toHaveBeenCalledTimes(1);
+      expect(handlers.onScrubStart).not.toHaveBeenCalled();
+      expect(handlers.onAdjustStart).not.toHaveBeenCalled();
+    });
+
+    it('turns a touch that moves past the slop into a pan', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(RIGHT);
+      recognizer.touchMove({ dx: 10, dy: 0 });
+      recognizer.touchEnd();
+      jest.advanceTimersByTime(300);
+
+      expect(handlers.onScrubStart).toHaveBeenCalledTimes(1);
+      expect(handlers.onTap).not.toHaveBeenCalled();
+    });
+
+    it('reports a long press until release, unless the finger moves first', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(RIGHT);
+      jest.advanceTimersByTime(400);
+      recognizer.touchMove({ dx: 50, dy: 0 });
+      recognizer.touchEnd();
+
+      expect(handlers.onLongPressStart).toHaveBeenCalledTimes(1);
+      expect(handlers.onLongPressEnd).toHaveBeenCalledTimes(1);
+      expect(handlers.onScrubStart).not.toHaveBeenCalled();
+      expect(handlers.onTap).not.toHaveBeenCalled();
+
+      recognizer.touchStart(RIGHT);
+      recognizer.touchMove({ dx: 50, dy: 0 });
+      jest.advanceTimersByTime(400);
+      expect(handlers.onLongPressStart).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('axis lock', () => {
+    it('locks a mostly horizontal pan to scrubbing', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(LEFT);
+      recognizer.touchMove({ dx: 20, dy: 12 });
+      recognizer.touchMove({ dx: 20, dy: 150 });
+      recognizer.touchEnd();
+
+      expect(handlers.onScrub.mock.calls.map(([payload]) => payload.fraction)).toEqual([0.05, 0.05]);
+      expect(handlers.onScrubEnd).toHaveBeenCalledWith({ fraction: 0.05, cancelled: false });
+      expect(handlers.onAdjustStart).not.toHaveBeenCalled();
+    });
+
+    it('locks a mostly vertical pan to brightness on the left half', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(LEFT);
+      recognizer.touchMove({ dx: 5, dy: -20 });
+      recognizer.touchMove({ dx: 300, dy: -50 });
+      recognizer.touchEnd();
+
+      expect(handlers.onAdjustStart).toHaveBeenCalledWith({ target: ADJUST_TARGETS.BRIGHTNESS });
+      expect(handlers.onAdjust).toHaveBeenLastCalledWith({ target: ADJUST_TARGETS.BRIGHTNESS, fraction: 0.25 });
+      expect(handlers.onAdjustEnd).toHaveBeenCalledWith({ target: ADJUST_TARGETS.BRIGHTNESS });
+      expect(handlers.onScrubStart).not.toHaveBeenCalled();
+    });
+
+    it('locks a mostly vertical pan to volume on the right half', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(RIGHT);
+      recognizer.touchMove({ dx: 0, dy: 40 });
+
+      expect(handlers.onAdjust).toHaveBeenCalledWith({ target: ADJUST_TARGETS.VOLUME, fraction: -0.2 });
+    });
+
+    it('does not commit a scrub taken over by another view', () => {
+      const { handlers, recognizer } = createRecognizer();
+      recognizer.touchStart(RIGHT);
+      recognizer.touchMove({ dx: -40, dy: 0 });
+      recognizer.touchCancel();
+
+      expect(handlers.onScrubEnd).toHaveBeenCalledWith({ fraction: -0.1, cancelled: true });
+    });
+  });
+});
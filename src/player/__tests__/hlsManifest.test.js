@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  AUTO_QUALITY,
+  ManifestError,
+  buildSingleVariantPlaylist,
+  getQualityOptions,
+  isMasterPlaylist,
+  parseMasterPlaylist,
+  parseMediaPlaylist,
+} from '../hlsManifest';
+
+const BASE_URL = 'https://media.example.com/show/master.m3u8?session=1';
+const MEDIA_URL = 'https://media.example.com/show/720p/index.m3u8';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseMasterPlaylist', () => {
+  const manifest = parseMasterPlaylist(readFixture('master.m3u8'), BASE_URL);
+
+  it('tells master playlists from media playlists', () => {
+    expect(isMasterPlaylist(readFixture('master.m3u8'))).toBe(true);
+    expect(isMasterPlaylist(readFixture('media.m3u8'))).toBe(false);
+  });
+
+  it('reads variants with their attributes', () => {
+    expect(manifest.variants).toHaveLength(5);
+    expect(manifest.variants[0]).toMatchObject({
+      uri: 'https://media.example.com/show/360p/index.m3u8',
+      bandwidth: 800000,
+      averageBandwidth: 700000,
+      resolution: { width: 640, height: 360 },
+      codecs: ['avc1.4d401e', 'mp4a.40.2'],
+      frameRate: 30,
+      audioGroup: 'aac',
+      subtitlesGroup: 'subs',
+      closedCaptionsGroup: 'cc',
+    });
+    expect(manifest.variants[1]).toMatchObject({ averageBandwidth: null, closedCaptionsGroup: null });
+    expect(manifest.variants[3]).toMatchObject({
+      uri: 'https://cdn.example.com/1080p60/index.m3u8?token=abc',
+      frameRate: 59.94,
+      codecs: ['avc1.640028', 'ec-3'],
+      audioGroup: 'ec3',
+    });
+    expect(manifest.variants[4]).toMatchObject({ resolution: null, frameRate: null, subtitlesGroup: null });
+  });
+
+  it('groups audio renditions', () => {
+    expect(Object.keys(manifest.audioGroups)).toEqual(['aac', 'ec3']);
+    expect(manifest.audioGroups.aac.map((rendition) => rendition.language)).toEqual(['en', 'de']);
+    expect(manifest.audioGroups.aac[0]).toMatchObject({
+      name: 'English',
+      uri: 'https://media.example.com/show/audio/en/index.m3u8',
+      isDefault: true,
+      autoselect: true,
+      channels: '2',
+    });
+    expect(manifest.audioGroups.ec3[0]).toMatchObject({
+      uri: 'https://media.example.com/surround/en.m3u8',
+      channels: '6',
+    });
+  });
+
+  it('keeps subtitle and closed caption renditions', () => {
+    const subtitles = manifest.media.find((rendition) => rendition.type === 'SUBTITLES');
+    expect(subtitles).toMatchObject({ groupId: 'subs', uri: 'https://media.example.com/show/subs/en.m3u8', forced: false });
+    const captions = manifest.media.find((rendition) => rendition.type === 'CLOSED-CAPTIONS');
+    expect(captions).toMatchObject({ groupId: 'cc', uri: null });
+  });
+
+  it('reads I-frame streams separately from the variants', () => {
+    expect(manifest.iFrameVariants.map((variant) => variant.uri)).toEqual([
+      'https://media.example.com/show/360p/iframes.m3u8',
+      'https://media.example.com/show/720p/iframes.m3u8',
+    ]);
+    expect(manifest.iFrameVariants[1]).toMatchObject({ bandwidth: 250000, resolution: { width: 1280, height: 720 } });
+  });
+
+  it('rejects text that is not a master playlist', () => {
+    expect(() => parseMasterPlaylist('<html></html>', BASE_URL)).toThrow(ManifestError);
+    expect(() => parseMasterPlaylist(readFixture('media.m3u8'), BASE_URL)).toThrow(ManifestError);
+  });
+});
+
+describe('parseMediaPlaylist', () => {
+  const playlist = parseMediaPlaylist(readFixture('media.m3u8'), MEDIA_URL);
+
+  it('reads the playlist tags', () => {
+    expect(playlist).toMatchObject({
+      targetDuration: 6,
+      mediaSequence: 120,
+      playlistType: 'EVENT',
+      endList: true,
+      holdBack: 18,
+    });
+  });
+
+  it('reads segments with their start times and resolved URIs', () => {
+    expect(playlist.segments.map(({ uri, duration, start }) => ({ uri, duration, start }))).toEqual([
+      { uri: 'https://media.example.com/show/720p/segment120.ts', duration: 6, start: 0 },
+      { uri: 'https://media.example.com/show/720p/segment121.ts', duration: 4, start: 6 },
+      { uri: 'https://media.example.com/live/segment122.ts', duration: 6, start: 10 },
+      { uri: 'https://cdn.example.com/segment123.ts', duration: 5.5, start: 16 },
+    ]);
+    expect(playlist.segments[0].title).toBe('Opening, part one');
+  });
+
+  it('carries program date times on to later segments', () => {
+    const start = Date.parse('2024-05-01T10:00:00.000Z');
+    expect(playlist.segments.map((segment) => segment.programDateTime)).toEqual([
+      start,
+      start + 6000,
+      start + 10000,
+      Date.parse('2024-05-01T10:05:00.000Z'),
+    ]);
+  });
+
+  it('reads date ranges and skips ones without a valid start date', () => {
+    expect(playlist.dateRanges).toEqual([
+      expect.objectContaining({
+        id: 'chapter-1',
+        className: 'com.example.chapter',
+        startDate: Date.parse('2024-05-01T10:00:00.000Z'),
+        endDate: null,
+        duration: 10,
+      }),
+      expect.objectContaining({
+        id: 'chapter-2',
+        className: null,
+        endDate: Date.parse('2024-05-01T10:00:16.000Z'),
+        duration: null,
+      }),
+    ]);
+    expect(playlist.dateRanges[0].attributes['X-TITLE']).toBe('Intro');
+  });
+
+  it('rejects text without #EXTM3U', () => {
+    expect(() => parseMediaPlaylist('#EXTINF:6,\nsegment.ts', MEDIA_URL)).toThrow(ManifestError);
+  });
+});
+
+describe('getQualityOptions', () => {
+  const manifest = parseMasterPlaylist(readFixture('master.m3u8'), BASE_URL);
+
+  it('offers Auto plus the best variant per resolution, highest first', () => {
+    const options = getQualityOptions(manifest);
+    expect(options.map(({ id, label }) => ({ id, label }))).toEqual([
+      { id: AUTO_QUALITY, label: 'Auto' },
+      { id: '1080p', label: '1080p60' },
+      { id: '720p', label: '720p' },
+      { id: '360p', label: '360p' },
+    ]);
+    expect(options[0].variant).toBeNull();
+    expect(options[2].variant.bandwidth).toBe(2500000);
+  });
+});
+
+describe('buildSingleVariantPlaylist', () => {
+  const manifest = parseMasterPlaylist(readFixture('master.m3u8'), BASE_URL);
+
+  it('keeps one variant and the renditions it refers to, with absolute URIs', () => {
+    const text = buildSingleVariantPlaylist(manifest, manifest.variants[0]);
+    const pinned = parseMasterPlaylist(text, 'file:///cache/pinned.m3u8');
+
+    expect(pinned.variants).toHaveLength(1);
+    expect(pinned.variants[0]).toMatchObject({
+      uri: 'https://media.example.com/show/360p/index.m3u8',
+      bandwidth: 800000,
+      audioGroup: 'aac',
+    });
+    expect(pinned.media.map((rendition) => `${rendition.type}:${rendition.groupId}`)).toEqual([
+      'AUDIO:aac',
+      'AUDIO:aac',
+      'SUBTITLES:subs',
+      'CLOSED-CAPTIONS:cc',
+    ]);
+    expect(pinned.audioGroups.aac[1].uri).toBe('https://media.example.com/show/audio/de/index.m3u8');
+    expect(pinned.iFrameVariants).toEqual([]);
+  });
+
+  it('leaves out renditions of other groups', () => {
+    const text = buildSingleVariantPlaylist(manifest, manifest.variants[3]);
+    expect(text).toContain('GROUP-ID="ec3"');
+    expect(text).not.toContain('GROUP-ID="aac"');
+    expect(text).toContain('URI="https://media.example.com/surround/en.m3u8"');
+    expect(text.split('\n')[0]).toBe('#EXTM3U');
+  });
+});
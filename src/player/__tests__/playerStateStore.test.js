@@ -0,0 +1,130 @@
+import {
+  getPlayerStateStore,
+  getPlayerState,
+  refreshPlayerState,
+  selectIsBuffering,
+} from '../playerStateStore';
+import { createFakePlayer } from '../../testUtils/createFakePlayer';
+
+const PLAYER_EVENTS = ['timeUpdate', 'statusChange', 'playingChange', 'sourceLoad', 'playToEnd'];
+
+describe('playerStateStore', () => {
+  it('keeps one store per player', () => {
+    const player = createFakePlayer();
+    expect(getPlayerStateStore(player)).toBe(getPlayerStateStore(player));
+    expect(getPlayerStateStore(createFakePlayer())).not.toBe(getPlayerStateStore(player));
+  });
+
+  it('starts from the player properties', () => {
+    const player = createFakePlayer({ status: 'readyToPlay', playing: true, currentTime: 12, duration: 60 });
+    expect(getPlayerStateStore(player).getState()).toMatchObject({
+      status: 'readyToPlay',
+      isPlaying: true,
+      currentTime: 12,
+      duration: 60,
+      bufferedPosition: 0,
+    });
+  });
+
+  it('attaches to the player on the first subscribe and detaches on the last unsubscribe', () => {
+    const player = createFakePlayer();
+    const store = getPlayerStateStore(player);
+
+    const unsubscribeFirst = store.subscribe(() => {});
+    const unsubscribeSecond = store.subscribe(() => {});
+    PLAYER_EVENTS.forEach((eventName) => expect(player.listenerCount(eventName)).toBe(1));
+    expect(player.timeUpdateEventInterval).toBeGreaterThan(0);
+
+    unsubscribeFirst();
+    PLAYER_EVENTS.forEach((eventName) => expect(player.listenerCount(eventName)).toBe(1));
+
+    unsubscribeSecond();
+    PLAYER_EVENTS.forEach((eventName) => expect(player.listenerCount(eventName)).toBe(0));
+    expect(player.timeUpdateEventInterval).toBe(0);
+  });
+
+  it('re-reads the player when it attaches again', () => {
+    const player = createFakePlayer();
+    const store = getPlayerStateStore(player);
+    store.subscribe(() => {})();
+
+    player.currentTime = 30;
+    player.playing = true;
+    const unsubscribe = store.subscribe(() => {});
+    expect(store.getState()).toMatchObject({ currentTime: 30, isPlaying: true });
+    unsubscribe();
+  });
+
+  it('follows the player events', () => {
+    const player = createFakePlayer();
+    const store = getPlayerStateStore(player);
+    const unsubscribe = store.subscribe(() => {});
+
+    player.emit('statusChange', { status: 'loading' });
+    expect(selectIsBuffering(store.getState())).toBe(true);
+
+    player.duration = 60;
+    player.emit('sourceLoad', { duration: 60 });
+    player.emit('statusChange', { status: 'readyToPlay' });
+    expect(store.getState()).toMatchObject({ status: 'readyToPlay', duration: 60, error: null });
+
+    player.emit('playingChange', { isPlaying: true });
+    player.emit('timeUpdate', { currentTime: 5, bufferedPosition: 20, currentOffsetFromLive: null });
+    expect(store.getState()).toMatchObject({ isPlaying: true, currentTime: 5, bufferedPosition: 20 });
+
+    player.emit('playingChange', { isPlaying: false });
+    player.emit('playToEnd');
+    expect(store.getState()).toMatchObject({ isPlaying: false, hasEnded: true, currentTime: 60 });
+
+    player.emit('playingChange', { isPlaying: true });
+    expect(store.getState().hasEnded).toBe(false);
+
+    const error = { message: 'Decoder failed' };
+    player.emit('statusChange', { status: 'error', error });
+    expect(store.getState()).toMatchObject({ status: 'error', error });
+    unsubscribe();
+  });
+
+  it('notifies subscribers only when something changed', () => {
+    const player = createFakePlayer();
+    const store = getPlayerStateStore(player);
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    player.emit('playingChange', { isPlaying: false });
+    expect(listener).not.toHaveBeenCalled();
+
+    player.playing = true;
+    player.emit('playingChange', { isPlaying: true });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenLastCalledWith(store.getState());
+
+    store.refresh();
+    expect(listener).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+
+  it('stops notifying after unsubscribe', () => {
+    const player = createFakePlayer();
+    const listener = jest.fn();
+    getPlayerStateStore(player).subscribe(listener)();
+
+    player.emit('timeUpdate', { currentTime: 3 });
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('re-reads the player on refresh, e.g. after a seek while paused', () => {
+    const player = createFakePlayer({ duration: 60 });
+    const listener = jest.fn();
+    const unsubscribe = getPlayerStateStore(player).subscribe(listener);
+
+    player.currentTime = 42;
+    refreshPlayerState(player);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getPlayerStateStore(player).getState().currentTime).toBe(42);
+
+    player.currentTime = 50;
+    expect(getPlayerState(player).currentTime).toBe(50);
+    unsubscribe();
+  });
+});
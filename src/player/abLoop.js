@@ -0,0 +1,53 @@
+/**
+ * A-B Loop
+ *
+ * Loop markers for practising a part of a video:
+ * - One control sets A, then B, then clears the loop
+ * - B right on or before A moves A instead, so a loop is never empty
+ * - B stays short of the end, so playback loops before the video ends
+ *   (and before repeat or autoplay take over)
+ * - Playback reaching B jumps back to A; seeking past B does not
+ */
+
+export const NO_LOOP = { a: null, b: null };
+
+// Constants
+const MIN_LOOP_LENGTH = 1; // seconds
+const END_MARGIN = 0.5; // seconds kept between B and the end
+const MAX_PLAYED_STEP = 2; // seconds between two updates that still count as playing through
+
+/**
+ * Whether both markers are set
+ * @param {Object} loop - { a, b } in seconds, null when unset
+ * @returns {boolean}
+ */
+export const isLooping = (loop) => loop.a !== null && loop.b !== null;
+
+/**
+ * Loop after pressing the A-B control
+ * @param {Object} loop - Current loop
+ * @param {number} time - Playback position in seconds
+ * @param {number} duration - Duration in seconds, 0 when unknown
+ * @returns {Object} New loop
+ */
+export const advanceLoop = (loop, time, duration) => {
+  if (loop.a === null) return { a: time, b: null };
+  if (loop.b !== null) return NO_LOOP;
+
+  const b = duration > 0 ? Math.min(time, duration - END_MARGIN) : time;
+  return b - loop.a >= MIN_LOOP_LENGTH ? { a: loop.a, b } : { a: time, b: null };
+};
+
+/**
+ * Whether playback went through B between two updates
+ * @param {Object} loop - Current loop
+ * @param {number} previousTime - Position at the previous update
+ * @param {number} time - Position now
+ * @returns {boolean}
+ */
+export const hasReachedLoopEnd = (loop, previousTime, time) => (
+  isLooping(loop) &&
+  previousTime < loop.b &&
+  time >= loop.b &&
+  time - previousTime <= MAX_PLAYED_STEP
+);
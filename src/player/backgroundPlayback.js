@@ -0,0 +1,35 @@
+/**
+ * Background Playback
+ *
+ * The viewer's remembered choice to keep playing (audio, or picture in
+ * picture) after leaving the app. Off by default.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'backgroundPlayback:v1';
+
+/**
+ * Load the remembered choice
+ * @returns {Promise<boolean>} Whether to keep playing in the background
+ */
+export const loadBackgroundPlayback = async () => {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY)) === 'true';
+  } catch (error) {
+    console.error('Error loading background playback setting:', error);
+    return false;
+  }
+};
+
+/**
+ * Remember the choice
+ * @param {boolean} enabled - Whether to keep playing in the background
+ */
+export const saveBackgroundPlayback = async (enabled) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, String(enabled));
+  } catch (error) {
+    console.error('Error saving background playback setting:', error);
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * Caption Style
+ *
+ * Options and persistence for how subtitles are drawn: text size,
+ * background opacity and text colour.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'captionStyle:v1';
+
+export const CAPTION_SIZES = [
+  { value: 'small', label: 'Small', scale: 0.8 },
+  { value: 'medium', label: 'Medium', scale: 1 },
+  { value: 'large', label: 'Large', scale: 1.4 },
+];
+
+export const CAPTION_BACKGROUND_OPACITIES = [
+  { value: '0', label: '0%' },
+  { value: '0.25', label: '25%' },
+  { value: '0.5', label: '50%' },
+  { value: '0.75', label: '75%' },
+  { value: '1', label: '100%' },
+];
+
+export const CAPTION_COLORS = [
+  { value: '#ffffff', label: 'White' },
+  { value: '#ffeb3b', label: 'Yellow' },
+  { value: '#00e5ff', label: 'Cyan' },
+  { value: '#76ff03', label: 'Green' },
+];
+
+export const DEFAULT_CAPTION_STYLE = {
+  size: 'medium',
+  backgroundOpacity: '0.75',
+  color: '#ffffff',
+};
+
+/**
+ * Load the saved caption style
+ * @returns {Promise<Object>} Caption style, defaults for anything missing
+ */
+export const loadCaptionStyle = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    return { ...DEFAULT_CAPTION_STYLE, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    console.error('Error loading caption style:', error);
+    return DEFAULT_CAPTION_STYLE;
+  }
+};
+
+/**
+ * Save the caption style
+ * @param {Object} style - { size, backgroundOpacity, color }
+ */
+export const saveCaptionStyle = async (style) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(style));
+  } catch (error) {
+    console.error('Error saving caption style:', error);
+  }
+};
+
+/**
+ * Scale factor for a caption size
+ * @param {string} size - Size value
+ * @returns {number} Scale factor
+ */
+export const getCaptionScale = (size) => (
+  (CAPTION_SIZES.find((option) => option.value === size) || CAPTION_SIZES[1]).scale
+);
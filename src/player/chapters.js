@@ -0,0 +1,105 @@
+/**
+ * Chapters
+ *
+ * Chapter lists for the seekbar, from a chapters WebVTT file or from
+ * #EXT-X-DATERANGE tags in an HLS media playlist, plus lookup and
+ * light snapping to chapter boundaries while scrubbing.
+ */
+
+import { parseWebVtt } from './webVtt';
+import { parseMediaPlaylist } from './hlsManifest';
+import { fetchText } from '../utils/http';
+
+// Constants
+const SNAP_FRACTION = 0.015; // of the duration
+const MAX_SNAP_DISTANCE = 3; // seconds
+const TITLE_ATTRIBUTES = ['X-TITLE', 'X-CHAPTER-TITLE'];
+
+/**
+ * Parse a chapters WebVTT file
+ * @param {string} text - WebVTT document where each cue is a chapter
+ * @returns {Object[]} Chapters { start, end, title }
+ */
+export const parseChaptersVtt = (text) => parseWebVtt(text).cues.map((cue) => ({
+  start: cue.start,
+  end: cue.end,
+  title: cue.text.replace(/\n/g, ' '),
+}));
+
+/**
+ * Build chapters from the date ranges of a media playlist. Ranges are placed
+ * on the timeline through #EXT-X-PROGRAM-DATE-TIME; only ranges with a
+ * chapter class or a title attribute count
+ * @param {Object} playlist - Parsed media playlist
+ * @returns {Object[]} Chapters { start, end, title }
+ */
+export const chaptersFromDateRanges = (playlist) => {
+  const anchor = playlist.segments.find((segment) => segment.programDateTime !== null);
+  if (!anchor) return [];
+  const origin = anchor.programDateTime - anchor.start * 1000;
+  const lastSegment = playlist.segments[playlist.segments.length - 1];
+  const timelineEnd = lastSegment.start + lastSegment.duration;
+
+  const ranges = playlist.dateRanges
+    .map((range) => ({
+      range,
+      title: TITLE_ATTRIBUTES.map((name) => range.attributes[name]).find(Boolean),
+    }))
+    .filter(({ range, title }) => title || /chapter/i.test(range.className || ''))
+    .sort((a, b) => a.range.startDate - b.range.startDate);
+
+  return ranges.map(({ range, title }, index) => {
+    const start = Math.max(0, (range.startDate - origin) / 1000);
+    let end = range.endDate !== null ? (range.endDate - origin) / 1000 : null;
+    if (end === null && range.duration !== null) end = start + range.duration;
+    if (end === null) end = index + 1 < ranges.length
+      ? (ranges[index + 1].range.startDate - origin) / 1000
+      : timelineEnd;
+    return { start, end, title: title || range.id || `Chapter ${index + 1}` };
+  });
+};
+
+/**
+ * Load chapters for a source
+ * @param {Object} options
+ * @param {string} options.source - Source URL
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @param {string|null} options.chaptersUrl - Chapters WebVTT file
+ * @returns {Promise<Object[]>} Chapters sorted by start time
+ */
+export const loadChapters = async ({ source, manifest, chaptersUrl }) => {
+  if (chaptersUrl) {
+    return parseChaptersVtt(await fetchText(chaptersUrl));
+  }
+
+  const playlistUrl = manifest ? manifest.variants[0].uri : source;
+  if (!/\.m3u8(\?|#|$)/i.test(playlistUrl || '')) return [];
+
+  const text = await fetchText(playlistUrl);
+  return chaptersFromDateRanges(parseMediaPlaylist(text, playlistUrl));
+};
+
+/**
+ * Find the chapter playing at a time
+ * @param {Object[]} chapters - Chapters sorted by start time
+ * @param {number} time - Playback time in seconds
+ * @returns {Object|null} Chapter
+ */
+export const getChapterAt = (chapters, time) => (
+  chapters.find((chapter) => time >= chapter.start && time < chapter.end) || null
+);
+
+/**
+ * Pull a scrub time onto a nearby chapter start
+ * @param {number} time - Scrub time in seconds
+ * @param {Object[]} chapters - Chapters
+ * @param {number} duration - Media duration in seconds
+ * @returns {number} Snapped time
+ */
+export const snapToChapter = (time, chapters, duration) => {
+  const distance = Math.min(duration * SNAP_FRACTION, MAX_SNAP_DISTANCE);
+  const boundary = chapters
+    .map((chapter) => chapter.start)
+    .find((start) => start > 0 && Math.abs(start - time) <= distance);
+  return boundary === undefined ? time : boundary;
+};
@@ -0,0 +1,202 @@
+/**
+ * Video Gesture Recognizer
+ *
+ * Turns raw touches on the video surface into player gestures:
+ * - Single tap (reported once a double tap can be ruled out)
+ * - Double tap on the left/right half, with further taps on the same side
+ *   stacking (+10, +20, +30 ...)
+ * - Long press, until release
+ * - Vertical pan on the left half (brightness) or right half (volume)
+ * - Horizontal pan for scrubbing
+ * Positions are relative to the surface; pan amounts are fractions of its size.
+ */
+
+export const TAP_SIDES = {
+  LEFT: 'left',
+  RIGHT: 'right',
+};
+
+export const ADJUST_TARGETS = {
+  BRIGHTNESS: 'brightness',
+  VOLUME: 'volume',
+};
+
+// Constants
+const DEFAULT_DOUBLE_TAP_DELAY = 300; // milliseconds
+const DEFAULT_LONG_PRESS_DELAY = 400; // milliseconds
+const PAN_SLOP = 10; // pixels moved before a touch becomes a pan
+
+const MODES = {
+  PENDING: 'pending',
+  LONG_PRESS: 'longPress',
+  ADJUST: 'adjust',
+  SCRUB: 'scrub',
+};
+
+/**
+ * Create a recognizer
+ * @param {Object} handlers - Gesture callbacks, all optional:
+ *   onTap(), onSeekTap({ side, count }), onLongPressStart(), onLongPressEnd(),
+ *   onAdjustStart({ target }), onAdjust({ target, fraction }), onAdjustEnd({ target }),
+ *   onScrubStart(), onScrub({ fraction }), onScrubEnd({ fraction, cancelled })
+ * @param {Object} options
+ * @param {number} options.doubleTapDelay - Longest gap between taps of a double tap
+ * @param {number} options.longPressDelay - Hold time before a long press
+ * @param {Function} options.now - Clock, defaults to Date.now
+ * @returns {Object} Touch handlers: touchStart, touchMove, touchEnd, touchCancel, reset
+ */
+export const createGestureRecognizer = (handlers, {
+  doubleTapDelay = DEFAULT_DOUBLE_TAP_DELAY,
+  longPressDelay = DEFAULT_LONG_PRESS_DELAY,
+  now = Date.now,
+} = {}) => {
+  let touch = null;
+  let longPressTimer = null;
+  let tapTimer = null;
+  let lastTapAt = null;
+  let seekStreak = null;
+
+  /**
+   * Call a handler when it is provided
+   * @param {string} name - Handler name
+   * @param {Object} payload - Handler argument
+   */
+  const emit = (name, payload) => {
+    if (handlers[name]) handlers[name](payload);
+  };
+
+  const clearLongPressTimer = () => {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  };
+
+  /**
+   * Classify a finished tap as single, double or a stacked seek tap
+   * @param {Object} finished - Touch { x, width }
+   */
+  const handleTap = (finished) => {
+    const time = now();
+    const side = finished.x < finished.width / 2 ? TAP_SIDES.LEFT : TAP_SIDES.RIGHT;
+
+    if (seekStreak && seekStreak.side === side && time - seekStreak.lastTapAt < doubleTapDelay) {
+      seekStreak = { side, count: seekStreak.count + 1, lastTapAt: time };
+      emit('onSeekTap', { side, count: seekStreak.count });
+      return;
+    }
+
+    if (lastTapAt !== null && time - lastTapAt < doubleTapDelay) {
+      clearTimeout(tapTimer);
+      tapTimer = null;
+      lastTapAt = null;
+      seekStreak = { side, count: 1, lastTapAt: time };
+      emit('onSeekTap', { side, count: 1 });
+      return;
+    }
+
+    // Single tap - wait to see if it becomes a double tap
+    seekStreak = null;
+    lastTapAt = time;
+    tapTimer = setTimeout(() => {
+      tapTimer = null;
+      lastTapAt = null;
+      emit('onTap');
+    }, doubleTapDelay);
+  };
+
+  return {
+    /**
+     * A finger touched the surface
+     * @param {Object} start - { x, y, width, height } relative to the surface
+     */
+    touchStart: ({ x, y, width, height }) => {
+      clearLongPressTimer();
+      touch = { x, y, width, height, mode: MODES.PENDING, target: null, fraction: 0 };
+      longPressTimer = setTimeout(() => {
+        longPressTimer = null;
+        if (touch?.mode !== MODES.PENDING) return;
+        touch.mode = MODES.LONG_PRESS;
+        emit('onLongPressStart');
+      }, longPressDelay);
+    },
+
+    /**
+     * The finger moved
+     * @param {Object} move - { dx, dy } since the touch started, in pixels
+     */
+    touchMove: ({ dx, dy }) => {
+      if (!touch) return;
+
+      if (touch.mode === MODES.PENDING) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < PAN_SLOP) return;
+        clearLongPressTimer();
+        if (Math.abs(dx) > Math.abs(dy)) {
+          touch.mode = MODES.SCRUB;
+          emit('onScrubStart');
+        } else {
+          touch.mode = MODES.ADJUST;
+          touch.target = touch.x < touch.width / 2 ? ADJUST_TARGETS.BRIGHTNESS : ADJUST_TARGETS.VOLUME;
+          emit('onAdjustStart', { target: touch.target });
+        }
+      }
+
+      if (touch.mode === MODES.SCRUB) {
+        touch.fraction = touch.width > 0 ? dx / touch.width : 0;
+        emit('onScrub', { fraction: touch.fraction });
+      } else if (touch.mode === MODES.ADJUST) {
+        // Up is positive
+        touch.fraction = touch.height > 0 ? -dy / touch.height : 0;
+        emit('onAdjust', { target: touch.target, fraction: touch.fraction });
+      }
+    },
+
+    /**
+     * The finger lifted
+     */
+    touchEnd: () => {
+      if (!touch) return;
+      const finished = touch;
+      touch = null;
+      clearLongPressTimer();
+
+      switch (finished.mode) {
+        case MODES.LONG_PRESS:
+          emit('onLongPressEnd');
+          break;
+        case MODES.SCRUB:
+          emit('onScrubEnd', { fraction: finished.fraction, cancelled: false });
+          break;
+        case MODES.ADJUST:
+          emit('onAdjustEnd', { target: finished.target });
+          break;
+        default:
+          handleTap(finished);
+      }
+    },
+
+    /**
+     * The touch was taken over by another view; nothing is committed
+     */
+    touchCancel: () => {
+      if (!touch) return;
+      const cancelled = touch;
+      touch = null;
+      clearLongPressTimer();
+
+      if (cancelled.mode === MODES.LONG_PRESS) emit('onLongPressEnd');
+      if (cancelled.mode === MODES.SCRUB) emit('onScrubEnd', { fraction: cancelled.fraction, cancelled: true });
+      if (cancelled.mode === MODES.ADJUST) emit('onAdjustEnd', { target: cancelled.target });
+    },
+
+    /**
+     * Drop pending timers (when the surface goes away)
+     */
+    reset: () => {
+      clearLongPressTimer();
+      clearTimeout(tapTimer);
+      tapTimer = null;
+      touch = null;
+      lastTapAt = null;
+      seekStreak = null;
+    },
+  };
+};
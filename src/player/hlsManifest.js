@@ -0,0 +1,296 @@
+/**
+ * HLS Manifest Parser
+ *
+ * Parses HLS master playlists from text, so it works the same on fetched
+ * manifests and local fixtures:
+ * - #EXT-X-STREAM-INF variants with bandwidth, resolution, codecs and frame rate
+ * - #EXT-X-MEDIA renditions (alternate audio, subtitles) grouped by GROUP-ID
+ * - #EXT-X-I-FRAME-STREAM-INF trick play playlists
+ * - Media playlists (segments with their start times, program date times and date ranges)
+ * - Quality options ("Auto" plus one per resolution)
+ * - Single-variant master playlists for pinning a quality
+ */
+
+import { resolveUrl } from '../utils/url';
+
+// ==================== Constants ====================
+
+export const AUTO_QUALITY = 'auto';
+
+const ATTRIBUTE_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+// ==================== Errors ====================
+
+/**
+ * Error thrown when a playlist cannot be parsed
+ */
+export class ManifestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ManifestError';
+  }
+}
+
+// ==================== Parsing ====================
+
+/**
+ * Parse a tag attribute list such as `BANDWIDTH=1280000,CODECS="avc1,mp4a"`
+ * @param {string} text - Attribute list after the tag name and colon
+ * @returns {Object} Attribute values by name, quotes removed
+ */
+export const parseAttributeList = (text) => {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[name] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attributes;
+};
+
+/**
+ * Split a playlist into trimmed, non-empty lines
+ * @param {string} text - Playlist text
+ * @returns {string[]} Lines
+ */
+export const getPlaylistLines = (text) => {
+  const lines = String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new ManifestError('Not an HLS playlist (missing #EXTM3U).');
+  }
+  return lines;
+};
+
+/**
+ * Whether playlist text is a master playlist (lists variants rather than segments)
+ * @param {string} text - Playlist text
+ * @returns {boolean}
+ */
+export const isMasterPlaylist = (text) => /#EXT-X-STREAM-INF:/.test(text || '');
+
+/**
+ * Parse a RESOLUTION attribute
+ * @param {string} value - e.g. "1280x720"
+ * @returns {{ width: number, height: number }|null}
+ */
+const parseResolution = (value) => {
+  const match = /^(\d+)x(\d+)$/.exec(value || '');
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+};
+
+/**
+ * Parse an #EXT-X-MEDIA rendition
+ * @param {Object} attributes - Parsed attributes
+ * @param {string} line - Original tag line
+ * @param {string} baseUrl - Playlist URL
+ * @returns {Object} Rendition
+ */
+const parseMedia = (attributes, line, baseUrl) => ({
+  type: attributes.TYPE,
+  groupId: attributes['GROUP-ID'],
+  name: attributes.NAME || '',
+  language: attributes.LANGUAGE || null,
+  uri: attributes.URI ? resolveUrl(attributes.URI, baseUrl) : null,
+  isDefault: attributes.DEFAULT === 'YES',
+  autoselect: attributes.AUTOSELECT === 'YES',
+  forced: attributes.FORCED === 'YES',
+  channels: attributes.CHANNELS || null,
+  line,
+});
+
+/**
+ * Parse an #EXT-X-STREAM-INF variant
+ * @param {Object} attributes - Parsed attributes
+ * @param {string} line - Original tag line
+ * @param {string} uri - Absolute variant playlist URL
+ * @returns {Object} Variant
+ */
+const parseVariant = (attributes, line, uri) => ({
+  uri,
+  bandwidth: Number(attributes.BANDWIDTH) || 0,
+  averageBandwidth: attributes['AVERAGE-BANDWIDTH'] ? Number(attributes['AVERAGE-BANDWIDTH']) : null,
+  resolution: parseResolution(attributes.RESOLUTION),
+  codecs: attributes.CODECS ? attributes.CODECS.split(',').map((codec) => codec.trim()) : [],
+  frameRate: attributes['FRAME-RATE'] ? Number(attributes['FRAME-RATE']) : null,
+  audioGroup: attributes.AUDIO || null,
+  subtitlesGroup: attributes.SUBTITLES || null,
+  closedCaptionsGroup: attributes['CLOSED-CAPTIONS'] && attributes['CLOSED-CAPTIONS'] !== 'NONE'
+    ? attributes['CLOSED-CAPTIONS']
+    : null,
+  line,
+});
+
+/**
+ * Parse a master playlist
+ * @param {string} text - Playlist text
+ * @param {string} baseUrl - URL the playlist was loaded from, for relative URIs
+ * @returns {Object} { variants, media, audioGroups, iFrameVariants }
+ * @throws {ManifestError} When the text is not a master playlist
+ */
+export const parseMasterPlaylist = (text, baseUrl) => {
+  const lines = getPlaylistLines(text);
+  const variants = [];
+  const media = [];
+  const iFrameVariants = [];
+  let pendingVariant = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
+      const attributes = parseAttributeList(line.slice(26));
+      if (attributes.URI) {
+        iFrameVariants.push(parseVariant(attributes, line, resolveUrl(attributes.URI, baseUrl)));
+      }
+    } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pendingVariant = { attributes: parseAttributeList(line.slice(18)), line };
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      media.push(parseMedia(parseAttributeList(line.slice(13)), line, baseUrl));
+    } else if (!line.startsWith('#') && pendingVariant) {
+      variants.push(parseVariant(pendingVariant.attributes, pendingVariant.line, resolveUrl(line, baseUrl)));
+      pendingVariant = null;
+    }
+  }
+
+  if (!variants.length) {
+    throw new ManifestError('The playlist does not list any variants.');
+  }
+
+  const audioGroups = {};
+  media
+    .filter((rendition) => rendition.type === 'AUDIO')
+    .forEach((rendition) => {
+      audioGroups[rendition.groupId] = [...(audioGroups[rendition.groupId] || []), rendition];
+    });
+
+  return { variants, media, audioGroups, iFrameVariants };
+};
+
+/**
+ * Parse a media playlist
+ * @param {string} text - Playlist text
+ * @param {string} baseUrl - URL the playlist was loaded from, for relative URIs
+ * @returns {Object} { targetDuration, mediaSequence, playlistType, endList, holdBack, segments,
+ *   dateRanges } where holdBack is the server's HOLD-BACK in seconds (or null), segments are { uri, duration, start, title, programDateTime } and date ranges
+ *   are { id, className, startDate, endDate, duration, attributes } (dates in milliseconds)
+ * @throws {ManifestError} When the text is not an HLS playlist
+ */
+export const parseMediaPlaylist = (text, baseUrl) => {
+  const lines = getPlaylistLines(text);
+  const playlist = {
+    targetDuration: 0,
+    mediaSequence: 0,
+    playlistType: null,
+    endList: false,
+    holdBack: null,
+    segments: [],
+    dateRanges: [],
+  };
+  let pendingSegment = null;
+  let programDateTime = null;
+  let start = 0;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      const [duration, ...title] = line.slice(8).split(',');
+      pendingSegment = { duration: parseFloat(duration) || 0, title: title.join(',').trim() };
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      const time = Date.parse(line.slice(25));
+      programDateTime = Number.isNaN(time) ? null : time;
+    } else if (line.startsWith('#EXT-X-DATERANGE:')) {
+      const attributes = parseAttributeList(line.slice(17));
+      const startDate = Date.parse(attributes['START-DATE']);
+      if (!Number.isNaN(startDate)) {
+        const endDate = Date.parse(attributes['END-DATE']);
+        playlist.dateRanges.push({
+          id: attributes.ID,
+          className: attributes.CLASS || null,
+          startDate,
+          endDate: Number.isNaN(endDate) ? null : endDate,
+          duration: attributes.DURATION ? Number(attributes.DURATION) : null,
+          attributes,
+        });
+      }
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = Number(line.slice(22)) || 0;
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = Number(line.slice(22)) || 0;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      playlist.playlistType = line.slice(21);
+    } else if (line.startsWith('#EXT-X-SERVER-CONTROL:')) {
+      const holdBack = Number(parseAttributeList(line.slice(22))['HOLD-BACK']);
+      if (holdBack > 0) playlist.holdBack = holdBack;
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (!line.startsWith('#') && pendingSegment) {
+      playlist.segments.push({ ...pendingSegment, uri: resolveUrl(line, baseUrl), start, programDateTime });
+      start += pendingSegment.duration;
+      // Later segments follow on from the last program date time
+      programDateTime = programDateTime === null ? null : programDateTime + pendingSegment.duration * 1000;
+      pendingSegment = null;
+    }
+  }
+
+  return playlist;
+};
+
+// ==================== Quality Options ====================
+
+/**
+ * Build the quality menu: "Auto" plus the best variant for each resolution,
+ * highest first
+ * @param {Object} manifest - Parsed master playlist
+ * @returns {Object[]} Options { id, label, variant }
+ */
+export const getQualityOptions = (manifest) => {
+  const byHeight = new Map();
+  manifest.variants
+    .filter((variant) => variant.resolution)
+    .forEach((variant) => {
+      const current = byHeight.get(variant.resolution.height);
+      if (!current || variant.bandwidth > current.bandwidth) {
+        byHeight.set(variant.resolution.height, variant);
+      }
+    });
+
+  const options = [...byHeight.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([height, variant]) => ({
+      id: `${height}p`,
+      label: variant.frameRate > 30 ? `${height}p${Math.round(variant.frameRate)}` : `${height}p`,
+      variant,
+    }));
+
+  return [{ id: AUTO_QUALITY, label: 'Auto', variant: null }, ...options];
+};
+
+// ==================== Writing ====================
+
+/**
+ * Replace a relative URI attribute in a tag line with its absolute form
+ * @param {string} line - Tag line
+ * @param {string|null} uri - Absolute URI
+ * @returns {string} Tag line
+ */
+const withAbsoluteUri = (line, uri) => (
+  uri ? line.replace(/URI="[^"]*"/, `URI="${uri}"`) : line
+);
+
+/**
+ * Build a master playlist that only offers one variant, keeping the
+ * renditions it refers to (needed when audio is in a separate group)
+ * @param {Object} manifest - Parsed master playlist
+ * @param {Object} variant - Variant to keep
+ * @returns {string} Playlist text
+ */
+export const buildSingleVariantPlaylist = (manifest, variant) => {
+  const renditions = manifest.media.filter((rendition) => (
+    (rendition.type === 'AUDIO' && rendition.groupId === variant.audioGroup) ||
+    (rendition.type === 'SUBTITLES' && rendition.groupId === variant.subtitlesGroup) ||
+    (rendition.type === 'CLOSED-CAPTIONS' && rendition.groupId === variant.closedCaptionsGroup)
+  ));
+
+  return [
+    '#EXTM3U',
+    ...renditions.map((rendition) => withAbsoluteUri(rendition.line, rendition.uri)),
+    variant.line,
+    variant.uri,
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,105 @@
+/**
+ * Live Streams
+ *
+ * Live and event playlist detection and the seekable (DVR) window:
+ * - A media playlist without #EXT-X-ENDLIST is live; PLAYLIST-TYPE:EVENT
+ *   keeps every segment since the start, otherwise the window slides
+ * - The live edge sits the hold-back behind the newest segment, which is
+ *   where players start live playback
+ * - Positions are in player time, so they can be seeked to directly
+ */
+
+import { parseMediaPlaylist } from './hlsManifest';
+import { fetchText } from '../utils/http';
+
+// Constants
+const DEFAULT_HOLD_BACK_SEGMENTS = 3; // target durations (HLS default)
+const FALLBACK_HOLD_BACK = 18; // seconds, three 6 second segments
+const LIVE_EDGE_TOLERANCE = 5; // seconds behind the edge still shown as live
+
+export const NOT_LIVE = {
+  isLive: false,
+  isEvent: false,
+  windowDuration: 0,
+  holdBack: 0,
+};
+
+/**
+ * Describe a parsed media playlist
+ * @param {Object} playlist - Parsed media playlist, see parseMediaPlaylist
+ * @returns {Object} { isLive, isEvent, windowDuration, holdBack }
+ */
+export const getPlaylistLiveInfo = (playlist) => {
+  if (playlist.endList || playlist.playlistType === 'VOD') return NOT_LIVE;
+
+  return {
+    isLive: true,
+    isEvent: playlist.playlistType === 'EVENT',
+    windowDuration: playlist.segments.reduce((total, segment) => total + segment.duration, 0),
+    holdBack: playlist.holdBack ?? (DEFAULT_HOLD_BACK_SEGMENTS * playlist.targetDuration || FALLBACK_HOLD_BACK),
+  };
+};
+
+/**
+ * Live info for a stream the player reports as live without a playlist to read
+ * @param {boolean} isEvent - Whether the stream keeps everything since its start
+ * @returns {Object} { isLive, isEvent, windowDuration, holdBack }
+ */
+export const getFallbackLiveInfo = (isEvent) => ({
+  isLive: true,
+  isEvent,
+  windowDuration: 0,
+  holdBack: FALLBACK_HOLD_BACK,
+});
+
+/**
+ * Load the live info of a source from its media playlist
+ * @param {Object} options
+ * @param {string} options.source - Source URL
+ * @param {Object|null} options.manifest - Parsed master playlist
+ * @returns {Promise<Object>} { isLive, isEvent, windowDuration, holdBack }
+ */
+export const loadLiveInfo = async ({ source, manifest }) => {
+  const playlistUrl = manifest ? manifest.variants[0].uri : source;
+  if (!/\.m3u8(\?|#|$)/i.test(playlistUrl || '')) return NOT_LIVE;
+
+  const text = await fetchText(playlistUrl);
+  return getPlaylistLiveInfo(parseMediaPlaylist(text, playlistUrl));
+};
+
+/**
+ * How far playback is behind the live edge
+ * @param {Object} state - Player state, see playerStateStore
+ * @param {Object} live - Live info
+ * @returns {number} Seconds behind live (0 for on-demand sources)
+ */
+export const getLiveOffset = ({ offsetFromLive }, live) => {
+  if (!live.isLive || offsetFromLive === null) return 0;
+  return Math.max(0, offsetFromLive - live.holdBack);
+};
+
+/**
+ * The range that can be seeked to, in player time
+ * @param {Object} state - Player state, see playerStateStore
+ * @param {Object} live - Live info
+ * @returns {Object} { start, end }; end is the live edge for live streams
+ */
+export const getSeekableRange = (state, live) => {
+  const duration = Number.isFinite(state.duration) ? state.duration : 0;
+  if (!live.isLive) return { start: 0, end: duration };
+
+  const end = state.currentTime + getLiveOffset(state, live);
+  if (live.isEvent) return { start: 0, end };
+
+  // Without a playlist, a finite duration is the best guess at the window
+  const windowDuration = live.windowDuration || duration;
+  return { start: Math.max(0, end - Math.max(0, windowDuration - live.holdBack)), end };
+};
+
+/**
+ * Whether playback has fallen (or been seeked) behind the live edge
+ * @param {Object} state - Player state, see playerStateStore
+ * @param {Object} live - Live info
+ * @returns {boolean}
+ */
+export const isBehindLive = (state, live) => live.isLive && getLiveOffset(state, live) > LIVE_EDGE_TOLERANCE;
@@ -0,0 +1,52 @@
+/**
+ * Now Playing
+ *
+ * Lock screen / notification "now playing" details for the player:
+ * - Title and artwork travel with the video source as expo-video metadata;
+ *   duration, position and play state are published by the player itself
+ * - The metadata of the current item is kept per player, so reloads
+ *   (quality pinning, error recovery) publish the same details
+ * Remote play/pause and skip commands (lock screen, notification,
+ * headphones) are handled by expo-video's media session, which applies them
+ * to the player directly; the UI follows them through the player state
+ * store. They do not reach the screen's play/pause and seek handlers.
+ */
+
+const metadataByPlayer = new WeakMap();
+
+/**
+ * Now playing metadata for a queue item
+ * @param {Object} item - { title, poster }
+ * @returns {Object} expo-video source metadata { title, artwork }
+ */
+export const getNowPlayingMetadata = ({ title, poster }) => ({
+  title,
+  ...(poster ? { artwork: poster } : {}),
+});
+
+/**
+ * Build a video source carrying now playing metadata
+ * @param {string} uri - URL to play
+ * @param {Object|null} metadata - From getNowPlayingMetadata
+ * @returns {Object} expo-video source
+ */
+export const createVideoSource = (uri, metadata) => (metadata ? { uri, metadata } : { uri });
+
+/**
+ * Remember the metadata published for a player's current item
+ * @param {Object} player - expo-video player
+ * @param {Object} metadata - From getNowPlayingMetadata
+ */
+export const setNowPlayingMetadata = (player, metadata) => {
+  metadataByPlayer.set(player, metadata);
+};
+
+/**
+ * Load a URL into the player with the current item's metadata
+ * @param {Object} player - expo-video player
+ * @param {string} uri - URL to play
+ * @returns {Promise<void>}
+ */
+export const replacePlayerSource = (player, uri) => (
+  player.replaceAsync(createVideoSource(uri, metadataByPlayer.get(player) || null))
+);
@@ -0,0 +1,56 @@
+/**
+ * Playback Error Classification
+ *
+ * Maps the player's error messages (ExoPlayer on Android, AVFoundation on
+ * iOS) to a small set of error types the UI can explain to the viewer.
+ */
+
+export const PLAYBACK_ERROR_TYPES = {
+  NETWORK: 'network',
+  HTTP: 'http',
+  MANIFEST: 'manifest',
+  FORMAT: 'format',
+  STALLED: 'stalled',
+  UNKNOWN: 'unknown',
+};
+
+// Checked in order; the first matching pattern decides the type
+const ERROR_PATTERNS = [
+  [PLAYBACK_ERROR_TYPES.HTTP, /response code|http status|\b(401|403|404|410|5\d\d)\b|InvalidResponseCode/i],
+  [PLAYBACK_ERROR_TYPES.NETWORK, /network|connection|offline|timed out|timeout|unable to connect|host|NSURLErrorDomain|-100[1-9]|IO_NETWORK|HttpDataSource/i],
+  [PLAYBACK_ERROR_TYPES.MANIFEST, /manifest|playlist|m3u8|parser|malformed|EXTM3U/i],
+  [PLAYBACK_ERROR_TYPES.FORMAT, /decod|codec|format|unsupported|not supported|MediaCodec|cannot open/i],
+];
+
+// Errors that are worth retrying automatically
+const RETRYABLE_TYPES = [
+  PLAYBACK_ERROR_TYPES.NETWORK,
+  PLAYBACK_ERROR_TYPES.STALLED,
+];
+
+/**
+ * Classify a player error
+ * @param {Object|string|null} error - Error from the statusChange event, or a message
+ * @returns {Object} { type, message }
+ */
+export const classifyPlaybackError = (error) => {
+  const message = (typeof error === 'string' ? error : error?.message) || '';
+  const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return { type: match ? match[0] : PLAYBACK_ERROR_TYPES.UNKNOWN, message };
+};
+
+/**
+ * Build the error reported when stall recovery gives up
+ * @returns {Object} { type, message }
+ */
+export const createStallError = () => ({
+  type: PLAYBACK_ERROR_TYPES.STALLED,
+  message: 'Playback stopped making progress.',
+});
+
+/**
+ * Whether a classified error should be retried automatically
+ * @param {Object} error - Classified error
+ * @returns {boolean}
+ */
+export const isRetryablePlaybackError = (error) => RETRYABLE_TYPES.includes(error?.type);
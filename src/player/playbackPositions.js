@@ -0,0 +1,97 @@
+/**
+ * Playback Position Store
+ *
+ * Persisted playback position per source URL so videos can be resumed:
+ * - Positions past the completion threshold mark the source as finished
+ * - Finished sources and positions near the start are not offered for resume
+ * - Entries are capped; the least recently updated are evicted first
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'playbackPositions:v1';
+const MAX_ENTRIES = 100;
+const COMPLETION_THRESHOLD = 0.95; // fraction of the duration
+const MIN_RESUME_POSITION = 5; // seconds
+
+let positions = {};
+let loadPromise = null;
+
+// ==================== Persistence ====================
+
+/**
+ * Load positions from storage once
+ * @returns {Promise<void>}
+ */
+export const loadPositions = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY)
+      .then((raw) => {
+        // Keep anything saved before loading finished
+        positions = { ...(raw ? JSON.parse(raw) : {}), ...positions };
+      })
+      .catch((error) => console.error('Error loading playback positions:', error));
+  }
+  return loadPromise;
+};
+
+/**
+ * Evict the oldest entries over the cap and persist
+ */
+const persist = async () => {
+  const kept = Object.entries(positions)
+    .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_ENTRIES);
+  positions = Object.fromEntries(kept);
+
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
+  } catch (error) {
+    console.error('Error saving playback positions:', error);
+  }
+};
+
+// ==================== Positions ====================
+
+/**
+ * Save the position of a source; live or unknown durations are ignored
+ * @param {string} src - Source URL
+ * @param {number} position - Current time in seconds
+ * @param {number} duration - Duration in seconds
+ * @returns {Promise<void>}
+ */
+export const savePosition = async (src, position, duration) => {
+  if (!src || !Number.isFinite(duration) || duration <= 0) return;
+
+  await loadPositions();
+  positions[src] = {
+    position,
+    duration,
+    finished: position / duration >= COMPLETION_THRESHOLD,
+    updatedAt: Date.now(),
+  };
+  await persist();
+};
+
+/**
+ * Get the position to offer when a source is reopened
+ * @param {string} src - Source URL
+ * @returns {Promise<number|null>} Position in seconds, or null to start from the beginning
+ */
+export const getResumePosition = async (src) => {
+  await loadPositions();
+  const entry = positions[src];
+  if (!entry || entry.finished || entry.position < MIN_RESUME_POSITION) return null;
+  return entry.position;
+};
+
+/**
+ * Forget the position of a source
+ * @param {string} src - Source URL
+ * @returns {Promise<void>}
+ */
+export const clearPosition = async (src) => {
+  await loadPositions();
+  delete positions[src];
+  await persist();
+};
@@ -0,0 +1,48 @@
+/**
+ * Playback Rate
+ *
+ * Available playback speeds and the viewer's remembered choice.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'playbackRate:v1';
+
+export const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+export const DEFAULT_PLAYBACK_RATE = 1;
+export const BOOST_PLAYBACK_RATE = 2;
+
+/**
+ * Load the remembered playback rate
+ * @returns {Promise<number>} Playback rate
+ */
+export const loadPlaybackRate = async () => {
+  try {
+    const rate = Number(await AsyncStorage.getItem(STORAGE_KEY));
+    return PLAYBACK_RATES.includes(rate) ? rate : DEFAULT_PLAYBACK_RATE;
+  } catch (error) {
+    console.error('Error loading playback rate:', error);
+    return DEFAULT_PLAYBACK_RATE;
+  }
+};
+
+/**
+ * Remember the playback rate
+ * @param {number} rate - One of PLAYBACK_RATES
+ */
+export const savePlaybackRate = async (rate) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, String(rate));
+  } catch (error) {
+    console.error('Error saving playback rate:', error);
+  }
+};
+
+/**
+ * Label for a playback rate, e.g. "1.5x" or "Normal"
+ * @param {number} rate - Playback rate
+ * @returns {string} Label
+ */
+export const formatPlaybackRate = (rate) => (
+  rate === DEFAULT_PLAYBACK_RATE ? 'Normal' : `${rate}x`
+);
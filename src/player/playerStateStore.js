@@ -0,0 +1,177 @@
+/**
+ * Player State Store
+ *
+ * Event-driven snapshot of an expo-video player's state, shared by every
+ * component that reads it:
+ * - Updated from the player's timeUpdate, statusChange, playingChange,
+ *   sourceLoad and playToEnd events instead of polling
+ * - One store per player, listening only while something is subscribed
+ * - Selectors pick the slice a component needs, so it re-renders only
+ *   when that slice changes
+ */
+
+// Constants
+const TIME_UPDATE_INTERVAL = 0.25; // seconds between timeUpdate events
+
+export const INITIAL_PLAYER_STATE = {
+  status: 'idle',
+  error: null,
+  isPlaying: false,
+  currentTime: 0,
+  duration: 0,
+  bufferedPosition: 0,
+  hasEnded: false,
+  isLive: false,
+  offsetFromLive: null,
+};
+
+const stores = new WeakMap();
+
+// ==================== Selectors ====================
+
+export const selectStatus = (state) => state.status;
+export const selectError = (state) => state.error;
+export const selectIsPlaying = (state) => state.isPlaying;
+export const selectIsBuffering = (state) => state.status === 'loading';
+export const selectCurrentTime = (state) => state.currentTime;
+export const selectDuration = (state) => state.duration;
+export const selectBufferedPosition = (state) => state.bufferedPosition;
+export const selectHasEnded = (state) => state.hasEnded;
+export const selectIsLive = (state) => state.isLive;
+export const selectOffsetFromLive = (state) => state.offsetFromLive;
+
+// ==================== Store ====================
+
+/**
+ * Read the values the player exposes as properties
+ * @param {Object} player - expo-video player
+ * @returns {Object} Partial state
+ */
+const readPlayer = (player) => ({
+  status: player.status || 'idle',
+  isPlaying: !!player.playing,
+  currentTime: player.currentTime || 0,
+  duration: player.duration || 0,
+  // bufferedPosition is negative while unknown
+  bufferedPosition: Math.max(0, player.bufferedPosition || 0),
+  isLive: !!player.isLive,
+  offsetFromLive: player.currentOffsetFromLive ?? null,
+});
+
+/**
+ * Create the store for one player
+ * @param {Object} player - expo-video player
+ * @returns {Object} { getState, subscribe, refresh }
+ */
+const createPlayerStateStore = (player) => {
+  let state = { ...INITIAL_PLAYER_STATE, ...readPlayer(player) };
+  let subscriptions = [];
+  const subscribers = new Set();
+
+  /**
+   * Merge changes and notify subscribers when anything changed
+   * @param {Object} changes - Partial state
+   */
+  const update = (changes) => {
+    if (Object.keys(changes).every((key) => changes[key] === state[key])) return;
+    state = { ...state, ...changes };
+    subscribers.forEach((listener) => listener(state));
+  };
+
+  const attach = () => {
+    player.timeUpdateEventInterval = TIME_UPDATE_INTERVAL;
+    update(readPlayer(player));
+    subscriptions = [
+      player.addListener('timeUpdate', ({ currentTime, bufferedPosition, currentOffsetFromLive }) => {
+        update({
+          currentTime,
+          bufferedPosition: Math.max(0, bufferedPosition || 0),
+          duration: player.duration || state.duration,
+          offsetFromLive: currentOffsetFromLive ?? null,
+        });
+      }),
+      player.addListener('statusChange', ({ status, error }) => {
+        update({
+          status,
+          error: error || null,
+          duration: player.duration || state.duration,
+          isLive: !!player.isLive,
+        });
+      }),
+      player.addListener('playingChange', ({ isPlaying }) => {
+        update(isPlaying ? { isPlaying, hasEnded: false } : { isPlaying });
+      }),
+      player.addListener('sourceLoad', ({ duration }) => {
+        update({
+          duration: duration || 0,
+          currentTime: player.currentTime || 0,
+          hasEnded: false,
+          isLive: !!player.isLive,
+        });
+      }),
+      player.addListener('playToEnd', () => {
+        update({ hasEnded: true, currentTime: player.duration || state.currentTime });
+      }),
+    ];
+  };
+
+  const detach = () => {
+    subscriptions.forEach((subscription) => subscription.remove());
+    subscriptions = [];
+    player.timeUpdateEventInterval = 0;
+  };
+
+  return {
+    getState: () => state,
+
+    /**
+     * Listen for state changes; the player is listened to while anyone is subscribed
+     * @param {Function} listener - Called with the new state
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      if (subscribers.size === 0) attach();
+      subscribers.add(listener);
+      return () => {
+        subscribers.delete(listener);
+        if (subscribers.size === 0) detach();
+      };
+    },
+
+    /**
+     * Re-read the player now, e.g. right after a seek while paused
+     */
+    refresh: () => update(readPlayer(player)),
+  };
+};
+
+/**
+ * Get the shared store of a player
+ * @param {Object} player - expo-video player
+ * @returns {Object} { getState, subscribe, refresh }
+ */
+export const getPlayerStateStore = (player) => {
+  if (!stores.has(player)) {
+    stores.set(player, createPlayerStateStore(player));
+  }
+  return stores.get(player);
+};
+
+/**
+ * Re-read a player's state after changing it directly (seeking, play/pause)
+ * @param {Object} player - expo-video player
+ */
+export const refreshPlayerState = (player) => {
+  if (player) getPlayerStateStore(player).refresh();
+};
+
+/**
+ * Read a player's current state outside of render, e.g. in a press handler
+ * @param {Object} player - expo-video player
+ * @returns {Object} Player state
+ */
+export const getPlayerState = (player) => {
+  const store = getPlayerStateStore(player);
+  store.refresh();
+  return store.getState();
+};
@@ -0,0 +1,238 @@
+/**
+ * Video Queue Store
+ *
+ * In-memory play queue shared by every VideoPlayer screen instance, so the
+ * queue survives leaving and re-entering the screen:
+ * - Items carry a source URL, title, poster, optional start time, subtitle files
+ *   and thumbnail/chapter tracks
+ * - Next/previous follow the queue order, or a shuffled order when shuffle is on
+ * - Repeat off, all (wrap around) or one (replay the current item on end)
+ * - Items can be reordered and removed
+ */
+
+// ==================== Constants ====================
+
+export const QUEUE_REPEAT_MODES = {
+  OFF: 'off',
+  ALL: 'all',
+  ONE: 'one',
+};
+
+const REPEAT_CYCLE = [QUEUE_REPEAT_MODES.OFF, QUEUE_REPEAT_MODES.ALL, QUEUE_REPEAT_MODES.ONE];
+
+// ==================== State ====================
+
+let state = {
+  items: [],
+  currentId: null,
+  shuffle: false,
+  shuffleOrder: [],
+  repeat: QUEUE_REPEAT_MODES.OFF,
+  autoplay: true,
+};
+let nextId = 1;
+const subscribers = new Set();
+
+/**
+ * Replace the state and notify subscribers
+ * @param {Object} changes - Fields to update
+ */
+const update = (changes) => {
+  state = { ...state, ...changes };
+  subscribers.forEach((listener) => listener(state));
+};
+
+/**
+ * Shuffle ids, keeping the first one in place
+ * @param {string[]} ids - Item ids with the current item first
+ * @returns {string[]} Shuffled order
+ */
+const shuffleIds = ([first, ...rest]) => {
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return first === undefined ? rest : [first, ...rest];
+};
+
+/**
+ * Ids in play order
+ * @returns {string[]}
+ */
+const getPlayOrder = () => (
+  state.shuffle ? state.shuffleOrder : state.items.map((item) => item.id)
+);
+
+// ==================== Queries ====================
+
+/**
+ * Get the queue state
+ * @returns {Object} { items, currentId, shuffle, shuffleOrder, repeat, autoplay }
+ */
+export const getQueue = () => state;
+
+/**
+ * Get the item that is playing
+ * @returns {Object|null} Queue item
+ */
+export const getCurrentItem = () => (
+  state.items.find((item) => item.id === state.currentId) || null
+);
+
+/**
+ * Find the item next to the current one in play order
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {Object|null} Queue item, or null at either end without repeat all
+ */
+export const getAdjacentItem = (direction) => {
+  const order = getPlayOrder();
+  const position = order.indexOf(state.currentId);
+  if (position === -1 || order.length === 0) return null;
+
+  let target = position + direction;
+  if (target < 0 || target >= order.length) {
+    if (state.repeat !== QUEUE_REPEAT_MODES.ALL) return null;
+    target = (target + order.length) % order.length;
+  }
+
+  return state.items.find((item) => item.id === order[target]) || null;
+};
+
+// ==================== Mutations ====================
+
+/**
+ * Make an item current; an item whose source is already queued is reused
+ * (taking the new start time), otherwise it is inserted after the current item
+ * @param {Object} item - { src, title, poster, startTime, subtitles, thumbnails, chapters }
+ * @returns {Object} Current queue item
+ */
+export const openItem = ({ src, title, poster, startTime, subtitles, thumbnails, chapters }) => {
+  const existing = state.items.find((item) => item.src === src);
+
+  if (existing) {
+    const updated = {
+      ...existing,
+      title: title || existing.title,
+      poster: poster || existing.poster,
+      startTime: startTime || 0,
+      subtitles: subtitles || existing.subtitles,
+      thumbnails: thumbnails || existing.thumbnails,
+      chapters: chapters || existing.chapters,
+    };
+    update({
+      items: state.items.map((item) => (item.id === existing.id ? updated : item)),
+      currentId: existing.id,
+    });
+    return updated;
+  }
+
+  const created = {
+    id: `queue-${nextId++}`,
+    src,
+    title: title || null,
+    poster: poster || null,
+    startTime: startTime || 0,
+    subtitles: subtitles || [],
+    thumbnails: thumbnails || null,
+    chapters: chapters || null,
+  };
+  const items = [...state.items];
+  const currentIndex = items.findIndex((item) => item.id === state.currentId);
+  items.splice(currentIndex + 1, 0, created);
+
+  const shuffleOrder = [...state.shuffleOrder];
+  shuffleOrder.splice(shuffleOrder.indexOf(state.currentId) + 1, 0, created.id);
+
+  update({ items, shuffleOrder, currentId: created.id });
+  return created;
+};
+
+/**
+ * Make a queued item current
+ * @param {string} id - Queue item id
+ */
+export const selectItem = (id) => {
+  if (id === state.currentId || !state.items.some((item) => item.id === id)) return;
+  update({ currentId: id });
+};
+
+/**
+ * Move to the next or previous item
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {Object|null} New current item, or null when there is none
+ */
+export const skip = (direction) => {
+  const target = getAdjacentItem(direction);
+  if (target) {
+    update({ currentId: target.id });
+  }
+  return target;
+};
+
+/**
+ * Move an item up or down the queue
+ * @param {string} id - Queue item id
+ * @param {number} offset - Positions to move, negative moves up
+ */
+export const moveItem = (id, offset) => {
+  const from = state.items.findIndex((item) => item.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= state.items.length) return;
+
+  const items = [...state.items];
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+  update({ items });
+};
+
+/**
+ * Remove an item; the current item cannot be removed
+ * @param {string} id - Queue item id
+ */
+export const removeItem = (id) => {
+  if (id === state.currentId) return;
+  update({
+    items: state.items.filter((item) => item.id !== id),
+    shuffleOrder: state.shuffleOrder.filter((itemId) => itemId !== id),
+  });
+};
+
+/**
+ * Turn shuffle on or off; a new order is drawn each time it is turned on,
+ * starting from the current item
+ * @param {boolean} enabled - Whether to shuffle
+ */
+export const setShuffle = (enabled) => {
+  const ids = state.items.map((item) => item.id);
+  const rest = ids.filter((id) => id !== state.currentId);
+  update({
+    shuffle: enabled,
+    shuffleOrder: enabled ? shuffleIds([state.currentId, ...rest].filter(Boolean)) : ids,
+  });
+};
+
+/**
+ * Cycle repeat off -> all -> one -> off
+ */
+export const cycleRepeat = () => {
+  const index = REPEAT_CYCLE.indexOf(state.repeat);
+  update({ repeat: REPEAT_CYCLE[(index + 1) % REPEAT_CYCLE.length] });
+};
+
+/**
+ * Turn autoplay of the next item on or off
+ * @param {boolean} enabled - Whether to autoplay
+ */
+export const setAutoplay = (enabled) => {
+  update({ autoplay: enabled });
+};
+
+/**
+ * Subscribe to queue changes
+ * @param {Function} listener - Called with the queue state
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeQueue = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
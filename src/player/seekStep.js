@@ -0,0 +1,38 @@
+/**
+ * Seek Step
+ *
+ * Available double-tap seek steps and the viewer's remembered choice.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'seekStep:v1';
+
+export const SEEK_STEPS = [5, 10, 15, 30]; // seconds
+export const DEFAULT_SEEK_STEP = 10;
+
+/**
+ * Load the remembered seek step
+ * @returns {Promise<number>} Seconds per step
+ */
+export const loadSeekStep = async () => {
+  try {
+    const step = Number(await AsyncStorage.getItem(STORAGE_KEY));
+    return SEEK_STEPS.includes(step) ? step : DEFAULT_SEEK_STEP;
+  } catch (error) {
+    console.error('Error loading seek step:', error);
+    return DEFAULT_SEEK_STEP;
+  }
+};
+
+/**
+ * Remember the seek step
+ * @param {number} step - One of SEEK_STEPS
+ */
+export const saveSeekStep = async (step) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, String(step));
+  } catch (error) {
+    console.error('Error saving seek step:', error);
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Sleep Timer
+ *
+ * Sleep timer choices and the volume fade that ends playback:
+ * - Stop after a number of minutes, or at the end of the current video
+ * - The volume fades out over the last seconds before the pause
+ */
+
+export const SLEEP_TIMER_OFF = 'off';
+export const SLEEP_TIMER_END_OF_VIDEO = 'end';
+
+export const SLEEP_TIMER_OPTIONS = [
+  { id: SLEEP_TIMER_OFF, label: 'Off', minutes: null },
+  ...[5, 10, 15, 30, 45, 60].map((minutes) => ({ id: `${minutes}`, label: `${minutes} minutes`, minutes })),
+  { id: SLEEP_TIMER_END_OF_VIDEO, label: 'End of video', minutes: null },
+];
+
+export const SLEEP_FADE_DURATION = 10000; // milliseconds
+
+/**
+ * Volume part way through the fade
+ * @param {number} startVolume - Volume when the fade began, from 0 to 1
+ * @param {number} elapsed - Milliseconds since the fade began
+ * @param {number} duration - Fade length in milliseconds
+ * @returns {number} Volume from 0 to 1
+ */
+export const getFadeVolume = (startVolume, elapsed, duration) => (
+  duration > 0 ? startVolume * Math.max(0, 1 - elapsed / duration) : 0
+);
+
+/**
+ * Describe an active timer for the settings sheet
+ * @param {Object|null} timer - { id, endsAt } from useSleepTimer, null when off
+ * @returns {string} e.g. "Stops at 22:45"
+ */
+export const describeSleepTimer = (timer) => {
+  if (!timer) return 'Off';
+  if (timer.id === SLEEP_TIMER_END_OF_VIDEO) return 'Stops at the end of this video';
+  const endsAt = new Date(timer.endsAt);
+  return `Stops at ${endsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
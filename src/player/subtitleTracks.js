@@ -0,0 +1,107 @@
+/**
+ * Subtitle Tracks
+ *
+ * Discovers subtitle tracks for a source and loads their cues:
+ * - In-manifest tracks from #EXT-X-MEDIA:TYPE=SUBTITLES (segmented WebVTT)
+ * - Sideloaded .vtt files passed with the video
+ */
+
+import { parseMediaPlaylist } from './hlsManifest';
+import { parseWebVtt, getTimestampOffset } from './webVtt';
+import { fetchText } from '../utils/http';
+
+// ==================== Constants ====================
+
+export const SUBTITLE_TRACK_KINDS = {
+  MANIFEST: 'manifest',
+  SIDELOADED: 'sideloaded',
+};
+
+const MAX_SEGMENTS = 1000;
+const SEGMENT_BATCH_SIZE = 4;
+
+// ==================== Discovery ====================
+
+/**
+ * List the subtitle tracks available for a source
+ * @param {Object|null} manifest - Parsed master playlist
+ * @param {Object[]} sideloaded - Sideloaded files { src, label, language }
+ * @returns {Object[]} Tracks { id, label, language, kind, uri, isDefault }
+ */
+export const getSubtitleTracks = (manifest, sideloaded = []) => {
+  const seen = new Set();
+  const manifestTracks = (manifest?.media || [])
+    .filter((rendition) => rendition.type === 'SUBTITLES' && rendition.uri)
+    .filter((rendition) => !seen.has(rendition.uri) && seen.add(rendition.uri))
+    .map((rendition, index) => ({
+      id: `manifest-${index}`,
+      label: rendition.name || rendition.language || `Track ${index + 1}`,
+      language: rendition.language,
+      kind: SUBTITLE_TRACK_KINDS.MANIFEST,
+      uri: rendition.uri,
+      isDefault: rendition.isDefault && rendition.autoselect,
+    }));
+
+  const sideloadedTracks = sideloaded.map((file, index) => ({
+    id: `sideloaded-${index}`,
+    label: file.label || file.language || `Subtitles ${index + 1}`,
+    language: file.language || null,
+    kind: SUBTITLE_TRACK_KINDS.SIDELOADED,
+    uri: file.src,
+    isDefault: false,
+  }));
+
+  return [...manifestTracks, ...sideloadedTracks];
+};
+
+// ==================== Loading ====================
+
+/**
+ * Load the cues of a segmented HLS subtitle playlist. Segment cue times are
+ * aligned with X-TIMESTAMP-MAP relative to the first segment
+ * @param {string} uri - Subtitle media playlist URL
+ * @returns {Promise<Object[]>} Cues sorted by start time
+ */
+const loadSegmentedCues = async (uri) => {
+  const playlist = parseMediaPlaylist(await fetchText(uri), uri);
+  const segments = playlist.segments.slice(0, MAX_SEGMENTS);
+  const parsed = [];
+
+  for (let i = 0; i < segments.length; i += SEGMENT_BATCH_SIZE) {
+    const batch = segments.slice(i, i + SEGMENT_BATCH_SIZE);
+    const texts = await Promise.all(batch.map((segment) => fetchText(segment.uri)));
+    texts.forEach((text) => parsed.push(parseWebVtt(text)));
+  }
+
+  const firstMap = parsed.find((segment) => segment.timestampMap)?.timestampMap || null;
+  const baseline = getTimestampOffset(firstMap);
+  const seen = new Set();
+  const cues = [];
+
+  parsed.forEach(({ cues: segmentCues, timestampMap }) => {
+    const shift = timestampMap ? getTimestampOffset(timestampMap) - baseline : 0;
+    segmentCues.forEach((cue) => {
+      const start = cue.start + shift;
+      const end = cue.end + shift;
+      // Cues spanning a segment boundary are repeated in both segments
+      const key = `${start.toFixed(3)}-${end.toFixed(3)}-${cue.text}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      cues.push({ ...cue, id: `${cues.length + 1}`, start, end });
+    });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Load the cues of a subtitle track
+ * @param {Object} track - Track from getSubtitleTracks
+ * @returns {Promise<Object[]>} Cues sorted by start time
+ */
+export const loadSubtitleCues = async (track) => {
+  if (track.kind === SUBTITLE_TRACK_KINDS.MANIFEST) {
+    return loadSegmentedCues(track.uri);
+  }
+  return parseWebVtt(await fetchText(track.uri)).cues;
+};
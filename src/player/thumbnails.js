@@ -0,0 +1,70 @@
+/**
+ * Seek Thumbnails
+ *
+ * Preview frames for scrubbing:
+ * - WebVTT thumbnail tracks whose cues point at images or sprite regions
+ *   (`sprite.jpg#xywh=0,0,160,90`)
+ * - HLS I-frame playlists, whose frame times are used to pick the frames
+ *   generated from the player
+ */
+
+import { parseWebVtt } from './webVtt';
+import { parseMediaPlaylist } from './hlsManifest';
+import { resolveUrl } from '../utils/url';
+import { fetchText } from '../utils/http';
+
+/**
+ * Parse a WebVTT thumbnail track
+ * @param {string} text - WebVTT document
+ * @param {string} baseUrl - URL of the track, for relative image paths
+ * @returns {Object[]} Thumbnails { start, end, uri, region } where region is
+ *   { x, y, width, height } or null for whole images
+ */
+export const parseThumbnailVtt = (text, baseUrl) => parseWebVtt(text).cues.map((cue) => {
+  const [path, fragment = ''] = cue.text.trim().split('#');
+  const match = /xywh=(\d+),(\d+),(\d+),(\d+)/.exec(fragment);
+  return {
+    start: cue.start,
+    end: cue.end,
+    uri: resolveUrl(path, baseUrl),
+    region: match
+      ? { x: Number(match[1]), y: Number(match[2]), width: Number(match[3]), height: Number(match[4]) }
+      : null,
+  };
+});
+
+/**
+ * Find the thumbnail covering a time
+ * @param {Object[]} thumbnails - Thumbnails sorted by start time
+ * @param {number} time - Time in seconds
+ * @returns {Object|null} Thumbnail
+ */
+export const findThumbnail = (thumbnails, time) => (
+  thumbnails.find((thumbnail) => time >= thumbnail.start && time < thumbnail.end) || null
+);
+
+/**
+ * Load the frame times of the smallest I-frame playlist
+ * @param {Object} manifest - Parsed master playlist
+ * @returns {Promise<number[]>} Frame times in seconds, empty without I-frame playlists
+ */
+export const loadIFrameTimes = async (manifest) => {
+  const [smallest] = [...(manifest?.iFrameVariants || [])].sort((a, b) => a.bandwidth - b.bandwidth);
+  if (!smallest) return [];
+
+  const text = await fetchText(smallest.uri);
+  return parseMediaPlaylist(text, smallest.uri).segments.map((segment) => segment.start);
+};
+
+/**
+ * Find the I-frame closest to a time
+ * @param {number[]} times - Frame times sorted ascending
+ * @param {number} time - Time in seconds
+ * @returns {number} Closest frame time, or the time itself without frames
+ */
+export const getNearestFrameTime = (times, time) => {
+  if (!times.length) return time;
+  return times.reduce((closest, candidate) => (
+    Math.abs(candidate - time) < Math.abs(closest - time) ? candidate : closest
+  ));
+};
@@ -0,0 +1,166 @@
+/**
+ * WebVTT Parser
+ *
+ * Parses WebVTT text (sideloaded .vtt files and HLS subtitle segments):
+ * - Cue timing in hh:mm:ss.ttt or mm:ss.ttt form
+ * - Multi-line cue text, with markup tags removed and entities decoded
+ * - Basic positioning settings (line, position, align, size)
+ * - X-TIMESTAMP-MAP headers used by HLS subtitle segments
+ */
+
+// ==================== Constants ====================
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+const MPEG_TS_CLOCK = 90000; // ticks per second
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': '\u00A0',
+  '&lrm;': '\u200E',
+  '&rlm;': '\u200F',
+};
+
+// ==================== Parsing ====================
+
+/**
+ * Parse a WebVTT timestamp
+ * @param {string} value - e.g. "01:02:03.456" or "02:03.456"
+ * @returns {number} Seconds
+ */
+export const parseTimestamp = (value) => {
+  const parts = value.split(':').map(Number);
+  const seconds = parts.pop();
+  const minutes = parts.pop() || 0;
+  const hours = parts.pop() || 0;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Parse cue settings such as "line:90% position:50% align:center"
+ * @param {string} text - Settings after the timing
+ * @returns {Object} { line, lineIsPercent, position, align, size }
+ */
+const parseCueSettings = (text) => {
+  const settings = { line: null, lineIsPercent: false, position: null, align: 'center', size: 100 };
+
+  text.trim().split(/\s+/).filter(Boolean).forEach((setting) => {
+    const [name, rawValue = ''] = setting.split(':');
+    const value = rawValue.split(',')[0];
+    switch (name) {
+      case 'line':
+        if (value !== 'auto' && value !== '') {
+          settings.lineIsPercent = value.endsWith('%');
+          settings.line = parseFloat(value);
+        }
+        break;
+      case 'position':
+        if (value !== 'auto' && value !== '') settings.position = parseFloat(value);
+        break;
+      case 'align':
+        settings.align = value === 'left' ? 'start' : value === 'right' ? 'end' : value;
+        break;
+      case 'size':
+        settings.size = parseFloat(value) || 100;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return settings;
+};
+
+/**
+ * Remove markup tags (<b>, <i>, <c.class>, <v Speaker>, timestamps) and decode entities
+ * @param {string} text - Raw cue text
+ * @returns {string} Plain text
+ */
+const toPlainText = (text) => text
+  .replace(/<[^>]*>/g, '')
+  .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => ENTITIES[entity]);
+
+/**
+ * Parse the X-TIMESTAMP-MAP header of an HLS subtitle segment
+ * @param {string} line - e.g. "X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000"
+ * @returns {{ mpegts: number, local: number }|null}
+ */
+const parseTimestampMap = (line) => {
+  const mpegts = /MPEGTS:(\d+)/.exec(line);
+  const local = /LOCAL:((?:\d+:)?\d{2}:\d{2}\.\d{3})/.exec(line);
+  if (!mpegts || !local) return null;
+  return { mpegts: Number(mpegts[1]), local: parseTimestamp(local[1]) };
+};
+
+/**
+ * Offset of a segment's cues from its X-TIMESTAMP-MAP, in seconds
+ * @param {{ mpegts: number, local: number }|null} timestampMap - Parsed header
+ * @returns {number} Seconds to add to cue times
+ */
+export const getTimestampOffset = (timestampMap) => (
+  timestampMap ? timestampMap.mpegts / MPEG_TS_CLOCK - timestampMap.local : 0
+);
+
+/**
+ * Parse WebVTT text into cues
+ * @param {string} text - WebVTT document
+ * @returns {Object} { cues, timestampMap } where cues are
+ *   { id, start, end, text, settings } sorted by start time
+ */
+export const parseWebVtt = (text) => {
+  const blocks = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  let timestampMap = null;
+  const cues = [];
+
+  blocks.forEach((block, index) => {
+    const lines = block.split('\n').filter((line) => line.trim());
+    if (!lines.length) return;
+
+    if (index === 0 && lines[0].startsWith('WEBVTT')) {
+      const mapLine = lines.find((line) => line.startsWith('X-TIMESTAMP-MAP='));
+      if (mapLine) timestampMap = parseTimestampMap(mapLine);
+      return;
+    }
+    if (/^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) return;
+
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const match = TIMING_PATTERN.exec(lines[timingIndex].trim());
+    if (!match) return;
+
+    const cueText = toPlainText(lines.slice(timingIndex + 1).join('\n')).trim();
+    if (!cueText) return;
+
+    cues.push({
+      id: timingIndex > 0 ? lines[0].trim() : `cue-${cues.length + 1}`,
+      start: parseTimestamp(match[1]),
+      end: parseTimestamp(match[2]),
+      text: cueText,
+      settings: parseCueSettings(match[3]),
+    });
+  });
+
+  cues.sort((a, b) => a.start - b.start);
+  return { cues, timestampMap };
+};
+
+/**
+ * Get the cues showing at a time
+ * @param {Object[]} cues - Cues sorted by start time
+ * @param {number} time - Playback time in seconds
+ * @returns {Object[]} Active cues
+ */
+export const getActiveCues = (cues, time) => {
+  const active = [];
+  for (const cue of cues) {
+    if (cue.start > time) break;
+    if (cue.end > time) active.push(cue);
+  }
+  return active;
+};
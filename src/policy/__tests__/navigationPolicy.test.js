@@ -0,0 +1,73 @@
+import {
+  DEFAULT_NAVIGATION_POLICY,
+  POLICY_DECISIONS,
+  evaluateNavigation,
+} from '../navigationPolicy';
+import { createLoadSessionTracker } from '../../utils/loadSessionTracker';
+
+/**
+ * Run a top-frame redirect chain through a tracker the way WebViewScreen does
+ * @param {Object} tracker - Load session tracker
+ * @param {string[]} urls - Requested URLs, first one is the initial load
+ * @returns {string[]} Decision for each URL
+ */
+const runChain = (tracker, urls) => urls.map((url, index) => {
+  const { decision } = evaluateNavigation(
+    { url, isTopFrame: true, navigationType: 'other' },
+    DEFAULT_NAVIGATION_POLICY,
+    { userInitiated: tracker.isUserInitiated() }
+  );
+  if (decision === POLICY_DECISIONS.ALLOW) {
+    tracker.start({ url, navigationType: index === 0 ? undefined : 'other' });
+  }
+  return decision;
+});
+
+describe('evaluateNavigation for typed addresses', () => {
+  const { ALLOW, OPEN_EXTERNAL, BLOCK } = POLICY_DECISIONS;
+
+  const typed = () => {
+    const tracker = createLoadSessionTracker({ onOutcome: jest.fn() });
+    tracker.navigate({ userInitiated: true });
+    return tracker;
+  };
+
+  it('keeps an http to https upgrade in the WebView', () => {
+    expect(runChain(typed(), ['http://example.com', 'https://example.com/'])).toEqual([ALLOW, ALLOW]);
+  });
+
+  it('keeps a trailing slash redirect in the WebView', () => {
+    expect(runChain(typed(), ['https://example.com/docs', 'https://example.com/docs/'])).toEqual([ALLOW, ALLOW]);
+  });
+
+  it('keeps a login hop in the WebView', () => {
+    const chain = [
+      'https://app.example.com/',
+      'https://login.example.org/authorize?return=app',
+      'https://app.example.com/callback?code=1',
+    ];
+    expect(runChain(typed(), chain)).toEqual([ALLOW, ALLOW, ALLOW]);
+  });
+
+  it('stops trusting the typed load once its session ends', () => {
+    const tracker = typed();
+    runChain(tracker, ['https://example.com/']);
+    tracker.end();
+
+    expect(runChain(tracker, ['https://elsewhere.example/'])).toEqual([OPEN_EXTERNAL]);
+  });
+
+  it('does not trust loads the app started for other reasons', () => {
+    const tracker = createLoadSessionTracker({ onOutcome: jest.fn() });
+    tracker.navigate();
+
+    expect(runChain(tracker, ['https://example.com/'])).toEqual([OPEN_EXTERNAL]);
+  });
+
+  it('still blocks dangerous schemes during a typed load', () => {
+    const tracker = typed();
+    runChain(tracker, ['https://example.com/']);
+
+    expect(runChain(tracker, ['javascript:alert(1)'])).toEqual([BLOCK]);
+  });
+});
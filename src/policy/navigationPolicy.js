@@ -0,0 +1,166 @@
+/**
+ * WebView Navigation Policy
+ *
+ * Decides what happens to every navigation the embedded page attempts:
+ * - Allowlisted http(s) hosts load inside the WebView
+ * - Off-allowlist http(s) links are handed to the system browser
+ * - tel:/mailto:/intent: style schemes are handed to the OS
+ * - Dangerous schemes (javascript:, file:, data:) are blocked at the top frame
+ * - Denylisted hosts are blocked everywhere
+ */
+
+// ==================== Constants ====================
+
+export const POLICY_DECISIONS = {
+  ALLOW: 'allow',
+  BLOCK: 'block',
+  OPEN_EXTERNAL: 'open-external',
+  HAND_OFF_OS: 'hand-off-os',
+};
+
+/**
+ * Default policy used by WebViewScreen
+ *
+ * Host patterns are either exact hosts ("expo.dev") or wildcard
+ * subdomain patterns ("*.expo.dev", which does not match "expo.dev").
+ * An empty allowHosts list allows every host not denied.
+ */
+export const DEFAULT_NAVIGATION_POLICY = {
+  allowHosts: [
+    'expo.dev',
+    '*.expo.dev',
+    'duckduckgo.com',
+    '*.duckduckgo.com',
+  ],
+  denyHosts: [],
+  blockedSchemes: ['javascript', 'file', 'data'],
+  osSchemes: ['tel', 'mailto', 'sms', 'intent', 'geo', 'maps', 'market', 'itms-apps'],
+  passThroughUrls: ['about:blank', 'about:srcdoc'],
+};
+
+// ==================== Helpers ====================
+
+/**
+ * Extract the lower-cased scheme of a URL
+ * @param {string} url - URL to inspect
+ * @returns {string|null} Scheme without the colon, or null if none
+ */
+export const getScheme = (url) => {
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec((url || '').trim());
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Extract the lower-cased host of an http(s) URL
+ * @param {string} url - URL to inspect
+ * @returns {string|null} Host without port or credentials, or null
+ */
+export const getHost = (url) => {
+  const match = /^https?:\/\/(?:[^@/?#]*@)?(\[[^\]]+\]|[^:/?#]+)/i.exec((url || '').trim());
+  return match ? match[1].toLowerCase().replace(/\.$/, '') : null;
+};
+
+/**
+ * Check a host against a single allow/deny pattern
+ * @param {string} host - Lower-cased host
+ * @param {string} pattern - Exact host or "*.domain" wildcard
+ * @returns {boolean} Whether the host matches
+ */
+export const matchesHostPattern = (host, pattern) => {
+  const normalized = pattern.trim().toLowerCase();
+  if (normalized.startsWith('*.')) {
+    return host.endsWith(normalized.slice(1));
+  }
+  return host === normalized;
+};
+
+/**
+ * Check a host against a list of patterns
+ * @param {string} host - Lower-cased host
+ * @param {string[]} patterns - Host patterns
+ * @returns {boolean} Whether any pattern matches
+ */
+const matchesAnyHost = (host, patterns) =>
+  (patterns || []).some((pattern) => matchesHostPattern(host, pattern));
+
+// ==================== Evaluation ====================
+
+/**
+ * Whether a page is on the allowlist, e.g. before trusting what it asks
+ * the app to do; typed addresses and subframe rules do not count here
+ * @param {string} url - Page URL
+ * @param {Object} policy - Policy configuration, see DEFAULT_NAVIGATION_POLICY
+ * @returns {boolean} Whether the URL is http(s) on an allowed, not denied host
+ */
+export const isAllowlistedUrl = (url, policy = DEFAULT_NAVIGATION_POLICY) => {
+  const scheme = getScheme(url);
+  const host = getHost(url);
+  if ((scheme !== 'http' && scheme !== 'https') || !host) return false;
+  if (matchesAnyHost(host, policy.denyHosts)) return false;
+  const allowHosts = policy.allowHosts || [];
+  return allowHosts.length === 0 || matchesAnyHost(host, allowHosts);
+};
+
+/**
+ * Decide how to handle a navigation request
+ * @param {Object} request - Request from onShouldStartLoadWithRequest
+ * @param {Object} policy - Policy configuration, see DEFAULT_NAVIGATION_POLICY
+ * @param {Object} options
+ * @param {boolean} options.userInitiated - Part of a load the user started from the
+ *   address bar, including its redirects
+ * @returns {{ decision: string, reason: string }} Decision and why it was made
+ */
+export const evaluateNavigation = (request, policy = DEFAULT_NAVIGATION_POLICY, options = {}) => {
+  const url = request.url || '';
+  // Android does not report isTopFrame; treat unknown as top frame
+  const isTopFrame = request.isTopFrame !== false;
+  const scheme = getScheme(url);
+
+  if ((policy.passThroughUrls || []).includes(url)) {
+    return { decision: POLICY_DECISIONS.ALLOW, reason: 'pass-through URL' };
+  }
+
+  if (!scheme) {
+    return { decision: POLICY_DECISIONS.BLOCK, reason: 'missing or malformed scheme' };
+  }
+
+  if ((policy.blockedSchemes || []).includes(scheme)) {
+    return isTopFrame
+      ? { decision: POLICY_DECISIONS.BLOCK, reason: `blocked scheme "${scheme}:" in top frame` }
+      : { decision: POLICY_DECISIONS.ALLOW, reason: `"${scheme}:" allowed in subframe` };
+  }
+
+  if ((policy.osSchemes || []).includes(scheme)) {
+    return isTopFrame
+      ? { decision: POLICY_DECISIONS.HAND_OFF_OS, reason: `"${scheme}:" handled by the OS` }
+      : { decision: POLICY_DECISIONS.BLOCK, reason: `"${scheme}:" from subframe` };
+  }
+
+  if (scheme !== 'http' && scheme !== 'https') {
+    return { decision: POLICY_DECISIONS.BLOCK, reason: `unsupported scheme "${scheme}:"` };
+  }
+
+  const host = getHost(url);
+  if (!host) {
+    return { decision: POLICY_DECISIONS.BLOCK, reason: 'missing host' };
+  }
+
+  if (matchesAnyHost(host, policy.denyHosts)) {
+    return { decision: POLICY_DECISIONS.BLOCK, reason: `host "${host}" is denied` };
+  }
+
+  if (!isTopFrame) {
+    return { decision: POLICY_DECISIONS.ALLOW, reason: 'subframe load' };
+  }
+
+  if (options.userInitiated) {
+    return { decision: POLICY_DECISIONS.ALLOW, reason: 'entered in address bar' };
+  }
+
+  const allowHosts = policy.allowHosts || [];
+  if (allowHosts.length === 0 || matchesAnyHost(host, allowHosts)) {
+    return { decision: POLICY_DECISIONS.ALLOW, reason: `host "${host}" is allowed` };
+  }
+
+  return { decision: POLICY_DECISIONS.OPEN_EXTERNAL, reason: `host "${host}" is not allowlisted` };
+};
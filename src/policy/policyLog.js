@@ -0,0 +1,55 @@
+/**
+ * Navigation Policy Log
+ *
+ * In-memory, capped audit log of every navigation decision so that the
+ * embedded page's behaviour can be inspected from the app.
+ */
+
+const MAX_ENTRIES = 200;
+
+let entries = [];
+let nextId = 1;
+const subscribers = new Set();
+
+/**
+ * Notify subscribers that the log changed
+ */
+const notify = () => {
+  subscribers.forEach((listener) => listener(entries));
+};
+
+/**
+ * Record a navigation decision
+ * @param {Object} entry - { url, decision, reason, isTopFrame, navigationType }
+ * @returns {Object} Stored entry including id and timestamp
+ */
+export const recordPolicyDecision = (entry) => {
+  const stored = { id: nextId++, timestamp: Date.now(), ...entry };
+  entries = [stored, ...entries].slice(0, MAX_ENTRIES);
+  notify();
+  return stored;
+};
+
+/**
+ * Get all recorded decisions, newest first
+ * @returns {Object[]} Log entries
+ */
+export const getPolicyLog = () => entries;
+
+/**
+ * Remove all recorded decisions
+ */
+export const clearPolicyLog = () => {
+  entries = [];
+  notify();
+};
+
+/**
+ * Subscribe to log changes
+ * @param {Function} listener - Called with the current entries
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePolicyLog = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
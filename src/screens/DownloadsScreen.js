@@ -0,0 +1,205 @@
+/**
+ * DownloadsScreen Component
+ *
+ * Videos downloaded for offline playback:
+ * - Title, quality, size on disk and progress of running downloads
+ * - Pause/resume while downloading, retry after a failure
+ * - Delete (which also cancels a running download), also by swiping left
+ * - Tapping a finished download plays it from disk
+ */
+
+import React from 'react';
+import { View, StyleSheet, FlatList, Pressable } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Text, IconButton, Icon, Divider, ProgressBar } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import SwipeableRow from '../components/SwipeableRow';
+import useDownloads from '../hooks/useDownloads';
+import {
+  DOWNLOAD_STATUS,
+  pauseDownload,
+  resumeDownload,
+  deleteDownload,
+} from '../downloads/downloadManager';
+import { SCREENS } from '../navigation/routes';
+
+const STATUS_LABELS = {
+  [DOWNLOAD_STATUS.DOWNLOADING]: 'Downloading',
+  [DOWNLOAD_STATUS.PAUSED]: 'Paused',
+  [DOWNLOAD_STATUS.COMPLETED]: 'Downloaded',
+  [DOWNLOAD_STATUS.FAILED]: 'Failed',
+};
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * Format a size on disk
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "245 MB"
+ */
+const formatBytes = (bytes) => {
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value < 10 && unit > 0 ? value.toFixed(1) : Math.round(value)} ${BYTE_UNITS[unit]}`;
+};
+
+export default function DownloadsScreen() {
+  const navigation = useNavigation();
+  const downloads = useDownloads();
+
+  // ==================== Event Handlers ====================
+
+  /**
+   * Play a finished download from disk
+   * @param {Object} download - Download entry
+   */
+  const handleDownloadPress = (download) => {
+    if (download.status !== DOWNLOAD_STATUS.COMPLETED) return;
+    navigation.navigate(SCREENS.VIDEO_PLAYER, {
+      src: download.uri,
+      title: download.title,
+    });
+  };
+
+  // ==================== Render ====================
+
+  /**
+   * Render one download
+   * @param {Object} info - FlatList render info
+   */
+  const renderDownload = ({ item }) => {
+    const isDownloading = item.status === DOWNLOAD_STATUS.DOWNLOADING;
+    const isStopped = item.status === DOWNLOAD_STATUS.PAUSED || item.status === DOWNLOAD_STATUS.FAILED;
+    const details = [
+      STATUS_LABELS[item.status],
+      item.qualityLabel,
+      formatBytes(item.bytes),
+      item.status === DOWNLOAD_STATUS.COMPLETED ? null : `${Math.round(item.progress * 100)}%`,
+    ].filter(Boolean).join(' · ');
+
+    return (
+      <SwipeableRow onDelete={() => deleteDownload(item.id)}>
+        <Pressable
+          onPress={() => handleDownloadPress(item)}
+          style={styles.download}
+          accessibilityHint="Swipe left to delete"
+        >
+          <View style={styles.downloadText}>
+            <Text variant="bodyLarge" numberOfLines={1}>
+              {item.title}
+            </Text>
+            <Text variant="labelSmall" style={styles.downloadMeta}>
+              {details}
+            </Text>
+            {!!item.error && (
+              <Text variant="bodySmall" style={styles.downloadError} numberOfLines={2}>
+                {item.error}
+              </Text>
+            )}
+            {item.status !== DOWNLOAD_STATUS.COMPLETED && (
+              <ProgressBar progress={item.progress} color="#6200ee" style={styles.progress} />
+            )}
+          </View>
+          {isDownloading && (
+            <IconButton
+              icon="pause"
+              size={moderateScale(22)}
+              onPress={() => pauseDownload(item.id)}
+              accessibilityLabel="Pause download"
+            />
+          )}
+          {isStopped && (
+            <IconButton
+              icon={item.status === DOWNLOAD_STATUS.FAILED ? 'refresh' : 'play'}
+              size={moderateScale(22)}
+              onPress={() => resumeDownload(item.id)}
+              accessibilityLabel={item.status === DOWNLOAD_STATUS.FAILED ? 'Retry download' : 'Resume download'}
+            />
+          )}
+          <IconButton
+            icon={item.status === DOWNLOAD_STATUS.COMPLETED ? 'delete' : 'close'}
+            size={moderateScale(22)}
+            onPress={() => deleteDownload(item.id)}
+            accessibilityLabel={item.status === DOWNLOAD_STATUS.COMPLETED ? 'Delete download' : 'Cancel download'}
+          />
+        </Pressable>
+      </SwipeableRow>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={downloads}
+        keyExtractor={(item) => item.id}
+        renderItem={renderDownload}
+        ItemSeparatorComponent={Divider}
+        contentContainerStyle={downloads.length === 0 && styles.emptyContainer}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Icon source="download-off" size={moderateScale(56)} color="#bbb" />
+            <Text variant="bodyMedium" style={styles.emptyText}>
+              No downloads yet
+            </Text>
+            <Text variant="bodySmall" style={styles.emptyHint}>
+              Download a video from the player's settings to watch it offline
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  download: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: moderateVerticalScale(12),
+    paddingLeft: moderateScale(16),
+    paddingRight: moderateScale(4),
+    backgroundColor: '#fff',
+  },
+  downloadText: {
+    flex: 1,
+  },
+  downloadMeta: {
+    color: '#999',
+    marginTop: moderateVerticalScale(4),
+  },
+  downloadError: {
+    color: '#d32f2f',
+    marginTop: moderateVerticalScale(2),
+  },
+  progress: {
+    marginTop: moderateVerticalScale(8),
+  },
+  emptyContainer: {
+    flexGrow: 1,
+  },
+  empty: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: moderateScale(24),
+  },
+  emptyText: {
+    marginTop: moderateVerticalScale(12),
+    color: '#999',
+  },
+  emptyHint: {
+    marginTop: moderateVerticalScale(4),
+    color: '#bbb',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,183 @@
+/**
+ * InboxScreen Component
+ *
+ * History of app notifications from the persisted inbox store:
+ * - Scheduled, delivered and tapped times plus the action used
+ * - Read/unread state with "mark all read"
+ * - Swipe left to delete an entry
+ * - Tapping an entry repeats its original navigation target
+ */
+
+import React from 'react';
+import { View, StyleSheet, FlatList, Pressable } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Text, Button, Icon, Divider } from 'react-native-paper';
+import * as Notifications from 'expo-notifications';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import SwipeableRow from '../components/SwipeableRow';
+import useNotificationInbox from '../hooks/useNotificationInbox';
+import { markRead, markAllRead, removeEntry } from '../notifications/inboxStore';
+import { getNotificationRoute } from '../notifications/notificationResponses';
+import { NOTIFICATION_ACTIONS } from '../notifications/notificationCategories';
+
+const ACTION_LABELS = {
+  [Notifications.DEFAULT_ACTION_IDENTIFIER]: 'Opened',
+  [NOTIFICATION_ACTIONS.PLAY_NOW]: 'Played',
+  [NOTIFICATION_ACTIONS.SNOOZE]: 'Snoozed',
+  [NOTIFICATION_ACTIONS.REPLY]: 'Replied',
+  [NOTIFICATION_ACTIONS.DISMISS]: 'Dismissed',
+};
+
+/**
+ * Format a timestamp for the entry details
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @returns {string} Formatted date/time
+ */
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+export default function InboxScreen() {
+  const navigation = useNavigation();
+  const { entries, unreadCount } = useNotificationInbox();
+
+  // ==================== Effects ====================
+
+  /**
+   * Show "mark all read" in the header while there are unread entries
+   */
+  React.useEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <Button textColor="#fff" onPress={markAllRead} disabled={unreadCount === 0}>
+          Mark all read
+        </Button>
+      ),
+    });
+  }, [navigation, unreadCount]);
+
+  // ==================== Event Handlers ====================
+
+  /**
+   * Mark the entry read and repeat its navigation target
+   * @param {Object} entry - Inbox entry
+   */
+  const handleEntryPress = (entry) => {
+    markRead(entry.id);
+    const route = getNotificationRoute(entry.data);
+    if (route) {
+      navigation.navigate(route.screen, route.params);
+    }
+  };
+
+  // ==================== Render ====================
+
+  /**
+   * Render one inbox entry
+   * @param {Object} info - FlatList render info
+   */
+  const renderEntry = ({ item }) => {
+    const unread = !!item.deliveredAt && !item.read;
+
+    return (
+      <SwipeableRow onDelete={() => removeEntry(item.id)}>
+        <Pressable
+          onPress={() => handleEntryPress(item)}
+          style={styles.entry}
+          accessibilityHint="Swipe left to delete"
+        >
+          <View style={[styles.unreadDot, !unread && styles.readDot]} />
+          <View style={styles.entryText}>
+            <Text variant="bodyLarge" numberOfLines={1} style={unread && styles.unreadTitle}>
+              {item.title || '(No title)'}
+            </Text>
+            {!!item.body && (
+              <Text variant="bodySmall" numberOfLines={2} style={styles.entryBody}>
+                {item.body}
+              </Text>
+            )}
+            <Text variant="labelSmall" style={styles.entryMeta}>
+              {item.deliveredAt
+                ? `Delivered ${formatTimestamp(item.deliveredAt)}`
+                : `Scheduled ${formatTimestamp(item.scheduledAt)}`}
+              {item.tappedAt
+                ? ` · ${ACTION_LABELS[item.action] || 'Opened'} ${formatTimestamp(item.tappedAt)}`
+                : ''}
+            </Text>
+          </View>
+        </Pressable>
+      </SwipeableRow>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={entries}
+        keyExtractor={(item) => item.id}
+        renderItem={renderEntry}
+        ItemSeparatorComponent={Divider}
+        contentContainerStyle={entries.length === 0 && styles.emptyContainer}
+        ListEmptyComponent={
+          <View style={styles.empty}>
+            <Icon source="inbox" size={moderateScale(56)} color="#bbb" />
+            <Text variant="bodyMedium" style={styles.emptyText}>
+              No notifications yet
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: moderateVerticalScale(12),
+    paddingHorizontal: moderateScale(16),
+    backgroundColor: '#fff',
+  },
+  unreadDot: {
+    width: moderateScale(8),
+    height: moderateScale(8),
+    borderRadius: moderateScale(4),
+    backgroundColor: '#6200ee',
+    marginTop: moderateVerticalScale(8),
+    marginRight: moderateScale(12),
+  },
+  readDot: {
+    backgroundColor: 'transparent',
+  },
+  entryText: {
+    flex: 1,
+  },
+  unreadTitle: {
+    fontWeight: 'bold',
+  },
+  entryBody: {
+    color: '#666',
+    marginTop: moderateVerticalScale(2),
+  },
+  entryMeta: {
+    color: '#999',
+    marginTop: moderateVerticalScale(4),
+  },
+  emptyContainer: {
+    flexGrow: 1,
+  },
+  empty: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    marginTop: moderateVerticalScale(12),
+    color: '#999',
+  },
+});
@@ -0,0 +1,75 @@
+/**
+ * LinkErrorScreen Component
+ *
+ * Friendly fallback shown when a deep link or notification points to
+ * something the app cannot open.
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { Button, Icon, Text } from 'react-native-paper';
+import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import { SCREENS } from '../navigation/routes';
+
+export default function LinkErrorScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { message, link } = route.params || {};
+
+  return (
+    <View style={styles.container}>
+      <Icon source="link-variant-off" size={moderateScale(56)} color="#6200ee" />
+      <Text variant="titleMedium" style={styles.title}>
+        We couldn't open that link
+      </Text>
+      <Text variant="bodyMedium" style={styles.message}>
+        {message || 'The link is missing information or is no longer valid.'}
+      </Text>
+      {!!link && (
+        <Text variant="bodySmall" style={styles.link} numberOfLines={3}>
+          {link}
+        </Text>
+      )}
+      <Button
+        mode="contained"
+        icon="home"
+        buttonColor="#6200ee"
+        onPress={() => navigation.popTo(SCREENS.WEB_VIEW)}
+        style={styles.button}
+      >
+        Go to home
+      </Button>
+    </View>
+  );
+}
+
+// ==================== Styles ====================
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: moderateScale(24),
+    backgroundColor: '#f5f5f5',
+  },
+  title: {
+    marginTop: moderateVerticalScale(16),
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  message: {
+    marginTop: moderateVerticalScale(8),
+    color: '#666',
+    textAlign: 'center',
+  },
+  link: {
+    marginTop: moderateVerticalScale(8),
+    color: '#999',
+    textAlign: 'center',
+  },
+  button: {
+    marginTop: moderateVerticalScale(24),
+  },
+});
@@ -2,57 +2,236 @@
  * VideoPlayerScreen Component
  * 
  * A YouTube-like video player with custom controls:
- * - Single tap: Toggle play/pause with overlay
- * - Double tap left: Seek backward 10 seconds
- * - Double tap right: Seek forward 10 seconds
+ * - Single tap: Show/hide the controls layer (play/pause, seek, mute + volume,
+ *   subtitles, settings, fullscreen), which hides itself while playing
+ * - Double tap left/right: Seek backward/forward by the seek step; further taps stack
+ * - Vertical swipe: Brightness on the left half, volume on the right half
+ * - Horizontal swipe: Scrub with a "+0:35" preview
  * - Draggable seekbar for precise seeking
  * - Fullscreen orientation toggle
- * - Buffering loader indicator
+ * - Elapsed/remaining time toggle
+ * - Buffering loader indicator and buffered range on the seekbar
+ * - Error surface with retry (keeping the position), and stall recovery with backoff
  * - Responsive design for portrait and landscape modes
+ * - Optional `src`/`startTime`/`title`/`poster` route params to play a given source
+ * - Play queue with next/previous, autoplay on end, shuffle/repeat and a queue drawer
+ * - Remembers the position per source and offers to resume it
+ * - Settings sheet: speed, quality ("Auto" or a fixed resolution) and seek step
+ * - Subtitles from the manifest or sideloaded .vtt files, with a track picker and caption styles
+ * - Playback speed (0.25x-2x, remembered) and hold-to-play-at-2x
+ * - Scrub preview bubble (thumbnail track or I-frames) and chapter markers on the seekbar
+ * - Offline downloads in a chosen quality from the settings sheet
+ * - Live and event streams: LIVE badge, DVR window seekbar, "-0:42" behind live and Go live
+ * - Player state (time, status, play state) from player events instead of polling;
+ *   the seekbar and subtitles subscribe to it themselves
+ * - QoE telemetry per session and a "stats for nerds" overlay from the settings sheet
+ * - Opt-in background playback, picture in picture (also automatically when leaving
+ *   the app mid-playback) and now playing details on the lock screen
+ * - A-B loop markers from the controls, drawn on the seekbar
+ * - Sleep timer (minutes or end of video) that fades the volume out before pausing
  */
 
 import React, { useState, useRef } from 'react';
-import { View, StyleSheet, Dimensions, Pressable, PanResponder, ActivityIndicator } from 'react-native';
+import { View, StyleSheet, ActivityIndicator, Image } from 'react-native';
 import { VideoView, useVideoPlayer } from 'expo-video';
-import { useNavigation } from '@react-navigation/native';
-import { Text, IconButton } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { Text, IconButton, Button } from 'react-native-paper';
 import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
 import * as ScreenOrientation from 'expo-screen-orientation';
+import QueueDrawer from '../components/QueueDrawer';
+import SubtitleOverlay from '../components/SubtitleOverlay';
+import CaptionsSheet from '../components/CaptionsSheet';
+import PlayerControls from '../components/PlayerControls';
+import PlayerSettingsSheet from '../components/PlayerSettingsSheet';
+import PlaybackErrorView from '../components/PlaybackErrorView';
+import Seekbar from '../components/Seekbar';
+import GestureHud from '../components/GestureHud';
+import StatsOverlay from '../components/StatsOverlay';
+import useVideoQueue from '../hooks/useVideoQueue';
+import usePlaybackResume from '../hooks/usePlaybackResume';
+import useHlsManifest from '../hooks/useHlsManifest';
+import useQualitySelection from '../hooks/useQualitySelection';
+import useSubtitles from '../hooks/useSubtitles';
+import usePlaybackRate from '../hooks/usePlaybackRate';
+import useChapters from '../hooks/useChapters';
+import useSeekStep from '../hooks/useSeekStep';
+import useScreenBrightness from '../hooks/useScreenBrightness';
+import useVideoGestures from '../hooks/useVideoGestures';
+import useControlsVisibility from '../hooks/useControlsVisibility';
+import usePlaybackRecovery from '../hooks/usePlaybackRecovery';
+import usePlayerState from '../hooks/usePlayerState';
+import useLiveStream from '../hooks/useLiveStream';
+import useQoeTelemetry from '../hooks/useQoeTelemetry';
+import useBackgroundPlayback from '../hooks/useBackgroundPlayback';
+import usePictureInPicture from '../hooks/usePictureInPicture';
+import useAbLoop from '../hooks/useAbLoop';
+import useSleepTimer from '../hooks/useSleepTimer';
+import { emitBridgeEvent } from '../bridge/bridgeEvents';
+import { BRIDGE_EVENTS } from '../bridge/protocol';
+import {
+  QUEUE_REPEAT_MODES,
+  getQueue,
+  getCurrentItem,
+  getAdjacentItem,
+  openItem,
+  selectItem,
+  skip,
+  moveItem,
+  removeItem,
+  setShuffle,
+  cycleRepeat,
+  setAutoplay,
+} from '../player/queueStore';
+import {
+  selectIsPlaying,
+  selectIsBuffering,
+  getPlayerState,
+  refreshPlayerState,
+} from '../player/playerStateStore';
+import { getSeekableRange } from '../player/liveStream';
+import {
+  getNowPlayingMetadata,
+  createVideoSource,
+  setNowPlayingMetadata,
+  replacePlayerSource,
+} from '../player/nowPlaying';
+import { startDownload } from '../downloads/downloadManager';
+import { TAP_SIDES, ADJUST_TARGETS } from '../player/gestureRecognizer';
+import { formatTime, formatOffset } from '../utils/time';
 
 // Constants
 const HLS_URL = 'https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8';
-const DOUBLE_TAP_DELAY = 300; // milliseconds
-const PLAY_PAUSE_OVERLAY_DURATION = 2500; // milliseconds
+const DEFAULT_TITLE = 'HLS Video Player';
+const RESTART_THRESHOLD = 3; // seconds
+const SCRUB_RANGE = 90; // seconds for a swipe across the whole video
 const SEEK_INDICATOR_DURATION = 1000; // milliseconds
-const PLAYER_UPDATE_INTERVAL = 100; // milliseconds
+
+const REPEAT_ICONS = {
+  [QUEUE_REPEAT_MODES.OFF]: 'repeat-off',
+  [QUEUE_REPEAT_MODES.ALL]: 'repeat',
+  [QUEUE_REPEAT_MODES.ONE]: 'repeat-once',
+};
+
+/**
+ * Queue the source from the route params, or keep the current queue item
+ * when the screen is opened without one
+ * @param {Object} params - Route params
+ * @returns {Object} Queue item to play
+ */
+const openRouteItem = (params) => {
+  if (params?.src) return openItem(params);
+  return getCurrentItem() || openItem({ src: HLS_URL, title: DEFAULT_TITLE });
+};
 
 export default function VideoPlayerScreen() {
   const navigation = useNavigation();
+  const route = useRoute();
+
+  // ==================== Queue ====================
+  const initialItemRef = useRef(null);
+  if (!initialItemRef.current) {
+    initialItemRef.current = openRouteItem(route.params);
+  }
+  const { items, currentId, currentItem, shuffle, repeat, autoplay } = useVideoQueue();
+  const item = currentItem || initialItemRef.current;
+  const source = item.src;
+  const title = item.title || DEFAULT_TITLE;
+  const poster = item.poster;
 
   // ==================== State Management ====================
   const [isMuted, setIsMuted] = useState(false);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [showPlayPauseOverlay, setShowPlayPauseOverlay] = useState(false);
-  const [seekbarValue, setSeekbarValue] = useState(0);
-  const [isDragging, setIsDragging] = useState(false);
-  const [showSeekIndicator, setShowSeekIndicator] = useState(false);
-  const [seekDirection, setSeekDirection] = useState(null); // 'forward' or 'backward'
-  const [screenData, setScreenData] = useState(Dimensions.get('window'));
-  const [seekbarPosition, setSeekbarPosition] = useState(0);
-  const [isBuffering, setIsBuffering] = useState(false);
+  const [volume, setVolume] = useState(1);
+  const [isAdjustingVolume, setIsAdjustingVolume] = useState(false);
+  const [isScrubbing, setIsScrubbing] = useState(false);
+  const [seekIndicator, setSeekIndicator] = useState(null); // { direction: 'forward'|'backward', amount }
+  const [gestureHud, setGestureHud] = useState(null);
+  const [showPoster, setShowPoster] = useState(!!poster);
+  const [queueVisible, setQueueVisible] = useState(false);
+  const [captionsVisible, setCaptionsVisible] = useState(false);
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [statsVisible, setStatsVisible] = useState(false);
 
   // ==================== Refs ====================
-  const lastTapRef = useRef(null);
-  const overlayTimeoutRef = useRef(null);
+  const gestureStartRef = useRef(null);
   const seekIndicatorTimeoutRef = useRef(null);
-  const seekbarTrackRef = useRef(null);
+  const loadedItemIdRef = useRef(initialItemRef.current.id);
+  const pendingStartTimeRef = useRef(initialItemRef.current.startTime);
+  const routeParamsRef = useRef(route.params);
+  const videoViewRef = useRef(null);
 
   // ==================== Video Player Setup ====================
-  const player = useVideoPlayer(HLS_URL);
-  const seekbarPadding = moderateScale(16);
-  const seekbarWidth = screenData.width - (seekbarPadding * 2);
+  const player = useVideoPlayer(createVideoSource(
+    initialItemRef.current.src,
+    getNowPlayingMetadata({ title, poster })
+  ));
+  const isPlaying = usePlayerState(player, selectIsPlaying);
+  const isBuffering = usePlayerState(player, selectIsBuffering);
+  const { resumeOffer, resume, startOver } = usePlaybackResume({
+    player,
+    source,
+    startTime: item.startTime,
+  });
+  const manifest = useHlsManifest(source);
+  const { qualityOptions, selectedQuality, selectQuality, playingUri } = useQualitySelection({
+    player,
+    source,
+    manifest,
+  });
+  const { playbackError, isRecovering, retryInSeconds, retryNow } = usePlaybackRecovery({
+    player,
+    source: playingUri,
+  });
+  const {
+    tracks: subtitleTracks,
+    selectedTrackId,
+    selectTrack,
+    cues: subtitleCues,
+    isLoading: isLoadingSubtitles,
+    captionStyle,
+    updateCaptionStyle,
+  } = useSubtitles({
+    source,
+    manifest,
+    sideloaded: item.subtitles,
+  });
+  const { playbackRate, changePlaybackRate, isBoosting, startBoost, endBoost } = usePlaybackRate(player);
+  const { seekStep, changeSeekStep } = useSeekStep();
+  const { getBrightness, setBrightness } = useScreenBrightness();
+  const controls = useControlsVisibility({
+    isPlaying,
+    isPinned: isScrubbing || isAdjustingVolume || !!gestureHud || queueVisible || captionsVisible || settingsVisible,
+  });
+  const chapters = useChapters({ source, manifest, chaptersUrl: item.chapters });
+  const { live, goLive } = useLiveStream({ player, source, manifest });
+  const { getStats } = useQoeTelemetry({ player, source, playbackError });
+  const { keepPlaying, changeKeepPlaying } = useBackgroundPlayback(player);
+  const { loop, pressLoop } = useAbLoop({ player, source });
+  const { sleepTimer, changeSleepTimer, consumeEndOfVideo } = useSleepTimer({
+    player,
+    onVolumeChange: (level) => changeVolume(level), // declared with the touch handlers below
+  });
+  const {
+    isSupported: isPictureInPictureSupported,
+    isInPictureInPicture,
+    startPictureInPicture,
+    pictureInPictureProps,
+  } = usePictureInPicture({
+    player,
+    videoViewRef,
+    // Sheets would open over the PiP window on Android
+    onStart: () => {
+      setSettingsVisible(false);
+      setCaptionsVisible(false);
+      setQueueVisible(false);
+    },
+    onStop: controls.show,
+  });
+  // Live streams and videos already on disk cannot be downloaded
+  const downloadSource = live.isLive || source.startsWith('file://') ? null : source;
+  const variantOptions = qualityOptions.filter((option) => option.variant);
+  const downloadOptions = variantOptions.length
+    ? variantOptions
+    : [{ id: 'original', label: 'Original quality', variant: null }];
 
   // ==================== Effects ====================
 
@@ -61,80 +240,138 @@ export default function VideoPlayerScreen() {
    */
   React.useEffect(() => {
     if (!player) return;
+    // Repeat-one is applied on playToEnd, so the page hears about every finish
+    // and the sleep timer can stop at the end instead
     player.loop = false;
     player.muted = isMuted;
   }, [player, isMuted]);
 
+  /**
+   * Start the volume slider at the player's volume
+   */
+  React.useEffect(() => {
+    if (player) setVolume(player.volume);
+  }, [player]);
+
   /**
    * Auto-play video when player is ready
    */
   React.useEffect(() => {
     if (player) {
       player.play();
-      setIsPlaying(true);
+      refreshPlayerState(player);
     }
   }, [player]);
 
   /**
-   * Update player state and seekbar position at regular intervals
+   * Queue sources opened while the screen is already mounted
+   */
+  React.useEffect(() => {
+    if (route.params === routeParamsRef.current) return;
+    routeParamsRef.current = route.params;
+    if (!route.params?.src) return;
+
+    const opened = openItem(route.params);
+    // Reopening the item that is playing only moves to the new start time
+    if (player && opened.id === loadedItemIdRef.current && opened.startTime > 0) {
+      player.currentTime = opened.startTime;
+    }
+  }, [route.params, player]);
+
+  /**
+   * Publish the current item's title and artwork with every source the
+   * player loads (declared before the queue effect, which loads the next one)
+   */
+  React.useEffect(() => {
+    if (player) setNowPlayingMetadata(player, getNowPlayingMetadata({ title, poster }));
+  }, [player, title, poster]);
+
+  /**
+   * Load the new source whenever the current queue item changes
+   */
+  React.useEffect(() => {
+    if (!player || loadedItemIdRef.current === item.id) return;
+    loadedItemIdRef.current = item.id;
+    pendingStartTimeRef.current = item.startTime;
+    setShowPoster(!!item.poster);
+
+    replacePlayerSource(player, item.src)
+      .then(() => player.play())
+      .catch((error) => console.error('Error loading queue item:', error));
+  }, [player, item]);
+
+  /**
+   * Jump to the item's start time once its source is ready
    */
   React.useEffect(() => {
     if (!player) return;
 
-    const interval = setInterval(() => {
-      if (player && !isDragging) {
-        const time = player.currentTime || 0;
-        const dur = player.duration || 0;
-        setCurrentTime(time);
-        setDuration(dur);
-        setIsPlaying(player.playing || false);
-
-        // Check buffering status
-        const status = player.status || 'idle';
-        setIsBuffering(status === 'loading');
-
-        // Update seekbar position based on video progress
-        if (dur > 0) {
-          const progress = time / dur;
-          setSeekbarValue(progress);
-          setSeekbarPosition(progress * seekbarWidth);
-        }
+    const applyStartTime = (status) => {
+      if (status === 'readyToPlay' && pendingStartTimeRef.current > 0) {
+        player.currentTime = pendingStartTimeRef.current;
+        pendingStartTimeRef.current = 0;
       }
-    }, PLAYER_UPDATE_INTERVAL);
+    };
+
+    applyStartTime(player.status);
+    const subscription = player.addListener('statusChange', ({ status }) => applyStartTime(status));
 
-    return () => clearInterval(interval);
-  }, [player, isDragging, seekbarWidth]);
+    return () => subscription.remove();
+  }, [player]);
 
   /**
-   * Auto-hide play/pause overlay after specified duration
+   * Hide the poster once the first frame is ready
    */
   React.useEffect(() => {
-    if (showPlayPauseOverlay) {
-      if (overlayTimeoutRef.current) {
-        clearTimeout(overlayTimeoutRef.current);
+    if (!player || !poster) return;
+
+    const subscription = player.addListener('statusChange', ({ status }) => {
+      if (status === 'readyToPlay') {
+        setShowPoster(false);
       }
-      overlayTimeoutRef.current = setTimeout(() => {
-        setShowPlayPauseOverlay(false);
-      }, PLAY_PAUSE_OVERLAY_DURATION);
-    }
-    return () => {
-      if (overlayTimeoutRef.current) {
-        clearTimeout(overlayTimeoutRef.current);
+    });
+
+    return () => subscription.remove();
+  }, [player, poster]);
+
+  /**
+   * Notify the embedded page when the video plays to the end, then stop
+   * for the sleep timer, or replay or advance the queue
+   */
+  React.useEffect(() => {
+    if (!player) return;
+
+    const subscription = player.addListener('playToEnd', () => {
+      emitBridgeEvent(BRIDGE_EVENTS.VIDEO_FINISHED, {
+        src: source,
+        duration: player.duration || 0,
+      });
+
+      if (consumeEndOfVideo()) return;
+
+      const queue = getQueue();
+      if (queue.repeat === QUEUE_REPEAT_MODES.ONE) {
+        player.currentTime = 0;
+        player.play();
+      } else if (queue.autoplay) {
+        skip(1);
       }
-    };
-  }, [showPlayPauseOverlay]);
+    });
+
+    return () => subscription.remove();
+  }, [player, source, consumeEndOfVideo]);
 
   /**
-   * Auto-hide seek indicator after specified duration
+   * Auto-hide seek indicator after specified duration, counting from the
+   * latest stacked tap
    */
   React.useEffect(() => {
-    if (showSeekIndicator) {
+    if (seekIndicator) {
       if (seekIndicatorTimeoutRef.current) {
         clearTimeout(seekIndicatorTimeoutRef.current);
       }
       seekIndicatorTimeoutRef.current = setTimeout(() => {
-        setShowSeekIndicator(false);
-        setSeekDirection(null);
+        setSeekIndicator(null);
       }, SEEK_INDICATOR_DURATION);
     }
     return () => {
@@ -142,20 +379,7 @@ export default function VideoPlayerScreen() {
         clearTimeout(seekIndicatorTimeoutRef.current);
       }
     };
-  }, [showSeekIndicator]);
-
-  /**
-   * Listen to screen dimension changes for orientation updates
-   */
-  React.useEffect(() => {
-    const subscription = Dimensions.addEventListener('change', ({ window }) => {
-      setScreenData(window);
-    });
-
-    return () => {
-      subscription?.remove();
-    };
-  }, []);
+  }, [seekIndicator]);
 
   /**
    * Restore default orientation when leaving the screen
@@ -175,11 +399,10 @@ export default function VideoPlayerScreen() {
     if (!player) return;
     if (player.playing) {
       player.pause();
-      setIsPlaying(false);
     } else {
       player.play();
-      setIsPlaying(true);
     }
+    refreshPlayerState(player);
   };
 
   /**
@@ -193,48 +416,75 @@ export default function VideoPlayerScreen() {
   };
 
   /**
-   * Seek video forward by 10 seconds
+   * Range that can be seeked to right now; the DVR window for live streams
+   * @returns {Object} { start, end } in seconds
+   */
+  const getSeekRange = () => getSeekableRange(getPlayerState(player), live);
+
+  /**
+   * Label for a seek target: the time, or how far behind live it is
+   * @param {number} time - Time in seconds
+   * @returns {string}
+   */
+  const formatSeekTime = (time) => (
+    live.isLive ? formatOffset(getSeekRange().end - time) : formatTime(time)
+  );
+
+  /**
+   * Seek video forward by the seek step
    */
   const seekForward = () => {
     if (!player) return;
     const newPosition = Math.min(
-      player.currentTime + 10,
-      player.duration
+      player.currentTime + seekStep,
+      getSeekRange().end
     );
     player.currentTime = newPosition;
-    setCurrentTime(newPosition);
+    refreshPlayerState(player);
   };
 
   /**
-   * Seek video backward by 10 seconds
+   * Seek video backward by the seek step
    */
   const seekBackward = () => {
     if (!player) return;
-    const newPosition = Math.max(player.currentTime - 10, 0);
+    const newPosition = Math.max(player.currentTime - seekStep, getSeekRange().start);
     player.currentTime = newPosition;
-    setCurrentTime(newPosition);
+    refreshPlayerState(player);
+  };
+
+  /**
+   * Restart the current item, or go to the previous one near its start
+   */
+  const skipPrevious = () => {
+    if (!player) return;
+    if (player.currentTime > RESTART_THRESHOLD || !getAdjacentItem(-1)) {
+      player.currentTime = 0;
+      refreshPlayerState(player);
+    } else {
+      skip(-1);
+    }
   };
 
   /**
-   * Format seconds into MM:SS format
-   * @param {number} seconds - Time in seconds
-   * @returns {string} Formatted time string
+   * Go to the next queue item
    */
-  const formatTime = (seconds) => {
-    if (!seconds || isNaN(seconds)) return '0:00';
-    const totalSeconds = Math.floor(seconds);
-    const minutes = Math.floor(totalSeconds / 60);
-    const secs = totalSeconds % 60;
-    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  const skipNext = () => {
+    skip(1);
   };
 
   /**
-   * Calculate video progress percentage
-   * @returns {number} Progress value between 0 and 1
+   * Download the current item for offline playback
+   * @param {Object} option - Download option { label, variant }
    */
-  const getProgress = () => {
-    if (!duration || !currentTime) return 0;
-    return currentTime / duration;
+  const handleDownload = (option) => {
+    startDownload({
+      src: source,
+      title,
+      poster,
+      variant: option.variant,
+      qualityLabel: option.label,
+    }).catch((error) => console.error('Error starting download:', error));
   };
 
   /**
@@ -262,114 +512,141 @@ export default function VideoPlayerScreen() {
   // ==================== Touch Event Handlers ====================
 
   /**
-   * Handle single tap on video - show play/pause overlay and toggle playback
+   * Set the volume from the slider or a swipe; raising it unmutes
+   * @param {number} level - From 0 to 1
    */
-  const handleSingleTap = () => {
-    setShowPlayPauseOverlay(true);
-    togglePlayPause();
+  const changeVolume = (level) => {
+    if (!player) return;
+    player.volume = level;
+    setVolume(level);
+    if (isMuted && level > 0) {
+      player.muted = false;
+      setIsMuted(false);
+    }
   };
 
   /**
-   * Handle double tap on video - seek forward or backward based on tap position
-   * @param {Object} event - Touch event object
+   * Handle single tap on video - show or hide the controls
    */
-  const handleDoubleTap = (event) => {
-    const { locationX } = event.nativeEvent;
-    const videoWidth = screenData.width;
-    const isLeftHalf = locationX < videoWidth / 2;
+  const handleSingleTap = () => {
+    controls.toggle();
+  };
 
-    if (isLeftHalf) {
+  /**
+   * Handle a double tap (or a further stacked tap) - seek by one step on that side
+   * @param {Object} tap - { side, count } from the gesture recognizer
+   */
+  const handleSeekTap = ({ side, count }) => {
+    const direction = side === TAP_SIDES.LEFT ? 'backward' : 'forward';
+    if (direction === 'backward') {
       seekBackward();
-      setSeekDirection('backward');
     } else {
       seekForward();
-      setSeekDirection('forward');
     }
-    setShowSeekIndicator(true);
+    setSeekIndicator({ direction, amount: seekStep * count });
   };
 
   /**
-   * Handle tap on video area - detect single vs double tap
-   * @param {Object} event - Touch event object
+   * Start a brightness/volume swipe from the current level
+   * @param {Object} gesture - { target }
    */
-  const handleVideoTap = (event) => {
-    const now = Date.now();
+  const handleAdjustStart = ({ target }) => {
+    if (!player) return;
+    const level = target === ADJUST_TARGETS.VOLUME
+      ? (isMuted ? 0 : player.volume)
+      : getBrightness();
+    gestureStartRef.current = level;
+    setGestureHud({ type: target, level });
+  };
 
-    if (lastTapRef.current && (now - lastTapRef.current < DOUBLE_TAP_DELAY)) {
-      // Double tap detected
-      handleDoubleTap(event);
-      lastTapRef.current = null;
+  /**
+   * Follow a brightness/volume swipe; a full-height swipe covers the whole range
+   * @param {Object} gesture - { target, fraction }
+   */
+  const handleAdjust = ({ target, fraction }) => {
+    if (!player || gestureStartRef.current === null) return;
+    const level = Math.max(0, Math.min(1, gestureStartRef.current + fraction));
+    if (target === ADJUST_TARGETS.VOLUME) {
+      changeVolume(level);
     } else {
-      // Single tap - wait to see if it's a double tap
-      lastTapRef.current = now;
-      setTimeout(() => {
-        if (lastTapRef.current === now) {
-          handleSingleTap();
-          lastTapRef.current = null;
-        }
-      }, DOUBLE_TAP_DELAY);
+      setBrightness(level);
     }
+    setGestureHud({ type: target, level });
   };
 
   /**
-   * Handle seekbar press - seek to tapped position
-   * @param {Object} event - Touch event object
+   * Finish a brightness/volume swipe
    */
-  const handleSeekbarPress = (event) => {
-    if (seekbarTrackRef.current) {
-      seekbarTrackRef.current.measure((x, y, trackWidth, trackHeight, pageX, pageY) => {
-        const touchX = event.nativeEvent.pageX - pageX;
-        const newProgress = Math.max(0, Math.min(1, touchX / trackWidth));
-        setSeekbarValue(newProgress);
-        setSeekbarPosition(newProgress * trackWidth);
-
-        if (player && duration > 0) {
-          const newTime = newProgress * duration;
-          player.currentTime = newTime;
-          setCurrentTime(newTime);
-        }
-      });
-    }
+  const handleAdjustEnd = () => {
+    gestureStartRef.current = null;
+    setGestureHud(null);
   };
 
   /**
-   * Pan responder for draggable seekbar functionality
+   * Target time for a scrub swipe
+   * @param {number} fraction - Swipe distance as a fraction of the video width
+   * @returns {number} Time in seconds
    */
-  const panResponder = useRef(
-    PanResponder.create({
-      onStartShouldSetPanResponder: () => true,
-      onMoveShouldSetPanResponder: () => true,
-      onPanResponderGrant: (evt) => {
-        setIsDragging(true);
-        if (seekbarTrackRef.current) {
-          seekbarTrackRef.current.measure((x, y, trackWidth, trackHeight, pageX, pageY) => {
-            const touchX = evt.nativeEvent.pageX - pageX;
-            const newProgress = Math.max(0, Math.min(1, touchX / trackWidth));
-            setSeekbarValue(newProgress);
-            setSeekbarPosition(newProgress * trackWidth);
-          });
-        }
-      },
-      onPanResponderMove: (evt, gestureState) => {
-        if (seekbarTrackRef.current) {
-          seekbarTrackRef.current.measure((x, y, trackWidth, trackHeight, pageX, pageY) => {
-            const touchX = evt.nativeEvent.pageX - pageX;
-            const newProgress = Math.max(0, Math.min(1, touchX / trackWidth));
-            setSeekbarValue(newProgress);
-            setSeekbarPosition(newProgress * trackWidth);
-          });
-        }
-      },
-      onPanResponderRelease: () => {
-        if (player && duration > 0) {
-          const newTime = seekbarValue * duration;
-          player.currentTime = newTime;
-          setCurrentTime(newTime);
-        }
-        setIsDragging(false);
-      },
-    })
-  ).current;
+  const getScrubTarget = (fraction) => {
+    const target = gestureStartRef.current + fraction * SCRUB_RANGE;
+    const { start, end } = getSeekRange();
+    return Math.max(start, Math.min(end, target));
+  };
+
+  /**
+   * Start a scrub swipe from the current position
+   */
+  const handleScrubStart = () => {
+    if (!player) return;
+    gestureStartRef.current = player.currentTime || 0;
+    setGestureHud({
+      type: 'scrub',
+      deltaLabel: '+0:00',
+      timeLabel: formatSeekTime(gestureStartRef.current),
+    });
+  };
+
+  /**
+   * Preview the scrub delta and target time
+   * @param {Object} gesture - { fraction }
+   */
+  const handleScrub = ({ fraction }) => {
+    if (gestureStartRef.current === null) return;
+    const target = getScrubTarget(fraction);
+    const delta = target - gestureStartRef.current;
+    setGestureHud({
+      type: 'scrub',
+      deltaLabel: `${delta < 0 ? '-' : '+'}${formatTime(Math.abs(delta))}`,
+      timeLabel: formatSeekTime(target),
+    });
+  };
+
+  /**
+   * Seek to the scrub target, unless the swipe was cancelled
+   * @param {Object} gesture - { fraction, cancelled }
+   */
+  const handleScrubEnd = ({ fraction, cancelled }) => {
+    if (player && !cancelled && gestureStartRef.current !== null) {
+      const target = getScrubTarget(fraction);
+      player.currentTime = target;
+      refreshPlayerState(player);
+    }
+    gestureStartRef.current = null;
+    setGestureHud(null);
+  };
+
+  const videoGestureProps = useVideoGestures({
+    onTap: handleSingleTap,
+    onSeekTap: handleSeekTap,
+    onLongPressStart: startBoost,
+    onLongPressEnd: endBoost,
+    onAdjustStart: handleAdjustStart,
+    onAdjust: handleAdjust,
+    onAdjustEnd: handleAdjustEnd,
+    onScrubStart: handleScrubStart,
+    onScrub: handleScrub,
+    onScrubEnd: handleScrubEnd,
+  });
 
   // ==================== Render ====================
 
@@ -384,116 +661,238 @@ export default function VideoPlayerScreen() {
           onPress={() => navigation.goBack()}
           style={styles.backButton}
         />
-        <Text variant="titleLarge" style={styles.headerTitle}>
-          HLS Video Player
+        <Text variant="titleLarge" style={styles.headerTitle} numberOfLines={1}>
+          {title}
         </Text>
-        <View style={styles.placeholder} />
+        <IconButton
+          icon="playlist-play"
+          iconColor="#fff"
+          size={moderateScale(28)}
+          onPress={() => setQueueVisible(true)}
+          style={styles.queueButton}
+          accessibilityLabel="Show queue"
+        />
       </View>
 
       {/* Video Player Container */}
       <View style={styles.videoContainer}>
-        <Pressable style={styles.videoPressable} onPress={handleVideoTap}>
+        <View style={styles.videoSurface} {...videoGestureProps}>
           {player && (
             <VideoView
+              ref={videoViewRef}
               player={player}
               style={styles.video}
               allowsFullscreen={true}
               allowsPictureInPicture={true}
+              startsPictureInPictureAutomatically={isPlaying}
               contentFit="contain"
               nativeControls={false}
+              {...pictureInPictureProps}
             />
           )}
 
-          {/* Play/Pause Overlay - appears on single tap */}
-          {showPlayPauseOverlay && (
-            <View style={styles.playPauseOverlay}>
-              <IconButton
-                icon={isPlaying ? 'pause' : 'play'}
-                iconColor="#fff"
-                size={moderateScale(80)}
-                style={styles.playPauseIcon}
-                onPress={togglePlayPause}
-              />
-            </View>
+          {/* Poster - shown until the first frame is ready */}
+          {showPoster && (
+            <Image
+              source={{ uri: poster }}
+              style={styles.poster}
+              resizeMode="contain"
+              onError={() => setShowPoster(false)}
+            />
+          )}
+
+          {/* Subtitles */}
+          <SubtitleOverlay player={player} cues={subtitleCues} captionStyle={captionStyle} />
+
+          {/* Controls - fade in on tap, hide while playing; the PiP window has its own */}
+          {!isInPictureInPicture && (
+            <PlayerControls
+              opacity={controls.opacity}
+              visible={controls.visible}
+              isPlaying={isPlaying}
+              seekStep={seekStep}
+              isMuted={isMuted}
+              volume={volume}
+              hasSubtitles={!!selectedTrackId}
+              loop={live.isLive ? null : loop}
+              onPlayPause={togglePlayPause}
+              onSeekBackward={seekBackward}
+              onSeekForward={seekForward}
+              onToggleMute={toggleMute}
+              onVolumeChange={changeVolume}
+              onVolumeSlidingChange={setIsAdjustingVolume}
+              onLoop={pressLoop}
+              onCaptions={() => setCaptionsVisible(true)}
+              onSettings={() => setSettingsVisible(true)}
+              onPictureInPicture={isPictureInPictureSupported ? startPictureInPicture : null}
+              onFullscreen={toggleOrientation}
+              onInteraction={controls.show}
+            />
           )}
 
-          {/* Seek Indicator Overlay - shows +10 or -10 on double tap */}
-          {showSeekIndicator && (
+          {/* Seek Indicator Overlay - shows the stacked amount on double taps */}
+          {seekIndicator && (
             <View
               style={[
                 styles.seekIndicatorOverlay,
-                seekDirection === 'forward' ? styles.seekIndicatorRight : styles.seekIndicatorLeft
+                seekIndicator.direction === 'forward' ? styles.seekIndicatorRight : styles.seekIndicatorLeft
               ]}
             >
               <View style={styles.seekIndicatorContainer}>
-                {seekDirection === 'forward' ? (
-                  <Text style={styles.seekIndicatorText}>+10 {'>'}</Text>
+                {seekIndicator.direction === 'forward' ? (
+                  <Text style={styles.seekIndicatorText}>+{seekIndicator.amount} {'>'}</Text>
                 ) : (
-                  <Text style={styles.seekIndicatorText}>{'<'} -10</Text>
+                  <Text style={styles.seekIndicatorText}>{'<'} -{seekIndicator.amount}</Text>
                 )}
               </View>
             </View>
           )}
 
-          {/* Buffering Loader Overlay */}
-          {isBuffering && (
-            <View style={styles.bufferingOverlay}>
+          {/* Volume, brightness and scrub indicator - shown during swipes */}
+          <GestureHud hud={gestureHud} />
+
+          {/* Stats for nerds - toggled from the settings sheet */}
+          {statsVisible && !isInPictureInPicture && (
+            <StatsOverlay player={player} getStats={getStats} onClose={() => setStatsVisible(false)} />
+          )}
+
+          {/* Speed badge - shown while the video is held down */}
+          {isBoosting && (
+            <View style={styles.boostBadge} pointerEvents="none">
+              <Text style={styles.boostBadgeText}>2x ▶▶</Text>
+            </View>
+          )}
+
+          {/* Resume offer - shown when a source was left part way through */}
+          {resumeOffer && (
+            <View style={styles.resumeOffer}>
+              <Button mode="contained" compact icon="play" onPress={resume}>
+                Resume at {formatTime(resumeOffer.position)}
+              </Button>
+              <Button mode="text" compact textColor="#fff" onPress={startOver}>
+                Start over
+              </Button>
+            </View>
+          )}
+
+          {/* Buffering Loader Overlay - also shown while recovering from a stall */}
+          {(isBuffering || isRecovering) && !playbackError && (
+            <View style={styles.bufferingOverlay} pointerEvents="none">
               <ActivityIndicator size="large" color="#fff" />
-              <Text style={styles.bufferingText}>Buffering...</Text>
+              <Text style={styles.bufferingText}>
+                {isRecovering ? 'Reconnecting...' : 'Buffering...'}
+              </Text>
             </View>
           )}
-        </Pressable>
+
+          {/* Error surface - replaces the black screen when playback fails */}
+          {playbackError && (
+            <PlaybackErrorView
+              error={playbackError}
+              retryInSeconds={retryInSeconds}
+              onRetry={retryNow}
+            />
+          )}
+        </View>
 
         {/* Draggable Seekbar with controls */}
         <View style={styles.seekbarContainer}>
-          {/* Fullscreen button header */}
+          {/* Queue controls */}
           <View style={styles.seekbarHeader}>
-            <View style={styles.seekbarHeaderLeft} />
-            <IconButton
-              icon="fullscreen"
-              iconColor="#fff"
-              size={moderateScale(24)}
-              onPress={toggleOrientation}
-              style={styles.fullscreenButton}
-            />
+            <View style={styles.seekbarHeaderLeft}>
+              <IconButton
+                icon="skip-previous"
+                iconColor="#fff"
+                size={moderateScale(24)}
+                onPress={skipPrevious}
+                style={styles.queueControl}
+                accessibilityLabel="Previous"
+              />
+              <IconButton
+                icon="skip-next"
+                iconColor="#fff"
+                size={moderateScale(24)}
+                onPress={skipNext}
+                disabled={!getAdjacentItem(1)}
+                style={styles.queueControl}
+                accessibilityLabel="Next"
+              />
+              <IconButton
+                icon={shuffle ? 'shuffle' : 'shuffle-disabled'}
+                iconColor={shuffle ? '#bb86fc' : '#fff'}
+                size={moderateScale(24)}
+                onPress={() => setShuffle(!shuffle)}
+                style={styles.queueControl}
+                accessibilityLabel={shuffle ? 'Turn shuffle off' : 'Turn shuffle on'}
+              />
+              <IconButton
+                icon={REPEAT_ICONS[repeat]}
+                iconColor={repeat === QUEUE_REPEAT_MODES.OFF ? '#fff' : '#bb86fc'}
+                size={moderateScale(24)}
+                onPress={cycleRepeat}
+                style={styles.queueControl}
+                accessibilityLabel={`Repeat: ${repeat}`}
+              />
+            </View>
           </View>
 
-          {/* Seekbar track with progress and thumb */}
-          <Pressable
-            ref={seekbarTrackRef}
-            style={styles.seekbarTrack}
-            onPress={handleSeekbarPress}
-            {...panResponder.panHandlers}
-          >
-            <View
-              style={[
-                styles.seekbarProgress,
-                {
-                  width: seekbarPosition,
-                },
-              ]}
-            />
-            <View
-              style={[
-                styles.seekbarThumb,
-                {
-                  left: Math.max(0, seekbarPosition - moderateScale(8)),
-                },
-              ]}
-            />
-          </Pressable>
-
-          {/* Time display */}
-          <View style={styles.timeContainer}>
-            <Text variant="bodySmall" style={styles.timeText}>
-              {formatTime(isDragging ? seekbarValue * duration : currentTime)}
-            </Text>
-            <Text variant="bodySmall" style={styles.timeText}>
-              {formatTime(duration)}
-            </Text>
-          </View>
+          <Seekbar
+            player={player}
+            chapters={chapters}
+            manifest={manifest}
+            thumbnailsUrl={item.thumbnails}
+            live={live}
+            onGoLive={goLive}
+            loop={loop}
+            onScrubbingChange={setIsScrubbing}
+          />
         </View>
       </View>
+
+      <QueueDrawer
+        visible={queueVisible}
+        items={items}
+        currentId={currentId}
+        autoplay={autoplay}
+        onSelect={selectItem}
+        onMove={moveItem}
+        onRemove={removeItem}
+        onAutoplayChange={setAutoplay}
+        onDismiss={() => setQueueVisible(false)}
+      />
+
+      <PlayerSettingsSheet
+        visible={settingsVisible}
+        playbackRate={playbackRate}
+        qualityOptions={qualityOptions}
+        selectedQuality={selectedQuality}
+        seekStep={seekStep}
+        sleepTimer={sleepTimer}
+        downloadSource={downloadSource}
+        downloadOptions={downloadOptions}
+        keepPlaying={keepPlaying}
+        statsVisible={statsVisible}
+        onPlaybackRateChange={changePlaybackRate}
+        onQualityChange={selectQuality}
+        onSeekStepChange={changeSeekStep}
+        onSleepTimerChange={changeSleepTimer}
+        onDownload={handleDownload}
+        onOpenDownloads={() => navigation.navigate('Downloads')}
+        onKeepPlayingChange={changeKeepPlaying}
+        onStatsVisibleChange={setStatsVisible}
+        onDismiss={() => setSettingsVisible(false)}
+      />
+
+      <CaptionsSheet
+        visible={captionsVisible}
+        tracks={subtitleTracks}
+        selectedTrackId={selectedTrackId}
+        isLoading={isLoadingSubtitles}
+        captionStyle={captionStyle}
+        onSelectTrack={selectTrack}
+        onChangeStyle={updateCaptionStyle}
+        onDismiss={() => setCaptionsVisible(false)}
+      />
     </View>
   );
 }
@@ -523,8 +922,8 @@ const styles = StyleSheet.create({
     flex: 1,
     textAlign: 'center',
   },
-  placeholder: {
-    width: moderateScale(48),
+  queueButton: {
+    margin: 0,
   },
   videoContainer: {
     flex: 1,
@@ -532,7 +931,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     backgroundColor: '#000',
   },
-  videoPressable: {
+  videoSurface: {
     width: '100%',
     height: '50%',
     position: 'relative',
@@ -541,18 +940,13 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
   },
-  playPauseOverlay: {
+  poster: {
     position: 'absolute',
     top: 0,
     left: 0,
     right: 0,
     bottom: 0,
-    justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: 'rgba(0, 0, 0, 0.3)',
-  },
-  playPauseIcon: {
-    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    backgroundColor: '#000',
   },
   seekIndicatorOverlay: {
     position: 'absolute',
@@ -580,6 +974,31 @@ const styles = StyleSheet.create({
     fontSize: moderateScale(16),
     fontWeight: 'bold',
   },
+  boostBadge: {
+    position: 'absolute',
+    top: moderateVerticalScale(12),
+    alignSelf: 'center',
+    paddingHorizontal: moderateScale(12),
+    paddingVertical: moderateVerticalScale(4),
+    borderRadius: moderateScale(12),
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  boostBadgeText: {
+    color: '#fff',
+    fontSize: moderateScale(14),
+    fontWeight: 'bold',
+  },
+  resumeOffer: {
+    position: 'absolute',
+    left: moderateScale(12),
+    bottom: moderateVerticalScale(12),
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: moderateScale(8),
+    padding: moderateScale(6),
+    borderRadius: moderateScale(8),
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
   bufferingOverlay: {
     position: 'absolute',
     top: 0,
@@ -609,43 +1028,10 @@ const styles = StyleSheet.create({
   },
   seekbarHeaderLeft: {
     flex: 1,
-  },
-  fullscreenButton: {
-    margin: 0,
-    padding: 0,
-  },
-  seekbarTrack: {
-    height: moderateVerticalScale(4),
-    backgroundColor: 'rgba(255, 255, 255, 0.3)',
-    borderRadius: moderateScale(2),
-    position: 'relative',
-    marginBottom: moderateVerticalScale(8),
-    justifyContent: 'center',
-  },
-  seekbarProgress: {
-    height: moderateVerticalScale(4),
-    backgroundColor: '#6200ee',
-    borderRadius: moderateScale(2),
-    position: 'absolute',
-    left: 0,
-    top: 0,
-  },
-  seekbarThumb: {
-    width: moderateScale(16),
-    height: moderateScale(16),
-    borderRadius: moderateScale(8),
-    backgroundColor: '#6200ee',
-    position: 'absolute',
-    top: moderateVerticalScale(-6),
-    left: 0,
-    zIndex: 1,
-  },
-  timeContainer: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
+    alignItems: 'center',
   },
-  timeText: {
-    color: '#fff',
-    fontSize: moderateScale(12),
+  queueControl: {
+    margin: 0,
   },
 });
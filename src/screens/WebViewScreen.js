@@ -3,46 +3,155 @@
  * 
  * Displays a WebView with notification functionality:
  * - Embeds expo.dev website
- * - Two notification buttons with different delays
- * - Auto-notification when WebView finishes loading
+ * - Notification composer and manager for pending notifications
+ * - Auto-notification when a page load succeeds (one per navigation, with cooldown)
  * - Navigation to Video Player screen
  * - Snackbar feedback for user actions
+ * - JavaScript bridge so the page can call app actions and receive events
+ * - Browser toolbar with address bar, back/forward, reload/stop and progress
+ * - Android hardware back navigates WebView history before leaving the screen
+ * - Navigation policy (allowlist, external handoff, scheme blocking) with audit log
+ * - In-place error view with backoff retry and an offline page snapshot
+ * - Detects playable media on the page and hands it off to the Video Player
+ * - Opens the `url` route param (e.g. from an app://web?url=... deep link)
  */
 
 import React, { useRef, useState } from 'react';
-import { View, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import { View, StyleSheet, Alert, ActivityIndicator, Platform, BackHandler, Linking } from 'react-native';
 import { WebView } from 'react-native-webview';
 import * as Notifications from 'expo-notifications';
-import { useNavigation } from '@react-navigation/native';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
 import { Button, Card, Text, Portal, Snackbar } from 'react-native-paper';
 import { moderateScale, moderateVerticalScale } from 'react-native-size-matters';
+import BrowserToolbar from '../components/BrowserToolbar';
+import PolicyLogDialog from '../components/PolicyLogDialog';
+import WebViewErrorView from '../components/WebViewErrorView';
+import MediaSourcesChip from '../components/MediaSourcesChip';
+import NotificationComposer from '../components/NotificationComposer';
+import ScheduledNotificationsList from '../components/ScheduledNotificationsList';
+import useWebViewBridge from '../hooks/useWebViewBridge';
+import useWebViewRecovery from '../hooks/useWebViewRecovery';
+import useScheduledNotifications from '../hooks/useScheduledNotifications';
+import useLoadSessionTracker from '../hooks/useLoadSessionTracker';
+import { normalizeAddressInput } from '../utils/url';
+import {
+  classifyLoadError,
+  classifyHttpError,
+  isCancelledLoadError,
+  WEBVIEW_ERROR_TYPES,
+} from '../utils/webViewErrors';
+import { LOAD_OUTCOMES } from '../utils/loadSessionTracker';
+import { parseSnapshotMessage } from '../utils/pageSnapshot';
+import { MEDIA_DETECTION_SCRIPT, parseMediaMessage } from '../utils/mediaDetection';
+import {
+  evaluateNavigation,
+  isAllowlistedUrl,
+  DEFAULT_NAVIGATION_POLICY,
+  POLICY_DECISIONS,
+} from '../policy/navigationPolicy';
+import { recordPolicyDecision } from '../policy/policyLog';
+import {
+  scheduleAppNotification,
+  createEmptyInput,
+  requestToInput,
+  NotificationInputError,
+  TIMING_MODES,
+  REPEAT_MODES,
+} from '../notifications/notificationScheduler';
+import { BridgeError, BRIDGE_ERRORS, BRIDGE_VERSION } from '../bridge/protocol';
+import { videoRoute, RouteError } from '../navigation/routes';
+import appConfig from '../../app.json';
 
-// ==================== Notification Configuration ====================
-
-/**
- * Configure notification handler behavior
- */
-Notifications.setNotificationHandler({
-  handleNotification: async () => ({
-    shouldShowAlert: true,
-    shouldPlaySound: true,
-    shouldSetBadge: true,
-  }),
-});
+// Constants
+const HOME_URL = 'https://expo.dev';
+const LOAD_NOTIFICATION_COOLDOWN = 5 * 60 * 1000; // milliseconds
 
 // ==================== Component ====================
 
 export default function WebViewScreen() {
   const navigation = useNavigation();
+  const route = useRoute();
+  const linkedUrl = route.params?.url;
 
   // ==================== State Management ====================
   const webViewRef = useRef(null);
+  const lastLoadNotificationRef = useRef(0);
   const [loading, setLoading] = useState(true);
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
+  // Linked pages off the allowlist never load here (see the deep link effect)
+  const [initialUrl] = useState(() => (linkedUrl && isAllowlistedUrl(linkedUrl) ? linkedUrl : HOME_URL));
+  const [source, setSource] = useState({ uri: initialUrl });
+  const [navState, setNavState] = useState({
+    url: initialUrl,
+    canGoBack: false,
+    canGoForward: false,
+  });
+  const [isPageLoading, setIsPageLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(0);
+  const [policyLogVisible, setPolicyLogVisible] = useState(false);
+  const [mediaSources, setMediaSources] = useState([]);
+  const [composerVisible, setComposerVisible] = useState(false);
+  const [composerInput, setComposerInput] = useState(null);
+  const [editingNotificationId, setEditingNotificationId] = useState(null);
+  const [scheduledListVisible, setScheduledListVisible] = useState(false);
+  const { scheduled, refresh: refreshScheduled, cancel, cancelAll } = useScheduledNotifications();
+
+  /**
+   * Load a URL, reloading when it is already the current source
+   * @param {string} uri - URL to load
+   * @param {Object} options - See loadSession.navigate
+   */
+  const loadUrl = (uri, options) => {
+    loadSession.navigate(options);
+    if (uri === source.uri) {
+      // Same source prop would not trigger a new load
+      webViewRef.current?.reload();
+    } else {
+      setSource({ uri });
+    }
+  };
+
+  const {
+    loadError,
+    isOnline,
+    snapshot,
+    retryInSeconds,
+    reportError,
+    reportSuccess,
+    retryNow,
+    storeSnapshot,
+  } = useWebViewRecovery({
+    webViewRef,
+    onRetry: (url) => loadUrl(url || source.uri),
+  });
 
   // ==================== Effects ====================
 
+  /**
+   * Open pages requested through deep links under the same policy as in-page
+   * navigation: anyone can craft a link, so it is not trusted like a typed address
+   */
+  React.useEffect(() => {
+    if (!linkedUrl) return;
+    const { decision, reason } = evaluateNavigation({ url: linkedUrl, isTopFrame: true }, DEFAULT_NAVIGATION_POLICY);
+    recordPolicyDecision({ url: linkedUrl, decision, reason, isTopFrame: true, navigationType: 'deep-link' });
+
+    if (decision === POLICY_DECISIONS.ALLOW) {
+      loadSession.navigate();
+      setSource((current) => (current.uri === linkedUrl ? current : { uri: linkedUrl }));
+    } else if (decision === POLICY_DECISIONS.OPEN_EXTERNAL || decision === POLICY_DECISIONS.HAND_OFF_OS) {
+      Linking.openURL(linkedUrl).catch((error) => {
+        console.warn('Unable to open linked URL outside the app:', error);
+        setSnackbarMessage('No app available to open this link.');
+        setSnackbarVisible(true);
+      });
+    } else {
+      setSnackbarMessage('This link was blocked for security reasons.');
+      setSnackbarVisible(true);
+    }
+  }, [linkedUrl]);
+
   /**
    * Request notification permissions on component mount
    */
@@ -59,67 +168,295 @@ export default function WebViewScreen() {
   }, []);
 
   /**
-   * Handle notification tap to navigate to Video Player screen
+   * Android hardware back goes back in WebView history before leaving the screen
    */
-  React.useEffect(() => {
-    const subscription = Notifications.addNotificationResponseReceivedListener(
-      (response) => {
-        const data = response.notification.request.content.data;
-        if (data?.screen === 'VideoPlayer') {
-          navigation.navigate('VideoPlayer');
+  useFocusEffect(
+    React.useCallback(() => {
+      const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+        if (navState.canGoBack) {
+          loadSession.navigate();
+          webViewRef.current?.goBack();
+          return true;
         }
-      }
-    );
+        return false;
+      });
 
-    return () => subscription.remove();
-  }, [navigation]);
+      return () => subscription.remove();
+    }, [navState.canGoBack])
+  );
 
   // ==================== Notification Functions ====================
 
   /**
-   * Schedule a notification with specified delay
-   * @param {string} title - Notification title
-   * @param {string} body - Notification body text
-   * @param {number} delaySeconds - Delay in seconds before showing notification
+   * Validate and schedule a notification
+   * @param {Object} input - Composer input, see createEmptyInput
+   * @returns {Promise<string|null>} Notification identifier, or null on failure
+   * @throws {NotificationInputError} When the input is invalid
    */
-  const scheduleNotification = async (title, body, delaySeconds) => {
+  const scheduleNotification = async (input) => {
     try {
-      // Ensure delay is at least 1 second and is a valid number
-      const delay = Math.max(1, Math.floor(Number(delaySeconds)));
+      const identifier = await scheduleAppNotification(input);
 
-      await Notifications.scheduleNotificationAsync({
-        content: {
-          title,
-          body,
-          sound: true,
-          data: { screen: 'VideoPlayer' },
-        },
-        trigger: {
-          type: 'timeInterval',
-          seconds: delay,
-          repeats: false,
-        },
-      });
-      setSnackbarMessage(`Notification scheduled! It will appear in ${delay} seconds.`);
+      if (input.repeat !== REPEAT_MODES.NONE) {
+        setSnackbarMessage('Repeating notification scheduled!');
+      } else if (input.timing === TIMING_MODES.DATE) {
+        setSnackbarMessage(`Notification scheduled for ${input.date.toLocaleString()}.`);
+      } else {
+        setSnackbarMessage(`Notification scheduled! It will appear in ${input.delaySeconds} seconds.`);
+      }
       setSnackbarVisible(true);
+      refreshScheduled();
+      return identifier;
     } catch (error) {
+      if (error instanceof NotificationInputError) throw error;
       console.error('Error scheduling notification:', error);
       Alert.alert('Error', 'Failed to schedule notification');
+      return null;
+    }
+  };
+
+  /**
+   * Open the composer for a new notification
+   */
+  const openComposer = () => {
+    setEditingNotificationId(null);
+    setComposerInput(createEmptyInput());
+    setComposerVisible(true);
+  };
+
+  /**
+   * Open the composer prefilled from a scheduled notification
+   * @param {Object} request - Scheduled request
+   * @param {boolean} isEdit - Replace the original instead of adding a copy
+   */
+  const openComposerFrom = (request, isEdit) => {
+    setEditingNotificationId(isEdit ? request.identifier : null);
+    setComposerInput(requestToInput(request));
+    setScheduledListVisible(false);
+    setComposerVisible(true);
+  };
+
+  /**
+   * Schedule the composed notification, replacing the edited one if any
+   * @param {Object} input - Validated composer input
+   */
+  const handleComposerSubmit = async (input) => {
+    const identifier = await scheduleNotification(input);
+    if (!identifier) return;
+
+    // Schedule first so a failure never loses the original notification
+    if (editingNotificationId) {
+      await cancel(editingNotificationId);
+    }
+    setComposerVisible(false);
+  };
+
+  // ==================== Bridge Actions ====================
+
+  /**
+   * Actions the embedded page can call through window.AppBridge.call()
+   */
+  const bridgeActions = {
+    /**
+     * Schedule a local notification on behalf of the page
+     * @param {Object} params - { title, body, delaySeconds }
+     * @returns {Promise<Object>} { identifier }
+     */
+    scheduleNotification: async ({ title, body, delaySeconds = 1 }) => {
+      try {
+        const identifier = await scheduleNotification({
+          ...createEmptyInput(),
+          title,
+          body: body === undefined ? '' : body,
+          delaySeconds,
+        });
+        if (!identifier) {
+          throw new BridgeError(BRIDGE_ERRORS.ACTION_FAILED, 'Failed to schedule notification');
+        }
+        return { identifier };
+      } catch (error) {
+        if (error instanceof NotificationInputError) {
+          throw new BridgeError(BRIDGE_ERRORS.INVALID_PARAMS, error.message);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Open the native video player with a stream URL
+     * @param {Object} params - { src, startTime, title, poster }
+     * @returns {Promise<Object>} { opened: true }
+     */
+    openVideo: async (params) => {
+      let route;
+      try {
+        route = videoRoute(params);
+      } catch (error) {
+        if (error instanceof RouteError) {
+          throw new BridgeError(BRIDGE_ERRORS.INVALID_PARAMS, error.message);
+        }
+        throw error;
+      }
+
+      navigation.navigate(route.screen, route.params);
+      return { opened: true };
+    },
+
+    /**
+     * Describe the host app to the page
+     * @returns {Promise<Object>} App name, version, platform and bridge version
+     */
+    getAppInfo: async () => ({
+      name: appConfig.expo.name,
+      version: appConfig.expo.version,
+      platform: Platform.OS,
+      platformVersion: String(Platform.Version),
+      bridgeVersion: BRIDGE_VERSION,
+    }),
+  };
+
+  const { injectedJavaScript, onMessage, trackPageUrl } = useWebViewBridge(webViewRef, bridgeActions);
+
+  /**
+   * React to the single outcome of a top-level navigation
+   * @param {Object} result - Outcome reported by the load session tracker
+   */
+  const handleLoadOutcome = async (result) => {
+    switch (result.outcome) {
+      case LOAD_OUTCOMES.SUCCESS: {
+        reportSuccess();
+
+        const now = Date.now();
+        if (now - lastLoadNotificationRef.current < LOAD_NOTIFICATION_COOLDOWN) return;
+        lastLoadNotificationRef.current = now;
+
+        const seconds = (result.metrics.totalLoadTime / 1000).toFixed(1);
+        await scheduleNotification({
+          ...createEmptyInput(),
+          title: 'WebView Loaded! 🎉',
+          body: `The website has finished loading successfully in ${seconds}s.`,
+          delaySeconds: 2,
+        });
+        return;
+      }
+      case LOAD_OUTCOMES.HTTP_ERROR:
+      case LOAD_OUTCOMES.NETWORK_ERROR:
+        reportError(result.error);
+        return;
+      default:
+        // Cancelled loads are neither failures nor successes
+        return;
     }
   };
 
+  const loadSession = useLoadSessionTracker(handleLoadOutcome);
+
   // ==================== Event Handlers ====================
 
   /**
-   * Handle WebView load completion - send auto-notification
+   * Track page loads started by links, history or the address bar
+   */
+  const handleLoadStart = ({ nativeEvent }) => {
+    loadSession.start(nativeEvent);
+    trackPageUrl(nativeEvent.url);
+    setIsPageLoading(true);
+    setLoadProgress(0);
+    setMediaSources([]);
+  };
+
+  /**
+   * Update the toolbar progress bar
+   */
+  const handleLoadProgress = ({ nativeEvent }) => {
+    loadSession.progress(nativeEvent);
+    setLoadProgress(nativeEvent.progress);
+  };
+
+  /**
+   * Keep toolbar URL and back/forward availability in sync with the WebView
+   */
+  const handleNavigationStateChange = (state) => {
+    trackPageUrl(state.url);
+    setNavState({
+      url: state.url,
+      canGoBack: state.canGoBack,
+      canGoForward: state.canGoForward,
+    });
+  };
+
+  /**
+   * Run a toolbar history or reload action as a new load session
+   * @param {string} action - WebView method: 'goBack', 'goForward' or 'reload'
+   */
+  const runNavigation = (action) => {
+    loadSession.navigate();
+    webViewRef.current?.[action]();
+  };
+
+  /**
+   * Load the URL or search query typed into the address bar
+   * @param {string} text - Address bar text
+   */
+  const handleSubmitAddress = (text) => {
+    const uri = normalizeAddressInput(text);
+    if (!uri) return;
+
+    // Typed addresses (and their redirects) are trusted even when they are not allowlisted
+    loadUrl(uri, { userInitiated: true });
+  };
+
+  /**
+   * Apply the navigation policy to every load the WebView is about to start
+   * @param {Object} request - Navigation request from the WebView
+   * @returns {boolean} Whether the WebView should load the request itself
+   */
+  const handleShouldStartLoadWithRequest = (request) => {
+    const { decision, reason } = evaluateNavigation(request, DEFAULT_NAVIGATION_POLICY, {
+      userInitiated: loadSession.isUserInitiated(),
+    });
+
+    recordPolicyDecision({
+      url: request.url,
+      decision,
+      reason,
+      isTopFrame: request.isTopFrame,
+      navigationType: request.navigationType,
+    });
+
+    if (decision === POLICY_DECISIONS.OPEN_EXTERNAL || decision === POLICY_DECISIONS.HAND_OFF_OS) {
+      Linking.openURL(request.url).catch((error) => {
+        console.warn('Unable to open URL outside the app:', error);
+        setSnackbarMessage('No app available to open this link.');
+        setSnackbarVisible(true);
+      });
+      return false;
+    }
+
+    if (decision === POLICY_DECISIONS.BLOCK && request.isTopFrame !== false) {
+      setSnackbarMessage('This link was blocked for security reasons.');
+      setSnackbarVisible(true);
+    }
+
+    return decision === POLICY_DECISIONS.ALLOW;
+  };
+
+  /**
+   * Stop the current page load
    */
-  const handleLoadEnd = async () => {
+  const handleStopLoading = () => {
+    webViewRef.current?.stopLoading();
+    setIsPageLoading(false);
+    loadSession.cancel();
+  };
+
+  /**
+   * Handle WebView load completion; fires after errors and redirects too,
+   * so the outcome is left to the load session tracker
+   */
+  const handleLoadEnd = () => {
     setLoading(false);
-    await scheduleNotification(
-      'WebView Loaded! 🎉',
-      'The website has finished loading successfully.',
-      2
-    );
+    setIsPageLoading(false);
+    loadSession.end();
   };
 
   /**
@@ -127,37 +464,87 @@ export default function WebViewScreen() {
    */
   const handleWebViewError = (syntheticEvent) => {
     const { nativeEvent } = syntheticEvent;
-    console.warn('WebView error: ', nativeEvent);
     setLoading(false);
-    Alert.alert('Error', 'Failed to load the website');
+    setIsPageLoading(false);
+    if (isCancelledLoadError(nativeEvent)) {
+      loadSession.error(null, true);
+      return;
+    }
+
+    console.warn('WebView error: ', nativeEvent);
+    loadSession.error(classifyLoadError(nativeEvent), false);
   };
 
   /**
-   * Handle Notification 1 button press - schedule notification with 3 second delay
+   * Handle HTTP error status codes for the main document
    */
-  const handleNotification1 = () => {
-    scheduleNotification(
-      'Hello from WebView! 👋',
-      'This is the first notification triggered from the WebView page. It will appear in 3 seconds.',
-      3
-    );
+  const handleHttpError = (syntheticEvent) => {
+    const { nativeEvent } = syntheticEvent;
+    console.warn('WebView HTTP error: ', nativeEvent.statusCode, nativeEvent.url);
+    loadSession.httpError(classifyHttpError(nativeEvent));
+  };
+
+  /**
+   * Route WebView messages: snapshots and media reports are handled here,
+   * everything else goes to the bridge
+   */
+  const handleMessage = (syntheticEvent) => {
+    const { data, url } = syntheticEvent.nativeEvent;
+
+    const page = parseSnapshotMessage(data);
+    if (page) {
+      storeSnapshot(url, page);
+      return;
+    }
+
+    const sources = parseMediaMessage(data);
+    if (sources) {
+      setMediaSources(sources);
+      return;
+    }
+
+    onMessage(syntheticEvent);
   };
 
   /**
-   * Handle Notification 2 button press - schedule notification with 4 second delay
+   * Play a media source found on the page in the native player
+   * @param {Object} source - Detected source { url, title, poster }
    */
-  const handleNotification2 = () => {
-    scheduleNotification(
-      'Second Notification 🔔',
-      'This is the second notification with a different message. It will appear in 4 seconds.',
-      4
-    );
+  const handleSelectMediaSource = (source) => {
+    try {
+      const route = videoRoute({
+        src: source.url,
+        title: source.title,
+        poster: source.poster,
+        subtitles: source.subtitles,
+      });
+      navigation.navigate(route.screen, route.params);
+    } catch (error) {
+      console.warn('Cannot play detected media:', error.message);
+      setSnackbarMessage('This video cannot be played in the native player.');
+      setSnackbarVisible(true);
+    }
   };
 
   // ==================== Render ====================
 
   return (
     <View style={styles.container}>
+      {/* Browser Toolbar */}
+      <BrowserToolbar
+        url={navState.url}
+        canGoBack={navState.canGoBack}
+        canGoForward={navState.canGoForward}
+        isLoading={isPageLoading}
+        progress={loadProgress}
+        onBack={() => runNavigation('goBack')}
+        onForward={() => runNavigation('goForward')}
+        onReload={() => runNavigation('reload')}
+        onStop={handleStopLoading}
+        onSubmitAddress={handleSubmitAddress}
+        onShowPolicyLog={() => setPolicyLogVisible(true)}
+      />
+
       {/* WebView Container */}
       <View style={styles.webViewContainer}>
         {/* Loading Indicator */}
@@ -171,45 +558,72 @@ export default function WebViewScreen() {
         {/* WebView */}
         <WebView
           ref={webViewRef}
-          source={{ uri: 'https://expo.dev' }}
+          source={source}
           style={styles.webView}
+          onLoadStart={handleLoadStart}
+          onLoadProgress={handleLoadProgress}
+          onNavigationStateChange={handleNavigationStateChange}
+          onShouldStartLoadWithRequest={handleShouldStartLoadWithRequest}
+          originWhitelist={['*']}
           onLoadEnd={handleLoadEnd}
           onError={handleWebViewError}
+          onHttpError={handleHttpError}
+          injectedJavaScript={`${injectedJavaScript}\n${MEDIA_DETECTION_SCRIPT}`}
+          onMessage={handleMessage}
         />
+
+        {/* Detected Media */}
+        {!loadError && (
+          <MediaSourcesChip sources={mediaSources} onSelect={handleSelectMediaSource} />
+        )}
+
+        {/* Error View / Offline Snapshot */}
+        {loadError && (
+          <WebViewErrorView
+            error={loadError}
+            retryInSeconds={retryInSeconds}
+            snapshot={snapshot}
+            showSnapshot={!isOnline || loadError.type === WEBVIEW_ERROR_TYPES.OFFLINE}
+            onRetry={retryNow}
+          />
+        )}
       </View>
 
       {/* Notification Controls Card */}
       <Card style={styles.card} mode="elevated">
         <Card.Content>
           <Text variant="titleMedium" style={styles.cardTitle}>
-            Trigger Notifications
+            Notifications
           </Text>
           <Text variant="bodySmall" style={styles.cardSubtitle}>
-            Tap the buttons below to schedule notifications with delays
+            Compose a notification or manage the ones already scheduled
           </Text>
 
           {/* Notification Buttons */}
           <View style={styles.buttonContainer}>
             <Button
               mode="contained"
-              onPress={handleNotification1}
-              style={[styles.button, styles.button1]}
+              onPress={openComposer}
+              style={[styles.button, styles.notificationButton]}
               buttonColor="#6200ee"
               textColor="#fff"
-              icon="bell"
+              icon="bell-plus"
             >
-              Notification 1 (3s)
+              Compose
             </Button>
 
             <Button
               mode="contained"
-              onPress={handleNotification2}
-              style={[styles.button, styles.button2]}
+              onPress={() => {
+                refreshScheduled();
+                setScheduledListVisible(true);
+              }}
+              style={[styles.button, styles.notificationButton]}
               buttonColor="#03dac6"
               textColor="#000"
               icon="bell-ring"
             >
-              Notification 2 (4s)
+              Scheduled ({scheduled.length})
             </Button>
           </View>
 
@@ -226,6 +640,30 @@ export default function WebViewScreen() {
         </Card.Content>
       </Card>
 
+      {/* Notification composer and pending list */}
+      <NotificationComposer
+        visible={composerVisible}
+        initialInput={composerInput}
+        submitLabel={editingNotificationId ? 'Update' : 'Schedule'}
+        onSubmit={handleComposerSubmit}
+        onDismiss={() => setComposerVisible(false)}
+      />
+      <ScheduledNotificationsList
+        visible={scheduledListVisible}
+        scheduled={scheduled}
+        onEdit={(request) => openComposerFrom(request, true)}
+        onDuplicate={(request) => openComposerFrom(request, false)}
+        onCancel={cancel}
+        onCancelAll={cancelAll}
+        onDismiss={() => setScheduledListVisible(false)}
+      />
+
+      {/* Navigation policy audit log */}
+      <PolicyLogDialog
+        visible={policyLogVisible}
+        onDismiss={() => setPolicyLogVisible(false)}
+      />
+
       {/* Snackbar for user feedback */}
       <Portal>
         <Snackbar
@@ -286,17 +724,15 @@ const styles = StyleSheet.create({
     color: '#666',
   },
   buttonContainer: {
-    gap: moderateVerticalScale(12),
+    flexDirection: 'row',
+    gap: moderateScale(12),
     marginBottom: moderateVerticalScale(12),
   },
   button: {
     marginBottom: moderateVerticalScale(8),
   },
-  button1: {
-    // Styled via buttonColor prop
-  },
-  button2: {
-    // Styled via buttonColor prop
+  notificationButton: {
+    flex: 1,
   },
   videoButton: {
     marginTop: moderateVerticalScale(8),
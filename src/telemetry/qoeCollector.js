@@ -0,0 +1,232 @@
+/**
+ * Playback QoE Collector
+ *
+ * Folds player state changes into one quality-of-experience record per
+ * playback session:
+ * - Startup time: from the start of the session to the first played frame
+ * - Rebuffers: count and total time spent loading after startup, from the
+ *   same buffering state the player screen shows its loader for
+ * - Seeks and their latency, until playback moves on from the new position
+ *   (loading caused by a seek counts towards the seek, not as a rebuffer)
+ * - Rendition switches, adaptive or pinned, and playback errors
+ * - Watch time: wall-clock time spent actually playing
+ * Seeks are detected from jumps in the position, so every way of seeking
+ * (seekbar, double tap, swipe, Go live, resume) is covered.
+ */
+
+import { selectIsBuffering } from '../player/playerStateStore';
+
+export const SESSION_END_REASONS = {
+  ENDED: 'ended',
+  REPLACED: 'replaced',
+  CLOSED: 'closed',
+};
+
+// Constants
+const SEEK_JUMP_THRESHOLD = 1.5; // seconds between the expected and the reported position
+const SEEK_SETTLE_PROGRESS = 0.1; // seconds played past a seek target to count it done
+const MAX_WATCH_STEP = 2000; // milliseconds counted between two updates at most
+
+/**
+ * Describe a video track for reports
+ * @param {Object|null} track - expo-video VideoTrack
+ * @returns {Object|null} { id, width, height, bitrate }
+ */
+const describeTrack = (track) => (track ? {
+  id: track.id ?? null,
+  width: track.size?.width || null,
+  height: track.size?.height || null,
+  bitrate: track.bitrate || track.averageBitrate || null,
+} : null);
+
+/**
+ * Create a collector
+ * @param {Object} options
+ * @param {Function} options.onSession - Called once per session with its record
+ * @param {Function} options.now - Clock, defaults to Date.now
+ * @returns {Object} Event handlers: start, update, renditionChange, error, end, getStats
+ */
+export const createQoeCollector = ({ onSession, now = Date.now }) => {
+  let session = null;
+  let nextId = 1;
+
+  /**
+   * Build the record of a session as of a moment
+   * @param {Object} current - Session
+   * @param {number} at - Timestamp in milliseconds
+   * @returns {Object} Session record
+   */
+  const summarize = (current, at) => {
+    const openRebuffer = current.rebufferStartedAt === null ? 0 : at - current.rebufferStartedAt;
+    const { seekLatencies } = current;
+
+    return {
+      id: current.id,
+      source: current.source,
+      startedAt: current.startedAt,
+      startupTime: current.firstFrameAt === null ? null : current.firstFrameAt - current.startedAt,
+      watchTime: current.watchTime,
+      rebufferCount: current.rebufferCount,
+      rebufferDuration: current.rebufferDuration + openRebuffer,
+      seekCount: seekLatencies.length,
+      averageSeekLatency: seekLatencies.length
+        ? Math.round(seekLatencies.reduce((sum, latency) => sum + latency, 0) / seekLatencies.length)
+        : null,
+      maxSeekLatency: seekLatencies.length ? Math.max(...seekLatencies) : null,
+      rendition: current.rendition,
+      renditionSwitches: current.renditionSwitches,
+      errors: current.errors,
+    };
+  };
+
+  /**
+   * Close the active session; one closed after playing to the end counts as ended
+   * @param {string} reason - One of SESSION_END_REASONS
+   */
+  const finish = (reason) => {
+    if (!session) return;
+    const finished = session;
+    session = null;
+    const endedAt = now();
+    onSession({
+      ...summarize(finished, endedAt),
+      endedAt,
+      endReason: finished.hasEnded ? SESSION_END_REASONS.ENDED : reason,
+    });
+  };
+
+  /**
+   * Whether a position update jumped away from where playback should be
+   * @param {Object} last - Previous { currentTime, at, isPlaying, isBuffering }
+   * @param {Object} state - Player state
+   * @param {number} at - Timestamp of the update
+   * @param {number} playbackRate - Current playback rate
+   * @returns {boolean}
+   */
+  const isSeek = (last, state, at, playbackRate) => {
+    const played = last.isPlaying && !last.isBuffering ? ((at - last.at) / 1000) * playbackRate : 0;
+    return Math.abs(state.currentTime - (last.currentTime + played)) > SEEK_JUMP_THRESHOLD;
+  };
+
+  return {
+    /**
+     * A source starts loading; a session still open is closed as replaced
+     * @param {string} source - Source URL
+     */
+    start: (source) => {
+      finish(SESSION_END_REASONS.REPLACED);
+      const startedAt = now();
+      session = {
+        id: `${startedAt.toString(36)}-${nextId++}`,
+        source,
+        startedAt,
+        firstFrameAt: null,
+        watchTime: 0,
+        rebufferCount: 0,
+        rebufferDuration: 0,
+        rebufferStartedAt: null,
+        pendingSeek: null,
+        seekLatencies: [],
+        rendition: null,
+        renditionSwitches: [],
+        errors: [],
+        hasEnded: false,
+        last: null,
+      };
+    },
+
+    /**
+     * The player state changed
+     * @param {Object} state - Player state, see playerStateStore
+     * @param {number} playbackRate - Current playback rate
+     */
+    update: (state, playbackRate = 1) => {
+      if (!session) return;
+      const at = now();
+      const isBuffering = selectIsBuffering(state);
+      const { last } = session;
+      let seeked = false;
+
+      if (last) {
+        if (last.isPlaying && !last.isBuffering) {
+          session.watchTime += Math.min(at - last.at, MAX_WATCH_STEP);
+        }
+        if (session.firstFrameAt !== null && isSeek(last, state, at, playbackRate)) {
+          // A seek during a rebuffer takes over the wait
+          if (session.rebufferStartedAt !== null) {
+            session.rebufferDuration += at - session.rebufferStartedAt;
+            session.rebufferStartedAt = null;
+          }
+          session.pendingSeek = { at, target: state.currentTime };
+          seeked = true;
+        }
+      }
+
+      if (session.firstFrameAt === null) {
+        if (state.isPlaying && state.status === 'readyToPlay') session.firstFrameAt = at;
+      } else if (session.pendingSeek) {
+        const { pendingSeek } = session;
+        const settled = state.isPlaying
+          ? state.currentTime >= pendingSeek.target + SEEK_SETTLE_PROGRESS
+          : state.status === 'readyToPlay';
+        if (!seeked && !isBuffering && settled) {
+          session.seekLatencies.push(at - pendingSeek.at);
+          session.pendingSeek = null;
+        }
+      } else if (isBuffering && session.rebufferStartedAt === null) {
+        session.rebufferCount += 1;
+        session.rebufferStartedAt = at;
+      } else if (!isBuffering && session.rebufferStartedAt !== null) {
+        session.rebufferDuration += at - session.rebufferStartedAt;
+        session.rebufferStartedAt = null;
+      }
+
+      session.hasEnded = state.hasEnded;
+      session.last = { currentTime: state.currentTime, at, isPlaying: state.isPlaying, isBuffering };
+    },
+
+    /**
+     * The player moved to another video rendition
+     * @param {Object|null} track - expo-video VideoTrack
+     */
+    renditionChange: (track) => {
+      if (!session || !track) return;
+      const rendition = describeTrack(track);
+      const previous = session.rendition;
+      session.rendition = rendition;
+      if (!previous || previous.id === rendition.id) return;
+      session.renditionSwitches.push({
+        at: now() - session.startedAt,
+        position: session.last?.currentTime ?? 0,
+        from: previous,
+        to: rendition,
+      });
+    },
+
+    /**
+     * Playback failed or stalled
+     * @param {Object} error - Classified playback error { type, message }
+     */
+    error: (error) => {
+      if (!session || !error) return;
+      session.errors.push({
+        at: now() - session.startedAt,
+        position: session.last?.currentTime ?? 0,
+        type: error.type,
+        message: error.message,
+      });
+    },
+
+    /**
+     * Close the session, e.g. when the player screen closes
+     * @param {string} reason - One of SESSION_END_REASONS
+     */
+    end: (reason = SESSION_END_REASONS.CLOSED) => finish(reason),
+
+    /**
+     * Record of the active session so far, for the stats overlay
+     * @returns {Object|null} Session record
+     */
+    getStats: () => (session ? summarize(session, now()) : null),
+  };
+};
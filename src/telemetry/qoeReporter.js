@@ -0,0 +1,108 @@
+/**
+ * QoE Reporter
+ *
+ * Batches finished playback sessions and hands them to the configured sink:
+ * - A batch is sent once it is full, after the flush interval, or when the
+ *   app goes to the background
+ * - A batch the sink fails to deliver is kept and retried with backoff;
+ *   the oldest sessions are dropped when too many pile up
+ * - The sink, batch size and interval are set with configureQoeTelemetry,
+ *   normally once in App.js
+ */
+
+import { AppState } from 'react-native';
+import { getBackoffDelay } from '../utils/backoff';
+import { createConsoleSink } from './qoeSinks';
+
+// Constants
+const MAX_PENDING_SESSIONS = 200;
+const RETRY_BASE_DELAY = 5000; // milliseconds
+const RETRY_MAX_DELAY = 300000; // milliseconds
+
+let config = {
+  sink: createConsoleSink(),
+  batchSize: 5,
+  flushInterval: 30000, // milliseconds
+};
+let pending = [];
+let flushPromise = null;
+let flushTimeout = null;
+let failedAttempts = 0;
+let appStateSubscription = null;
+
+/**
+ * Send the next batch after a delay, unless a send is already scheduled
+ * @param {number} delay - Milliseconds
+ */
+const scheduleFlush = (delay) => {
+  if (flushTimeout) return;
+  flushTimeout = setTimeout(() => {
+    flushTimeout = null;
+    flushQoeSessions();
+  }, delay);
+};
+
+/**
+ * Set where and how often sessions are reported
+ * @param {Object} options
+ * @param {Object} options.sink - Sink, see qoeSinks
+ * @param {number} options.batchSize - Sessions per batch
+ * @param {number} options.flushInterval - Milliseconds a session may wait for its batch
+ */
+export const configureQoeTelemetry = (options) => {
+  config = { ...config, ...options };
+
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') flushQoeSessions();
+    });
+  }
+};
+
+/**
+ * Queue a finished session
+ * @param {Object} session - Session record from the QoE collector
+ */
+export const reportQoeSession = (session) => {
+  pending = [...pending, session].slice(-MAX_PENDING_SESSIONS);
+  if (pending.length >= config.batchSize && failedAttempts === 0) {
+    flushQoeSessions();
+  } else {
+    scheduleFlush(config.flushInterval);
+  }
+};
+
+/**
+ * Send everything queued, one batch at a time
+ * @returns {Promise<void>}
+ */
+export const flushQoeSessions = () => {
+  if (flushPromise) return flushPromise;
+  if (flushTimeout) {
+    clearTimeout(flushTimeout);
+    flushTimeout = null;
+  }
+
+  flushPromise = (async () => {
+    while (pending.length) {
+      const batch = pending.slice(0, config.batchSize);
+      try {
+        await config.sink.send(batch);
+      } catch (error) {
+        console.warn(`Error sending QoE sessions to the ${config.sink.name} sink:`, error);
+        scheduleFlush(getBackoffDelay(failedAttempts, {
+          baseDelay: RETRY_BASE_DELAY,
+          maxDelay: RETRY_MAX_DELAY,
+        }));
+        failedAttempts += 1;
+        return;
+      }
+      failedAttempts = 0;
+      pending = pending.filter((session) => !batch.includes(session));
+    }
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+};
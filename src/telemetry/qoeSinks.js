@@ -0,0 +1,81 @@
+/**
+ * QoE Sinks
+ *
+ * Destinations for batches of playback session records. A sink is any
+ * object with a name and an async send(sessions) that throws when the
+ * batch was not delivered, so it can be retried:
+ * - Console: logs each session, for development
+ * - File: appends sessions to a JSON Lines file in the app's documents
+ * - HTTP: POSTs { sessions } as JSON to a collector, or to a local stand-in
+ *   such as a small server on the development machine
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+
+// Constants
+const DEFAULT_FILE_URI = `${FileSystem.documentDirectory}qoe-sessions.jsonl`;
+const DEFAULT_MAX_FILE_SESSIONS = 500;
+const DEFAULT_HTTP_TIMEOUT = 10000; // milliseconds
+
+/**
+ * Log sessions to the console
+ * @returns {Object} Sink
+ */
+export const createConsoleSink = () => ({
+  name: 'console',
+  send: async (sessions) => {
+    sessions.forEach((session) => console.log('[QoE]', JSON.stringify(session)));
+  },
+});
+
+/**
+ * Append sessions to a JSON Lines file, keeping the most recent ones
+ * @param {Object} options
+ * @param {string} options.fileUri - File to write, defaults to qoe-sessions.jsonl in the documents
+ * @param {number} options.maxSessions - Sessions to keep in the file
+ * @returns {Object} Sink
+ */
+export const createFileSink = ({
+  fileUri = DEFAULT_FILE_URI,
+  maxSessions = DEFAULT_MAX_FILE_SESSIONS,
+} = {}) => ({
+  name: 'file',
+  send: async (sessions) => {
+    const info = await FileSystem.getInfoAsync(fileUri);
+    const existing = info.exists
+      ? (await FileSystem.readAsStringAsync(fileUri)).split('\n').filter(Boolean)
+      : [];
+    const lines = [...existing, ...sessions.map((session) => JSON.stringify(session))];
+    await FileSystem.writeAsStringAsync(fileUri, `${lines.slice(-maxSessions).join('\n')}\n`);
+  },
+});
+
+/**
+ * POST sessions to an HTTP endpoint
+ * @param {Object} options
+ * @param {string} options.url - Endpoint URL, e.g. "http://10.0.2.2:4000/qoe" for a
+ *   server on the machine running the Android emulator
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.timeout - Milliseconds before the request is aborted
+ * @returns {Object} Sink
+ */
+export const createHttpSink = ({ url, headers = {}, timeout = DEFAULT_HTTP_TIMEOUT }) => ({
+  name: 'http',
+  send: async (sessions) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ sessions }),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+});
@@ -0,0 +1,54 @@
+/**
+ * Fake Player
+ *
+ * Stand-in for an expo-video player in tests:
+ * - The properties the app reads (status, playing, currentTime, ...)
+ * - addListener/emit for the player events, with a count of the
+ *   listeners attached to each
+ */
+
+/**
+ * Create a fake player
+ * @param {Object} properties - Initial property values
+ * @returns {Object} Player with emit(eventName, payload) and listenerCount(eventName)
+ */
+export const createFakePlayer = (properties = {}) => {
+  const listeners = new Map();
+
+  return {
+    status: 'idle',
+    playing: false,
+    currentTime: 0,
+    duration: 0,
+    bufferedPosition: -1,
+    isLive: false,
+    currentOffsetFromLive: null,
+    timeUpdateEventInterval: 0,
+    volume: 1,
+    muted: false,
+    playbackRate: 1,
+    ...properties,
+
+    addListener(eventName, listener) {
+      if (!listeners.has(eventName)) listeners.set(eventName, new Set());
+      listeners.get(eventName).add(listener);
+      return { remove: () => listeners.get(eventName).delete(listener) };
+    },
+
+    emit(eventName, payload) {
+      [...(listeners.get(eventName) || [])].forEach((listener) => listener(payload));
+    },
+
+    listenerCount(eventName) {
+      return listeners.get(eventName)?.size || 0;
+    },
+
+    play() {
+      this.playing = true;
+    },
+
+    pause() {
+      this.playing = false;
+    },
+  };
+};
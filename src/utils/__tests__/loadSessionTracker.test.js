@@ -0,0 +1,83 @@
+import { LOAD_OUTCOMES, createLoadSessionTracker } from '../loadSessionTracker';
+
+const createTracker = () => {
+  const onOutcome = jest.fn();
+  const tracker = createLoadSessionTracker({ onOutcome, now: () => 0 });
+  return { tracker, onOutcome };
+};
+
+const outcomes = (onOutcome) => onOutcome.mock.calls.map(([result]) => result.outcome);
+
+describe('createLoadSessionTracker', () => {
+  it('folds redirects into one session', () => {
+    const { tracker, onOutcome } = createTracker();
+    tracker.start({ url: 'http://example.com' });
+    tracker.start({ url: 'https://example.com/' });
+    tracker.end();
+
+    expect(onOutcome).toHaveBeenCalledTimes(1);
+    expect(onOutcome.mock.calls[0][0]).toMatchObject({ outcome: LOAD_OUTCOMES.SUCCESS, redirects: 1 });
+  });
+
+  it('starts a new session for an app navigation during a load', () => {
+    const { tracker, onOutcome } = createTracker();
+    tracker.start({ url: 'https://example.com/' });
+    tracker.navigate();
+    tracker.start({ url: 'https://example.com/other' });
+    tracker.end();
+
+    expect(outcomes(onOutcome)).toEqual([LOAD_OUTCOMES.CANCELLED, LOAD_OUTCOMES.SUCCESS]);
+  });
+
+  it('keeps the expectation while the replaced load ends first', () => {
+    const { tracker, onOutcome } = createTracker();
+    tracker.start({ url: 'https://example.com/' });
+    tracker.navigate({ userInitiated: true });
+    tracker.error(null, true);
+    tracker.end();
+
+    expect(tracker.isUserInitiated()).toBe(true);
+    tracker.start({ url: 'https://typed.example/' });
+    tracker.start({ url: 'https://typed.example/home' });
+    tracker.end();
+
+    expect(outcomes(onOutcome)).toEqual([LOAD_OUTCOMES.CANCELLED, LOAD_OUTCOMES.SUCCESS]);
+    expect(onOutcome.mock.calls[1][0].redirects).toBe(1);
+  });
+
+  it('forgets a navigation that loaded nothing at the next load end', () => {
+    const { tracker, onOutcome } = createTracker();
+    // goBack to an in-page history entry: no onLoadStart follows
+    tracker.navigate({ userInitiated: true });
+    tracker.end();
+
+    expect(tracker.isUserInitiated()).toBe(false);
+    tracker.start({ url: 'https://example.com/' });
+    tracker.start({ url: 'https://example.com/redirected' });
+    tracker.end();
+
+    expect(onOutcome).toHaveBeenCalledTimes(1);
+    expect(onOutcome.mock.calls[0][0].redirects).toBe(1);
+  });
+
+  it('forgets a navigation when loading is stopped', () => {
+    const { tracker } = createTracker();
+    tracker.navigate({ userInitiated: true });
+    tracker.cancel();
+
+    expect(tracker.isUserInitiated()).toBe(false);
+  });
+
+  it('trusts a typed load until its session ends', () => {
+    const { tracker } = createTracker();
+    tracker.navigate({ userInitiated: true });
+    expect(tracker.isUserInitiated()).toBe(true);
+
+    tracker.start({ url: 'http://example.com' });
+    tracker.start({ url: 'https://example.com/' });
+    expect(tracker.isUserInitiated()).toBe(true);
+
+    tracker.end();
+    expect(tracker.isUserInitiated()).toBe(false);
+  });
+});
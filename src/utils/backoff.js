@@ -0,0 +1,25 @@
+/**
+ * Backoff Utilities
+ *
+ * Exponential backoff with jitter for retrying failed network work.
+ */
+
+const DEFAULT_OPTIONS = {
+  baseDelay: 1000, // milliseconds
+  maxDelay: 30000, // milliseconds
+  factor: 2,
+  jitter: 0.2, // +/- fraction of the computed delay
+};
+
+/**
+ * Compute the delay before the given retry attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, options = {}) => {
+  const { baseDelay, maxDelay, factor, jitter } = { ...DEFAULT_OPTIONS, ...options };
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, Math.max(0, attempt)));
+  const spread = delay * jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(delay + spread));
+};
@@ -0,0 +1,21 @@
+/**
+ * HTTP Utilities
+ *
+ * Small fetch helpers for text resources such as playlists and WebVTT files.
+ * Local file URIs (downloaded videos) are read from disk.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+
+/**
+ * Fetch a text resource, treating non-2xx responses as errors
+ * @param {string} url - URL to fetch, or a file URI
+ * @returns {Promise<string>} Response body
+ */
+export const fetchText = async (url) => {
+  if (url.startsWith('file://')) return FileSystem.readAsStringAsync(url);
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+  return response.text();
+};
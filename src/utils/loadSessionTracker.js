@@ -0,0 +1,167 @@
+/**
+ * WebView Load Session Tracker
+ *
+ * Folds the WebView's noisy load events into one outcome per top-level
+ * navigation:
+ * - Redirects during a load stay in the same session
+ * - A load the app started itself (address bar, history buttons, deep links,
+ *   retries) always begins a new session; Android reports no navigation type,
+ *   so without this it would be folded into a load still in progress
+ * - An app-started navigation that never loads (in-page history moves) is
+ *   forgotten at the next onLoadEnd or cancel
+ * - A load the user started from the address bar stays trusted through its
+ *   redirects, until its session ends
+ * - onLoadEnd without an active session (in-page/SPA navigation, repeats) is ignored
+ * - Errors reported before onLoadEnd decide the outcome
+ * - Timing metrics: time to first progress and total load time
+ */
+
+export const LOAD_OUTCOMES = {
+  SUCCESS: 'success',
+  HTTP_ERROR: 'http-error',
+  NETWORK_ERROR: 'network-error',
+  CANCELLED: 'cancelled',
+};
+
+// Navigation types that start a new navigation rather than a redirect (iOS only)
+const NEW_NAVIGATION_TYPES = ['click', 'formsubmit', 'backforward', 'reload', 'formresubmit'];
+
+/**
+ * Create a tracker
+ * @param {Object} options
+ * @param {Function} options.onOutcome - Called once per session with the outcome
+ * @param {Function} options.now - Clock, defaults to Date.now
+ * @returns {Object} Event handlers: navigate, start, progress, httpError, error, cancel, end,
+ *   plus isUserInitiated
+ */
+export const createLoadSessionTracker = ({ onOutcome, now = Date.now }) => {
+  let session = null;
+  let nextId = 1;
+  // { userInitiated, replacesId } while an app-started navigation has not begun loading
+  let expectingNavigation = null;
+
+  /**
+   * Close the active session with an outcome
+   * @param {string} outcome - One of LOAD_OUTCOMES
+   */
+  const finish = (outcome) => {
+    if (!session) return;
+    const finished = session;
+    session = null;
+    const endedAt = now();
+    onOutcome({
+      id: finished.id,
+      outcome,
+      url: finished.url,
+      redirects: finished.redirects,
+      error: finished.error,
+      metrics: {
+        startedAt: finished.startedAt,
+        timeToFirstProgress: finished.firstProgressAt === null
+          ? null
+          : finished.firstProgressAt - finished.startedAt,
+        totalLoadTime: endedAt - finished.startedAt,
+      },
+    });
+  };
+
+  return {
+    /**
+     * The app is about to start a navigation; the next onLoadStart begins a new session
+     * @param {Object} options
+     * @param {boolean} options.userInitiated - Typed into the address bar by the user
+     */
+    navigate: ({ userInitiated = false } = {}) => {
+      expectingNavigation = { userInitiated, replacesId: session ? session.id : null };
+    },
+
+    /**
+     * onLoadStart - begin a session, or record a redirect of the active one
+     * @param {Object} nativeEvent - { url, navigationType }
+     */
+    start: (nativeEvent) => {
+      const expected = expectingNavigation;
+      const isNewNavigation = expected !== null || NEW_NAVIGATION_TYPES.includes(nativeEvent.navigationType);
+      expectingNavigation = null;
+      if (session && !isNewNavigation) {
+        session.redirects += 1;
+        session.url = nativeEvent.url;
+        return;
+      }
+      // A new navigation replaces one that never finished
+      finish(LOAD_OUTCOMES.CANCELLED);
+      session = {
+        id: nextId++,
+        url: nativeEvent.url,
+        startedAt: now(),
+        firstProgressAt: null,
+        redirects: 0,
+        userInitiated: Boolean(expected && expected.userInitiated),
+        outcome: null,
+        error: null,
+      };
+    },
+
+    /**
+     * onLoadProgress - record the first progress event
+     * @param {Object} nativeEvent - { progress }
+     */
+    progress: (nativeEvent) => {
+      if (session && session.firstProgressAt === null && nativeEvent.progress > 0) {
+        session.firstProgressAt = now();
+      }
+    },
+
+    /**
+     * onHttpError - the main document returned an error status
+     * @param {Object} error - Classified HTTP error
+     */
+    httpError: (error) => {
+      if (!session) return;
+      session.outcome = LOAD_OUTCOMES.HTTP_ERROR;
+      session.error = error;
+    },
+
+    /**
+     * onError - the load failed or was cancelled
+     * @param {Object} error - Classified load error
+     * @param {boolean} cancelled - Whether the failure only reports a cancellation
+     */
+    error: (error, cancelled) => {
+      if (!session) return;
+      session.outcome = cancelled ? LOAD_OUTCOMES.CANCELLED : LOAD_OUTCOMES.NETWORK_ERROR;
+      session.error = cancelled ? null : error;
+    },
+
+    /**
+     * Stop button or programmatic stop
+     */
+    cancel: () => {
+      expectingNavigation = null;
+      finish(LOAD_OUTCOMES.CANCELLED);
+    },
+
+    /**
+     * onLoadEnd - close the session with the recorded or successful outcome
+     */
+    end: () => {
+      // The load being replaced may still end first; anything else means
+      // the expected navigation did not load a page
+      if (!session || session.id !== (expectingNavigation && expectingNavigation.replacesId)) {
+        expectingNavigation = null;
+      }
+      if (!session) return;
+      finish(session.outcome || LOAD_OUTCOMES.SUCCESS);
+    },
+
+    /**
+     * Whether the navigation in progress was started by the user, so its
+     * redirects (http to https, trailing slash, login hops) are theirs too
+     * @returns {boolean}
+     */
+    isUserInitiated: () => Boolean(
+      (expectingNavigation && expectingNavigation.userInitiated)
+      || (session && session.userInitiated)
+    ),
+  };
+};
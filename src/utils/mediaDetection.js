@@ -0,0 +1,166 @@
+/**
+ * Media Detection
+ *
+ * Injected script that finds playable media on the page and reports it
+ * to the app, plus the native-side parser for those reports:
+ * - <video> elements (src, currentSrc or nested <source>), with their
+ *   subtitle/caption <track> files
+ * - Links to .m3u8 and .mp4 files
+ * - Sources added later are picked up with a MutationObserver
+ */
+
+const MEDIA_CHANNEL = 'app-media';
+const MAX_SOURCES = 50;
+const MAX_TEXT_LENGTH = 200;
+const MAX_SUBTITLE_FILES = 10;
+
+/**
+ * Script that reports media sources found on the page
+ */
+export const MEDIA_DETECTION_SCRIPT = `
+(function () {
+  if (window.__appMediaDetection) return;
+  window.__appMediaDetection = true;
+
+  var MEDIA_LINK = /\\.(m3u8|mp4)([?#]|$)/i;
+  var lastReport = null;
+  var timer = null;
+
+  function absolute(url) {
+    try { return new URL(url, location.href).href; } catch (e) { return null; }
+  }
+
+  function typeOf(url) {
+    return /\\.m3u8([?#]|$)/i.test(url) ? 'hls' : /\\.mp4([?#]|$)/i.test(url) ? 'mp4' : 'video';
+  }
+
+  function collect() {
+    var found = {};
+    var list = [];
+
+    function add(rawUrl, title, poster, subtitles) {
+      var url = rawUrl && absolute(rawUrl);
+      if (!url || !/^https?:/i.test(url) || found[url] || list.length >= ${MAX_SOURCES}) return;
+      found[url] = true;
+      list.push({
+        url: url,
+        title: (title || document.title || '').trim(),
+        poster: poster ? absolute(poster) : null,
+        type: typeOf(url),
+        subtitles: subtitles || [],
+      });
+    }
+
+    function tracksOf(video) {
+      var tracks = video.querySelectorAll('track[src]');
+      var files = [];
+      for (var t = 0; t < tracks.length; t++) {
+        var kind = tracks[t].getAttribute('kind') || 'subtitles';
+        if (kind !== 'subtitles' && kind !== 'captions') continue;
+        var src = absolute(tracks[t].getAttribute('src'));
+        if (src) files.push({ src: src, label: tracks[t].label, language: tracks[t].srclang });
+      }
+      return files;
+    }
+
+    var videos = document.querySelectorAll('video');
+    for (var i = 0; i < videos.length; i++) {
+      var video = videos[i];
+      var title = video.getAttribute('title') || video.getAttribute('aria-label');
+      var subtitles = tracksOf(video);
+      var src = video.currentSrc || video.getAttribute('src');
+      if (src) add(src, title, video.poster, subtitles);
+      var sources = video.querySelectorAll('source[src]');
+      for (var j = 0; j < sources.length; j++) {
+        add(sources[j].getAttribute('src'), title, video.poster, subtitles);
+      }
+    }
+
+    var links = document.querySelectorAll('a[href]');
+    for (var k = 0; k < links.length; k++) {
+      var href = links[k].getAttribute('href');
+      if (MEDIA_LINK.test(href)) add(href, links[k].textContent, null);
+    }
+
+    return list;
+  }
+
+  function report() {
+    timer = null;
+    var sources = collect();
+    var serialized = JSON.stringify(sources);
+    if (serialized === lastReport) return;
+    lastReport = serialized;
+    window.ReactNativeWebView.postMessage(JSON.stringify({
+      channel: ${JSON.stringify(MEDIA_CHANNEL)},
+      sources: sources,
+    }));
+  }
+
+  function scheduleReport() {
+    if (!timer) timer = setTimeout(report, 500);
+  }
+
+  report();
+  new MutationObserver(scheduleReport).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src', 'href', 'poster'],
+  });
+  document.addEventListener('loadedmetadata', scheduleReport, true);
+})();
+true;
+`;
+
+/**
+ * Trim a page-provided string to a safe length
+ * @param {*} value - Value from the page
+ * @returns {string} Trimmed string
+ */
+const cleanText = (value) =>
+  (typeof value === 'string' ? value : '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+
+/**
+ * Validate subtitle files reported by the page
+ * @param {*} subtitles - Value from the page
+ * @returns {Object[]} Files { src, label, language }
+ */
+const cleanSubtitles = (subtitles) => (Array.isArray(subtitles) ? subtitles : [])
+  .filter((file) => file && typeof file.src === 'string' && /^https?:\/\//i.test(file.src))
+  .slice(0, MAX_SUBTITLE_FILES)
+  .map((file) => ({
+    src: file.src,
+    label: cleanText(file.label),
+    language: cleanText(file.language),
+  }));
+
+/**
+ * Parse a WebView message if it is a media report
+ * @param {string} data - Raw message data
+ * @returns {Object[]|null} Validated sources, or null for other messages
+ */
+export const parseMediaMessage = (data) => {
+  if (typeof data !== 'string' || data.indexOf(MEDIA_CHANNEL) === -1) return null;
+
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+  if (message?.channel !== MEDIA_CHANNEL || !Array.isArray(message.sources)) return null;
+
+  return message.sources
+    .filter((source) => source && typeof source.url === 'string' && /^https?:\/\//i.test(source.url))
+    .slice(0, MAX_SOURCES)
+    .map((source) => ({
+      url: source.url,
+      title: cleanText(source.title),
+      poster: typeof source.poster === 'string' && /^https?:\/\//i.test(source.poster)
+        ? source.poster
+        : null,
+      type: ['hls', 'mp4'].includes(source.type) ? source.type : 'video',
+      subtitles: cleanSubtitles(source.subtitles),
+    }));
+};
@@ -0,0 +1,93 @@
+/**
+ * Page Snapshot Storage
+ *
+ * Keeps an HTML copy of the last page that loaded successfully so it can
+ * be shown while the network is down. Each capture carries a one-time nonce
+ * so page scripts cannot post snapshots the app did not ask for.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+
+const SNAPSHOT_CHANNEL = 'app-snapshot';
+const SNAPSHOT_FILE = `${FileSystem.documentDirectory}last-good-page.json`;
+const MAX_SNAPSHOT_LENGTH = 2 * 1024 * 1024; // characters
+
+/**
+ * Create a one-time nonce for a snapshot request
+ * @returns {string} Nonce
+ */
+export const createSnapshotNonce = () => (
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Script that posts the current document (without scripts) to the app
+ * @param {string} nonce - From createSnapshotNonce, echoed back in the message
+ * @returns {string} Script to inject
+ */
+export const createSnapshotScript = (nonce) => `
+(function () {
+  try {
+    var root = document.documentElement.cloneNode(true);
+    var scripts = root.querySelectorAll('script, noscript');
+    for (var i = 0; i < scripts.length; i++) scripts[i].parentNode.removeChild(scripts[i]);
+    window.ReactNativeWebView.postMessage(JSON.stringify({
+      channel: ${JSON.stringify(SNAPSHOT_CHANNEL)},
+      nonce: ${JSON.stringify(nonce)},
+      title: document.title,
+      html: '<!DOCTYPE html>' + root.outerHTML,
+    }));
+  } catch (e) {}
+})();
+true;
+`;
+
+/**
+ * Parse a WebView message if it is a snapshot message
+ * @param {string} data - Raw message data
+ * @returns {Object|null} { nonce, title, html } or null for other messages
+ */
+export const parseSnapshotMessage = (data) => {
+  if (typeof data !== 'string' || data.indexOf(SNAPSHOT_CHANNEL) === -1) return null;
+  try {
+    const message = JSON.parse(data);
+    if (message?.channel !== SNAPSHOT_CHANNEL || typeof message.html !== 'string') return null;
+    return { nonce: String(message.nonce || ''), title: String(message.title || ''), html: message.html };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Save the snapshot of a successfully loaded page
+ * @param {string} url - Page URL as reported by the WebView
+ * @param {Object} snapshot - { title, html }
+ * @returns {Promise<Object|null>} Saved { url, title, html, savedAt }, or null when the
+ *   page was refused (not http(s), too large) or could not be written
+ */
+export const saveSnapshot = async (url, { title, html }) => {
+  if (!url || !/^https?:/i.test(url) || html.length > MAX_SNAPSHOT_LENGTH) return null;
+  const saved = { url, title, html, savedAt: Date.now() };
+  try {
+    await FileSystem.writeAsStringAsync(SNAPSHOT_FILE, JSON.stringify(saved));
+    return saved;
+  } catch (error) {
+    console.warn('Error saving page snapshot:', error);
+    return null;
+  }
+};
+
+/**
+ * Load the last saved snapshot
+ * @returns {Promise<Object|null>} { url, title, html, savedAt } or null
+ */
+export const loadSnapshot = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(SNAPSHOT_FILE);
+    if (!info.exists) return null;
+    return JSON.parse(await FileSystem.readAsStringAsync(SNAPSHOT_FILE));
+  } catch (error) {
+    console.warn('Error loading page snapshot:', error);
+    return null;
+  }
+};
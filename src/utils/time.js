@@ -0,0 +1,26 @@
+/**
+ * Time Formatting
+ *
+ * Playback time labels shared by the player screen and its controls.
+ */
+
+/**
+ * Format seconds into MM:SS format
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time string
+ */
+export const formatTime = (seconds) => {
+  // Live streams can report an infinite duration
+  if (!seconds || !Number.isFinite(seconds)) return '0:00';
+  const totalSeconds = Math.floor(seconds);
+  const minutes = Math.floor(totalSeconds / 60);
+  const secs = totalSeconds % 60;
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Format a time behind a reference point, e.g. "-0:42"
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted offset
+ */
+export const formatOffset = (seconds) => `-${formatTime(Math.max(0, seconds))}`;
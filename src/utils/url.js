@@ -0,0 +1,61 @@
+/**
+ * URL Utilities
+ *
+ * Helpers for turning what the user types into the address bar into a
+ * loadable URL, and for showing URLs compactly.
+ */
+
+const SEARCH_URL = 'https://duckduckgo.com/?q=';
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+const HOST_PATTERN = /^(localhost|(\d{1,3}\.){3}\d{1,3}|([a-z0-9-]+\.)+[a-z]{2,})(:\d+)?(\/.*)?$/i;
+
+/**
+ * Convert address bar input into a URL, treating non-URLs as search terms
+ * @param {string} input - Raw text typed by the user
+ * @returns {string|null} URL to load, or null for empty input
+ */
+export const normalizeAddressInput = (input) => {
+  const text = (input || '').trim();
+  if (!text) return null;
+
+  if (/^https?:\/\//i.test(text)) return text;
+
+  // Looks like a bare host such as "expo.dev/docs" - assume https
+  if (!/\s/.test(text) && HOST_PATTERN.test(text)) {
+    return `https://${text}`;
+  }
+
+  // Other schemes (e.g. about:blank) are passed through untouched
+  if (!/\s/.test(text) && SCHEME_PATTERN.test(text) && !/^[^:]+:\d/.test(text)) {
+    return text;
+  }
+
+  return `${SEARCH_URL}${encodeURIComponent(text)}`;
+};
+
+/**
+ * Shorten a URL for display by removing the scheme and trailing slash
+ * @param {string} url - Full URL
+ * @returns {string} Display string
+ */
+export const formatDisplayUrl = (url) => {
+  if (!url) return '';
+  return url.replace(/^https?:\/\//i, '').replace(/\/$/, '');
+};
+
+/**
+ * Resolve a possibly relative URI against the URL of the document it came from
+ * @param {string} uri - Absolute or relative URI (e.g. from a playlist)
+ * @param {string} baseUrl - URL of the referring document
+ * @returns {string} Absolute URL
+ */
+export const resolveUrl = (uri, baseUrl) => {
+  if (!uri || SCHEME_PATTERN.test(uri) || !baseUrl) return uri;
+
+  const [, scheme, origin] = baseUrl.match(/^([a-z][a-z0-9+.-]*:)(\/\/[^/?#]*)?/i) || [];
+  if (uri.startsWith('//')) return `${scheme}${uri}`;
+  if (uri.startsWith('/')) return `${scheme}${origin || ''}${uri}`;
+
+  const directory = baseUrl.split(/[?#]/)[0].replace(/[^/]*$/, '');
+  return `${directory}${uri}`;
+};
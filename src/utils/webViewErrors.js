@@ -0,0 +1,98 @@
+/**
+ * WebView Error Classification
+ *
+ * Maps platform-specific WebView error codes to a small set of error
+ * types the UI can explain to the user.
+ */
+
+export const WEBVIEW_ERROR_TYPES = {
+  OFFLINE: 'offline',
+  DNS: 'dns',
+  TIMEOUT: 'timeout',
+  SSL: 'ssl',
+  HTTP: 'http',
+  UNKNOWN: 'unknown',
+};
+
+// Android WebViewClient.ERROR_* codes
+const ANDROID_ERROR_TYPES = {
+  '-2': WEBVIEW_ERROR_TYPES.DNS, // ERROR_HOST_LOOKUP
+  '-6': WEBVIEW_ERROR_TYPES.OFFLINE, // ERROR_CONNECT
+  '-8': WEBVIEW_ERROR_TYPES.TIMEOUT, // ERROR_TIMEOUT
+  '-11': WEBVIEW_ERROR_TYPES.SSL, // ERROR_FAILED_SSL_HANDSHAKE
+};
+
+// iOS NSURLErrorDomain codes
+const IOS_ERROR_TYPES = {
+  '-1001': WEBVIEW_ERROR_TYPES.TIMEOUT, // NSURLErrorTimedOut
+  '-1003': WEBVIEW_ERROR_TYPES.DNS, // NSURLErrorCannotFindHost
+  '-1004': WEBVIEW_ERROR_TYPES.OFFLINE, // NSURLErrorCannotConnectToHost
+  '-1005': WEBVIEW_ERROR_TYPES.OFFLINE, // NSURLErrorNetworkConnectionLost
+  '-1006': WEBVIEW_ERROR_TYPES.DNS, // NSURLErrorDNSLookupFailed
+  '-1009': WEBVIEW_ERROR_TYPES.OFFLINE, // NSURLErrorNotConnectedToInternet
+};
+
+// Errors that are worth retrying automatically
+const RETRYABLE_TYPES = [
+  WEBVIEW_ERROR_TYPES.OFFLINE,
+  WEBVIEW_ERROR_TYPES.DNS,
+  WEBVIEW_ERROR_TYPES.TIMEOUT,
+];
+
+/**
+ * Whether an onError event only reports a cancelled navigation
+ * (NSURLErrorCancelled, or WebKit's "frame load interrupted" after a
+ * navigation was refused by onShouldStartLoadWithRequest)
+ * @param {Object} nativeEvent - { code, domain }
+ * @returns {boolean} True when the error should be ignored
+ */
+export const isCancelledLoadError = (nativeEvent) =>
+  nativeEvent.code === -999 ||
+  (nativeEvent.domain === 'WebKitErrorDomain' && nativeEvent.code === 102);
+
+/**
+ * Classify an onError native event
+ * @param {Object} nativeEvent - { code, description, domain, url }
+ * @returns {Object} { type, code, description, url }
+ */
+export const classifyLoadError = (nativeEvent) => {
+  const code = String(nativeEvent.code);
+  const description = nativeEvent.description || '';
+  let type = ANDROID_ERROR_TYPES[code] || IOS_ERROR_TYPES[code];
+
+  // NSURLErrorSecureConnectionFailed and certificate errors (-1200 to -1206)
+  if (!type && Number(code) <= -1200 && Number(code) >= -1206) {
+    type = WEBVIEW_ERROR_TYPES.SSL;
+  }
+  if (!type && /ssl|certificate/i.test(description)) {
+    type = WEBVIEW_ERROR_TYPES.SSL;
+  }
+
+  return {
+    type: type || WEBVIEW_ERROR_TYPES.UNKNOWN,
+    code: nativeEvent.code,
+    description,
+    url: nativeEvent.url,
+  };
+};
+
+/**
+ * Classify an onHttpError native event
+ * @param {Object} nativeEvent - { statusCode, description, url }
+ * @returns {Object} { type, statusCode, description, url }
+ */
+export const classifyHttpError = (nativeEvent) => ({
+  type: WEBVIEW_ERROR_TYPES.HTTP,
+  statusCode: nativeEvent.statusCode,
+  description: nativeEvent.description || '',
+  url: nativeEvent.url,
+});
+
+/**
+ * Whether an error should be retried automatically
+ * @param {Object} error - Classified error
+ * @returns {boolean} True for connectivity errors
+ */
+export const isRetryableError = (error) =>
+  !!error && (RETRYABLE_TYPES.includes(error.type) ||
+    (error.type === WEBVIEW_ERROR_TYPES.HTTP && error.statusCode >= 500));